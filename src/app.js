@@ -10,14 +10,26 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 
 const logger = require('./utils/logger');
+const auditContext = require('./utils/auditContext');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const { validateApiKey } = require('./middleware/auth');
 
 // Import route modules
 const healthRoutes = require('./routes/health');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const apiKeyRoutes = require('./routes/apiKeys');
 const leadRoutes = require('./routes/leads');
+const leadImportRoutes = require('./routes/leadImports');
+const leadExportRoutes = require('./routes/leadExports');
+const lostReasonRoutes = require('./routes/lostReasons');
+const leadTaskRoutes = require('./routes/leadTasks');
+const leadNoteRoutes = require('./routes/leadNotes');
+const leadSequenceRoutes = require('./routes/leadSequences');
+const customerRoutes = require('./routes/customers');
 const automationRoutes = require('./routes/automation');
 const analyticsRoutes = require('./routes/analytics');
+const scoringRoutes = require('./routes/scoring');
 const integrationRoutes = require('./routes/integrations');
 const webhookRoutes = require('./routes/webhooks');
 
@@ -101,6 +113,9 @@ app.use((req, res, next) => {
   next();
 });
 
+// Attribute lead changes to the user, API key or webhook behind the request
+app.use(auditContext.middleware);
+
 // =====================================================
 // ROUTE CONFIGURATION
 // =====================================================
@@ -114,10 +129,23 @@ const API_PREFIX = `/api/${process.env.API_VERSION || 'v2'}`;
 // Webhook routes (special authentication)
 app.use(`${API_PREFIX}/webhooks`, webhookRoutes);
 
+// Authentication routes (issue their own tokens)
+app.use(`${API_PREFIX}/auth`, authRoutes);
+
 // Protected API routes
+app.use(`${API_PREFIX}/users`, validateApiKey, userRoutes);
+app.use(`${API_PREFIX}/api-keys`, validateApiKey, apiKeyRoutes);
+app.use(`${API_PREFIX}/leads/imports`, validateApiKey, leadImportRoutes);
+app.use(`${API_PREFIX}/leads/exports`, validateApiKey, leadExportRoutes);
+app.use(`${API_PREFIX}/leads/lost-reasons`, validateApiKey, lostReasonRoutes);
+app.use(`${API_PREFIX}/leads/tasks`, validateApiKey, leadTaskRoutes);
+app.use(`${API_PREFIX}/leads/notes`, validateApiKey, leadNoteRoutes);
+app.use(`${API_PREFIX}/leads/:leadId/sequences`, validateApiKey, leadSequenceRoutes);
 app.use(`${API_PREFIX}/leads`, validateApiKey, leadRoutes);
+app.use(`${API_PREFIX}/customers`, validateApiKey, customerRoutes);
 app.use(`${API_PREFIX}/automation`, validateApiKey, automationRoutes);
 app.use(`${API_PREFIX}/analytics`, validateApiKey, analyticsRoutes);
+app.use(`${API_PREFIX}/scoring`, validateApiKey, scoringRoutes);
 app.use(`${API_PREFIX}/integrations`, validateApiKey, integrationRoutes);
 
 // API documentation (development only)
@@ -150,9 +178,17 @@ app.get('/', (req, res) => {
     documentation: process.env.ENABLE_SWAGGER_DOCS === 'true' ? '/api-docs' : 'Contact admin@tntlimousine.com',
     endpoints: {
       health: '/health',
+      auth: `${API_PREFIX}/auth`,
+      users: `${API_PREFIX}/users`,
+      api_keys: `${API_PREFIX}/api-keys`,
       leads: `${API_PREFIX}/leads`,
+      lead_imports: `${API_PREFIX}/leads/imports`,
+      lead_exports: `${API_PREFIX}/leads/exports`,
+      lost_reasons: `${API_PREFIX}/leads/lost-reasons`,
+      customers: `${API_PREFIX}/customers`,
       automation: `${API_PREFIX}/automation`,
       analytics: `${API_PREFIX}/analytics`,
+      scoring: `${API_PREFIX}/scoring`,
       integrations: `${API_PREFIX}/integrations`,
       webhooks: `${API_PREFIX}/webhooks`
     }
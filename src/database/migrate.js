@@ -0,0 +1,64 @@
+/**
+ * TNT Corporate Lead System - Database Migration
+ *
+ * Brings an existing database up to the models: `npm run db:migrate`.
+ * Every step can be run again safely.
+ */
+
+const { sequelize, Lead, Customer } = require('../models');
+const logger = require('../utils/logger');
+
+/**
+ * Drop the unique constraint or index leads.email used to have; repeat
+ * inquiries from one customer share an email now
+ */
+async function dropLeadEmailUnique() {
+  const indexes = await sequelize.getQueryInterface().showIndex(Lead.getTableName());
+  const emailUniques = indexes.filter(index => index.unique && !index.primary &&
+    index.fields.length === 1 && index.fields[0].attribute === 'email');
+
+  for (const index of emailUniques) {
+    // Created with the table it is a constraint, otherwise a plain index
+    await sequelize.query(`ALTER TABLE leads DROP CONSTRAINT IF EXISTS "${index.name}"`);
+    await sequelize.query(`DROP INDEX IF EXISTS "${index.name}"`);
+  }
+
+  return emailUniques.map(index => index.name);
+}
+
+async function migrate() {
+  logger.info('🔄 Migrating database...');
+
+  await sequelize.authenticate();
+
+  // Tables, columns and indexes the models define
+  await sequelize.sync({ alter: true });
+
+  const droppedIndexes = await dropLeadEmailUnique();
+  if (droppedIndexes.length > 0) {
+    logger.info('Dropped unique index on leads.email:', { droppedIndexes });
+  }
+
+  // Link leads captured before customer history existed
+  const linkedLeads = await Customer.linkUnlinkedLeads();
+  if (linkedLeads > 0) {
+    logger.info('Linked existing leads to customers:', { linkedLeads });
+  }
+
+  logger.info('✅ Database migrated');
+}
+
+if (require.main === module) {
+  migrate()
+    .then(() => sequelize.close())
+    .catch(async (error) => {
+      logger.error('❌ Database migration failed:', error);
+      await sequelize.close();
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  migrate,
+  dropLeadEmailUnique
+};
\ No newline at end of file
@@ -5,9 +5,14 @@
  */
 
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, ApiKey } = require('../models');
 const logger = require('../utils/logger');
 
+// Scopes granted to the deprecated shared TNT_API_KEY
+const LEGACY_API_KEY_SCOPES = ['leads:create', 'leads:read'];
+
+let legacyKeyWarningLogged = false;
+
 /**
  * Validate API Key for external integrations
  */
@@ -25,12 +30,64 @@ const validateApiKey = async (req, res, next) => {
       });
     }
 
-    // Check if it's a valid API key format (for external services)
-    if (apiKey === process.env.TNT_API_KEY) {
+    // Issued API keys (tnt_<prefix>.<secret>)
+    if (ApiKey.isApiKeyFormat(apiKey)) {
+      const key = await ApiKey.findByKey(apiKey);
+
+      if (!key || key.revoked_at) {
+        return res.status(401).json({
+          error: {
+            code: 'INVALID_API_KEY',
+            message: 'API key is invalid or has been revoked'
+          }
+        });
+      }
+
+      if (key.isExpired()) {
+        return res.status(401).json({
+          error: {
+            code: 'API_KEY_EXPIRED',
+            message: 'API key has expired',
+            expired_at: key.expires_at
+          }
+        });
+      }
+
+      if (!key.allowsIp(req.ip)) {
+        logger.warn('API key used from disallowed IP:', { apiKeyId: key.id, ip: req.ip });
+
+        return res.status(403).json({
+          error: {
+            code: 'IP_NOT_ALLOWED',
+            message: 'API key is not allowed from this IP address'
+          }
+        });
+      }
+
+      key.recordUsage(req.ip).catch(error => {
+        logger.error('Failed to record API key usage:', { apiKeyId: key.id, error: error.message });
+      });
+
+      req.auth = {
+        type: 'api_key',
+        service: key.name,
+        apiKeyId: key.id,
+        permissions: key.scopes
+      };
+      return next();
+    }
+
+    // Deprecated shared key - kept until existing integrations move to issued keys
+    if (process.env.TNT_API_KEY && apiKey === process.env.TNT_API_KEY) {
+      if (!legacyKeyWarningLogged) {
+        logger.warn('TNT_API_KEY is deprecated - issue scoped keys via /api/v2/api-keys');
+        legacyKeyWarningLogged = true;
+      }
+
       req.auth = {
         type: 'api_key',
         service: 'external',
-        permissions: ['leads:create', 'leads:read', 'webhooks:receive']
+        permissions: LEGACY_API_KEY_SCOPES
       };
       return next();
     }
@@ -38,6 +95,12 @@ const validateApiKey = async (req, res, next) => {
     // Try to validate as JWT token
     try {
       const decoded = jwt.verify(apiKey, process.env.JWT_SECRET);
+
+      // Refresh tokens are only accepted by POST /auth/refresh
+      if (decoded.type === 'refresh') {
+        throw new Error('Refresh token used as access token');
+      }
+
       const user = await User.findByPk(decoded.userId);
 
       if (!user || !user.active) {
@@ -121,11 +184,42 @@ const requireRole = (requiredRole) => {
   };
 };
 
+/**
+ * Require a signed-in user (self-service endpoints act on req.auth.user)
+ */
+const requireUser = (req, res, next) => {
+  if (!req.auth || req.auth.type !== 'jwt' || !req.auth.user) {
+    return res.status(401).json({
+      error: {
+        code: 'JWT_REQUIRED',
+        message: 'JWT authentication required for this endpoint'
+      }
+    });
+  }
+
+  next();
+};
+
 /**
  * Require specific permission
+ *
+ * JWT users are checked against their permission map, API keys against their scopes.
  */
 const requirePermission = (resource, action) => {
   return (req, res, next) => {
+    if (req.auth && req.auth.type === 'api_key') {
+      if (!ApiKey.scopesAllow(req.auth.permissions, resource, action)) {
+        return res.status(403).json({
+          error: {
+            code: 'INSUFFICIENT_SCOPE',
+            message: `API key scope '${resource}:${action}' required`
+          }
+        });
+      }
+
+      return next();
+    }
+
     if (!req.auth || req.auth.type !== 'jwt') {
       return res.status(401).json({
         error: {
@@ -195,6 +289,27 @@ const generateToken = (user) => {
   });
 };
 
+/**
+ * Generate refresh token for user
+ *
+ * The `jti` is the RefreshToken row id, so a token can be revoked server-side
+ * even though its signature is still valid.
+ */
+const generateRefreshToken = (user, tokenId, familyId) => {
+  const payload = {
+    userId: user.id,
+    jti: tokenId,
+    family: familyId,
+    type: 'refresh'
+  };
+
+  return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
+    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    issuer: 'tnt-lead-system',
+    audience: 'tnt-refresh'
+  });
+};
+
 /**
  * Verify token without middleware (for manual verification)
  */
@@ -206,6 +321,21 @@ const verifyToken = (token) => {
   }
 };
 
+/**
+ * Verify refresh token signature and claims (revocation is checked by the caller)
+ */
+const verifyRefreshToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET, {
+      issuer: 'tnt-lead-system',
+      audience: 'tnt-refresh'
+    });
+    return decoded.type === 'refresh' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * Rate limiting for authentication endpoints
  */
@@ -294,10 +424,13 @@ const validateWebhookSignature = (expectedSource) => {
 module.exports = {
   validateApiKey,
   requireRole,
+  requireUser,
   requirePermission,
   optionalAuth,
   generateToken,
+  generateRefreshToken,
   verifyToken,
+  verifyRefreshToken,
   authRateLimit,
   validateWebhookSignature
 };
\ No newline at end of file
@@ -128,6 +128,7 @@ const errorHandler = (err, req, res, next) => {
     errorResponse.error = {
       code: err.code,
       message: err.message,
+      ...(err.details && { details: err.details }),
       timestamp: new Date().toISOString(),
       request_id: requestId
     };
@@ -26,9 +26,172 @@ const commonSchemas = {
   }
 };
 
+/**
+ * Authentication validation schemas
+ */
+const authSchemas = {
+  login: Joi.object({
+    email: commonSchemas.email,
+    password: Joi.string().max(128).required()
+  }),
+
+  refresh: Joi.object({
+    refresh_token: Joi.string().required()
+  }),
+
+  logout: Joi.object({
+    refresh_token: Joi.string().required(),
+    all_devices: Joi.boolean().default(false)
+  }),
+
+  forgotPassword: Joi.object({
+    email: commonSchemas.email
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    password: Joi.string().min(10).max(128).required()
+  })
+};
+
+/**
+ * User management validation schemas
+ */
+const userRole = Joi.string().valid('admin', 'manager', 'dispatcher', 'sales');
+
+const permissionMap = Joi.object().pattern(
+  Joi.string(),
+  Joi.object().pattern(Joi.string(), Joi.boolean())
+);
+
+const notificationPreferences = Joi.object({
+  email: Joi.boolean(),
+  sms: Joi.boolean(),
+  slack: Joi.boolean(),
+  high_value_leads: Joi.boolean(),
+  response_time_alerts: Joi.boolean(),
+  task_reminders: Joi.boolean(),
+  mentions: Joi.boolean()
+});
+
+const slackUserId = Joi.string().pattern(/^[UW][A-Z0-9]{2,49}$/, 'Slack member ID');
+
+const assignmentProfile = Joi.object({
+  accepting_leads: Joi.boolean(),
+  max_open_leads: Joi.number().integer().min(0).max(1000).allow(null),
+  weight: Joi.number().min(0.1).max(10),
+  service_types: Joi.array().items(Joi.string().valid('corporate', 'airport', 'wedding', 'hourly', 'events')).unique(),
+  service_areas: Joi.array().items(Joi.string().max(100)).unique()
+});
+
+const userSchemas = {
+  create: Joi.object({
+    // Stored lowercase, as User.findByEmail looks addresses up
+    email: commonSchemas.email.lowercase(),
+    password: Joi.string().min(10).max(128).required(),
+    first_name: Joi.string().max(100).required(),
+    last_name: Joi.string().max(100).required(),
+    phone: commonSchemas.phone,
+    role: userRole.default('dispatcher'),
+    permissions: permissionMap.optional(),
+    timezone: Joi.string().max(50).optional(),
+    notification_preferences: notificationPreferences.optional(),
+    assignment_profile: assignmentProfile.optional()
+  }),
+
+  update: Joi.object({
+    email: Joi.string().email().max(255).lowercase().optional(),
+    first_name: Joi.string().max(100).optional(),
+    last_name: Joi.string().max(100).optional(),
+    phone: commonSchemas.phone.allow(null),
+    slack_user_id: slackUserId.allow(null).optional(),
+    role: userRole.optional(),
+    apply_role_preset: Joi.boolean().default(true),
+    timezone: Joi.string().max(50).optional(),
+    assignment_profile: assignmentProfile.optional()
+  }).min(1),
+
+  permissions: Joi.object({
+    permissions: permissionMap.required(),
+    mode: Joi.string().valid('merge', 'replace').default('merge')
+  }),
+
+  profileUpdate: Joi.object({
+    first_name: Joi.string().max(100).optional(),
+    last_name: Joi.string().max(100).optional(),
+    phone: commonSchemas.phone.allow(null),
+    slack_user_id: slackUserId.allow(null).optional(),
+    timezone: Joi.string().max(50).optional(),
+    accepting_leads: Joi.boolean().optional(),
+    current_password: Joi.string().max(128).optional(),
+    new_password: Joi.string().min(10).max(128).optional()
+  }).min(1).with('new_password', 'current_password'),
+
+  notificationPreferences: notificationPreferences.min(1).required(),
+
+  query: Joi.object({
+    role: userRole.optional(),
+    active: Joi.boolean().optional(),
+    search: Joi.string().max(255).optional(),
+    page: commonSchemas.paginationQuery.page,
+    limit: commonSchemas.paginationQuery.limit
+  })
+};
+
+/**
+ * API key validation schemas
+ */
+const apiKeyScope = Joi.string().pattern(/^(\*|[a-z_]+:(\*|[a-z_]+))$/, 'resource:action scope');
+const allowedIp = Joi.string().ip({ cidr: 'optional' });
+
+const apiKeySchemas = {
+  create: Joi.object({
+    name: Joi.string().max(100).required(),
+    description: Joi.string().max(1000).optional().allow(''),
+    scopes: Joi.array().items(apiKeyScope).min(1).unique().required(),
+    allowed_ips: Joi.array().items(allowedIp).unique().default([]),
+    expires_at: Joi.date().iso().greater('now').optional()
+  }),
+
+  update: Joi.object({
+    name: Joi.string().max(100).optional(),
+    description: Joi.string().max(1000).optional().allow('', null),
+    scopes: Joi.array().items(apiKeyScope).min(1).unique().optional(),
+    allowed_ips: Joi.array().items(allowedIp).unique().optional(),
+    expires_at: Joi.date().iso().greater('now').optional().allow(null)
+  }).min(1),
+
+  rotate: Joi.object({
+    grace_period_minutes: Joi.number().integer().min(0).max(10080).default(60)
+  }),
+
+  query: Joi.object({
+    include_revoked: Joi.boolean().default(false)
+  })
+};
+
 /**
  * Lead validation schemas
  */
+const leadFilterKeys = {
+  status: commonSchemas.leadStatus.optional(),
+  service_type: commonSchemas.serviceType.optional(),
+  lead_score_min: Joi.number().integer().min(0).max(100).optional(),
+  date_from: Joi.date().iso().optional(),
+  date_to: Joi.date().iso().optional(),
+  search: Joi.string().max(255).optional(),
+  assigned_to: Joi.alternatives().try(
+    Joi.string().uuid(),
+    Joi.string().valid('me', 'unassigned')
+  ).optional(),
+  // Structured filter expression, as JSON in query strings
+  filter: Joi.alternatives().try(Joi.object(), Joi.string().max(8000)).optional()
+};
+
+const leadSortBy = Joi.string().valid('created_at', 'lead_score', 'estimated_value', 'status');
+const sortOrder = Joi.string().valid('asc', 'desc');
+const fieldList = Joi.string().max(2000).pattern(/^[a-z_]+(,[a-z_]+)*$/, 'comma-separated field names');
+
 const leadSchemas = {
   create: Joi.object({
     company_name: Joi.string().max(255).optional().allow(''),
@@ -60,19 +223,148 @@ const leadSchemas = {
     status: commonSchemas.leadStatus,
     estimated_value: Joi.number().precision(2).min(0).max(99999.99).optional(),
     notes: Joi.string().max(2000).optional(),
-    converted_revenue: Joi.number().precision(2).min(0).optional(),
-    lost_reason: Joi.string().max(255).optional(),
+    converted_value: Joi.number().precision(2).min(0).max(99999999.99).optional(),
+    lost_reason: Joi.string().max(50).optional(),
+    lost_reason_note: Joi.string().max(2000).optional(),
     priority_level: Joi.number().integer().min(1).max(5).optional()
+  }).rename('converted_revenue', 'converted_value', { ignoreUndefined: true }).min(1),
+
+  query: Joi.object({
+    ...leadFilterKeys,
+    ...commonSchemas.paginationQuery,
+    view: Joi.string().uuid().optional(),
+    // No defaults, so a saved view's sort applies unless one is given
+    sort_by: leadSortBy.optional(),
+    sort_order: sortOrder.optional(),
+    // Offset pages unless a cursor is given for keyset paging
+    cursor: Joi.string().max(1000).optional(),
+    page: Joi.number().integer().min(1).optional(),
+    include_total: Joi.boolean().default(false),
+    fields: fieldList.optional(),
+    include: fieldList.optional()
+  }).oxor('cursor', 'page'),
+
+  assign: Joi.object({
+    user_id: Joi.string().uuid().allow(null).optional(),
+    strategy: Joi.string().max(50).optional(),
+    reason: Joi.string().max(500).optional()
+  }).oxor('user_id', 'strategy'),
+
+  duplicatesQuery: Joi.object({
+    min_score: Joi.number().integer().min(1).max(100).optional(),
+    include_closed: Joi.boolean().default(false),
+    limit: Joi.number().integer().min(1).max(50).default(10)
+  }),
+
+  merge: Joi.object({
+    duplicate_ids: Joi.array().items(Joi.string().uuid()).min(1).max(10).unique().required()
+  }),
+
+  search: Joi.object({
+    q: Joi.string().trim().min(1).max(255).required(),
+    prefix: Joi.boolean().default(false),
+    ...leadFilterKeys,
+    page: commonSchemas.paginationQuery.page,
+    limit: Joi.number().integer().min(1).max(50).default(20)
+  }),
+
+  timelineQuery: Joi.object({
+    types: Joi.string()
+      .pattern(/^(change|note|interaction|email|notification|webhook)(,(change|note|interaction|email|notification|webhook))*$/, 'comma-separated timeline types')
+      .optional(),
+    // next_before from the previous page
+    before: Joi.string().max(500).optional(),
+    limit: Joi.number().integer().min(1).max(100).default(50)
+  })
+};
+
+/**
+ * Lead import validation schemas
+ */
+const importableLeadFields = Object.keys(leadSchemas.create.describe().keys)
+  .filter(field => field !== 'custom_fields');
+
+const leadImportSchemas = {
+  create: Joi.object({
+    column_mapping: Joi.object()
+      .pattern(Joi.string().valid(...importableLeadFields), Joi.string().max(255))
+      .default({}),
+    duplicate_action: Joi.string().valid('skip', 'merge', 'create').default('skip'),
+    suppress_automation: Joi.boolean().default(false),
+    source: Joi.string().max(100).default('import')
+  }),
+
+  query: Joi.object({
+    status: Joi.string().valid('queued', 'processing', 'completed', 'failed').optional(),
+    page: commonSchemas.paginationQuery.page,
+    limit: commonSchemas.paginationQuery.limit
+  })
+};
+
+/**
+ * Lead export validation schemas
+ */
+const leadExportSchemas = {
+  create: Joi.object({
+    ...leadFilterKeys,
+    view: Joi.string().uuid().optional(),
+    format: Joi.string().valid('csv', 'xlsx', 'ndjson').default('csv'),
+    columns: Joi.string().max(2000).optional(),
+    background: Joi.boolean().default(false)
+  }),
+
+  query: Joi.object({
+    status: Joi.string().valid('queued', 'processing', 'completed', 'failed', 'expired').optional(),
+    page: commonSchemas.paginationQuery.page,
+    limit: commonSchemas.paginationQuery.limit
+  })
+};
+
+/**
+ * Saved lead view validation schemas
+ */
+const savedViewSchemas = {
+  create: Joi.object({
+    name: Joi.string().max(100).required(),
+    description: Joi.string().max(500).allow(null, '').optional(),
+    filter: Joi.object().required(),
+    sort_by: leadSortBy.default('created_at'),
+    sort_order: sortOrder.default('desc'),
+    shared: Joi.boolean().default(false)
+  }),
+
+  update: Joi.object({
+    name: Joi.string().max(100).optional(),
+    description: Joi.string().max(500).allow(null, '').optional(),
+    filter: Joi.object().optional(),
+    sort_by: leadSortBy.optional(),
+    sort_order: sortOrder.optional(),
+    shared: Joi.boolean().optional()
+  }).min(1)
+};
+
+/**
+ * Lost reason validation schemas
+ */
+const lostReasonSchemas = {
+  create: Joi.object({
+    code: Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(50).required(),
+    label: Joi.string().max(100).required(),
+    description: Joi.string().max(1000).allow(null, '').optional(),
+    requires_detail: Joi.boolean().default(false),
+    sort_order: Joi.number().integer().min(0).default(0)
+  }),
+
+  update: Joi.object({
+    label: Joi.string().max(100).optional(),
+    description: Joi.string().max(1000).allow(null, '').optional(),
+    requires_detail: Joi.boolean().optional(),
+    active: Joi.boolean().optional(),
+    sort_order: Joi.number().integer().min(0).optional()
   }).min(1),
 
   query: Joi.object({
-    status: commonSchemas.leadStatus.optional(),
-    service_type: commonSchemas.serviceType.optional(),
-    lead_score_min: Joi.number().integer().min(0).max(100).optional(),
-    date_from: Joi.date().iso().optional(),
-    date_to: Joi.date().iso().optional(),
-    search: Joi.string().max(255).optional(),
-    ...commonSchemas.paginationQuery
+    include_inactive: Joi.boolean().default(false)
   })
 };
 
@@ -94,9 +386,145 @@ const interactionSchemas = {
   })
 };
 
+/**
+ * Lead task validation schemas
+ */
+const taskType = Joi.string().valid('callback', 'follow_up', 'task');
+const reminderMinutes = Joi.number().integer().min(0).max(10080);
+
+const taskSchemas = {
+  create: Joi.object({
+    task_type: taskType.default('task'),
+    title: Joi.string().max(255).required(),
+    description: Joi.string().max(2000).allow(null, '').optional(),
+    due_at: Joi.date().iso().required(),
+    assigned_to: Joi.string().uuid().allow(null).optional(),
+    reminder_minutes_before: reminderMinutes.default(0)
+  }),
+
+  update: Joi.object({
+    task_type: taskType.optional(),
+    title: Joi.string().max(255).optional(),
+    description: Joi.string().max(2000).allow(null, '').optional(),
+    due_at: Joi.date().iso().optional(),
+    assigned_to: Joi.string().uuid().allow(null).optional(),
+    reminder_minutes_before: reminderMinutes.optional()
+  }).min(1),
+
+  complete: Joi.object({
+    outcome: Joi.string().max(2000).optional(),
+    // Defaults to true for callbacks
+    log_call: Joi.boolean().optional(),
+    subject: Joi.string().max(255).optional()
+  }),
+
+  snooze: Joi.object({
+    minutes: Joi.number().integer().min(1).max(10080),
+    until: Joi.date().iso().greater('now')
+  }).xor('minutes', 'until'),
+
+  query: Joi.object({
+    status: Joi.string().valid('open', 'completed', 'cancelled', 'all').default('open')
+  }),
+
+  mineQuery: Joi.object({
+    due: Joi.string().valid('overdue', 'today', 'upcoming', 'all').default('today'),
+    limit: Joi.number().integer().min(1).max(200).default(100)
+  })
+};
+
+/**
+ * Lead note validation schemas
+ */
+const noteSchemas = {
+  create: Joi.object({
+    body: Joi.string().trim().max(10000).required(),
+    parent_id: Joi.string().uuid().optional()
+  }),
+
+  update: Joi.object({
+    body: Joi.string().trim().max(10000).required()
+  }),
+
+  pin: Joi.object({
+    pinned: Joi.boolean().required()
+  }),
+
+  mentionableQuery: Joi.object({
+    q: Joi.string().max(100).optional(),
+    limit: Joi.number().integer().min(1).max(50).default(10)
+  })
+};
+
+/**
+ * Lead sequence control validation schemas
+ */
+const sequenceNote = Joi.string().trim().max(1000).optional();
+
+const leadSequenceSchemas = {
+  enroll: Joi.object({
+    sequence_name: Joi.string().max(100).required(),
+    start_at: Joi.date().iso().greater('now').optional(),
+    note: sequenceNote
+  }),
+
+  pause: Joi.object({
+    reason: Joi.string().trim().max(255).required()
+  }),
+
+  resume: Joi.object({
+    note: sequenceNote
+  }),
+
+  skip: Joi.object({
+    step: Joi.number().integer().min(1).max(10).required(),
+    send_at: Joi.date().iso().greater('now').optional(),
+    note: sequenceNote
+  }),
+
+  reschedule: Joi.object({
+    send_at: Joi.date().iso().greater('now').required(),
+    note: sequenceNote
+  }),
+
+  unenroll: Joi.object({
+    note: sequenceNote
+  })
+};
+
 /**
  * Automation validation schemas
  */
+const escalationSteps = Joi.array().items(Joi.object({
+  delay_minutes: Joi.number().integer().min(1).max(1440).required(),
+  channel: Joi.string().valid('email', 'slack', 'sms').required(),
+  recipient_group: Joi.string().valid('assigned_rep', 'dispatchers', 'managers', 'admins').required()
+})).min(1).max(10);
+
+const escalationConditions = Joi.object({
+  service_types: Joi.array().items(Joi.string().valid('corporate', 'airport', 'wedding', 'hourly', 'events')).unique(),
+  min_priority_level: Joi.number().integer().min(1).max(5),
+  min_estimated_value: Joi.number().min(0)
+});
+
+const sendWindow = Joi.object({
+  days: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique().required(),
+  start_hour: Joi.number().integer().min(0).max(23).required(),
+  end_hour: Joi.number().integer().greater(Joi.ref('start_hour')).max(24).required(),
+  timezone: Joi.string().max(50).optional()
+});
+
+const sequenceSteps = Joi.array().items(Joi.object({
+  template_name: Joi.string().max(100).required(),
+  delay_minutes: Joi.number().integer().min(0).max(90 * 24 * 60).required(),
+  send_window: sendWindow.allow(null).default(null),
+  // Omitted conditions keep the defaults: end on converted/lost, pause on a response
+  exit_conditions: Joi.object({
+    lead_statuses: Joi.array().items(commonSchemas.leadStatus).unique().default(['converted', 'lost']),
+    on_response: Joi.boolean().default(true)
+  }).default()
+})).min(1).max(10);
+
 const automationSchemas = {
   trigger: Joi.object({
     lead_id: commonSchemas.uuid,
@@ -119,11 +547,70 @@ const automationSchemas = {
     business_hours_only: Joi.boolean().default(true)
   }),
 
+  // A saved template, draft fields laid over one, or a draft on its own;
+  // rendered for a lead, or a sample lead when none is given
+  templatePreview: Joi.object({
+    template_id: Joi.string().uuid().optional(),
+    subject_line: Joi.string().max(255).when('template_id', { not: Joi.exist(), then: Joi.required() }),
+    content: Joi.string().max(10000).when('template_id', { not: Joi.exist(), then: Joi.required() }),
+    html_content: Joi.string().max(20000).optional().allow(null),
+    lead_id: Joi.string().uuid().optional()
+  }),
+
+  templatePartialCreate: Joi.object({
+    name: Joi.string().pattern(/^[a-z][a-z0-9_]*$/, 'lower_snake_case name').max(100).required(),
+    description: Joi.string().max(500).optional().allow(''),
+    content: Joi.string().max(10000).required(),
+    html_content: Joi.string().max(20000).optional()
+  }),
+
+  // Templates include partials by name, so it cannot change
+  templatePartialUpdate: Joi.object({
+    description: Joi.string().max(500).optional().allow('', null),
+    content: Joi.string().max(10000).optional(),
+    html_content: Joi.string().max(20000).optional().allow(null)
+  }).min(1),
+
   performanceQuery: Joi.object({
     date_from: Joi.date().iso().optional(),
     date_to: Joi.date().iso().optional(),
     granularity: Joi.string().valid('hour', 'day', 'week', 'month').default('day')
-  })
+  }),
+
+  escalationPolicyCreate: Joi.object({
+    name: Joi.string().max(100).required(),
+    description: Joi.string().max(1000).optional().allow(''),
+    conditions: escalationConditions.default({}),
+    priority: Joi.number().integer().min(0).max(1000).default(0),
+    is_default: Joi.boolean().default(false),
+    steps: escalationSteps.required(),
+    active: Joi.boolean().default(true)
+  }),
+
+  sequenceDefinitionCreate: Joi.object({
+    name: Joi.string().pattern(/^[a-z][a-z0-9_]*$/, 'lower_snake_case name').max(100).required(),
+    display_name: Joi.string().max(100).required(),
+    description: Joi.string().max(1000).optional().allow(''),
+    active: Joi.boolean().default(true),
+    steps: sequenceSteps.required()
+  }),
+
+  sequenceDefinitionUpdate: Joi.object({
+    display_name: Joi.string().max(100).optional(),
+    description: Joi.string().max(1000).optional().allow('', null),
+    active: Joi.boolean().optional(),
+    steps: sequenceSteps.optional()
+  }).min(1),
+
+  escalationPolicyUpdate: Joi.object({
+    name: Joi.string().max(100).optional(),
+    description: Joi.string().max(1000).optional().allow('', null),
+    conditions: escalationConditions.optional(),
+    priority: Joi.number().integer().min(0).max(1000).optional(),
+    is_default: Joi.boolean().optional(),
+    steps: escalationSteps.optional(),
+    active: Joi.boolean().optional()
+  }).min(1)
 };
 
 /**
@@ -140,6 +627,81 @@ const analyticsSchemas = {
   })
 };
 
+/**
+ * Scoring validation schemas
+ */
+const scoringFactorCategory = Joi.string().valid('company', 'service', 'timing', 'geographic', 'behavioral');
+const scoringCalculationMethod = Joi.string().valid('exact_match', 'range', 'calculation', 'boolean');
+const valueMappings = Joi.object().pattern(Joi.string().max(50), Joi.number().min(0).max(100)).min(1);
+
+const scoringSchemas = {
+  factorCreate: Joi.object({
+    factor_name: Joi.string().pattern(/^[a-z][a-z0-9_]*$/, 'snake_case name').max(100).required(),
+    factor_category: scoringFactorCategory.required(),
+    weight: Joi.number().integer().min(0).max(100).required(),
+    calculation_method: scoringCalculationMethod.required(),
+    value_mappings: valueMappings.required(),
+    description: Joi.string().max(1000).optional().allow(''),
+    active: Joi.boolean().default(true)
+  }),
+
+  // factor_name and calculation_method identify the engine logic, so they are fixed after creation
+  factorUpdate: Joi.object({
+    factor_category: scoringFactorCategory.optional(),
+    weight: Joi.number().integer().min(0).max(100).optional(),
+    value_mappings: valueMappings.optional(),
+    description: Joi.string().max(1000).optional().allow('', null),
+    active: Joi.boolean().optional(),
+    rescore: Joi.boolean().default(true)
+  }).min(1),
+
+  factorQuery: Joi.object({
+    category: scoringFactorCategory.optional(),
+    include_inactive: Joi.boolean().default(false)
+  }),
+
+  rescore: Joi.object({
+    reason: Joi.string().max(200).default('manual')
+  }),
+
+  simulate: Joi.object({
+    factors: Joi.array().items(Joi.object({
+      factor_name: Joi.string().max(100).required(),
+      factor_category: scoringFactorCategory.optional(),
+      weight: Joi.number().integer().min(0).max(100).optional(),
+      calculation_method: scoringCalculationMethod.optional(),
+      value_mappings: valueMappings.optional(),
+      active: Joi.boolean().optional()
+    })).min(1).max(50).unique('factor_name').required(),
+    date_from: Joi.date().iso().optional(),
+    date_to: Joi.date().iso().min(Joi.ref('date_from')).optional(),
+    days: Joi.number().integer().min(1).max(730).default(180),
+    service_type: commonSchemas.serviceType.optional(),
+    max_leads: Joi.number().integer().min(1).max(20000).default(5000)
+  }),
+
+  modelTrain: Joi.object({
+    lookback_days: Joi.number().integer().min(30).max(1825).default(365),
+    holdout_ratio: Joi.number().min(0).max(0.5).default(0.2),
+    epochs: Joi.number().integer().min(10).max(5000).default(500),
+    learning_rate: Joi.number().min(0.001).max(1).default(0.1),
+    l2: Joi.number().min(0).max(1).default(0.01),
+    min_category_count: Joi.number().integer().min(1).max(100).default(5)
+  })
+};
+
+/**
+ * Customer validation schemas
+ */
+const customerSchemas = {
+  query: Joi.object({
+    search: Joi.string().max(255).optional(),
+    returning_only: Joi.boolean().default(false),
+    page: commonSchemas.paginationQuery.page,
+    limit: commonSchemas.paginationQuery.limit
+  })
+};
+
 /**
  * Integration validation schemas
  */
@@ -318,17 +880,105 @@ module.exports = {
   validate,
 
   // Specific endpoint validations
+  validateLogin: validate(authSchemas.login),
+  validateRefreshToken: validate(authSchemas.refresh),
+  validateLogout: validate(authSchemas.logout),
+  validateForgotPassword: validate(authSchemas.forgotPassword),
+  validateResetPassword: validate(authSchemas.resetPassword),
+
+  validateUserCreate: validate(userSchemas.create),
+  validateUserUpdate: validate(userSchemas.update),
+  validateUserPermissions: validate(userSchemas.permissions),
+  validateUserQuery: validate(userSchemas.query, 'query'),
+  validateUserId: validate(Joi.object({ userId: commonSchemas.uuid }), 'params'),
+  validateProfileUpdate: validate(userSchemas.profileUpdate),
+  validateNotificationPreferences: validate(userSchemas.notificationPreferences),
+
+  validateApiKeyCreate: validate(apiKeySchemas.create),
+  validateApiKeyUpdate: validate(apiKeySchemas.update),
+  validateApiKeyRotate: validate(apiKeySchemas.rotate),
+  validateApiKeyQuery: validate(apiKeySchemas.query, 'query'),
+  validateApiKeyId: validate(Joi.object({ keyId: commonSchemas.uuid }), 'params'),
+
   validateLeadCreate: validate(leadSchemas.create),
   validateLeadUpdate: validate(leadSchemas.update),
   validateLeadQuery: validate(leadSchemas.query, 'query'),
   validateLeadId: validate(Joi.object({ leadId: commonSchemas.uuid }), 'params'),
+  validateLeadAssign: validate(leadSchemas.assign),
+  validateLeadDuplicatesQuery: validate(leadSchemas.duplicatesQuery, 'query'),
+  validateLeadMerge: validate(leadSchemas.merge),
+  validateLeadMergeId: validate(Joi.object({ mergeId: commonSchemas.uuid }), 'params'),
+  validateLeadTimelineQuery: validate(leadSchemas.timelineQuery, 'query'),
+  validateLeadSearch: validate(leadSchemas.search, 'query'),
+
+  validateLeadImportCreate: validate(leadImportSchemas.create),
+  validateLeadImportQuery: validate(leadImportSchemas.query, 'query'),
+  validateLeadImportId: validate(Joi.object({ importId: commonSchemas.uuid }), 'params'),
+
+  validateLeadExportCreate: validate(leadExportSchemas.create, 'query'),
+  validateLeadExportQuery: validate(leadExportSchemas.query, 'query'),
+  validateLeadExportId: validate(Joi.object({ exportId: commonSchemas.uuid }), 'params'),
+
+  validateSavedViewCreate: validate(savedViewSchemas.create),
+  validateSavedViewUpdate: validate(savedViewSchemas.update),
+  validateSavedViewId: validate(Joi.object({ viewId: commonSchemas.uuid }), 'params'),
+
+  validateLostReasonCreate: validate(lostReasonSchemas.create),
+  validateLostReasonUpdate: validate(lostReasonSchemas.update),
+  validateLostReasonQuery: validate(lostReasonSchemas.query, 'query'),
+  validateLostReasonId: validate(Joi.object({ reasonId: commonSchemas.uuid }), 'params'),
 
   validateInteractionCreate: validate(interactionSchemas.create),
   validateInteractionQuery: validate(interactionSchemas.query, 'query'),
 
+  validateTaskCreate: validate(taskSchemas.create),
+  validateTaskUpdate: validate(taskSchemas.update),
+  validateTaskComplete: validate(taskSchemas.complete),
+  validateTaskSnooze: validate(taskSchemas.snooze),
+  validateTaskQuery: validate(taskSchemas.query, 'query'),
+  validateMyTasksQuery: validate(taskSchemas.mineQuery, 'query'),
+  validateTaskId: validate(Joi.object({ taskId: commonSchemas.uuid }), 'params'),
+
+  validateNoteCreate: validate(noteSchemas.create),
+  validateNoteUpdate: validate(noteSchemas.update),
+  validateNotePin: validate(noteSchemas.pin),
+  validateMentionableQuery: validate(noteSchemas.mentionableQuery, 'query'),
+  validateNoteId: validate(Joi.object({ noteId: commonSchemas.uuid }), 'params'),
+
+  validateLeadSequenceEnroll: validate(leadSequenceSchemas.enroll),
+  validateLeadSequencePause: validate(leadSequenceSchemas.pause),
+  validateLeadSequenceResume: validate(leadSequenceSchemas.resume),
+  validateLeadSequenceSkip: validate(leadSequenceSchemas.skip),
+  validateLeadSequenceReschedule: validate(leadSequenceSchemas.reschedule),
+  validateLeadSequenceUnenroll: validate(leadSequenceSchemas.unenroll),
+  validateLeadSequenceId: validate(Joi.object({ leadId: commonSchemas.uuid, sequenceId: commonSchemas.uuid }), 'params'),
+
   validateAutomationTrigger: validate(automationSchemas.trigger),
   validateTemplateCreate: validate(automationSchemas.templateCreate),
+  validateTemplatePreview: validate(automationSchemas.templatePreview),
+  validateTemplatePartialCreate: validate(automationSchemas.templatePartialCreate),
+  validateTemplatePartialUpdate: validate(automationSchemas.templatePartialUpdate),
+  validateTemplatePartialId: validate(Joi.object({ partialId: commonSchemas.uuid }), 'params'),
   validateAutomationPerformanceQuery: validate(automationSchemas.performanceQuery, 'query'),
+  validateSequenceDefinitionCreate: validate(automationSchemas.sequenceDefinitionCreate),
+  validateSequenceDefinitionUpdate: validate(automationSchemas.sequenceDefinitionUpdate),
+  validateSequenceDefinitionId: validate(Joi.object({ definitionId: commonSchemas.uuid }), 'params'),
+  validateEscalationPolicyCreate: validate(automationSchemas.escalationPolicyCreate),
+  validateEscalationPolicyUpdate: validate(automationSchemas.escalationPolicyUpdate),
+  validateEscalationPolicyId: validate(Joi.object({ policyId: commonSchemas.uuid }), 'params'),
+
+  validateScoringFactorCreate: validate(scoringSchemas.factorCreate),
+  validateScoringFactorUpdate: validate(scoringSchemas.factorUpdate),
+  validateScoringFactorQuery: validate(scoringSchemas.factorQuery, 'query'),
+  validateScoringFactorId: validate(Joi.object({ factorId: commonSchemas.uuid }), 'params'),
+  validateScoringRescore: validate(scoringSchemas.rescore),
+  validateScoringSimulation: validate(scoringSchemas.simulate),
+  validateScoringModelTrain: validate(scoringSchemas.modelTrain),
+  validateScoringModelId: validate(Joi.object({ modelId: commonSchemas.uuid }), 'params'),
+  validateScoringJobId: validate(Joi.object({ jobId: Joi.string().pattern(/^\d+$/).required() }), 'params'),
+
+  validateCustomerQuery: validate(customerSchemas.query, 'query'),
+  validateCustomerId: validate(Joi.object({ customerId: commonSchemas.uuid }), 'params'),
 
   validateConversionFunnelQuery: validate(analyticsSchemas.conversionFunnelQuery, 'query'),
   validateResponseTimeQuery: validate(analyticsSchemas.responseTimeQuery, 'query'),
@@ -344,10 +994,22 @@ module.exports = {
 
   // Schemas for external use
   schemas: {
+    auth: authSchemas,
+    user: userSchemas,
+    apiKey: apiKeySchemas,
     lead: leadSchemas,
+    leadImport: leadImportSchemas,
+    leadExport: leadExportSchemas,
+    lostReason: lostReasonSchemas,
+    savedView: savedViewSchemas,
     interaction: interactionSchemas,
+    task: taskSchemas,
+    note: noteSchemas,
+    leadSequence: leadSequenceSchemas,
     automation: automationSchemas,
     analytics: analyticsSchemas,
+    scoring: scoringSchemas,
+    customer: customerSchemas,
     integration: integrationSchemas,
     webhook: webhookSchemas,
     common: commonSchemas
@@ -0,0 +1,280 @@
+/**
+ * TNT Corporate Lead System - API Key Model
+ *
+ * Hashed, scoped keys for external integrations
+ */
+
+const { DataTypes } = require('sequelize');
+const crypto = require('crypto');
+const net = require('net');
+
+const KEY_PREFIX = 'tnt_';
+
+// last_used_at is only written once per interval to keep hot keys from updating on every request
+const USAGE_UPDATE_INTERVAL_MS = 60 * 1000;
+
+module.exports = (sequelize) => {
+  const ApiKey = sequelize.define('ApiKey', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    // Key Material - the full key is only returned once, at issue time
+    key_prefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      unique: true,
+      comment: 'Public lookup part of the key, safe to display'
+    },
+    key_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'SHA-256 of the full key'
+    },
+
+    // Access Control
+    scopes: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      defaultValue: [],
+      comment: 'resource:action, resource:* or *'
+    },
+    allowed_ips: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      defaultValue: [],
+      comment: 'IP addresses or CIDR ranges; empty allows any'
+    },
+
+    // Lifecycle
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_used_ip: {
+      type: DataTypes.INET,
+      allowNull: true
+    },
+
+    // Ownership
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    rotated_from: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Key this one replaced'
+    }
+  }, {
+    tableName: 'api_keys',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['key_prefix'], unique: true },
+      { fields: ['revoked_at'] },
+      { fields: ['created_by'] }
+    ]
+  });
+
+  // Instance methods
+  ApiKey.prototype.isExpired = function() {
+    return !!this.expires_at && new Date() >= new Date(this.expires_at);
+  };
+
+  ApiKey.prototype.isActive = function() {
+    return !this.revoked_at && !this.isExpired();
+  };
+
+  ApiKey.prototype.hasScope = function(resource, action) {
+    return ApiKey.scopesAllow(this.scopes, resource, action);
+  };
+
+  ApiKey.prototype.allowsIp = function(ip) {
+    if (!this.allowed_ips || this.allowed_ips.length === 0) return true;
+    if (!ip) return false;
+
+    // Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d
+    const address = ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+    const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    const blockList = new net.BlockList();
+
+    for (const entry of this.allowed_ips) {
+      const [network, bits] = entry.split('/');
+      const entryFamily = net.isIPv6(network) ? 'ipv6' : 'ipv4';
+
+      if (bits) {
+        blockList.addSubnet(network, parseInt(bits), entryFamily);
+      } else {
+        blockList.addAddress(network, entryFamily);
+      }
+    }
+
+    return blockList.check(address, family);
+  };
+
+  ApiKey.prototype.recordUsage = function(ip) {
+    const lastUsed = this.last_used_at ? new Date(this.last_used_at).getTime() : 0;
+
+    if (Date.now() - lastUsed < USAGE_UPDATE_INTERVAL_MS && this.last_used_ip === ip) {
+      return Promise.resolve(this);
+    }
+
+    this.last_used_at = new Date();
+    this.last_used_ip = ip || null;
+    return this.save({ fields: ['last_used_at', 'last_used_ip'], silent: true });
+  };
+
+  ApiKey.prototype.revoke = function() {
+    this.revoked_at = new Date();
+    return this.save();
+  };
+
+  ApiKey.prototype.toSafeJSON = function() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      key_prefix: `${KEY_PREFIX}${this.key_prefix}`,
+      scopes: this.scopes,
+      allowed_ips: this.allowed_ips,
+      status: this.revoked_at ? 'revoked' : this.isExpired() ? 'expired' : 'active',
+      expires_at: this.expires_at,
+      revoked_at: this.revoked_at,
+      last_used_at: this.last_used_at,
+      last_used_ip: this.last_used_ip,
+      created_by: this.created_by,
+      rotated_from: this.rotated_from,
+      created_at: this.created_at
+    };
+  };
+
+  // Define associations
+  ApiKey.associate = (models) => {
+    ApiKey.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  // Class methods
+  ApiKey.isApiKeyFormat = function(key) {
+    return typeof key === 'string' && key.startsWith(KEY_PREFIX);
+  };
+
+  ApiKey.hashKey = function(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  };
+
+  /**
+   * Generate new key material: `tnt_<prefix>.<secret>`
+   */
+  ApiKey.generateKey = function() {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('hex');
+    const key = `${KEY_PREFIX}${prefix}.${secret}`;
+
+    return { key, prefix, hash: this.hashKey(key) };
+  };
+
+  /**
+   * Issue a key and return the record together with the plaintext key
+   */
+  ApiKey.issue = async function(attributes, options = {}) {
+    const { key, prefix, hash } = this.generateKey();
+
+    const apiKey = await this.create({
+      ...attributes,
+      key_prefix: prefix,
+      key_hash: hash
+    }, options);
+
+    return { apiKey, key };
+  };
+
+  /**
+   * Look up a presented key by prefix and compare hashes in constant time
+   */
+  ApiKey.findByKey = async function(key) {
+    if (!this.isApiKeyFormat(key)) return null;
+
+    const prefix = key.slice(KEY_PREFIX.length).split('.')[0];
+    const apiKey = await this.findOne({ where: { key_prefix: prefix } });
+
+    if (!apiKey) return null;
+
+    const presented = Buffer.from(this.hashKey(key));
+    const stored = Buffer.from(apiKey.key_hash);
+
+    return presented.length === stored.length && crypto.timingSafeEqual(presented, stored)
+      ? apiKey
+      : null;
+  };
+
+  ApiKey.scopesAllow = function(scopes, resource, action) {
+    return (scopes || []).some(scope =>
+      scope === '*' ||
+      scope === `${resource}:*` ||
+      scope === `${resource}:${action}`
+    );
+  };
+
+  /**
+   * Check scopes against the permission catalog shared with user accounts
+   */
+  ApiKey.validateScopes = function(scopes) {
+    const catalog = sequelize.models.User.PERMISSION_CATALOG;
+    const errors = [];
+
+    for (const scope of scopes || []) {
+      if (scope === '*') continue;
+
+      const [resource, action] = scope.split(':');
+
+      if (!catalog[resource]) {
+        errors.push(`Unknown scope resource '${resource}' in '${scope}'`);
+      } else if (action !== '*' && !catalog[resource].includes(action)) {
+        errors.push(`Unknown action '${action}' in '${scope}' (allowed: ${catalog[resource].join(', ')}, *)`);
+      }
+    }
+
+    return errors;
+  };
+
+  ApiKey.availableScopes = function() {
+    const catalog = sequelize.models.User.PERMISSION_CATALOG;
+    const scopes = ['*'];
+
+    for (const [resource, actions] of Object.entries(catalog)) {
+      scopes.push(`${resource}:*`, ...actions.map(action => `${resource}:${action}`));
+    }
+
+    return scopes;
+  };
+
+  return ApiKey;
+};
\ No newline at end of file
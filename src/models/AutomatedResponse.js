@@ -5,8 +5,152 @@
  */
 
 const { DataTypes } = require('sequelize');
+const { renderTemplate } = require('../utils/templateEngine');
+const { buildTemplateContext, customerTimezone } = require('../utils/templateContext');
+
+// Follow-ups sent by the default sequence definitions. They have no trigger
+// conditions, so they are never picked as an instant response, and leave send
+// times to the sequence step's window.
+const DEFAULT_FOLLOW_UP_TEMPLATES = [
+  {
+    template_name: 'follow_up_2hour',
+    subject_line: 'Your {{service_type}} request - TNT Limousine',
+    content: `Hello {{contact_name}},
+
+We wanted to make sure you received our reply about your {{service_type}} transportation{{#if service_date}} on {{service_date | date}}{{/if}}.
+
+If it is easier to talk it through, call us at (804) 353-8080 or simply reply to this email and your dedicated coordinator will get right back to you.
+
+{{> signature}}`
+  },
+  {
+    template_name: 'follow_up_1day',
+    subject_line: 'Checking in on your {{service_type}} transportation',
+    content: `Hello {{contact_name}},
+
+Thank you again for considering TNT Limousine. Your quote for {{service_type}} service{{#if service_date}} on {{service_date | date}}{{/if}} is ready, and we are holding vehicle availability for you.
+
+Reply to this email or call (804) 353-8080 to confirm, adjust the details, or ask any questions.
+
+{{> signature}}`
+  },
+  {
+    template_name: 'follow_up_3day',
+    subject_line: 'Any questions about your {{service_type}} quote?',
+    content: `Hello {{contact_name}},
+
+We are following up on your {{service_type}} request{{#if service_date}} for {{service_date | date}}{{/if}}. Our chauffeurs average 15+ years of experience and we have served Richmond since 1992.
+
+If anything in the quote needs changing, just reply and we will update it for you.
+
+{{> signature}}`
+  },
+  {
+    template_name: 'follow_up_7day',
+    subject_line: 'Still planning your {{service_type}} trip?',
+    content: `Hello {{contact_name}},
+
+Dates fill up quickly, so we wanted to check whether you are still planning {{service_type}} transportation{{#if service_date}} for {{service_date | date}}{{/if}}.
+
+We would be glad to reserve a vehicle for you - reply to this email or call (804) 353-8080.
+
+{{> signature}}`
+  },
+  {
+    template_name: 'follow_up_14day',
+    subject_line: 'We are here when you need us, {{first_name}}',
+    content: `Hello {{contact_name}},
+
+We have not heard back about your {{service_type}} request, so this is our last follow-up for now.
+
+Whenever you need reliable transportation, reply to this email or call (804) 353-8080 and we will take care of the rest.
+
+{{> signature}}`
+  },
+  {
+    template_name: 'corporate_follow_up',
+    subject_line: 'Corporate transportation for {{company_name}}',
+    content: `Dear {{contact_name}},
+
+Thank you for your interest in TNT Limousine's {{service_type}} service. Many Richmond companies rely on us for executive travel, airport transfers and client events, with direct billing and a dedicated account coordinator.
+
+Would a short call this week be helpful to review your requirements?
+
+Best regards,
+TNT Limousine Corporate Services`
+  },
+  {
+    template_name: 'corporate_proposal',
+    subject_line: 'A transportation proposal for {{company_name}}',
+    content: `Dear {{contact_name}},
+
+Based on your {{service_type}} inquiry, we can prepare a corporate account proposal covering preferred rates, priority booking and monthly invoicing.
+
+Reply with your typical monthly trips and we will send a tailored proposal within one business day.
+
+Best regards,
+TNT Limousine Corporate Services`
+  },
+  {
+    template_name: 'corporate_final',
+    subject_line: 'Keeping {{company_name}} moving',
+    content: `Dear {{contact_name}},
+
+We understand timing may not have been right for your {{service_type}} needs. Our corporate team remains available whenever {{company_name}} needs dependable ground transportation.
+
+Simply reply to this email to pick up where we left off.
+
+Best regards,
+TNT Limousine Corporate Services`
+  },
+  {
+    template_name: 'wedding_follow_up',
+    subject_line: 'Congratulations, {{first_name}} - your wedding transportation',
+    content: `Hello {{contact_name}},
+
+Congratulations on your upcoming wedding! We would be honored to handle your {{service_type}} transportation{{#if service_date}} on {{service_date | date}}{{/if}}.
+
+Reply with any questions about vehicles, timing or décor and our wedding coordinator will help you plan every detail.
+
+{{> signature}}`
+  },
+  {
+    template_name: 'wedding_package',
+    subject_line: 'Wedding packages{{#if service_date}} for {{service_date | date}}{{/if}}',
+    content: `Hello {{contact_name}},
+
+Our wedding packages include a red carpet, champagne service and a chauffeur who stays with your party for the whole celebration.
+
+Wedding dates book months ahead - reply or call (804) 353-8080 to hold your vehicle{{#if service_date}} for {{service_date | date}}{{/if}}.
+
+{{> signature}}`
+  },
+  {
+    template_name: 'wedding_final',
+    subject_line: 'Is your wedding transportation settled?',
+    content: `Hello {{contact_name}},
+
+We wanted to check in one last time about {{service_type}} transportation for your wedding{{#if service_date}} on {{service_date | date}}{{/if}}.
+
+If you still need a vehicle, reply to this email and we will do everything we can to make your day perfect.
+
+{{> signature}}`
+  }
+].map(template => ({ ...template, trigger_conditions: {}, business_hours_only: false, active: true }));
 
 module.exports = (sequelize) => {
+  /**
+   * Reject template text that would not render, before it is ever sent
+   */
+  async function assertValidTemplate(source) {
+    if (source === null || source === undefined) return;
+
+    const errors = await sequelize.models.TemplatePartial.findTemplateErrors(source);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+  }
+
   const AutomatedResponse = sequelize.define('AutomatedResponse', {
     id: {
       type: DataTypes.UUID,
@@ -29,19 +173,24 @@ module.exports = (sequelize) => {
       allowNull: false,
       validate: {
         notEmpty: true,
-        len: [1, 255]
+        len: [1, 255],
+        isValidTemplate: assertValidTemplate
       }
     },
     content: {
       type: DataTypes.TEXT,
       allowNull: false,
       validate: {
-        notEmpty: true
+        notEmpty: true,
+        isValidTemplate: assertValidTemplate
       }
     },
     html_content: {
       type: DataTypes.TEXT,
-      allowNull: true
+      allowNull: true,
+      validate: {
+        isValidTemplate: assertValidTemplate
+      }
     },
 
     // Targeting & Triggers
@@ -190,38 +339,36 @@ module.exports = (sequelize) => {
     return false;
   };
 
-  AutomatedResponse.prototype.renderTemplate = function(lead) {
-    let subject = this.subject_line;
-    let content = this.content;
-    let htmlContent = this.html_content;
-
-    // Template variables for replacement
-    const variables = {
-      contact_name: lead.contact_name || 'Valued Customer',
-      company_name: lead.company_name || '',
-      service_type: lead.service_type || '',
-      service_date: lead.service_date ? new Date(lead.service_date).toLocaleDateString() : 'TBD',
-      estimated_value: lead.estimated_value ? lead.estimated_value.toFixed(2) : '0.00',
-      phone: lead.phone || '',
-      pickup_location: lead.pickup_location || '',
-      destination: lead.destination || '',
-      passenger_count: lead.passenger_count || 1
-    };
-
-    // Replace template variables
-    Object.entries(variables).forEach(([key, value]) => {
-      const regex = new RegExp(`{{${key}}}`, 'g');
-      subject = subject.replace(regex, value);
-      content = content.replace(regex, value);
-      if (htmlContent) {
-        htmlContent = htmlContent.replace(regex, value);
-      }
-    });
+  /**
+   * Render subject and bodies for a lead
+   *
+   * Partials are loaded unless given, and the rep is the lead's assignee
+   * unless one is given (null for none). unresolved lists the variables
+   * that rendered empty, across subject and bodies.
+   */
+  AutomatedResponse.prototype.renderTemplate = async function(lead, { partials = null, assignee } = {}) {
+    const { TemplatePartial, User } = sequelize.models;
+
+    const shared = partials || await TemplatePartial.loadForRendering();
+    const rep = assignee !== undefined
+      ? assignee
+      : lead.assigned_to ? await User.findByPk(lead.assigned_to) : null;
+
+    const context = buildTemplateContext(lead, { assignee: rep });
+    const timezone = customerTimezone(lead);
+
+    const subject = renderTemplate(this.subject_line, context, { partials: shared.text, timezone });
+    const content = renderTemplate(this.content, context, { partials: shared.text, timezone });
+    const html = this.html_content
+      ? renderTemplate(this.html_content, context, { partials: shared.html, html: true, timezone })
+      : null;
 
     return {
-      subject,
-      content,
-      htmlContent
+      // A subject is a single header line
+      subject: subject.output.replace(/\s*\n\s*/g, ' ').trim(),
+      content: content.output,
+      htmlContent: html ? html.output : null,
+      unresolved: [...new Set([...subject.unresolved, ...content.unresolved, ...(html ? html.unresolved : [])])]
     };
   };
 
@@ -308,5 +455,18 @@ module.exports = (sequelize) => {
     }));
   };
 
+  AutomatedResponse.createDefaultFollowUpTemplates = async function() {
+    const results = [];
+    for (const template of DEFAULT_FOLLOW_UP_TEMPLATES) {
+      const [instance, created] = await this.findOrCreate({
+        where: { template_name: template.template_name },
+        defaults: template
+      });
+      results.push({ instance, created });
+    }
+
+    return results;
+  };
+
   return AutomatedResponse;
 };
\ No newline at end of file
@@ -0,0 +1,247 @@
+/**
+ * TNT Corporate Lead System - Customer Model
+ *
+ * Links repeat inquiries from the same person or company into one customer history
+ */
+
+const { DataTypes } = require('sequelize');
+const logger = require('../utils/logger');
+const {
+  normalizeEmail,
+  emailDomain,
+  isFreeEmailDomain,
+  normalizePhone,
+  normalizeCompanyName
+} = require('../utils/leadMatching');
+
+module.exports = (sequelize) => {
+  const Customer = sequelize.define('Customer', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    // Identity
+    contact_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    company_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    company_key: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Normalized company name used for matching'
+    },
+    email_domain: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Business email domain; null for consumer mailboxes'
+    },
+
+    // Every address and number seen on this customer's inquiries (normalized)
+    emails: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      defaultValue: []
+    },
+    phones: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      defaultValue: []
+    },
+
+    first_inquiry_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_inquiry_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'customers',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['emails'], using: 'gin' },
+      { fields: ['phones'], using: 'gin' },
+      { fields: ['company_key', 'email_domain'] }
+    ]
+  });
+
+  // Define associations
+  Customer.associate = (models) => {
+    Customer.hasMany(models.Lead, {
+      foreignKey: 'customer_id',
+      as: 'leads'
+    });
+  };
+
+  // Class methods
+
+  /**
+   * Find the customer a lead belongs to
+   *
+   * Same email first, then same phone number, then the same company at the
+   * same business email domain (colleagues booking for one account).
+   */
+  Customer.findMatchForLead = async function(lead, options = {}) {
+    const { Op } = sequelize.Sequelize;
+    const email = normalizeEmail(lead.email);
+    const phone = normalizePhone(lead.phone);
+    const companyKey = normalizeCompanyName(lead.company_name);
+    const domain = emailDomain(email);
+
+    if (email) {
+      const byEmail = await this.findOne({ where: { emails: { [Op.contains]: [email] } }, transaction: options.transaction });
+      if (byEmail) return byEmail;
+    }
+
+    if (phone) {
+      const byPhone = await this.findOne({ where: { phones: { [Op.contains]: [phone] } }, transaction: options.transaction });
+      if (byPhone) return byPhone;
+    }
+
+    if (companyKey && domain && !isFreeEmailDomain(domain)) {
+      return this.findOne({ where: { company_key: companyKey, email_domain: domain }, transaction: options.transaction });
+    }
+
+    return null;
+  };
+
+  /**
+   * Attach a new lead to its customer (creating one if needed) and flag
+   * returning clients before the lead is scored
+   *
+   * Never throws outside a transaction - a lead without a customer link
+   * still gets captured. Inside one the error is rethrown, since Postgres
+   * has already aborted the transaction and the caller must roll it back.
+   */
+  Customer.linkLead = async function(lead, options = {}) {
+    try {
+      const email = normalizeEmail(lead.email);
+      const phone = normalizePhone(lead.phone);
+      const domain = emailDomain(email);
+      const inquiryAt = lead.created_at || new Date();
+
+      let customer = await this.findMatchForLead(lead, options);
+
+      if (customer) {
+        if (email && !customer.emails.includes(email)) customer.emails = [...customer.emails, email];
+        if (phone && !customer.phones.includes(phone)) customer.phones = [...customer.phones, phone];
+        if (!customer.last_inquiry_at || new Date(customer.last_inquiry_at) < inquiryAt) customer.last_inquiry_at = inquiryAt;
+        if (!customer.first_inquiry_at || new Date(customer.first_inquiry_at) > inquiryAt) customer.first_inquiry_at = inquiryAt;
+        await customer.save({ transaction: options.transaction });
+      } else {
+        customer = await this.create({
+          contact_name: lead.contact_name,
+          company_name: lead.company_name,
+          company_key: normalizeCompanyName(lead.company_name),
+          email_domain: isFreeEmailDomain(domain) ? null : domain,
+          emails: email ? [email] : [],
+          phones: phone ? [phone] : [],
+          first_inquiry_at: inquiryAt,
+          last_inquiry_at: inquiryAt
+        }, { transaction: options.transaction });
+      }
+
+      lead.customer_id = customer.id;
+      lead.is_returning_client = await sequelize.models.Lead.count({
+        where: {
+          customer_id: customer.id,
+          status: 'converted',
+          ...(lead.id && !lead.isNewRecord ? { id: { [sequelize.Sequelize.Op.ne]: lead.id } } : {})
+        },
+        transaction: options.transaction
+      }) > 0;
+
+      return customer;
+    } catch (error) {
+      if (options.transaction) throw error;
+
+      logger.error('Failed to link lead to customer:', { leadId: lead.id, error: error.message });
+      return null;
+    }
+  };
+
+  /**
+   * Customer history for each lead, keyed by lead id
+   *
+   * Counts every inquiry from the customer; prior converted value sums the
+   * booked value of the customer's other converted inquiries, falling back
+   * to the estimate for leads converted before booked values were kept.
+   */
+  Customer.getHistoryForLeads = async function(leads) {
+    const customerIds = [...new Set(leads.map(lead => lead.customer_id).filter(Boolean))];
+    const history = {};
+
+    if (customerIds.length === 0) return history;
+
+    const siblings = await sequelize.models.Lead.findAll({
+      where: { customer_id: { [sequelize.Sequelize.Op.in]: customerIds }, merged_into_id: null },
+      attributes: ['id', 'customer_id', 'status', 'estimated_value', 'converted_value', 'created_at', 'converted_at'],
+      order: [['created_at', 'ASC']],
+      raw: true
+    });
+
+    for (const lead of leads) {
+      if (!lead.customer_id) continue;
+
+      const customerLeads = siblings.filter(sibling => sibling.customer_id === lead.customer_id);
+      const others = customerLeads.filter(sibling => sibling.id !== lead.id);
+      const convertedOthers = others.filter(sibling => sibling.status === 'converted');
+      const lastConverted = convertedOthers
+        .map(sibling => sibling.converted_at || sibling.created_at)
+        .sort((a, b) => new Date(b) - new Date(a))[0] || null;
+
+      history[lead.id] = {
+        customer_id: lead.customer_id,
+        total_inquiries: customerLeads.length,
+        previous_inquiries: others.filter(sibling => new Date(sibling.created_at) < new Date(lead.created_at)).length,
+        prior_conversions: convertedOthers.length,
+        prior_converted_value: convertedOthers.reduce((sum, sibling) => sum + (parseFloat(sibling.converted_value ?? sibling.estimated_value) || 0), 0),
+        first_inquiry_at: customerLeads[0] ? customerLeads[0].created_at : null,
+        last_converted_at: lastConverted,
+        returning_client: convertedOthers.length > 0
+      };
+    }
+
+    return history;
+  };
+
+  /**
+   * Link leads captured before customers existed, oldest first; run once
+   * by `npm run db:migrate`
+   */
+  Customer.linkUnlinkedLeads = async function({ batchSize = 500 } = {}) {
+    const Lead = sequelize.models.Lead;
+    let linked = 0;
+
+    while (true) {
+      const leads = await Lead.findAll({
+        where: { customer_id: null },
+        order: [['created_at', 'ASC']],
+        limit: batchSize
+      });
+      if (leads.length === 0) break;
+
+      for (const lead of leads) {
+        const customer = await this.linkLead(lead);
+        if (!customer) return linked;
+
+        // Scoring fields may change via is_returning_client, so go through the hooks
+        await lead.save({ fields: ['customer_id', 'is_returning_client', 'lead_score', 'scoring_breakdown', 'priority_level'], silent: true });
+        linked++;
+      }
+    }
+
+    return linked;
+  };
+
+  return Customer;
+};
\ No newline at end of file
@@ -212,7 +212,7 @@ module.exports = (sequelize) => {
         COUNT(*) FILTER (WHERE status IN ('qualified', 'converted')) as leads_qualified,
         COUNT(*) FILTER (WHERE status = 'converted') as leads_converted,
         SUM(estimated_value) FILTER (WHERE status != 'converted') as estimated_pipeline_value,
-        SUM(estimated_value) FILTER (WHERE status = 'converted') as converted_revenue,
+        SUM(COALESCE(converted_value, estimated_value)) FILTER (WHERE status = 'converted') as converted_revenue,
         COUNT(*) FILTER (WHERE service_type = 'corporate') as corporate_leads,
         COUNT(*) FILTER (WHERE service_type = 'airport') as airport_leads,
         COUNT(*) FILTER (WHERE service_type = 'wedding') as wedding_leads,
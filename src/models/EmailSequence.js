@@ -24,6 +24,15 @@ module.exports = (sequelize) => {
     },
 
     // Sequence Configuration
+    sequence_definition_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'sequence_definitions',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
     sequence_name: {
       type: DataTypes.STRING(100),
       allowNull: false,
@@ -110,18 +119,45 @@ module.exports = (sequelize) => {
       { fields: ['lead_id'] },
       { fields: ['next_send_at'], where: { active: true } },
       { fields: ['sequence_name'] },
+      { fields: ['sequence_definition_id'] },
       { fields: ['active', 'next_send_at'] }
     ]
   });
 
   // Instance methods
-  EmailSequence.prototype.advance = function() {
-    if (this.current_step < this.total_steps) {
-      this.current_step += 1;
-      this.calculateNextSendTime();
-    } else {
-      this.complete();
+
+  /**
+   * Steps of the definition the lead was enrolled in, in order
+   *
+   * Sequences started before definitions were stored are matched by name.
+   */
+  EmailSequence.prototype.getSteps = async function() {
+    const { SequenceDefinition } = sequelize.models;
+
+    const definition = this.sequence_definition_id
+      ? await SequenceDefinition.findByPkWithSteps(this.sequence_definition_id)
+      : await SequenceDefinition.findByNameWithSteps(this.sequence_name);
+
+    return definition ? definition.steps : [];
+  };
+
+  /**
+   * Move to the next step, or complete when there is none
+   *
+   * Definitions can be edited while a sequence runs, so total_steps follows
+   * the current steps.
+   */
+  EmailSequence.prototype.advance = async function(steps = null) {
+    steps = steps || await this.getSteps();
+    const nextStep = steps.find(step => step.step_number === this.current_step + 1);
+
+    if (!nextStep) {
+      return this.complete();
     }
+
+    this.current_step += 1;
+    this.total_steps = Math.max(steps.length, this.current_step);
+    this.next_send_at = nextStep.getSendTime();
     return this.save();
   };
 
@@ -139,27 +175,64 @@ module.exports = (sequelize) => {
     return this.save();
   };
 
-  EmailSequence.prototype.resume = function() {
+  EmailSequence.prototype.resume = async function() {
+    const steps = await this.getSteps();
+    const step = steps.find(s => s.step_number === this.current_step);
+
+    if (!step) {
+      return this.complete();
+    }
+
     this.active = true;
     this.paused_reason = null;
-    this.calculateNextSendTime();
+    this.next_send_at = step.getSendTime();
     return this.save();
   };
 
-  EmailSequence.prototype.calculateNextSendTime = function() {
-    const sequences = {
-      'standard_follow_up': [0, 3 * 24 * 60, 7 * 24 * 60, 14 * 24 * 60], // 0, 3 days, 7 days, 14 days (in minutes)
-      'high_value_follow_up': [0, 2 * 60, 24 * 60, 3 * 24 * 60], // 0, 2 hours, 1 day, 3 days
-      'corporate_nurture': [0, 24 * 60, 7 * 24 * 60, 30 * 24 * 60], // 0, 1 day, 7 days, 30 days
-      'wedding_follow_up': [0, 2 * 24 * 60, 7 * 24 * 60, 21 * 24 * 60] // 0, 2 days, 7 days, 21 days
-    };
+  /**
+   * Make a step the current one; it goes out at sendAt, or after its own delay
+   */
+  EmailSequence.prototype.skipTo = function(step, sendAt = null) {
+    this.current_step = step.step_number;
+    this.next_send_at = sendAt || step.getSendTime();
+    return this.save();
+  };
 
-    const timingMinutes = sequences[this.sequence_name] || sequences['standard_follow_up'];
+  EmailSequence.prototype.reschedule = function(sendAt) {
+    this.next_send_at = sendAt;
+    return this.save();
+  };
 
-    if (this.current_step <= timingMinutes.length) {
-      const delayMinutes = timingMinutes[this.current_step - 1] || 0;
-      this.next_send_at = new Date(Date.now() + delayMinutes * 60 * 1000);
-    }
+  // Stopped by hand; unlike a pause it cannot be resumed
+  EmailSequence.prototype.unenroll = function() {
+    this.active = false;
+    this.paused_reason = 'unenrolled';
+    this.next_send_at = null;
+    return this.save();
+  };
+
+  EmailSequence.prototype.getStatus = function() {
+    if (this.active) return 'active';
+    if (this.completed_at) return 'completed';
+    return this.paused_reason === 'unenrolled' ? 'unenrolled' : 'paused';
+  };
+
+  EmailSequence.prototype.toSummaryJSON = function() {
+    return {
+      sequence_id: this.id,
+      sequence_name: this.sequence_name,
+      display_name: this.sequence_config?.display_name || this.sequence_name,
+      status: this.getStatus(),
+      current_step: this.current_step,
+      total_steps: this.total_steps,
+      next_send_at: this.next_send_at,
+      paused_reason: this.paused_reason,
+      emails_sent: this.emails_sent,
+      emails_opened: this.emails_opened,
+      responses_received: this.responses_received,
+      started_at: this.started_at,
+      completed_at: this.completed_at
+    };
   };
 
   EmailSequence.prototype.recordEmailSent = function() {
@@ -191,25 +264,25 @@ module.exports = (sequelize) => {
       open_rate: ((this.emails_opened / sent) * 100).toFixed(2),
       response_rate: ((this.responses_received / sent) * 100).toFixed(2),
       days_active: Math.floor((new Date() - new Date(this.started_at)) / (1000 * 60 * 60 * 24)),
-      status: this.active ? 'active' : (this.completed_at ? 'completed' : 'paused')
+      status: this.getStatus()
     };
   };
 
-  // Hooks
-  EmailSequence.beforeCreate(async (sequence) => {
-    sequence.calculateNextSendTime();
-  });
-
   // Define associations
   EmailSequence.associate = (models) => {
     EmailSequence.belongsTo(models.Lead, {
       foreignKey: 'lead_id',
       as: 'lead'
     });
+
+    EmailSequence.belongsTo(models.SequenceDefinition, {
+      foreignKey: 'sequence_definition_id',
+      as: 'definition'
+    });
   };
 
   // Class methods
-  EmailSequence.findDue = function() {
+  EmailSequence.findDue = function(limit = null) {
     return this.findAll({
       where: {
         active: true,
@@ -223,28 +296,50 @@ module.exports = (sequelize) => {
           as: 'lead'
         }
       ],
-      order: [['next_send_at', 'ASC']]
+      order: [['next_send_at', 'ASC']],
+      ...(limit && { limit })
     });
   };
 
-  EmailSequence.createStandardSequence = async function(leadId, sequenceType = 'standard_follow_up') {
-    const sequenceConfig = {
-      'standard_follow_up': { total_steps: 4, name: 'Standard Follow-up' },
-      'high_value_follow_up': { total_steps: 4, name: 'High Value Follow-up' },
-      'corporate_nurture': { total_steps: 4, name: 'Corporate Nurture' },
-      'wedding_follow_up': { total_steps: 4, name: 'Wedding Follow-up' }
-    };
-
-    const config = sequenceConfig[sequenceType] || sequenceConfig['standard_follow_up'];
+  /**
+   * Start a lead on a definition loaded with its steps
+   *
+   * The first step goes out at startAt, or after its own delay.
+   */
+  EmailSequence.enroll = function(leadId, definition, { startAt = null } = {}) {
+    const [firstStep] = definition.steps;
 
     return this.create({
       lead_id: leadId,
-      sequence_name: sequenceType,
-      total_steps: config.total_steps,
-      sequence_config: { display_name: config.name }
+      sequence_definition_id: definition.id,
+      sequence_name: definition.name,
+      total_steps: definition.steps.length,
+      next_send_at: startAt || firstStep.getSendTime(),
+      sequence_config: { display_name: definition.display_name }
     });
   };
 
+  /**
+   * Enroll a lead in an active sequence definition
+   *
+   * Falls back to standard_follow_up when the named definition is missing or
+   * inactive; resolves to null when neither can be used.
+   */
+  EmailSequence.createStandardSequence = async function(leadId, sequenceType = 'standard_follow_up') {
+    const { SequenceDefinition } = sequelize.models;
+
+    let definition = await SequenceDefinition.findActiveByName(sequenceType);
+    if (!definition && sequenceType !== 'standard_follow_up') {
+      definition = await SequenceDefinition.findActiveByName('standard_follow_up');
+    }
+
+    if (!definition || definition.steps.length === 0) {
+      return null;
+    }
+
+    return this.enroll(leadId, definition);
+  };
+
   EmailSequence.getPerformanceReport = async function(dateRange = 30) {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - dateRange);
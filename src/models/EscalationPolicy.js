@@ -0,0 +1,189 @@
+/**
+ * TNT Corporate Lead System - Escalation Policy Model
+ *
+ * Response-time SLA ladders: who gets alerted, how, and when a new lead goes unanswered
+ */
+
+const { DataTypes } = require('sequelize');
+
+const CHANNELS = ['email', 'slack', 'sms'];
+const RECIPIENT_GROUPS = ['assigned_rep', 'dispatchers', 'managers', 'admins'];
+const MAX_STEPS = 10;
+
+module.exports = (sequelize) => {
+  const EscalationPolicy = sequelize.define('EscalationPolicy', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true,
+        len: [1, 100]
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    // Which leads the policy applies to; the highest-priority match wins
+    conditions: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: {},
+      comment: 'service_types, min_priority_level, min_estimated_value'
+    },
+    priority: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    is_default: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Used when no other policy matches'
+    },
+
+    // Ladder of { delay_minutes, channel, recipient_group }, measured from lead creation
+    steps: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      validate: {
+        isValidLadder(steps) {
+          const errors = EscalationPolicy.validateSteps(steps);
+          if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+          }
+        }
+      }
+    },
+
+    active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'escalation_policies',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['name'], unique: true },
+      { fields: ['active', 'priority'] }
+    ]
+  });
+
+  EscalationPolicy.CHANNELS = CHANNELS;
+  EscalationPolicy.RECIPIENT_GROUPS = RECIPIENT_GROUPS;
+  EscalationPolicy.MAX_STEPS = MAX_STEPS;
+
+  // Instance methods
+  EscalationPolicy.prototype.matchesLead = function(lead) {
+    const conditions = this.conditions || {};
+
+    if (conditions.service_types && conditions.service_types.length > 0 &&
+        !conditions.service_types.includes(lead.service_type)) {
+      return false;
+    }
+
+    if (conditions.min_priority_level && lead.priority_level < conditions.min_priority_level) {
+      return false;
+    }
+
+    if (conditions.min_estimated_value &&
+        (parseFloat(lead.estimated_value) || 0) < conditions.min_estimated_value) {
+      return false;
+    }
+
+    return true;
+  };
+
+  EscalationPolicy.prototype.getSortedSteps = function() {
+    return [...(this.steps || [])].sort((a, b) => a.delay_minutes - b.delay_minutes);
+  };
+
+  // Hooks
+  EscalationPolicy.beforeSave(async (policy) => {
+    // Keep the ladder in firing order so step numbers read naturally
+    if (policy.changed('steps')) {
+      policy.steps = policy.getSortedSteps();
+    }
+
+    // Only one fallback policy at a time
+    if (policy.is_default && policy.changed('is_default')) {
+      await EscalationPolicy.update(
+        { is_default: false },
+        {
+          where: {
+            is_default: true,
+            id: { [sequelize.Sequelize.Op.ne]: policy.id }
+          }
+        }
+      );
+    }
+  });
+
+  // Define associations
+  EscalationPolicy.associate = (models) => {
+    EscalationPolicy.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  // Class methods
+  EscalationPolicy.validateSteps = function(steps) {
+    const errors = [];
+
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return ['Escalation policy needs at least one step'];
+    }
+
+    if (steps.length > MAX_STEPS) {
+      errors.push(`Escalation policy cannot have more than ${MAX_STEPS} steps`);
+    }
+
+    steps.forEach((step, i) => {
+      if (!Number.isInteger(step.delay_minutes) || step.delay_minutes < 1) {
+        errors.push(`Step ${i + 1}: delay_minutes must be a positive whole number`);
+      }
+      if (!CHANNELS.includes(step.channel)) {
+        errors.push(`Step ${i + 1}: channel must be one of ${CHANNELS.join(', ')}`);
+      }
+      if (!RECIPIENT_GROUPS.includes(step.recipient_group)) {
+        errors.push(`Step ${i + 1}: recipient_group must be one of ${RECIPIENT_GROUPS.join(', ')}`);
+      }
+    });
+
+    return errors;
+  };
+
+  /**
+   * Pick the policy for a lead: highest-priority matching policy, else the default
+   */
+  EscalationPolicy.findForLead = async function(lead) {
+    const policies = await this.findAll({
+      where: { active: true },
+      order: [['priority', 'DESC'], ['created_at', 'ASC']]
+    });
+
+    const matching = policies.find(policy => !policy.is_default && policy.matchesLead(lead));
+    return matching || policies.find(policy => policy.is_default) || null;
+  };
+
+  return EscalationPolicy;
+};
\ No newline at end of file
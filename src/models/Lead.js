@@ -5,6 +5,21 @@
  */
 
 const { DataTypes } = require('sequelize');
+const logger = require('../utils/logger');
+const { assertTransition, transitionError } = require('../utils/leadLifecycle');
+const { SEARCH_FIELDS, searchVectorSql } = require('../utils/leadSearch');
+
+/**
+ * Cancel pending response-time escalation steps (queues are loaded lazily to
+ * avoid a models <-> queues require cycle)
+ */
+async function cancelEscalation(leadId) {
+  try {
+    await require('../queues').cancelResponseEscalation(leadId);
+  } catch (error) {
+    logger.error('Failed to cancel response escalation:', { leadId, error: error.message });
+  }
+}
 
 module.exports = (sequelize) => {
   const Lead = sequelize.define('Lead', {
@@ -34,7 +49,6 @@ module.exports = (sequelize) => {
     email: {
       type: DataTypes.STRING(255),
       allowNull: false,
-      unique: true,
       validate: {
         isEmail: true,
         notEmpty: true
@@ -122,10 +136,39 @@ module.exports = (sequelize) => {
         max: 100
       }
     },
+    scoring_breakdown: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Per-factor points behind lead_score, written together with it'
+    },
     status: {
       type: DataTypes.ENUM('new', 'contacted', 'qualified', 'converted', 'lost'),
-      defaultValue: 'new'
+      defaultValue: 'new',
+      comment: 'Moves only along the transitions in utils/leadLifecycle'
+    },
+
+    // Outcome, required by the converted and lost transitions
+    converted_value: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0
+      },
+      comment: 'Actual booked value, as opposed to estimated_value'
+    },
+    lost_reason: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      references: {
+        model: 'lost_reasons',
+        key: 'code'
+      }
     },
+    lost_reason_note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
     priority_level: {
       type: DataTypes.INTEGER,
       defaultValue: 3,
@@ -135,6 +178,21 @@ module.exports = (sequelize) => {
       }
     },
 
+    // Ownership
+    assigned_to: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Rep responsible for following up'
+    },
+    assigned_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
     // Source Attribution
     source: {
       type: DataTypes.STRING(100),
@@ -169,6 +227,35 @@ module.exports = (sequelize) => {
       comment: 'Distance in miles from Richmond, VA'
     },
 
+    // Customer history - repeat inquiries from one person or company share a customer
+    customer_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    is_returning_client: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'The customer already has a converted inquiry'
+    },
+
+    // Duplicate handling - a merged lead points at the lead that absorbed it
+    merged_into_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'leads',
+        key: 'id'
+      }
+    },
+    merged_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
     // Integration IDs
     zoho_lead_id: {
       type: DataTypes.STRING(100),
@@ -185,6 +272,14 @@ module.exports = (sequelize) => {
       type: DataTypes.DATE,
       allowNull: true
     },
+    lost_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    status_changed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     last_contact_at: {
       type: DataTypes.DATE,
       allowNull: true
@@ -195,83 +290,62 @@ module.exports = (sequelize) => {
       type: DataTypes.JSONB,
       allowNull: true,
       defaultValue: {}
+    },
+
+    // Full-text search document, kept by Lead.refreshSearchVectors
+    search_vector: {
+      type: DataTypes.TSVECTOR,
+      allowNull: true
     }
   }, {
     tableName: 'leads',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at',
+    defaultScope: {
+      attributes: { exclude: ['search_vector'] }
+    },
     indexes: [
-      { fields: ['created_at'] },
-      { fields: ['status'] },
-      { fields: ['lead_score'] },
+      { fields: ['search_vector'], using: 'GIN' },
+      // (sort column, id) pairs back the list's keyset pagination
+      { fields: ['created_at', 'id'] },
+      { fields: ['lead_score', 'id'] },
+      { fields: ['estimated_value', 'id'] },
+      { fields: ['email'] },
+      { fields: ['customer_id'] },
+      { fields: ['merged_into_id'], where: { merged_into_id: { [sequelize.Sequelize.Op.ne]: null } } },
+      { fields: ['status', 'id'] },
+      { fields: ['lost_reason'], where: { lost_reason: { [sequelize.Sequelize.Op.ne]: null } } },
       { fields: ['company_name'] },
       { fields: ['service_type'] },
       { fields: ['priority_level', 'created_at'] },
       { fields: ['source'] },
+      { fields: ['assigned_to', 'status'] },
       { fields: ['zoho_lead_id'], where: { zoho_lead_id: { [sequelize.Sequelize.Op.ne]: null } } }
     ]
   });
 
   // Instance methods
-  Lead.prototype.calculateScore = function() {
-    let score = 0;
-
-    // Base score factors
-    if (this.company_name && this.company_name.length > 0) {
-      score += 10; // Has company name
-    }
-
-    if (this.estimated_value >= 1000) {
-      score += 30; // High value booking
-    } else if (this.estimated_value >= 500) {
-      score += 20; // Medium value booking
-    } else if (this.estimated_value > 0) {
-      score += 10; // Any estimated value
-    }
+  Lead.prototype.calculateScore = async function() {
+    return sequelize.models.ScoringFactor.calculateLeadScore(this);
+  };
 
-    // Service type scoring
-    const serviceTypeScores = {
-      corporate: 25,
-      airport: 20,
-      events: 15,
-      wedding: 15,
-      hourly: 10
-    };
-    score += serviceTypeScores[this.service_type] || 0;
-
-    // Geographic proximity (closer = higher score)
-    if (this.distance_from_base <= 25) {
-      score += 15;
-    } else if (this.distance_from_base <= 50) {
-      score += 10;
-    } else if (this.distance_from_base <= 100) {
-      score += 5;
-    }
+  /**
+   * Re-score through the ScoringFactor engine, keeping lead_score,
+   * scoring_breakdown and priority_level in step
+   */
+  Lead.prototype.applyScore = async function() {
+    const breakdown = await sequelize.models.ScoringFactor.getScoreBreakdown(this);
 
-    // Passenger count (group bookings score higher)
-    if (this.passenger_count >= 8) {
-      score += 15;
-    } else if (this.passenger_count >= 4) {
-      score += 10;
-    }
+    this.lead_score = breakdown.total_score;
+    this.scoring_breakdown = breakdown;
+    this.updatePriority();
 
-    // Cap score at 100
-    return Math.min(score, 100);
+    return breakdown;
   };
 
   Lead.prototype.updatePriority = function() {
-    if (this.lead_score >= 80) {
-      this.priority_level = 5; // Critical
-    } else if (this.lead_score >= 60) {
-      this.priority_level = 4; // High
-    } else if (this.lead_score >= 40) {
-      this.priority_level = 3; // Medium
-    } else if (this.lead_score >= 20) {
-      this.priority_level = 2; // Low
-    } else {
-      this.priority_level = 1; // Very Low
-    }
+    this.priority_level = Lead.priorityForScore(this.lead_score);
   };
 
   Lead.prototype.isHighValue = function() {
@@ -282,21 +356,106 @@ module.exports = (sequelize) => {
     return Math.floor((new Date() - new Date(this.created_at)) / 60000);
   };
 
+  /**
+   * Enforce the lifecycle on the save in progress
+   *
+   * Rejects status moves utils/leadLifecycle does not allow, checks lost
+   * reasons against the managed taxonomy and stamps the status timestamps.
+   * Reopening a lost lead clears its lost reason. options.audit.note counts
+   * as the notes a transition may require.
+   */
+  Lead.prototype.applyLifecycle = async function(options = {}) {
+    const from = this.changed('status') ? this.previous('status') : this.status;
+    const to = this.status;
+
+    if (from !== to) {
+      assertTransition(from, to, { ...this.get(), notes: options.audit?.note });
+
+      const now = new Date();
+      this.status_changed_at = now;
+      if (to === 'converted') this.converted_at = now;
+      if (to === 'lost') this.lost_at = now;
+      if (from === 'lost') {
+        this.lost_reason = null;
+        this.lost_reason_note = null;
+        this.lost_at = null;
+      }
+    }
+
+    if (this.changed('converted_value') && this.converted_value !== null && to !== 'converted') {
+      throw transitionError('converted_value can only be set on converted leads', 'INVALID_STATUS_FIELD',
+        { field: 'converted_value', status: to });
+    }
+
+    if (this.changed('lost_reason') && this.lost_reason !== null && to !== 'lost') {
+      throw transitionError('lost_reason can only be set on lost leads', 'INVALID_STATUS_FIELD',
+        { field: 'lost_reason', status: to });
+    }
+
+    if (to === 'lost' && (from !== to || this.changed('lost_reason') || this.changed('lost_reason_note'))) {
+      const reasons = await sequelize.models.LostReason.findActive();
+      const reason = reasons.find(candidate => candidate.code === this.lost_reason);
+
+      if (!reason) {
+        throw transitionError(`'${this.lost_reason}' is not an active lost reason`, 'INVALID_LOST_REASON', {
+          lost_reason: this.lost_reason,
+          valid_reasons: reasons.map(candidate => candidate.code)
+        });
+      }
+
+      if (reason.requires_detail && !this.lost_reason_note) {
+        throw transitionError(`Lost reason '${reason.code}' requires lost_reason_note`,
+          'TRANSITION_REQUIREMENTS_NOT_MET', { from, to, missing_fields: ['lost_reason_note'] });
+      }
+    }
+  };
+
   // Hooks for automatic processing
-  Lead.beforeCreate(async (lead) => {
-    lead.lead_score = lead.calculateScore();
-    lead.updatePriority();
+  Lead.beforeCreate(async (lead, options) => {
+    await sequelize.models.Customer.linkLead(lead, { transaction: options.transaction });
+    await lead.applyScore();
+  });
+
+  Lead.afterCreate(async (lead, options) => {
+    await sequelize.models.LeadEvent.record(lead, 'created', {}, options);
+    await Lead.refreshSearchVectors([lead.id], { transaction: options.transaction });
   });
 
-  Lead.beforeUpdate(async (lead) => {
-    if (lead.changed('estimated_value') || lead.changed('service_type') ||
-        lead.changed('passenger_count') || lead.changed('distance_from_base')) {
-      lead.lead_score = lead.calculateScore();
-      lead.updatePriority();
+  Lead.beforeUpdate(async (lead, options) => {
+    if (Lead.LIFECYCLE_FIELDS.some(field => lead.changed(field))) {
+      await lead.applyLifecycle(options);
     }
 
-    if (lead.changed('status') && lead.status === 'converted') {
-      lead.converted_at = new Date();
+    if (Lead.SCORING_FIELDS.some(field => lead.changed(field))) {
+      await lead.applyScore();
+    }
+  });
+
+  Lead.afterUpdate(async (lead, options) => {
+    // Field-level audit trail, attributed to the current request or job
+    await sequelize.models.LeadEvent.recordChanges(lead, options);
+
+    if (SEARCH_FIELDS.some(field => lead.changed(field))) {
+      await Lead.refreshSearchVectors([lead.id], { transaction: options.transaction });
+    }
+
+    // Leaving `new` means someone responded - stop the SLA escalation ladder
+    if (lead.changed('status') && lead.previous('status') === 'new') {
+      await cancelEscalation(lead.id);
+    }
+
+    // A conversion makes the customer's other open inquiries returning-client leads
+    if (lead.changed('status') && lead.status === 'converted' && lead.customer_id) {
+      await Lead.update({ is_returning_client: true }, {
+        where: {
+          customer_id: lead.customer_id,
+          id: { [sequelize.Sequelize.Op.ne]: lead.id },
+          status: Lead.OPEN_STATUSES,
+          is_returning_client: false
+        },
+        individualHooks: true,
+        transaction: options.transaction
+      });
     }
   });
 
@@ -308,6 +467,18 @@ module.exports = (sequelize) => {
       onDelete: 'CASCADE'
     });
 
+    Lead.hasMany(models.LeadTask, {
+      foreignKey: 'lead_id',
+      as: 'tasks',
+      onDelete: 'CASCADE'
+    });
+
+    Lead.hasMany(models.LeadNote, {
+      foreignKey: 'lead_id',
+      as: 'lead_notes',
+      onDelete: 'CASCADE'
+    });
+
     Lead.hasMany(models.EmailSequence, {
       foreignKey: 'lead_id',
       as: 'email_sequences',
@@ -324,6 +495,33 @@ module.exports = (sequelize) => {
       foreignKey: 'lead_id',
       as: 'webhook_logs'
     });
+
+    Lead.hasMany(models.LeadEvent, {
+      foreignKey: 'lead_id',
+      as: 'events',
+      onDelete: 'CASCADE'
+    });
+
+    Lead.belongsTo(models.User, {
+      foreignKey: 'assigned_to',
+      as: 'assignee'
+    });
+
+    Lead.belongsTo(models.Customer, {
+      foreignKey: 'customer_id',
+      as: 'customer'
+    });
+
+    Lead.belongsTo(models.LostReason, {
+      foreignKey: 'lost_reason',
+      targetKey: 'code',
+      as: 'lost_reason_detail'
+    });
+
+    Lead.belongsTo(models.Lead, {
+      foreignKey: 'merged_into_id',
+      as: 'merged_into'
+    });
   };
 
   // Class methods for business logic
@@ -331,6 +529,7 @@ module.exports = (sequelize) => {
     return this.findAll({
       where: {
         status: 'new',
+        merged_into_id: null,
         [sequelize.Sequelize.Op.or]: [
           { lead_score: { [sequelize.Sequelize.Op.gte]: 60 } },
           { estimated_value: { [sequelize.Sequelize.Op.gte]: 1000 } }
@@ -342,6 +541,76 @@ module.exports = (sequelize) => {
     });
   };
 
+  /**
+   * Rebuild search_vector from the lead, its notes and its interactions
+   *
+   * Without leadIds, fills in every lead that has no vector yet.
+   */
+  Lead.refreshSearchVectors = async function(leadIds = null, options = {}) {
+    if (leadIds && leadIds.length === 0) return 0;
+
+    const [, affected] = await sequelize.query(
+      `UPDATE leads SET search_vector = ${searchVectorSql('leads')} WHERE ${leadIds ? 'id IN (:leadIds)' : 'search_vector IS NULL'}`,
+      {
+        replacements: { leadIds },
+        transaction: options.transaction
+      }
+    );
+
+    return affected ? affected.rowCount : 0;
+  };
+
+  Lead.OPEN_STATUSES = ['new', 'contacted', 'qualified'];
+
+  // Fields guarded by the lifecycle; changing any of them re-checks it
+  Lead.LIFECYCLE_FIELDS = ['status', 'converted_value', 'lost_reason', 'lost_reason_note'];
+
+  // Fields read by scoring factors or the trained model; changing any of them re-scores the lead
+  Lead.SCORING_FIELDS = [
+    'company_name', 'email', 'phone', 'website',
+    'service_type', 'service_date', 'pickup_location', 'destination', 'passenger_count',
+    'estimated_value', 'budget_tier', 'company_size_estimate', 'distance_from_base',
+    'industry', 'utm_source', 'utm_medium', 'utm_campaign', 'is_returning_client'
+  ];
+
+  // Score bands used for conversion reporting; they line up with the priority thresholds
+  Lead.SCORE_RANGES = [
+    { label: '80-100', min: 80 },
+    { label: '60-79', min: 60 },
+    { label: '40-59', min: 40 },
+    { label: '20-39', min: 20 },
+    { label: '0-19', min: 0 }
+  ];
+
+  Lead.scoreRangeFor = function(score) {
+    return this.SCORE_RANGES.find(range => score >= range.min).label;
+  };
+
+  Lead.priorityForScore = function(score) {
+    if (score >= 80) return 5; // Critical
+    if (score >= 60) return 4; // High
+    if (score >= 40) return 3; // Medium
+    if (score >= 20) return 2; // Low
+    return 1; // Very Low
+  };
+
+  Lead.countOpenByAssignee = async function(userIds) {
+    const rows = await this.findAll({
+      where: {
+        assigned_to: { [sequelize.Sequelize.Op.in]: userIds },
+        status: { [sequelize.Sequelize.Op.in]: this.OPEN_STATUSES }
+      },
+      attributes: ['assigned_to', [sequelize.fn('COUNT', sequelize.col('id')), 'open_count']],
+      group: ['assigned_to'],
+      raw: true
+    });
+
+    return rows.reduce((counts, row) => {
+      counts[row.assigned_to] = parseInt(row.open_count);
+      return counts;
+    }, {});
+  };
+
   Lead.findByResponseTime = function(maxMinutes = 5) {
     const cutoffTime = new Date(Date.now() - maxMinutes * 60 * 1000);
     return this.findAll({
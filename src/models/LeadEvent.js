@@ -0,0 +1,198 @@
+/**
+ * TNT Corporate Lead System - Lead Event Model
+ *
+ * Field-level audit trail: who changed which lead fields, from what, to what
+ * and through which channel
+ */
+
+const { DataTypes } = require('sequelize');
+const { CHANNELS, getActor } = require('../utils/auditContext');
+const logger = require('../utils/logger');
+
+// Bookkeeping columns left out of the audit trail
+const UNAUDITED_FIELDS = ['created_at', 'updated_at', 'scoring_breakdown'];
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return (a ?? null) === (b ?? null);
+  if (a instanceof Date || b instanceof Date) return new Date(a).getTime() === new Date(b).getTime();
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = (sequelize) => {
+  const LeadEvent = sequelize.define('LeadEvent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    lead_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'leads',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    event_type: {
+      type: DataTypes.ENUM('created', 'updated', 'sequence'),
+      allowNull: false
+    },
+    changes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: '{ field: { from, to } }; sequence events: { action, sequence_id, sequence_name, fields: { field: { from, to } } }'
+    },
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Reason given with the change'
+    },
+
+    // Who made the change
+    channel: {
+      type: DataTypes.ENUM(...CHANNELS),
+      allowNull: false
+    },
+    actor_user_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    actor_api_key_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'api_keys',
+        key: 'id'
+      }
+    },
+    source: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Webhook source, API key name or job, e.g. zoho_crm or lead_import:<id>'
+    },
+    request_id: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    }
+  }, {
+    tableName: 'lead_events',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      { fields: ['lead_id', 'created_at'] },
+      { fields: ['actor_user_id'] },
+      { fields: ['channel'] }
+    ]
+  });
+
+  // Hooks
+  LeadEvent.afterCreate(async (event, options) => {
+    // Notes are part of the lead's search document
+    if (event.note) {
+      await sequelize.models.Lead.refreshSearchVectors([event.lead_id], { transaction: options.transaction });
+    }
+  });
+
+  // Define associations
+  LeadEvent.associate = (models) => {
+    LeadEvent.belongsTo(models.Lead, {
+      foreignKey: 'lead_id',
+      as: 'lead'
+    });
+
+    LeadEvent.belongsTo(models.User, {
+      foreignKey: 'actor_user_id',
+      as: 'actor'
+    });
+
+    LeadEvent.belongsTo(models.ApiKey, {
+      foreignKey: 'actor_api_key_id',
+      as: 'api_key'
+    });
+  };
+
+  // Class methods
+  LeadEvent.UNAUDITED_FIELDS = UNAUDITED_FIELDS;
+
+  /**
+   * Fields changed by the save in progress as { field: { from, to } }
+   *
+   * Only valid inside save hooks. DECIMAL columns read back as strings, so
+   * "1200.00" -> 1200 is not reported as a change.
+   */
+  LeadEvent.diff = function(lead) {
+    const changes = {};
+
+    for (const field of lead.changed() || []) {
+      if (UNAUDITED_FIELDS.includes(field)) continue;
+
+      const from = lead.previous(field);
+      const to = lead.get(field);
+
+      if (sameValue(from, to)) continue;
+
+      changes[field] = {
+        from: from === undefined ? null : from,
+        to: to === undefined ? null : to
+      };
+    }
+
+    return changes;
+  };
+
+  /**
+   * Record an event for the current actor
+   *
+   * options.audit may carry a note and override the actor's channel/source.
+   * Never throws outside a transaction; inside one the error is rethrown,
+   * since Postgres has aborted the transaction and the caller must roll back.
+   */
+  LeadEvent.record = async function(lead, eventType, changes = {}, options = {}) {
+    const { note = null, ...override } = options.audit || {};
+    const actor = { ...getActor(), ...override };
+
+    try {
+      return await LeadEvent.create({
+        lead_id: lead.id,
+        event_type: eventType,
+        changes,
+        note,
+        channel: actor.channel,
+        actor_user_id: actor.user_id,
+        actor_api_key_id: actor.api_key_id,
+        source: actor.source,
+        request_id: actor.request_id
+      }, { transaction: options.transaction });
+    } catch (error) {
+      if (options.transaction) throw error;
+
+      logger.error('Failed to record lead event:', { leadId: lead.id, eventType, error: error.message });
+      return null;
+    }
+  };
+
+  /**
+   * Record the changes of the save in progress, if any
+   */
+  LeadEvent.recordChanges = async function(lead, options = {}) {
+    const changes = LeadEvent.diff(lead);
+
+    if (Object.keys(changes).length === 0 && !options.audit?.note) {
+      return null;
+    }
+
+    return LeadEvent.record(lead, 'updated', changes, options);
+  };
+
+  return LeadEvent;
+};
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * TNT Corporate Lead System - Lead Export Model
+ *
+ * A lead extract generated in the background, kept for download until it expires
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const LeadExport = sequelize.define('LeadExport', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    // Request
+    format: {
+      type: DataTypes.ENUM('csv', 'xlsx', 'ndjson'),
+      allowNull: false
+    },
+    filters: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Lead list filters (status, service_type, dates, search, ...)'
+    },
+    columns: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Resolved column names, custom fields as custom_fields.<key>'
+    },
+
+    // Progress
+    status: {
+      type: DataTypes.ENUM('queued', 'processing', 'completed', 'failed', 'expired'),
+      allowNull: false,
+      defaultValue: 'queued'
+    },
+    total_rows: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Matching leads when the export was requested'
+    },
+    processed_rows: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    error_message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    // Result
+    file_path: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: 'Generated file; cleared when it expires'
+    },
+    file_size: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    job_id: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'lead_exports',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['created_at'] },
+      { fields: ['status'] },
+      { fields: ['expires_at'] },
+      { fields: ['created_by'] }
+    ]
+  });
+
+  // Instance methods
+  LeadExport.prototype.getProgressPercent = function() {
+    if (this.status === 'completed') return 100;
+    if (!this.total_rows) return 0;
+    return Math.min(100, Math.floor((this.processed_rows / this.total_rows) * 100));
+  };
+
+  LeadExport.prototype.isDownloadable = function() {
+    return this.status === 'completed' && !!this.file_path && (!this.expires_at || this.expires_at > new Date());
+  };
+
+  LeadExport.prototype.getFileName = function() {
+    const date = new Date(this.created_at).toISOString().slice(0, 10);
+    return `leads-${date}-${this.id.slice(0, 8)}.${this.format}`;
+  };
+
+  LeadExport.prototype.toSummaryJSON = function() {
+    return {
+      id: this.id,
+      format: this.format,
+      filters: this.filters,
+      columns: this.columns,
+      status: this.status,
+      progress_percent: this.getProgressPercent(),
+      total_rows: this.total_rows,
+      processed_rows: this.processed_rows,
+      file_name: this.getFileName(),
+      file_size: this.file_size,
+      error_message: this.error_message,
+      started_at: this.started_at,
+      completed_at: this.completed_at,
+      expires_at: this.expires_at,
+      created_by: this.created_by,
+      created_at: this.created_at
+    };
+  };
+
+  // Define associations
+  LeadExport.associate = (models) => {
+    LeadExport.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  return LeadExport;
+};
\ No newline at end of file
@@ -0,0 +1,166 @@
+/**
+ * TNT Corporate Lead System - Lead Import Model
+ *
+ * Tracks a bulk CSV/XLSX lead import: mapping, progress and the per-row report
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const LeadImport = sequelize.define('LeadImport', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    // Uploaded file
+    file_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    file_format: {
+      type: DataTypes.ENUM('csv', 'xlsx'),
+      allowNull: false
+    },
+    file_path: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: 'Stored upload; cleared once the import has run'
+    },
+    file_size: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+
+    // Configuration
+    column_mapping: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Lead field -> spreadsheet column header'
+    },
+    options: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'suppress_automation, duplicate_action, source'
+    },
+
+    // Progress
+    status: {
+      type: DataTypes.ENUM('queued', 'processing', 'completed', 'failed'),
+      allowNull: false,
+      defaultValue: 'queued'
+    },
+    total_rows: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    processed_rows: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    created_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    merged_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    skipped_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: 'Rows skipped as duplicates of existing leads'
+    },
+    error_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+
+    // Report
+    row_errors: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: '[{ row, type: invalid|duplicate|failed, errors, lead_id, values }]'
+    },
+    error_message: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Why the whole import failed'
+    },
+
+    job_id: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'lead_imports',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['created_at'] },
+      { fields: ['status'] },
+      { fields: ['created_by'] }
+    ]
+  });
+
+  // Instance methods
+  LeadImport.prototype.getProgressPercent = function() {
+    if (this.status === 'completed') return 100;
+    if (!this.total_rows) return 0;
+    return Math.floor((this.processed_rows / this.total_rows) * 100);
+  };
+
+  LeadImport.prototype.toSummaryJSON = function() {
+    return {
+      id: this.id,
+      file_name: this.file_name,
+      file_format: this.file_format,
+      status: this.status,
+      progress_percent: this.getProgressPercent(),
+      total_rows: this.total_rows,
+      processed_rows: this.processed_rows,
+      created_count: this.created_count,
+      merged_count: this.merged_count,
+      skipped_count: this.skipped_count,
+      error_count: this.error_count,
+      column_mapping: this.column_mapping,
+      options: this.options,
+      error_message: this.error_message,
+      started_at: this.started_at,
+      completed_at: this.completed_at,
+      created_by: this.created_by,
+      created_at: this.created_at
+    };
+  };
+
+  // Define associations
+  LeadImport.associate = (models) => {
+    LeadImport.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  return LeadImport;
+};
\ No newline at end of file
@@ -5,6 +5,7 @@
  */
 
 const { DataTypes } = require('sequelize');
+const logger = require('../utils/logger');
 
 module.exports = (sequelize) => {
   const LeadInteraction = sequelize.define('LeadInteraction', {
@@ -31,7 +32,8 @@ module.exports = (sequelize) => {
         'email_clicked',
         'call_made',
         'meeting_scheduled',
-        'sms_sent'
+        'sms_sent',
+        'lead_assigned'
       ),
       allowNull: false
     },
@@ -155,6 +157,19 @@ module.exports = (sequelize) => {
     };
   };
 
+  // Internal bookkeeping records that are not customer touchpoints
+  LeadInteraction.SYSTEM_TYPES = ['lead_assigned'];
+
+  // Touchpoints that count as a response for the SLA when made by a person
+  LeadInteraction.RESPONSE_TYPES = ['email_sent', 'call_made', 'meeting_scheduled', 'sms_sent'];
+
+  // Text indexed into the lead's search_vector
+  LeadInteraction.SEARCH_FIELDS = ['subject', 'content', 'response_content'];
+
+  LeadInteraction.prototype.isQualifyingResponse = function() {
+    return !this.automated && LeadInteraction.RESPONSE_TYPES.includes(this.interaction_type);
+  };
+
   // Hooks
   LeadInteraction.beforeCreate(async (interaction) => {
     // Auto-complete immediate interactions
@@ -163,14 +178,48 @@ module.exports = (sequelize) => {
     }
   });
 
-  LeadInteraction.afterCreate(async (interaction) => {
-    // Update lead's last_contact_at timestamp
+  LeadInteraction.afterCreate(async (interaction, options) => {
     if (interaction.lead_id) {
+      await sequelize.models.Lead.refreshSearchVectors([interaction.lead_id], { transaction: options.transaction });
+    }
+
+    // Update lead's last_contact_at timestamp (system records are not customer contact)
+    if (interaction.lead_id && !LeadInteraction.SYSTEM_TYPES.includes(interaction.interaction_type)) {
       await sequelize.models.Lead.update(
         { last_contact_at: new Date() },
-        { where: { id: interaction.lead_id } }
+        { where: { id: interaction.lead_id }, transaction: options.transaction }
       );
     }
+
+    // A scheduled next action becomes a task for the rep
+    if (interaction.lead_id && interaction.next_action && interaction.scheduled_for) {
+      await sequelize.models.LeadTask.createFromInteraction(interaction, { transaction: options.transaction });
+    }
+
+    // A rep reached out - the response-time escalation ladder is no longer needed
+    if (interaction.lead_id && interaction.isQualifyingResponse()) {
+      try {
+        await require('../queues').cancelResponseEscalation(interaction.lead_id);
+      } catch (error) {
+        logger.error('Failed to cancel response escalation:', {
+          leadId: interaction.lead_id,
+          error: error.message
+        });
+      }
+    }
+  });
+
+  // Interaction text is part of the lead's search document
+  LeadInteraction.afterUpdate(async (interaction, options) => {
+    if (interaction.lead_id && LeadInteraction.SEARCH_FIELDS.some(field => interaction.changed(field))) {
+      await sequelize.models.Lead.refreshSearchVectors([interaction.lead_id], { transaction: options.transaction });
+    }
+  });
+
+  LeadInteraction.afterDestroy(async (interaction, options) => {
+    if (interaction.lead_id) {
+      await sequelize.models.Lead.refreshSearchVectors([interaction.lead_id], { transaction: options.transaction });
+    }
   });
 
   // Define associations
@@ -186,6 +235,33 @@ module.exports = (sequelize) => {
     });
   };
 
+  /**
+   * Latest interaction of each lead, keyed by lead id
+   *
+   * A lateral join walks the (lead_id, created_at) index once per lead, so a
+   * list page costs one small lookup per row instead of a grouped scan.
+   */
+  LeadInteraction.findLatestForLeads = async function(leadIds) {
+    if (!leadIds || leadIds.length === 0) return new Map();
+
+    const rows = await sequelize.query(`
+      SELECT l.id AS lead_id, li.id, li.interaction_type, li.subject, li.automated, li.created_at
+      FROM unnest(ARRAY[:leadIds]::uuid[]) AS l(id)
+      JOIN LATERAL (
+        SELECT id, interaction_type, subject, automated, created_at
+        FROM lead_interactions
+        WHERE lead_interactions.lead_id = l.id
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) li ON true
+    `, {
+      replacements: { leadIds },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    return new Map(rows.map(({ lead_id, ...interaction }) => [lead_id, interaction]));
+  };
+
   // Class methods for analytics
   LeadInteraction.getResponseTimeMetrics = async function(dateRange = 30) {
     const cutoffDate = new Date();
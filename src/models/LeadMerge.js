@@ -0,0 +1,146 @@
+/**
+ * TNT Corporate Lead System - Lead Merge Model
+ *
+ * Audit record of a duplicate lead merged into a surviving lead, with enough
+ * detail to undo the merge
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const LeadMerge = sequelize.define('LeadMerge', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    surviving_lead_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'leads',
+        key: 'id'
+      }
+    },
+    merged_lead_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'leads',
+        key: 'id'
+      }
+    },
+
+    // Why the leads were considered the same
+    match_score: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    match_reasons: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      defaultValue: []
+    },
+    source: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'manual',
+      comment: 'manual or webhook_duplicate'
+    },
+
+    // What the merge changed - used by unmerge
+    field_changes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Surviving lead fields filled from the duplicate: { field: { from, to } }'
+    },
+    added_custom_fields: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Custom field keys copied onto the surviving lead'
+    },
+    moved_records: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'IDs of child records re-pointed to the surviving lead, by association'
+    },
+    deactivated_sequences: {
+      type: DataTypes.ARRAY(DataTypes.UUID),
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Moved sequences stopped because the surviving lead already runs them'
+    },
+    merged_lead_snapshot: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      comment: 'The duplicate lead as it was before the merge'
+    },
+
+    // Lifecycle
+    status: {
+      type: DataTypes.ENUM('merged', 'unmerged'),
+      allowNull: false,
+      defaultValue: 'merged'
+    },
+    merged_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    unmerged_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    unmerged_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    unmerge_conflicts: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Fields edited after the merge, left as they were on unmerge'
+    }
+  }, {
+    tableName: 'lead_merges',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['surviving_lead_id', 'created_at'] },
+      { fields: ['merged_lead_id'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  // Define associations
+  LeadMerge.associate = (models) => {
+    LeadMerge.belongsTo(models.Lead, {
+      foreignKey: 'surviving_lead_id',
+      as: 'surviving_lead'
+    });
+
+    LeadMerge.belongsTo(models.Lead, {
+      foreignKey: 'merged_lead_id',
+      as: 'merged_lead'
+    });
+
+    LeadMerge.belongsTo(models.User, {
+      foreignKey: 'merged_by',
+      as: 'merger'
+    });
+  };
+
+  return LeadMerge;
+};
\ No newline at end of file
@@ -0,0 +1,200 @@
+/**
+ * TNT Corporate Lead System - Lead Note Model
+ *
+ * Internal notes on a lead, threaded one level deep, with edit history,
+ * pinning and @mentions of users
+ */
+
+const { DataTypes } = require('sequelize');
+const auditContext = require('../utils/auditContext');
+const { mentionHandle, extractMentionHandles } = require('../utils/mentions');
+
+module.exports = (sequelize) => {
+  const LeadNote = sequelize.define('LeadNote', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    lead_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'leads',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    // Set on replies; replies are not themselves replied to
+    parent_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'lead_notes',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    author_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 10000]
+      }
+    },
+    mentioned_user_ids: {
+      type: DataTypes.ARRAY(DataTypes.UUID),
+      allowNull: false,
+      defaultValue: []
+    },
+
+    // Pinned notes are listed first
+    pinned: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    pinned_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    pinned_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    // Edit history - earlier bodies, oldest first
+    edited_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revisions: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: '[{ body, edited_at, edited_by }] - each replaced body and who replaced it when'
+    }
+  }, {
+    tableName: 'lead_notes',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['lead_id', 'created_at'] },
+      { fields: ['parent_id'], where: { parent_id: { [sequelize.Sequelize.Op.ne]: null } } },
+      { fields: ['lead_id'], where: { pinned: true } },
+      { fields: ['mentioned_user_ids'], using: 'gin' }
+    ]
+  });
+
+  // Instance methods
+  LeadNote.prototype.isReply = function() {
+    return !!this.parent_id;
+  };
+
+  LeadNote.prototype.isAuthoredBy = function(userId) {
+    return !!userId && this.author_id === userId;
+  };
+
+  LeadNote.prototype.setPinned = function(pinned, userId = null) {
+    this.pinned = pinned;
+    this.pinned_at = pinned ? new Date() : null;
+    this.pinned_by = pinned ? userId : null;
+    return this.save();
+  };
+
+  // Hooks
+  LeadNote.beforeUpdate((note) => {
+    if (note.changed('body')) {
+      const now = new Date();
+
+      note.revisions = [...(note.revisions || []), {
+        body: note.previous('body'),
+        edited_at: now,
+        edited_by: auditContext.getActor().user_id
+      }];
+      note.edited_at = now;
+    }
+  });
+
+  // Note text is part of the lead's search document
+  LeadNote.afterCreate(async (note, options) => {
+    await sequelize.models.Lead.refreshSearchVectors([note.lead_id], { transaction: options.transaction });
+  });
+
+  LeadNote.afterUpdate(async (note, options) => {
+    if (note.changed('body')) {
+      await sequelize.models.Lead.refreshSearchVectors([note.lead_id], { transaction: options.transaction });
+    }
+  });
+
+  LeadNote.afterDestroy(async (note, options) => {
+    await sequelize.models.Lead.refreshSearchVectors([note.lead_id], { transaction: options.transaction });
+  });
+
+  // Define associations
+  LeadNote.associate = (models) => {
+    LeadNote.belongsTo(models.Lead, {
+      foreignKey: 'lead_id',
+      as: 'lead'
+    });
+
+    LeadNote.belongsTo(models.User, {
+      foreignKey: 'author_id',
+      as: 'author'
+    });
+
+    LeadNote.belongsTo(LeadNote, {
+      foreignKey: 'parent_id',
+      as: 'parent'
+    });
+
+    LeadNote.hasMany(LeadNote, {
+      foreignKey: 'parent_id',
+      as: 'replies',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  // Class methods
+
+  /**
+   * Active users mentioned in text
+   *
+   * A handle shared by more than one active user is ambiguous and mentions
+   * nobody.
+   */
+  LeadNote.resolveMentions = async function(text) {
+    const handles = extractMentionHandles(text);
+    if (handles.length === 0) return [];
+
+    const { Op } = sequelize.Sequelize;
+    const users = await sequelize.models.User.findAll({
+      where: {
+        active: true,
+        [Op.or]: handles.map(handle => ({ email: { [Op.iLike]: `${handle.replace(/[\\%_]/g, '\\$&')}@%` } }))
+      }
+    });
+
+    return handles
+      .map(handle => users.filter(user => mentionHandle(user.email) === handle))
+      .filter(matches => matches.length === 1)
+      .map(([user]) => user);
+  };
+
+  return LeadNote;
+};
\ No newline at end of file
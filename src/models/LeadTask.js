@@ -0,0 +1,363 @@
+/**
+ * TNT Corporate Lead System - Lead Task Model
+ *
+ * Follow-up tasks and callbacks on a lead, with a due time, an owner and a
+ * reminder sent through the notification queue
+ */
+
+const { DataTypes } = require('sequelize');
+const { BusinessLogicError } = require('../middleware/errorHandler');
+
+module.exports = (sequelize) => {
+  const LeadTask = sequelize.define('LeadTask', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    lead_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'leads',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    // Task Details
+    task_type: {
+      type: DataTypes.ENUM('callback', 'follow_up', 'task'),
+      allowNull: false,
+      defaultValue: 'task'
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    // Scheduling
+    due_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    reminder_minutes_before: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      validate: {
+        min: 0,
+        max: 10080
+      }
+    },
+    remind_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'due_at less reminder_minutes_before, kept by the beforeSave hook'
+    },
+    reminder_sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    snooze_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+
+    // Ownership
+    assigned_to: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    // Status
+    status: {
+      type: DataTypes.ENUM('open', 'completed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'open'
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completed_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    outcome: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    // Interaction whose next_action created the task, and the one logged on completion
+    source_interaction_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'lead_interactions',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    result_interaction_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'lead_interactions',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }
+  }, {
+    tableName: 'lead_tasks',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['lead_id', 'due_at'] },
+      { fields: ['assigned_to', 'status', 'due_at'] },
+      { fields: ['remind_at'], where: { status: 'open', reminder_sent_at: null } },
+      { fields: ['source_interaction_id'], where: { source_interaction_id: { [sequelize.Sequelize.Op.ne]: null } } }
+    ]
+  });
+
+  // Instance methods
+  LeadTask.prototype.isOpen = function() {
+    return this.status === 'open';
+  };
+
+  LeadTask.prototype.isOverdue = function(now = new Date()) {
+    return this.isOpen() && new Date(this.due_at) < now;
+  };
+
+  /**
+   * Push the task back to a later due time; the reminder fires again
+   */
+  LeadTask.prototype.snooze = function(until, options = {}) {
+    this.due_at = until;
+    this.snooze_count = (this.snooze_count || 0) + 1;
+    return this.save(options);
+  };
+
+  /**
+   * Close the task, optionally logging the call it resulted in
+   *
+   * logCall records a call_made interaction with the outcome as its content;
+   * as with any manual call, a new lead moves to contacted.
+   */
+  LeadTask.prototype.complete = async function({ userId = null, outcome = null, logCall = false, subject = null } = {}) {
+    const { Lead, LeadInteraction } = sequelize.models;
+
+    return sequelize.transaction(async (transaction) => {
+      let interaction = null;
+
+      if (logCall) {
+        interaction = await LeadInteraction.create({
+          lead_id: this.lead_id,
+          interaction_type: 'call_made',
+          subject: subject || this.title,
+          content: outcome || this.title,
+          automated: false,
+          user_id: userId
+        }, { transaction });
+
+        const lead = await Lead.findByPk(this.lead_id, { transaction });
+        if (lead && lead.status === 'new') {
+          await lead.update({ status: 'contacted' }, { transaction });
+        }
+      }
+
+      this.status = 'completed';
+      this.completed_at = new Date();
+      this.completed_by = userId;
+      this.outcome = outcome;
+      this.result_interaction_id = interaction ? interaction.id : null;
+      await this.save({ transaction });
+
+      return { task: this, interaction };
+    });
+  };
+
+  LeadTask.prototype.cancel = function(userId = null, options = {}) {
+    this.status = 'cancelled';
+    this.completed_at = new Date();
+    this.completed_by = userId;
+    return this.save(options);
+  };
+
+  LeadTask.prototype.toSummaryJSON = function(now = new Date()) {
+    return {
+      ...this.toJSON(),
+      overdue: this.isOverdue(now)
+    };
+  };
+
+  // Hooks
+  LeadTask.beforeSave((task) => {
+    if (task.changed('due_at') || task.changed('reminder_minutes_before')) {
+      task.remind_at = new Date(new Date(task.due_at).getTime() - (task.reminder_minutes_before || 0) * 60 * 1000);
+      task.reminder_sent_at = null;
+    }
+  });
+
+  // Define associations
+  LeadTask.associate = (models) => {
+    LeadTask.belongsTo(models.Lead, {
+      foreignKey: 'lead_id',
+      as: 'lead'
+    });
+
+    LeadTask.belongsTo(models.User, {
+      foreignKey: 'assigned_to',
+      as: 'assignee'
+    });
+
+    LeadTask.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+
+    LeadTask.belongsTo(models.LeadInteraction, {
+      foreignKey: 'source_interaction_id',
+      as: 'source_interaction'
+    });
+
+    LeadTask.belongsTo(models.LeadInteraction, {
+      foreignKey: 'result_interaction_id',
+      as: 'result_interaction'
+    });
+  };
+
+  // Class methods
+
+  /**
+   * Where clause for a user's open tasks in a due window
+   *
+   * today is the user's calendar day in their timezone and takes in anything
+   * overdue; upcoming is everything after today.
+   */
+  LeadTask.dueWindowWhere = function(userId, due = 'today', timezone = 'America/New_York') {
+    const { Op } = sequelize.Sequelize;
+    const tz = sequelize.escape(timezone);
+    const endOfToday = sequelize.literal(`((date_trunc('day', now() AT TIME ZONE ${tz}) + interval '1 day') AT TIME ZONE ${tz})`);
+
+    const where = { assigned_to: userId, status: 'open' };
+
+    switch (due) {
+      case 'overdue':
+        where.due_at = { [Op.lt]: new Date() };
+        break;
+      case 'today':
+        where.due_at = { [Op.lt]: endOfToday };
+        break;
+      case 'upcoming':
+        where.due_at = { [Op.gte]: endOfToday };
+        break;
+      default:
+        break;
+    }
+
+    return where;
+  };
+
+  /**
+   * Open tasks whose reminder time has passed and has not been sent
+   */
+  LeadTask.findDueReminders = function(now = new Date(), limit = 200) {
+    const { Op } = sequelize.Sequelize;
+
+    return this.findAll({
+      where: {
+        status: 'open',
+        reminder_sent_at: null,
+        remind_at: { [Op.lte]: now }
+      },
+      include: [
+        { model: sequelize.models.Lead, as: 'lead' },
+        { model: sequelize.models.User, as: 'assignee', required: false }
+      ],
+      order: [['remind_at', 'ASC']],
+      limit
+    });
+  };
+
+  /**
+   * Claim a task's reminder so overlapping sweeps send it once
+   */
+  LeadTask.claimReminder = async function(task, now = new Date()) {
+    const [claimed] = await this.update(
+      { reminder_sent_at: now },
+      { where: { id: task.id, reminder_sent_at: null, status: 'open' }, hooks: false }
+    );
+    return claimed === 1;
+  };
+
+  /**
+   * Give back a claim whose reminder could not be sent, so the next sweep
+   * tries again
+   */
+  LeadTask.releaseReminder = function(task, claimedAt) {
+    return this.update(
+      { reminder_sent_at: null },
+      { where: { id: task.id, reminder_sent_at: claimedAt }, hooks: false }
+    );
+  };
+
+  /**
+   * Check a task owner is an active user
+   */
+  LeadTask.assertAssignable = async function(userId) {
+    if (!userId) return;
+
+    const user = await sequelize.models.User.findByPk(userId, { attributes: ['id', 'active'] });
+
+    if (!user || !user.active) {
+      throw new BusinessLogicError(`User ${userId} cannot be assigned tasks`, 'INVALID_TASK_ASSIGNEE', 422);
+    }
+  };
+
+  /**
+   * Open a task from an interaction's next_action and scheduled_for
+   */
+  LeadTask.createFromInteraction = async function(interaction, options = {}) {
+    const lead = await sequelize.models.Lead.findByPk(interaction.lead_id, {
+      attributes: ['id', 'assigned_to'],
+      transaction: options.transaction
+    });
+
+    return this.create({
+      lead_id: interaction.lead_id,
+      task_type: interaction.interaction_type === 'call_made' ? 'callback' : 'follow_up',
+      title: interaction.next_action,
+      due_at: interaction.scheduled_for,
+      assigned_to: interaction.user_id || lead?.assigned_to || null,
+      created_by: interaction.user_id,
+      source_interaction_id: interaction.id
+    }, { transaction: options.transaction });
+  };
+
+  return LeadTask;
+};
\ No newline at end of file
@@ -0,0 +1,103 @@
+/**
+ * TNT Corporate Lead System - Lost Reason Model
+ *
+ * Managed taxonomy of why leads are lost, required when a lead moves to lost
+ */
+
+const { DataTypes } = require('sequelize');
+
+const DEFAULT_REASONS = [
+  { code: 'price', label: 'Price too high', sort_order: 10 },
+  { code: 'competitor', label: 'Booked with a competitor', sort_order: 20 },
+  { code: 'no_response', label: 'No response from prospect', sort_order: 30 },
+  { code: 'not_available', label: 'No vehicle or chauffeur available', sort_order: 40 },
+  { code: 'service_area', label: 'Outside service area', sort_order: 50 },
+  { code: 'plans_changed', label: 'Trip or event cancelled', sort_order: 60 },
+  { code: 'invalid_contact', label: 'Invalid contact details', sort_order: 70 },
+  { code: 'other', label: 'Other', requires_detail: true, sort_order: 100 }
+];
+
+module.exports = (sequelize) => {
+  const LostReason = sequelize.define('LostReason', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    code: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: /^[a-z][a-z0-9_]*$/
+      }
+    },
+    label: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    requires_detail: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Leads lost for this reason must also carry lost_reason_note'
+    },
+
+    // Retired reasons stay on historical leads but cannot be chosen
+    active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'lost_reasons',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['active', 'sort_order'] }
+    ]
+  });
+
+  // Define associations
+  LostReason.associate = (models) => {
+    LostReason.hasMany(models.Lead, {
+      foreignKey: 'lost_reason',
+      sourceKey: 'code',
+      as: 'leads'
+    });
+  };
+
+  // Class methods
+  LostReason.findActive = function() {
+    return this.findAll({
+      where: { active: true },
+      order: [['sort_order', 'ASC'], ['label', 'ASC']]
+    });
+  };
+
+  LostReason.createDefaultReasons = async function() {
+    const results = [];
+    for (const reason of DEFAULT_REASONS) {
+      const [instance, created] = await this.findOrCreate({
+        where: { code: reason.code },
+        defaults: reason
+      });
+      results.push({ instance, created });
+    }
+
+    return results;
+  };
+
+  return LostReason;
+};
\ No newline at end of file
@@ -28,7 +28,7 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING(100),
       allowNull: false,
       validate: {
-        isIn: [['high_value_lead', 'response_needed', 'conversion_opportunity', 'system_alert']]
+        isIn: [['high_value_lead', 'response_needed', 'conversion_opportunity', 'task_reminder', 'mention', 'system_alert']]
       }
     },
     title: {
@@ -103,7 +103,12 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING(500),
       allowNull: true,
       validate: {
-        isUrl: true
+        isDashboardPathOrUrl(value) {
+          // Dashboard-relative paths (/leads/:id) or absolute URLs
+          if (value && !value.startsWith('/') && !/^https?:\/\//.test(value)) {
+            throw new Error('action_url must be a dashboard path or an http(s) URL');
+          }
+        }
       }
     },
     action_completed: {
@@ -117,6 +122,12 @@ module.exports = (sequelize) => {
       allowNull: true
     },
 
+    // Response-time escalation step this alert was sent for, if any
+    escalation_step: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+
     // Delivery tracking
     delivery_status: {
       type: DataTypes.JSONB,
@@ -233,15 +244,31 @@ module.exports = (sequelize) => {
     return notification;
   };
 
-  Notification.createResponseNeededAlert = async function(lead, minutesSinceCreated) {
+  /**
+   * Alert for a lead waiting on a response; an escalation step reuses the
+   * alert an earlier attempt at the same step created
+   */
+  Notification.createResponseNeededAlert = async function(lead, minutesSinceCreated, escalation = null) {
+    if (escalation) {
+      const existing = await this.findOne({
+        where: { lead_id: lead.id, notification_type: 'response_needed', escalation_step: escalation.stepNumber }
+      });
+      if (existing) return existing;
+    }
+
     const notification = await this.create({
       lead_id: lead.id,
       notification_type: 'response_needed',
-      title: `Response Time Alert: ${lead.contact_name}`,
+      title: escalation
+        ? `Response Time Escalation (step ${escalation.stepNumber}): ${lead.contact_name}`
+        : `Response Time Alert: ${lead.contact_name}`,
       message: `Lead from ${lead.contact_name} has been waiting for ${minutesSinceCreated} minutes. TNT's 5-minute response commitment is at risk.`,
-      priority: 4,
-      send_email: true,
-      send_slack: true,
+      priority: escalation && escalation.stepNumber > 1 ? 5 : 4,
+      send_email: escalation ? escalation.channel === 'email' : true,
+      send_slack: escalation ? escalation.channel === 'slack' : true,
+      send_sms: escalation ? escalation.channel === 'sms' : false,
+      recipient_user_ids: escalation ? escalation.recipientUserIds : [],
+      escalation_step: escalation ? escalation.stepNumber : null,
       action_required: true,
       action_url: `/leads/${lead.id}`,
       expires_at: new Date(Date.now() + 30 * 60 * 1000) // 30 minutes
@@ -250,6 +277,45 @@ module.exports = (sequelize) => {
     return notification;
   };
 
+  Notification.createTaskReminder = async function(task, lead) {
+    const label = task.task_type === 'callback' ? 'Callback' : 'Task';
+
+    const notification = await this.create({
+      lead_id: lead.id,
+      notification_type: 'task_reminder',
+      title: `${label} due: ${task.title}`,
+      message: `${label} "${task.title}" for ${lead.contact_name}${lead.company_name ? ` at ${lead.company_name}` : ''} is due ${new Date(task.due_at).toLocaleString()}.` +
+        (task.description ? `\n\n${task.description}` : ''),
+      priority: task.task_type === 'callback' ? 4 : 3,
+      send_email: true,
+      send_sms: task.task_type === 'callback',
+      recipient_user_ids: task.assigned_to ? [task.assigned_to] : [],
+      action_required: true,
+      action_url: `/leads/${lead.id}`
+    });
+
+    return notification;
+  };
+
+  Notification.createMentionAlert = async function(note, lead, author, recipientUserIds) {
+    const authorName = author ? author.getFullName() : 'Someone';
+
+    const notification = await this.create({
+      lead_id: lead.id,
+      notification_type: 'mention',
+      title: `${authorName} mentioned you on ${lead.company_name || lead.contact_name}`,
+      message: note.body,
+      priority: 3,
+      send_email: true,
+      send_slack: true,
+      recipient_user_ids: recipientUserIds,
+      action_required: false,
+      action_url: `/leads/${lead.id}`
+    });
+
+    return notification;
+  };
+
   Notification.findPending = function() {
     return this.findAll({
       where: {
@@ -0,0 +1,127 @@
+/**
+ * TNT Corporate Lead System - Refresh Token Model
+ *
+ * Issued refresh tokens for dashboard sessions, with rotation and revocation
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RefreshToken = sequelize.define('RefreshToken', {
+    // Matches the `jti` claim of the signed refresh token
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    // Every token issued from the same login shares a family
+    family_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+
+    // Lifecycle
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoked_reason: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      validate: {
+        isIn: [['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_reset', 'user_deactivated']]
+      }
+    },
+    replaced_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Token issued when this one was rotated'
+    },
+
+    // Client Information
+    created_by_ip: {
+      type: DataTypes.INET,
+      allowNull: true
+    },
+    user_agent: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'refresh_tokens',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['user_id'] },
+      { fields: ['family_id'] },
+      { fields: ['expires_at'] }
+    ]
+  });
+
+  // Instance methods
+  RefreshToken.prototype.isExpired = function() {
+    return new Date() >= new Date(this.expires_at);
+  };
+
+  RefreshToken.prototype.isActive = function() {
+    return !this.revoked_at && !this.isExpired();
+  };
+
+  RefreshToken.prototype.revoke = function(reason, replacedBy = null) {
+    this.revoked_at = new Date();
+    this.revoked_reason = reason;
+    if (replacedBy) this.replaced_by = replacedBy;
+    return this.save();
+  };
+
+  // Define associations
+  RefreshToken.associate = (models) => {
+    RefreshToken.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  // Class methods
+  RefreshToken.revokeFamily = function(familyId, reason) {
+    return this.update(
+      { revoked_at: new Date(), revoked_reason: reason },
+      { where: { family_id: familyId, revoked_at: null } }
+    );
+  };
+
+  RefreshToken.revokeAllForUser = function(userId, reason) {
+    return this.update(
+      { revoked_at: new Date(), revoked_reason: reason },
+      { where: { user_id: userId, revoked_at: null } }
+    );
+  };
+
+  RefreshToken.cleanup = async function(daysToKeep = 30) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+
+    return this.destroy({
+      where: {
+        expires_at: { [sequelize.Sequelize.Op.lt]: cutoffDate }
+      }
+    });
+  };
+
+  return RefreshToken;
+};
\ No newline at end of file
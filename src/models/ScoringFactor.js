@@ -5,6 +5,94 @@
  */
 
 const { DataTypes } = require('sequelize');
+const logger = require('../utils/logger');
+
+// Active factors are read on every lead save, so keep them in memory briefly
+const FACTOR_CACHE_TTL_MS = parseInt(process.env.SCORING_FACTOR_CACHE_TTL_MS) || 60 * 1000;
+
+// Built-in factor set, used to seed the table and whenever it cannot be read
+const DEFAULT_FACTORS = [
+  {
+    factor_name: 'company_name_present',
+    factor_category: 'company',
+    weight: 10,
+    calculation_method: 'exact_match',
+    value_mappings: { present: 10, absent: 0 },
+    description: 'Adds points if company name is provided',
+    active: true
+  },
+  {
+    factor_name: 'estimated_value_tier',
+    factor_category: 'service',
+    weight: 30,
+    calculation_method: 'range',
+    value_mappings: { '1000+': 30, '500-999': 20, '1-499': 10 },
+    description: 'Higher estimated values get more points',
+    active: true
+  },
+  {
+    factor_name: 'service_type_priority',
+    factor_category: 'service',
+    weight: 25,
+    calculation_method: 'exact_match',
+    value_mappings: {
+      corporate: 25,
+      airport: 20,
+      events: 15,
+      wedding: 15,
+      hourly: 10
+    },
+    description: 'Corporate bookings have highest priority',
+    active: true
+  },
+  {
+    factor_name: 'geographic_proximity',
+    factor_category: 'geographic',
+    weight: 15,
+    calculation_method: 'range',
+    value_mappings: { '0-25': 15, '26-50': 10, '51-100': 5, '101+': 0 },
+    description: 'Closer locations are prioritized',
+    active: true
+  },
+  {
+    factor_name: 'group_size_factor',
+    factor_category: 'service',
+    weight: 15,
+    calculation_method: 'range',
+    value_mappings: { '8+': 15, '4-7': 10, '1-3': 0 },
+    description: 'Larger groups generate more revenue',
+    active: true
+  },
+  {
+    factor_name: 'repeat_customer',
+    factor_category: 'behavioral',
+    weight: 5,
+    calculation_method: 'boolean',
+    value_mappings: { true: 5, false: 0 },
+    description: 'Customer already has a converted inquiry',
+    active: true
+  }
+];
+
+// Factors the engine knows how to calculate, with the mapping keys each one reads
+const SUPPORTED_FACTORS = {
+  company_name_present: { calculation_method: 'exact_match', keys: ['present', 'absent'] },
+  service_type_priority: { calculation_method: 'exact_match', keys: ['corporate', 'airport', 'wedding', 'hourly', 'events'] },
+  budget_tier: { calculation_method: 'exact_match', keys: ['economy', 'premium', 'luxury'] },
+  estimated_value_tier: { calculation_method: 'range' },
+  geographic_proximity: { calculation_method: 'range' },
+  group_size_factor: { calculation_method: 'range' },
+  company_size_estimate: { calculation_method: 'range' },
+  timing_urgency: { calculation_method: 'calculation', keys: ['same_day', 'next_day', 'future'] },
+  contact_completeness: { calculation_method: 'calculation', keys: ['complete', 'mostly_complete', 'partial', 'minimal'] },
+  has_website: { calculation_method: 'boolean', keys: ['true', 'false'] },
+  repeat_customer: { calculation_method: 'boolean', keys: ['true', 'false'] },
+  weekend_submission: { calculation_method: 'boolean', keys: ['true', 'false'] }
+};
+
+const RANGE_PATTERN = /^(\d+(?:\.\d+)?)(?:-(\d+(?:\.\d+)?)|(\+))?$/;
+
+let factorCache = null;
 
 module.exports = (sequelize) => {
   const ScoringFactor = sequelize.define('ScoringFactor', {
@@ -78,6 +166,20 @@ module.exports = (sequelize) => {
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at',
+    validate: {
+      supportedConfiguration() {
+        const errors = ScoringFactor.validateConfiguration({
+          factor_name: this.factor_name,
+          calculation_method: this.calculation_method,
+          weight: this.weight,
+          value_mappings: this.getValueMappings()
+        });
+
+        if (errors.length > 0) {
+          throw new Error(errors.join('; '));
+        }
+      }
+    },
     indexes: [
       { fields: ['factor_name'], unique: true },
       { fields: ['factor_category'] },
@@ -90,24 +192,47 @@ module.exports = (sequelize) => {
   ScoringFactor.prototype.calculateScore = function(lead) {
     if (!this.active) return 0;
 
-    const mappings = this.value_mappings || {};
+    const mappings = this.getValueMappings();
+    let score;
 
     switch (this.calculation_method) {
       case 'exact_match':
-        return this.calculateExactMatch(lead, mappings);
+        score = this.calculateExactMatch(lead, mappings);
+        break;
 
       case 'range':
-        return this.calculateRange(lead, mappings);
+        score = this.calculateRange(lead, mappings);
+        break;
 
       case 'calculation':
-        return this.calculateDynamic(lead, mappings);
+        score = this.calculateDynamic(lead, mappings);
+        break;
 
       case 'boolean':
-        return this.calculateBoolean(lead, mappings);
+        score = this.calculateBoolean(lead, mappings);
+        break;
 
       default:
-        return 0;
+        score = 0;
+    }
+
+    // A factor can never contribute more than its weight
+    return Math.max(0, Math.min(Number(score) || 0, this.weight));
+  };
+
+  /**
+   * Value mappings as an object (older rows were seeded as JSON strings)
+   */
+  ScoringFactor.prototype.getValueMappings = function() {
+    if (typeof this.value_mappings === 'string') {
+      try {
+        return JSON.parse(this.value_mappings);
+      } catch (error) {
+        return {};
+      }
     }
+
+    return this.value_mappings || {};
   };
 
   ScoringFactor.prototype.calculateExactMatch = function(lead, mappings) {
@@ -138,11 +263,12 @@ module.exports = (sequelize) => {
 
     switch (this.factor_name) {
       case 'estimated_value_tier':
-        value = lead.estimated_value || 0;
+        value = parseFloat(lead.estimated_value) || 0;
         break;
 
       case 'geographic_proximity':
-        value = lead.distance_from_base || 999;
+        // Unknown distance scores like the farthest band
+        value = lead.distance_from_base != null ? parseFloat(lead.distance_from_base) : 999;
         break;
 
       case 'group_size_factor':
@@ -206,12 +332,12 @@ module.exports = (sequelize) => {
         break;
 
       case 'repeat_customer':
-        // This would need to be determined by checking if email exists in previous leads
-        condition = false; // Placeholder
+        // Set when the lead is linked to a customer with a converted inquiry
+        condition = !!lead.is_returning_client;
         break;
 
       case 'weekend_submission':
-        const submissionDate = new Date(lead.created_at);
+        const submissionDate = lead.created_at ? new Date(lead.created_at) : new Date();
         const dayOfWeek = submissionDate.getDay();
         condition = dayOfWeek === 0 || dayOfWeek === 6; // Sunday = 0, Saturday = 6
         break;
@@ -231,15 +357,29 @@ module.exports = (sequelize) => {
     }
 
     if (range.includes('-')) {
-      // Handle ranges like "500-999" or "0-25"
+      // Handle ranges like "500-999" or "0-25"; the band runs up to the next
+      // whole number so decimal values (25.5 miles, $499.50) are not orphaned
       const [min, max] = range.split('-').map(Number);
-      return value >= min && value <= max;
+      return value >= min && value < max + 1;
     }
 
     // Handle exact values
     return value === parseInt(range);
   };
 
+  // Hooks
+  ScoringFactor.beforeValidate((factor) => {
+    if (typeof factor.value_mappings === 'string') {
+      factor.value_mappings = factor.getValueMappings();
+    }
+  });
+
+  // Any factor change must reach the next lead that is scored
+  ScoringFactor.afterSave(() => ScoringFactor.clearCache());
+  ScoringFactor.afterDestroy(() => ScoringFactor.clearCache());
+  ScoringFactor.afterBulkUpdate(() => ScoringFactor.clearCache());
+  ScoringFactor.afterBulkDestroy(() => ScoringFactor.clearCache());
+
   // Define associations
   ScoringFactor.associate = (models) => {
     ScoringFactor.belongsTo(models.User, {
@@ -266,21 +406,42 @@ module.exports = (sequelize) => {
     });
   };
 
-  ScoringFactor.calculateLeadScore = async function(lead) {
-    const factors = await this.findActive();
-    let totalScore = 0;
+  /**
+   * Active factors from a short-lived cache, falling back to the built-in set
+   * when the table is empty or unreachable so leads are always scored
+   */
+  ScoringFactor.getActiveFactors = async function() {
+    if (factorCache && Date.now() - factorCache.loadedAt < FACTOR_CACHE_TTL_MS) {
+      return factorCache;
+    }
 
-    for (const factor of factors) {
-      const score = factor.calculateScore(lead);
-      totalScore += score;
+    let factors = [];
+
+    try {
+      factors = await this.findActive();
+    } catch (error) {
+      logger.error('Failed to load scoring factors, using defaults:', { error: error.message });
     }
 
-    // Cap at 100
-    return Math.min(totalScore, 100);
+    factorCache = factors.length > 0
+      ? { factors, source: 'factors', loadedAt: Date.now() }
+      : { factors: this.buildDefaultFactors(), source: 'defaults', loadedAt: Date.now() };
+
+    return factorCache;
   };
 
-  ScoringFactor.getScoreBreakdown = async function(lead) {
-    const factors = await this.findActive();
+  ScoringFactor.buildDefaultFactors = function() {
+    return DEFAULT_FACTORS.map(factor => this.build(factor));
+  };
+
+  ScoringFactor.clearCache = function() {
+    factorCache = null;
+  };
+
+  /**
+   * Score a lead against a given factor set (no database access)
+   */
+  ScoringFactor.scoreLead = function(lead, factors) {
     const breakdown = {
       total_score: 0,
       factors: []
@@ -302,72 +463,53 @@ module.exports = (sequelize) => {
     return breakdown;
   };
 
-  ScoringFactor.createDefaultFactors = async function() {
-    const defaultFactors = [
-      {
-        factor_name: 'company_name_present',
-        factor_category: 'company',
-        weight: 10,
-        calculation_method: 'exact_match',
-        value_mappings: { present: 10, absent: 0 },
-        description: 'Adds points if company name is provided',
-        active: true
-      },
-      {
-        factor_name: 'estimated_value_tier',
-        factor_category: 'service',
-        weight: 30,
-        calculation_method: 'range',
-        value_mappings: { '1000+': 30, '500-999': 20, '100-499': 10, '0-99': 5 },
-        description: 'Higher estimated values get more points',
-        active: true
-      },
-      {
-        factor_name: 'service_type_priority',
-        factor_category: 'service',
-        weight: 25,
-        calculation_method: 'exact_match',
-        value_mappings: {
-          corporate: 25,
-          airport: 20,
-          events: 15,
-          wedding: 15,
-          hourly: 10
-        },
-        description: 'Corporate bookings have highest priority',
-        active: true
-      },
-      {
-        factor_name: 'geographic_proximity',
-        factor_category: 'geographic',
-        weight: 15,
-        calculation_method: 'range',
-        value_mappings: { '0-25': 15, '26-50': 10, '51-100': 5, '100+': 0 },
-        description: 'Closer locations are prioritized',
-        active: true
-      },
-      {
-        factor_name: 'group_size_factor',
-        factor_category: 'service',
-        weight: 15,
-        calculation_method: 'range',
-        value_mappings: { '8+': 15, '4-7': 10, '2-3': 5, '1': 0 },
-        description: 'Larger groups generate more revenue',
-        active: true
-      },
-      {
-        factor_name: 'timing_urgency',
-        factor_category: 'timing',
-        weight: 5,
-        calculation_method: 'calculation',
-        value_mappings: { same_day: 5, next_day: 3, future: 1 },
-        description: 'Urgent bookings need immediate attention',
-        active: true
+  /**
+   * Score a lead with the live strategy - the single source for stored scores
+   *
+   * An active trained ScoringModel takes precedence; otherwise the factor set
+   * is used. A model that cannot be loaded or applied falls back to factors.
+   */
+  ScoringFactor.getScoreBreakdown = async function(lead) {
+    let model = null;
+
+    try {
+      model = await sequelize.models.ScoringModel.getActive();
+    } catch (error) {
+      logger.error('Failed to load active scoring model, using factors:', { error: error.message });
+    }
+
+    if (model && model.isUsable()) {
+      try {
+        return {
+          ...model.scoreBreakdown(lead),
+          strategy: 'model',
+          model_id: model.id,
+          model_version: model.version,
+          calculated_at: new Date().toISOString()
+        };
+      } catch (error) {
+        logger.error('Scoring model failed, using factors:', { modelId: model.id, error: error.message });
       }
-    ];
+    }
+
+    const { factors, source } = await this.getActiveFactors();
+
+    return {
+      ...this.scoreLead(lead, factors),
+      strategy: 'factors',
+      source,
+      calculated_at: new Date().toISOString()
+    };
+  };
+
+  ScoringFactor.calculateLeadScore = async function(lead) {
+    const breakdown = await this.getScoreBreakdown(lead);
+    return breakdown.total_score;
+  };
 
+  ScoringFactor.createDefaultFactors = async function() {
     const results = [];
-    for (const factor of defaultFactors) {
+    for (const factor of DEFAULT_FACTORS) {
       const [instance, created] = await this.findOrCreate({
         where: { factor_name: factor.factor_name },
         defaults: factor
@@ -378,5 +520,89 @@ module.exports = (sequelize) => {
     return results;
   };
 
+  /**
+   * Check a factor definition against what the engine can calculate
+   *
+   * Unknown factor names or mapping keys would silently score 0, and a
+   * mapping worth more than the weight would be capped, so both are rejected.
+   */
+  ScoringFactor.validateConfiguration = function({ factor_name, calculation_method, weight, value_mappings }) {
+    const supported = SUPPORTED_FACTORS[factor_name];
+
+    if (!supported) {
+      return [`Unsupported factor '${factor_name}' (supported: ${Object.keys(SUPPORTED_FACTORS).join(', ')})`];
+    }
+
+    if (supported.calculation_method !== calculation_method) {
+      return [`Factor '${factor_name}' must use calculation_method '${supported.calculation_method}'`];
+    }
+
+    const errors = [];
+    const mappings = value_mappings || {};
+
+    if (typeof mappings !== 'object' || Array.isArray(mappings) || Object.keys(mappings).length === 0) {
+      return ['value_mappings must be an object with at least one entry'];
+    }
+
+    for (const [key, score] of Object.entries(mappings)) {
+      if (typeof score !== 'number' || score < 0) {
+        errors.push(`Score for '${key}' must be a number of 0 or more`);
+      } else if (weight != null && score > weight) {
+        errors.push(`Score for '${key}' (${score}) exceeds the factor weight (${weight})`);
+      }
+    }
+
+    if (calculation_method === 'range') {
+      errors.push(...this.validateRanges(Object.keys(mappings)));
+    } else {
+      const unknownKeys = Object.keys(mappings).filter(key => !supported.keys.includes(key));
+      if (unknownKeys.length > 0) {
+        errors.push(`Unknown value_mappings keys for '${factor_name}': ${unknownKeys.join(', ')} (allowed: ${supported.keys.join(', ')})`);
+      }
+    }
+
+    return errors;
+  };
+
+  /**
+   * Range keys must parse ("0-25", "100+", "1") and must not overlap
+   */
+  ScoringFactor.validateRanges = function(ranges) {
+    const errors = [];
+    const bands = [];
+
+    for (const range of ranges) {
+      const match = RANGE_PATTERN.exec(range);
+
+      if (!match) {
+        errors.push(`Invalid range '${range}' (use "min-max", "min+" or a single number)`);
+        continue;
+      }
+
+      const min = parseFloat(match[1]);
+      const max = match[3] ? Infinity : match[2] !== undefined ? parseFloat(match[2]) : min;
+
+      if (max < min) {
+        errors.push(`Invalid range '${range}': max is below min`);
+        continue;
+      }
+
+      // Bands run up to the next whole number, matching valueInRange
+      bands.push({ range, min, end: max === Infinity ? Infinity : max + 1 });
+    }
+
+    bands.sort((a, b) => a.min - b.min);
+    for (let i = 1; i < bands.length; i++) {
+      if (bands[i].min < bands[i - 1].end) {
+        errors.push(`Ranges '${bands[i - 1].range}' and '${bands[i].range}' overlap`);
+      }
+    }
+
+    return errors;
+  };
+
+  ScoringFactor.DEFAULT_FACTORS = DEFAULT_FACTORS;
+  ScoringFactor.SUPPORTED_FACTORS = SUPPORTED_FACTORS;
+
   return ScoringFactor;
 };
\ No newline at end of file
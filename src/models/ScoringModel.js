@@ -0,0 +1,206 @@
+/**
+ * TNT Corporate Lead System - Scoring Model
+ *
+ * Versioned conversion-trained models that can replace factor scoring
+ */
+
+const { DataTypes } = require('sequelize');
+const logisticRegression = require('../utils/logisticRegression');
+const leadFeatures = require('../utils/leadFeatures');
+
+const MODEL_CACHE_TTL_MS = parseInt(process.env.SCORING_FACTOR_CACHE_TTL_MS) || 60 * 1000;
+
+let activeModelCache = null;
+
+module.exports = (sequelize) => {
+  const ScoringModel = sequelize.define('ScoringModel', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true
+    },
+    algorithm: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'logistic_regression'
+    },
+    status: {
+      type: DataTypes.ENUM('training', 'trained', 'failed'),
+      allowNull: false,
+      defaultValue: 'training'
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'At most one active model; when none is active leads are scored by factors'
+    },
+
+    // Learned parameters
+    feature_spec: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Numeric scaling and category vocabularies used to encode leads'
+    },
+    coefficients: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: '{ intercept, weights: { feature: weight } } in log-odds'
+    },
+
+    // Training run
+    training_params: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: {}
+    },
+    metrics: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: {}
+    },
+    error_message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    trained_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    activated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'scoring_models',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['version'], unique: true },
+      { fields: ['active'] }
+    ]
+  });
+
+  // Instance methods
+  ScoringModel.prototype.isUsable = function() {
+    return this.status === 'trained' && !!this.coefficients && !!this.feature_spec;
+  };
+
+  /**
+   * Score a lead and explain it with per-feature contributions (log-odds)
+   */
+  ScoringModel.prototype.scoreBreakdown = function(lead) {
+    const names = leadFeatures.featureNames(this.feature_spec);
+    const vector = leadFeatures.encode(lead, this.feature_spec);
+    const raw = leadFeatures.rawValues(lead);
+    const { intercept, weights } = this.coefficients;
+
+    const exact = names.map((name, i) => (weights[name] || 0) * vector[i]);
+    const logit = intercept + exact.reduce((sum, contribution) => sum + contribution, 0);
+
+    const contributions = names.map((name, i) => ({
+      name,
+      value: name.includes('=') ? 1 : raw[name],
+      weight: weights[name] || 0,
+      contribution: Math.round(exact[i] * 10000) / 10000
+    })).filter(feature => feature.contribution !== 0);
+
+    contributions.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+
+    const probability = logisticRegression.sigmoid(logit);
+
+    return {
+      total_score: Math.round(probability * 100),
+      conversion_probability: Math.round(probability * 10000) / 10000,
+      intercept,
+      factors: contributions
+    };
+  };
+
+  ScoringModel.prototype.toSummaryJSON = function() {
+    return {
+      id: this.id,
+      version: this.version,
+      algorithm: this.algorithm,
+      status: this.status,
+      active: this.active,
+      metrics: this.metrics,
+      training_params: this.training_params,
+      error_message: this.error_message,
+      trained_at: this.trained_at,
+      activated_at: this.activated_at,
+      created_by: this.created_by,
+      created_at: this.created_at
+    };
+  };
+
+  // Hooks
+  ScoringModel.beforeValidate(async (model) => {
+    if (model.isNewRecord && !model.version) {
+      model.version = ((await ScoringModel.max('version')) || 0) + 1;
+    }
+  });
+
+  ScoringModel.afterSave(() => ScoringModel.clearCache());
+  ScoringModel.afterBulkUpdate(() => ScoringModel.clearCache());
+
+  // Define associations
+  ScoringModel.associate = (models) => {
+    ScoringModel.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  // Class methods
+  /**
+   * The active model, cached like the scoring factors; null means factor scoring
+   */
+  ScoringModel.getActive = async function() {
+    if (activeModelCache && Date.now() - activeModelCache.loadedAt < MODEL_CACHE_TTL_MS) {
+      return activeModelCache.model;
+    }
+
+    const model = await this.findOne({ where: { active: true, status: 'trained' } });
+    activeModelCache = { model, loadedAt: Date.now() };
+
+    return model;
+  };
+
+  ScoringModel.clearCache = function() {
+    activeModelCache = null;
+  };
+
+  /**
+   * Make a trained model the scoring strategy (or pass null to go back to factors)
+   */
+  ScoringModel.activate = async function(model, options = {}) {
+    await this.update(
+      { active: false },
+      { where: { active: true }, transaction: options.transaction }
+    );
+
+    if (model) {
+      await model.update({ active: true, activated_at: new Date() }, { transaction: options.transaction });
+    }
+
+    this.clearCache();
+    return model;
+  };
+
+  return ScoringModel;
+};
\ No newline at end of file
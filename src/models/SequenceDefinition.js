@@ -0,0 +1,244 @@
+/**
+ * TNT Corporate Lead System - Sequence Definition Model
+ *
+ * Named follow-up email sequences and their ordered steps, which leads are
+ * enrolled in as EmailSequence records
+ */
+
+const { DataTypes } = require('sequelize');
+
+const MAX_STEPS = 10;
+
+const DAY = 24 * 60;
+const EVERY_DAY = { days: [0, 1, 2, 3, 4, 5, 6], start_hour: 8, end_hour: 20 };
+const WEEKDAYS = { days: [1, 2, 3, 4, 5], start_hour: 8, end_hour: 18 };
+
+// The instant response is sent before a lead is enrolled, so sequences start
+// with the first follow-up
+const DEFAULT_SEQUENCES = [
+  {
+    name: 'standard_follow_up',
+    display_name: 'Standard Follow-up',
+    steps: [
+      { template_name: 'follow_up_3day', delay_minutes: 3 * DAY, send_window: EVERY_DAY },
+      { template_name: 'follow_up_7day', delay_minutes: 4 * DAY, send_window: EVERY_DAY },
+      { template_name: 'follow_up_14day', delay_minutes: 7 * DAY, send_window: EVERY_DAY }
+    ]
+  },
+  {
+    name: 'high_value_follow_up',
+    display_name: 'High Value Follow-up',
+    steps: [
+      { template_name: 'follow_up_2hour', delay_minutes: 2 * 60, send_window: EVERY_DAY },
+      { template_name: 'follow_up_1day', delay_minutes: 22 * 60, send_window: EVERY_DAY },
+      { template_name: 'follow_up_3day', delay_minutes: 2 * DAY, send_window: EVERY_DAY }
+    ]
+  },
+  {
+    name: 'corporate_nurture',
+    display_name: 'Corporate Nurture',
+    steps: [
+      { template_name: 'corporate_follow_up', delay_minutes: 1 * DAY, send_window: WEEKDAYS },
+      { template_name: 'corporate_proposal', delay_minutes: 6 * DAY, send_window: WEEKDAYS },
+      { template_name: 'corporate_final', delay_minutes: 23 * DAY, send_window: WEEKDAYS }
+    ]
+  },
+  {
+    name: 'wedding_follow_up',
+    display_name: 'Wedding Follow-up',
+    steps: [
+      { template_name: 'wedding_follow_up', delay_minutes: 2 * DAY, send_window: EVERY_DAY },
+      { template_name: 'wedding_package', delay_minutes: 5 * DAY, send_window: EVERY_DAY },
+      { template_name: 'wedding_final', delay_minutes: 14 * DAY, send_window: EVERY_DAY }
+    ]
+  }
+];
+
+module.exports = (sequelize) => {
+  const SequenceDefinition = sequelize.define('SequenceDefinition', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    // Stored on enrolled sequences as sequence_name
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: /^[a-z][a-z0-9_]*$/
+      }
+    },
+    display_name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    // Inactive definitions enroll no new leads; running sequences carry on
+    active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'sequence_definitions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['name'], unique: true },
+      { fields: ['active'] }
+    ]
+  });
+
+  SequenceDefinition.MAX_STEPS = MAX_STEPS;
+  SequenceDefinition.DEFAULT_SEQUENCES = DEFAULT_SEQUENCES;
+
+  function withSteps(options = {}) {
+    return {
+      ...options,
+      include: [{ model: sequelize.models.SequenceStep, as: 'steps' }],
+      order: [...(options.order || []), [{ model: sequelize.models.SequenceStep, as: 'steps' }, 'step_number', 'ASC']]
+    };
+  }
+
+  // Instance methods
+
+  /**
+   * Replace all steps, numbering them in the order given
+   */
+  SequenceDefinition.prototype.replaceSteps = async function(steps, { transaction } = {}) {
+    const { SequenceStep } = sequelize.models;
+
+    await SequenceStep.destroy({ where: { sequence_definition_id: this.id }, transaction });
+
+    this.steps = await SequenceStep.bulkCreate(
+      steps.map((step, i) => ({
+        ...step,
+        sequence_definition_id: this.id,
+        step_number: i + 1
+      })),
+      { validate: true, transaction }
+    );
+
+    return this.steps;
+  };
+
+  SequenceDefinition.prototype.toSummaryJSON = function() {
+    return {
+      definition_id: this.id,
+      name: this.name,
+      display_name: this.display_name,
+      description: this.description,
+      active: this.active,
+      steps: (this.steps || []).map(step => step.toSummaryJSON()),
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  };
+
+  // Define associations
+  SequenceDefinition.associate = (models) => {
+    SequenceDefinition.hasMany(models.SequenceStep, {
+      foreignKey: 'sequence_definition_id',
+      as: 'steps',
+      onDelete: 'CASCADE'
+    });
+
+    SequenceDefinition.hasMany(models.EmailSequence, {
+      foreignKey: 'sequence_definition_id',
+      as: 'enrolments'
+    });
+
+    SequenceDefinition.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  // Class methods
+  SequenceDefinition.findAllWithSteps = function(where = {}) {
+    return this.findAll(withSteps({ where, order: [['name', 'ASC']] }));
+  };
+
+  SequenceDefinition.findByPkWithSteps = function(id, options = {}) {
+    return this.findByPk(id, withSteps(options));
+  };
+
+  SequenceDefinition.findByNameWithSteps = function(name) {
+    return this.findOne(withSteps({ where: { name } }));
+  };
+
+  SequenceDefinition.findActiveByName = function(name) {
+    return this.findOne(withSteps({ where: { name, active: true } }));
+  };
+
+  /**
+   * Template names that are not an active AutomatedResponse
+   */
+  SequenceDefinition.findMissingTemplates = async function(templateNames) {
+    const names = [...new Set(templateNames)];
+    if (names.length === 0) return [];
+
+    const templates = await sequelize.models.AutomatedResponse.findAll({
+      where: { template_name: { [sequelize.Sequelize.Op.in]: names }, active: true },
+      attributes: ['template_name']
+    });
+    const found = new Set(templates.map(template => template.template_name));
+
+    return names.filter(name => !found.has(name));
+  };
+
+  /**
+   * Names of active definitions with a step that sends the template
+   */
+  SequenceDefinition.findUsingTemplate = async function(templateName) {
+    const definitions = await this.findAll({
+      where: { active: true },
+      attributes: ['name'],
+      include: [{
+        model: sequelize.models.SequenceStep,
+        as: 'steps',
+        attributes: [],
+        where: { template_name: templateName }
+      }]
+    });
+
+    return [...new Set(definitions.map(definition => definition.name))];
+  };
+
+  SequenceDefinition.createDefaultSequences = async function() {
+    const results = [];
+    for (const { steps, ...sequence } of DEFAULT_SEQUENCES) {
+      const [instance, created] = await this.findOrCreate({
+        where: { name: sequence.name },
+        defaults: sequence
+      });
+
+      if (created) {
+        await instance.replaceSteps(steps);
+      }
+      results.push({ instance, created });
+    }
+
+    return results;
+  };
+
+  return SequenceDefinition;
+};
\ No newline at end of file
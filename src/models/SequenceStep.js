@@ -0,0 +1,156 @@
+/**
+ * TNT Corporate Lead System - Sequence Step Model
+ *
+ * One email in a sequence definition: which template, how long after the
+ * previous step, when it may be sent, and what ends the sequence before it
+ */
+
+const { DataTypes } = require('sequelize');
+const { validateSendWindow, isWithinSendWindow, nextSendTime } = require('../utils/sendWindow');
+
+const LEAD_STATUSES = ['new', 'contacted', 'qualified', 'converted', 'lost'];
+const DEFAULT_EXIT_CONDITIONS = { lead_statuses: ['converted', 'lost'], on_response: true };
+
+// How far back a customer response pauses the sequence
+const RESPONSE_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+module.exports = (sequelize) => {
+  const SequenceStep = sequelize.define('SequenceStep', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    sequence_definition_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'sequence_definitions',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    step_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1,
+        max: 10
+      }
+    },
+
+    // AutomatedResponse.template_name
+    template_name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    delay_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      },
+      comment: 'After the previous step was sent; step 1 counts from enrolment'
+    },
+    send_window: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: '{ days, start_hour, end_hour, timezone } - null sends at any time',
+      validate: {
+        isValidWindow(window) {
+          if (window === null) return;
+          const errors = validateSendWindow(window);
+          if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+          }
+        }
+      }
+    },
+    exit_conditions: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: DEFAULT_EXIT_CONDITIONS,
+      comment: '{ lead_statuses, on_response } - checked before the step is sent'
+    }
+  }, {
+    tableName: 'sequence_steps',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['sequence_definition_id', 'step_number'], unique: true },
+      { fields: ['template_name'] }
+    ]
+  });
+
+  SequenceStep.LEAD_STATUSES = LEAD_STATUSES;
+  SequenceStep.DEFAULT_EXIT_CONDITIONS = DEFAULT_EXIT_CONDITIONS;
+
+  // Instance methods
+
+  /**
+   * When the step goes out if scheduled now: after its delay, inside its window
+   */
+  SequenceStep.prototype.getSendTime = function(from = new Date()) {
+    return nextSendTime(this.send_window, new Date(from.getTime() + this.delay_minutes * 60 * 1000));
+  };
+
+  SequenceStep.prototype.isWithinSendWindow = function(date = new Date()) {
+    return isWithinSendWindow(this.send_window, date);
+  };
+
+  /**
+   * Why the sequence should stop instead of sending this step, or null
+   *
+   * 'lead_closed' ends the sequence; 'customer_responded' pauses it so it
+   * can be resumed.
+   */
+  SequenceStep.prototype.getExitReason = async function(lead) {
+    const conditions = this.exit_conditions || {};
+
+    if ((conditions.lead_statuses || []).includes(lead.status)) {
+      return 'lead_closed';
+    }
+
+    if (conditions.on_response) {
+      const responses = await sequelize.models.LeadInteraction.count({
+        where: {
+          lead_id: lead.id,
+          response_received: true,
+          created_at: { [sequelize.Sequelize.Op.gte]: new Date(Date.now() - RESPONSE_LOOKBACK_MS) }
+        }
+      });
+
+      if (responses > 0) {
+        return 'customer_responded';
+      }
+    }
+
+    return null;
+  };
+
+  SequenceStep.prototype.toSummaryJSON = function() {
+    return {
+      step_number: this.step_number,
+      template_name: this.template_name,
+      delay_minutes: this.delay_minutes,
+      send_window: this.send_window,
+      exit_conditions: this.exit_conditions
+    };
+  };
+
+  // Define associations
+  SequenceStep.associate = (models) => {
+    SequenceStep.belongsTo(models.SequenceDefinition, {
+      foreignKey: 'sequence_definition_id',
+      as: 'definition'
+    });
+  };
+
+  return SequenceStep;
+};
\ No newline at end of file
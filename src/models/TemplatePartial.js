@@ -0,0 +1,206 @@
+/**
+ * TNT Corporate Lead System - Template Partial Model
+ *
+ * Shared snippets such as the signature and footer that email templates
+ * include with {{> name}}
+ */
+
+const { DataTypes } = require('sequelize');
+const { validateTemplate, templateReferences } = require('../utils/templateEngine');
+const { TEMPLATE_VARIABLES } = require('../utils/templateContext');
+
+const DEFAULT_PARTIALS = [
+  {
+    name: 'signature',
+    description: 'Sign-off, with the assigned rep when there is one',
+    content: `{{#if rep}}{{rep.name}}
+{{/if}}TNT Limousine
+(804) 353-8080`,
+    html_content: '<p>{{#if rep}}{{rep.name}}<br>{{/if}}TNT Limousine<br>(804) 353-8080</p>'
+  },
+  {
+    name: 'footer',
+    description: 'Company details and why the customer is receiving the email',
+    content: `TNT Limousine - Richmond, VA - (804) 353-8080
+You are receiving this email because you asked TNT Limousine about transportation. Reply to let us know if you would rather not hear from us.`,
+    html_content: `<p style="font-size: 12px; color: #666666;">TNT Limousine &middot; Richmond, VA &middot; (804) 353-8080<br>
+You are receiving this email because you asked TNT Limousine about transportation. Reply to let us know if you would rather not hear from us.</p>`
+  }
+];
+
+module.exports = (sequelize) => {
+  /**
+   * Partials may include other partials, but never themselves
+   */
+  async function assertValidPartial(source) {
+    if (source === null || source === undefined) return;
+
+    const errors = await TemplatePartial.findTemplateErrors(source, { partialName: this.name });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+  }
+
+  const TemplatePartial = sequelize.define('TemplatePartial', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    // Included as {{> name}}
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: /^[a-z][a-z0-9_]*$/
+      }
+    },
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    content: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        isValidPartial: assertValidPartial
+      }
+    },
+    // Used in HTML bodies; content is used when there is none
+    html_content: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      validate: {
+        isValidPartial: assertValidPartial
+      }
+    },
+
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'template_partials',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { fields: ['name'], unique: true }
+    ]
+  });
+
+  TemplatePartial.DEFAULT_PARTIALS = DEFAULT_PARTIALS;
+
+  // Instance methods
+  TemplatePartial.prototype.toSummaryJSON = function() {
+    return {
+      partial_id: this.id,
+      name: this.name,
+      description: this.description,
+      content: this.content,
+      html_content: this.html_content,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  };
+
+  // Define associations
+  TemplatePartial.associate = (models) => {
+    TemplatePartial.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  // Class methods
+  /**
+   * Problems with template or partial source: syntax, filters, unknown
+   * variables and partials, and - for a partial - including itself
+   */
+  TemplatePartial.findTemplateErrors = async function(source, { partialName = null } = {}) {
+    const partials = await this.findAll({ attributes: ['name', 'content', 'html_content'] });
+    const names = partials.map(partial => partial.name).filter(name => name !== partialName);
+
+    const errors = validateTemplate(source, { variables: TEMPLATE_VARIABLES, partials: names });
+    if (errors.length > 0 || !partialName) return errors;
+
+    // Follow includes from this partial; reaching it again would recurse forever
+    const includes = new Map(partials.map(partial => [
+      partial.name,
+      [partial.content, partial.html_content].flatMap(text => templateReferences(text).partials)
+    ]));
+    const seen = new Set();
+    const pending = templateReferences(source).partials;
+
+    while (pending.length > 0) {
+      const name = pending.pop();
+      if (name === partialName) {
+        return [`{{> ${partialName}}} ends up including itself`];
+      }
+      if (!seen.has(name)) {
+        seen.add(name);
+        pending.push(...(includes.get(name) || []));
+      }
+    }
+
+    return [];
+  };
+
+  /**
+   * Partial sources by name, for text bodies and for HTML bodies
+   */
+  TemplatePartial.loadForRendering = async function() {
+    const partials = await this.findAll({ attributes: ['name', 'content', 'html_content'] });
+
+    return {
+      text: Object.fromEntries(partials.map(partial => [partial.name, partial.content])),
+      html: Object.fromEntries(partials.map(partial => [partial.name, partial.html_content || partial.content]))
+    };
+  };
+
+  /**
+   * Names of templates and other partials that include the partial
+   */
+  TemplatePartial.findUsedBy = async function(name) {
+    const includes = text => templateReferences(text).partials.includes(name);
+
+    const templates = await sequelize.models.AutomatedResponse.findAll({
+      attributes: ['template_name', 'subject_line', 'content', 'html_content']
+    });
+    const partials = await this.findAll({
+      where: { name: { [sequelize.Sequelize.Op.ne]: name } },
+      attributes: ['name', 'content', 'html_content']
+    });
+
+    return {
+      templates: templates
+        .filter(template => [template.subject_line, template.content, template.html_content].some(includes))
+        .map(template => template.template_name),
+      partials: partials
+        .filter(partial => [partial.content, partial.html_content].some(includes))
+        .map(partial => partial.name)
+    };
+  };
+
+  TemplatePartial.createDefaultPartials = async function() {
+    const results = [];
+    for (const partial of DEFAULT_PARTIALS) {
+      const [instance, created] = await this.findOrCreate({
+        where: { name: partial.name },
+        defaults: partial
+      });
+      results.push({ instance, created });
+    }
+
+    return results;
+  };
+
+  return TemplatePartial;
+};
\ No newline at end of file
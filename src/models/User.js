@@ -6,6 +6,19 @@
 
 const { DataTypes } = require('sequelize');
 const bcrypt = require('bcrypt');
+const { mentionHandle } = require('../utils/mentions');
+
+// Preferences a user has not set fall back to these; types added later
+// are missing from the preferences stored before them
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+  email: true,
+  sms: false,
+  slack: false,
+  high_value_leads: true,
+  response_time_alerts: true,
+  task_reminders: true,
+  mentions: true
+};
 
 module.exports = (sequelize) => {
   const User = sequelize.define('User', {
@@ -52,6 +65,11 @@ module.exports = (sequelize) => {
         is: /^\+?[1-9]\d{1,14}$/
       }
     },
+    slack_user_id: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Slack member ID for direct messages, e.g. U024BE7LH'
+    },
 
     // Role & Permissions
     role: {
@@ -59,7 +77,7 @@ module.exports = (sequelize) => {
       allowNull: false,
       defaultValue: 'dispatcher',
       validate: {
-        isIn: [['admin', 'manager', 'dispatcher']]
+        isIn: [['admin', 'manager', 'dispatcher', 'sales']]
       }
     },
     permissions: {
@@ -77,20 +95,33 @@ module.exports = (sequelize) => {
     notification_preferences: {
       type: DataTypes.JSONB,
       allowNull: true,
-      defaultValue: {
-        email: true,
-        sms: false,
-        slack: false,
-        high_value_leads: true,
-        response_time_alerts: true
-      }
+      defaultValue: DEFAULT_NOTIFICATION_PREFERENCES
     },
+    // Dashboard settings; saved_views holds the user's saved lead views
     dashboard_config: {
       type: DataTypes.JSONB,
       allowNull: true,
       defaultValue: {}
     },
 
+    // Lead Assignment
+    assignment_profile: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: {
+        accepting_leads: true,
+        max_open_leads: 25,
+        weight: 1,
+        service_types: [],
+        service_areas: []
+      },
+      comment: 'Capacity, specialties and territories used by lead assignment strategies'
+    },
+    last_lead_assigned_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
     // Status
     active: {
       type: DataTypes.BOOLEAN,
@@ -138,6 +169,58 @@ module.exports = (sequelize) => {
     ]
   });
 
+  // Permission catalog: every resource/action pair checked by requirePermission
+  User.PERMISSION_CATALOG = {
+    leads: ['create', 'read', 'update', 'delete', 'assign', 'export'],
+    automation: ['read', 'create', 'update', 'execute'],
+    analytics: ['access'],
+    integrations: ['read', 'execute', 'manage'],
+    users: ['read', 'create', 'update', 'delete'],
+    settings: ['manage']
+  };
+
+  // Role presets applied when a user is created or their role changes
+  User.ROLE_PRESETS = {
+    admin: {
+      description: 'Full system access including user and settings management',
+      grants: 'all'
+    },
+    manager: {
+      description: 'Runs the sales floor: all lead actions, automation, analytics and team management',
+      grants: {
+        leads: ['create', 'read', 'update', 'delete', 'assign', 'export'],
+        automation: ['read', 'create', 'update', 'execute'],
+        analytics: ['access'],
+        integrations: ['read', 'execute'],
+        users: ['read', 'create', 'update']
+      }
+    },
+    dispatcher: {
+      description: 'Works incoming leads and triggers automation workflows',
+      grants: {
+        leads: ['create', 'read', 'update', 'assign'],
+        automation: ['read', 'execute'],
+        analytics: ['access'],
+        integrations: ['read']
+      }
+    },
+    sales: {
+      description: 'Follows up on assigned leads',
+      grants: {
+        leads: ['create', 'read', 'update'],
+        automation: ['read'],
+        analytics: ['access']
+      }
+    }
+  };
+
+  User.DEFAULT_NOTIFICATION_PREFERENCES = DEFAULT_NOTIFICATION_PREFERENCES;
+
+  User.ROLES = Object.keys(User.ROLE_PRESETS);
+
+  // Roles that receive leads from the assignment engine
+  User.ASSIGNABLE_ROLES = ['sales', 'dispatcher'];
+
   // Instance methods
   User.prototype.validatePassword = async function(password) {
     return bcrypt.compare(password, this.password_hash);
@@ -198,9 +281,65 @@ module.exports = (sequelize) => {
     return `${this.first_name} ${this.last_name}`;
   };
 
+  // @handle that mentions this user in lead notes
+  User.prototype.getMentionHandle = function() {
+    return mentionHandle(this.email);
+  };
+
+  User.prototype.getNotificationPreferences = function() {
+    return {
+      ...DEFAULT_NOTIFICATION_PREFERENCES,
+      ...(this.notification_preferences || {})
+    };
+  };
+
   User.prototype.shouldReceiveNotification = function(notificationType) {
-    const prefs = this.notification_preferences || {};
-    return prefs[notificationType] === true;
+    return this.getNotificationPreferences()[notificationType] === true;
+  };
+
+  User.prototype.getSavedViews = function() {
+    return (this.dashboard_config || {}).saved_views || [];
+  };
+
+  User.prototype.setSavedViews = function(views) {
+    this.dashboard_config = { ...(this.dashboard_config || {}), saved_views: views };
+  };
+
+  User.prototype.getAssignmentProfile = function() {
+    return {
+      accepting_leads: true,
+      max_open_leads: 25,
+      weight: 1,
+      service_types: [],
+      service_areas: [],
+      ...(this.assignment_profile || {})
+    };
+  };
+
+  User.prototype.toProfileJSON = function() {
+    return {
+      id: this.id,
+      email: this.email,
+      first_name: this.first_name,
+      last_name: this.last_name,
+      full_name: this.getFullName(),
+      phone: this.phone,
+      slack_user_id: this.slack_user_id,
+      mention_handle: this.getMentionHandle(),
+      role: this.role,
+      permissions: this.permissions || {},
+      timezone: this.timezone,
+      notification_preferences: this.notification_preferences || {},
+      assignment_profile: this.getAssignmentProfile(),
+      last_lead_assigned_at: this.last_lead_assigned_at,
+      active: this.active,
+      email_verified: this.email_verified,
+      locked: !!this.isLocked(),
+      locked_until: this.isLocked() ? this.locked_until : null,
+      last_login: this.last_login,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
   };
 
   // Hooks
@@ -228,6 +367,11 @@ module.exports = (sequelize) => {
       as: 'created_templates'
     });
 
+    User.hasMany(models.Lead, {
+      foreignKey: 'assigned_to',
+      as: 'assigned_leads'
+    });
+
     User.hasMany(models.Notification, {
       foreignKey: 'recipient_user_ids',
       as: 'notifications'
@@ -235,12 +379,74 @@ module.exports = (sequelize) => {
   };
 
   // Class methods
+  User.permissionsForRole = function(role) {
+    const preset = this.ROLE_PRESETS[role];
+    if (!preset) return {};
+
+    const grants = preset.grants === 'all' ? this.PERMISSION_CATALOG : preset.grants;
+    const permissions = {};
+
+    for (const [resource, actions] of Object.entries(this.PERMISSION_CATALOG)) {
+      permissions[resource] = {};
+      for (const action of actions) {
+        permissions[resource][action] = (grants[resource] || []).includes(action);
+      }
+    }
+
+    return permissions;
+  };
+
+  User.validatePermissions = function(permissions) {
+    const errors = [];
+
+    for (const [resource, actions] of Object.entries(permissions || {})) {
+      const knownActions = this.PERMISSION_CATALOG[resource];
+
+      if (!knownActions) {
+        errors.push(`Unknown permission resource '${resource}'`);
+        continue;
+      }
+
+      for (const action of Object.keys(actions || {})) {
+        if (!knownActions.includes(action)) {
+          errors.push(`Unknown action '${action}' for resource '${resource}' (allowed: ${knownActions.join(', ')})`);
+        }
+      }
+    }
+
+    return errors;
+  };
+
+  // Compared lowercase, so accounts saved before emails were lowercased still match
   User.findByEmail = function(email) {
     return this.findOne({
-      where: { email: email.toLowerCase() }
+      where: sequelize.where(sequelize.fn('lower', sequelize.col('email')), email.toLowerCase())
     });
   };
 
+  /**
+   * Saved views a user can use - their own and every shared view - each
+   * with the user that owns it
+   */
+  User.findVisibleViews = async function(userId) {
+    const { Op } = sequelize.Sequelize;
+    const sharedViews = sequelize.literal(`"User"."dashboard_config"->'saved_views' @> '[{"shared": true}]'`);
+
+    const owners = await this.findAll({
+      where: { [Op.or]: [...(userId ? [{ id: userId }] : []), sharedViews] },
+      attributes: ['id', 'first_name', 'last_name', 'dashboard_config']
+    });
+
+    return owners.flatMap(owner => owner.getSavedViews()
+      .filter(view => view.shared || owner.id === userId)
+      .map(view => ({ view, owner })));
+  };
+
+  User.findVisibleView = async function(viewId, userId) {
+    const views = await this.findVisibleViews(userId);
+    return views.find(({ view }) => view.id === viewId) || null;
+  };
+
   User.findActive = function() {
     return this.findAll({
       where: { active: true },
@@ -248,6 +454,18 @@ module.exports = (sequelize) => {
     });
   };
 
+  User.findAssignable = async function() {
+    const users = await this.findAll({
+      where: {
+        role: { [sequelize.Sequelize.Op.in]: this.ASSIGNABLE_ROLES },
+        active: true
+      },
+      order: [['created_at', 'ASC']]
+    });
+
+    return users.filter(user => user.getAssignmentProfile().accepting_leads);
+  };
+
   User.findByRole = function(role) {
     return this.findAll({
       where: { role, active: true },
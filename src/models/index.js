@@ -9,28 +9,58 @@ const logger = require('../utils/logger');
 
 // Import all models
 const Lead = require('./Lead');
+const Customer = require('./Customer');
+const LeadMerge = require('./LeadMerge');
+const LeadImport = require('./LeadImport');
+const LeadExport = require('./LeadExport');
+const LeadEvent = require('./LeadEvent');
 const LeadInteraction = require('./LeadInteraction');
+const LeadTask = require('./LeadTask');
+const LeadNote = require('./LeadNote');
 const AutomatedResponse = require('./AutomatedResponse');
 const EmailSequence = require('./EmailSequence');
+const SequenceDefinition = require('./SequenceDefinition');
+const SequenceStep = require('./SequenceStep');
+const TemplatePartial = require('./TemplatePartial');
 const ExternalIntegration = require('./ExternalIntegration');
 const WebhookLog = require('./WebhookLog');
 const DailyMetric = require('./DailyMetric');
 const ScoringFactor = require('./ScoringFactor');
+const ScoringModel = require('./ScoringModel');
 const Notification = require('./Notification');
 const User = require('./User');
+const RefreshToken = require('./RefreshToken');
+const ApiKey = require('./ApiKey');
+const EscalationPolicy = require('./EscalationPolicy');
+const LostReason = require('./LostReason');
 
 // Initialize models with sequelize instance
 const models = {
   Lead: Lead(sequelize),
+  Customer: Customer(sequelize),
+  LeadMerge: LeadMerge(sequelize),
+  LeadImport: LeadImport(sequelize),
+  LeadExport: LeadExport(sequelize),
+  LeadEvent: LeadEvent(sequelize),
   LeadInteraction: LeadInteraction(sequelize),
+  LeadTask: LeadTask(sequelize),
+  LeadNote: LeadNote(sequelize),
   AutomatedResponse: AutomatedResponse(sequelize),
   EmailSequence: EmailSequence(sequelize),
+  SequenceDefinition: SequenceDefinition(sequelize),
+  SequenceStep: SequenceStep(sequelize),
+  TemplatePartial: TemplatePartial(sequelize),
   ExternalIntegration: ExternalIntegration(sequelize),
   WebhookLog: WebhookLog(sequelize),
   DailyMetric: DailyMetric(sequelize),
   ScoringFactor: ScoringFactor(sequelize),
+  ScoringModel: ScoringModel(sequelize),
   Notification: Notification(sequelize),
-  User: User(sequelize)
+  User: User(sequelize),
+  RefreshToken: RefreshToken(sequelize),
+  ApiKey: ApiKey(sequelize),
+  EscalationPolicy: EscalationPolicy(sequelize),
+  LostReason: LostReason(sequelize)
 };
 
 // Define associations
@@ -50,6 +80,9 @@ async function initializeDatabase() {
   try {
     logger.info('🔄 Initializing database with default data...');
 
+    // Create the shared partials templates include, before the templates
+    await models.TemplatePartial.createDefaultPartials();
+
     // Create default automated response templates
     const defaultTemplates = [
       {
@@ -66,11 +99,11 @@ TNT Limousine has been Richmond's premier transportation provider since 1992, se
 - Trust Analytica Top 10 Richmond limousine company
 
 Your estimated service details:
-- Service Type: {{service_type}}
-- Date: {{service_date}}
-- Estimated Value: ${{estimated_value}}
+- Service Type: {{service_type | title}}
+- Date: {{service_date | date | default:"To be confirmed"}}
+- Estimated Value: {{estimated_value | currency | default:"To be quoted"}}
 
-We will contact you shortly at {{phone}} to discuss your requirements and provide detailed pricing.
+We will contact you shortly{{#if phone}} at {{phone}}{{/if}} to discuss your requirements and provide detailed pricing.
 
 Best regards,
 TNT Limousine Team
@@ -114,62 +147,31 @@ Richmond, VA`,
       });
     }
 
+    // Create follow-up templates and the sequences that send them
+    await models.AutomatedResponse.createDefaultFollowUpTemplates();
+    await models.SequenceDefinition.createDefaultSequences();
+
     // Create default scoring factors
-    const defaultScoringFactors = [
-      {
-        factor_name: 'company_name_present',
-        factor_category: 'company',
-        weight: 10,
-        calculation_method: 'exact_match',
-        value_mappings: JSON.stringify({ present: 10, absent: 0 }),
-        active: true
-      },
-      {
-        factor_name: 'estimated_value_tier',
-        factor_category: 'service',
-        weight: 30,
-        calculation_method: 'range',
-        value_mappings: JSON.stringify({ '1000+': 30, '500-999': 20, '0-499': 10 }),
-        active: true
-      },
-      {
-        factor_name: 'service_type_priority',
-        factor_category: 'service',
-        weight: 25,
-        calculation_method: 'exact_match',
-        value_mappings: JSON.stringify({
-          corporate: 25,
-          airport: 20,
-          events: 15,
-          wedding: 15,
-          hourly: 10
-        }),
-        active: true
-      },
-      {
-        factor_name: 'geographic_proximity',
-        factor_category: 'geographic',
-        weight: 15,
-        calculation_method: 'range',
-        value_mappings: JSON.stringify({ '0-25': 15, '26-50': 10, '51-100': 5, '100+': 0 }),
-        active: true
-      },
-      {
-        factor_name: 'group_size_factor',
-        factor_category: 'service',
-        weight: 15,
-        calculation_method: 'range',
-        value_mappings: JSON.stringify({ '8+': 15, '4-7': 10, '1-3': 5 }),
+    await models.ScoringFactor.createDefaultFactors();
+
+    // Create default lost reason taxonomy
+    await models.LostReason.createDefaultReasons();
+
+    // Create default response-time escalation ladder
+    await models.EscalationPolicy.findOrCreate({
+      where: { name: 'standard_response_sla' },
+      defaults: {
+        name: 'standard_response_sla',
+        description: 'Rep at 5 minutes, dispatch at 10, managers at 30 while a lead is still new',
+        is_default: true,
+        steps: [
+          { delay_minutes: 5, channel: 'email', recipient_group: 'assigned_rep' },
+          { delay_minutes: 10, channel: 'slack', recipient_group: 'dispatchers' },
+          { delay_minutes: 30, channel: 'sms', recipient_group: 'managers' }
+        ],
         active: true
       }
-    ];
-
-    for (const factor of defaultScoringFactors) {
-      await models.ScoringFactor.findOrCreate({
-        where: { factor_name: factor.factor_name },
-        defaults: factor
-      });
-    }
+    });
 
     // Create default admin user
     const bcrypt = require('bcrypt');
@@ -183,11 +185,7 @@ Richmond, VA`,
         first_name: 'System',
         last_name: 'Administrator',
         role: 'admin',
-        permissions: JSON.stringify({
-          leads: { create: true, read: true, update: true, delete: true },
-          analytics: { access: true },
-          settings: { manage: true }
-        }),
+        permissions: models.User.permissionsForRole('admin'),
         active: true,
         email_verified: true
       }
@@ -222,6 +220,12 @@ Richmond, VA`,
       });
     }
 
+    // Index leads captured before full-text search existed
+    const indexedLeads = await models.Lead.refreshSearchVectors();
+    if (indexedLeads > 0) {
+      logger.info('Built search vectors for existing leads:', { indexedLeads });
+    }
+
     logger.info('✅ Database initialized with default data');
   } catch (error) {
     logger.error('❌ Error initializing database:', error);
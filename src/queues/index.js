@@ -13,6 +13,7 @@ let emailQueue;
 let notificationQueue;
 let integrationQueue;
 let analyticsQueue;
+let dataTransferQueue;
 
 // Redis connection
 let redisClient;
@@ -79,12 +80,15 @@ async function initializeQueues() {
     emailQueue.process('instant_response', 10, require('./processors/emailProcessor').processInstantResponse);
     emailQueue.process('follow_up', 5, require('./processors/emailProcessor').processFollowUp);
     emailQueue.process('sequence_step', 5, require('./processors/emailProcessor').processSequenceStep);
+    emailQueue.process('process_sequences', 1, require('./processors/emailProcessor').processSequenceDispatch);
 
     // Notification queue for manager alerts
     notificationQueue = new Bull('notifications', queueConfig);
     notificationQueue.process('high_value_alert', 10, require('./processors/notificationProcessor').processHighValueAlert);
     notificationQueue.process('response_time_alert', 10, require('./processors/notificationProcessor').processResponseTimeAlert);
     notificationQueue.process('slack_notification', 5, require('./processors/notificationProcessor').processSlackNotification);
+    notificationQueue.process('task_reminders', 1, require('./processors/notificationProcessor').processTaskReminders);
+    notificationQueue.process('note_mention', 5, require('./processors/notificationProcessor').processNoteMention);
 
     // Integration sync queue
     integrationQueue = new Bull('integrations', queueConfig);
@@ -96,6 +100,14 @@ async function initializeQueues() {
     analyticsQueue = new Bull('analytics', queueConfig);
     analyticsQueue.process('daily_metrics', 1, require('./processors/analyticsProcessor').processDailyMetrics);
     analyticsQueue.process('response_time_metrics', 1, require('./processors/analyticsProcessor').processResponseTimeMetrics);
+    analyticsQueue.process('lead_rescore', 1, require('./processors/analyticsProcessor').processLeadRescore);
+    analyticsQueue.process('scoring_model_training', 1, require('./processors/analyticsProcessor').processScoringModelTraining);
+
+    // Bulk lead import/export queue
+    dataTransferQueue = new Bull('data transfer', queueConfig);
+    dataTransferQueue.process('lead_import', 1, require('./processors/dataTransferProcessor').processLeadImport);
+    dataTransferQueue.process('lead_export', 1, require('./processors/dataTransferProcessor').processLeadExport);
+    dataTransferQueue.process('export_cleanup', 1, require('./processors/dataTransferProcessor').cleanupLeadExports);
 
     // Queue event handlers
     setupQueueEventHandlers();
@@ -103,6 +115,10 @@ async function initializeQueues() {
     // Schedule recurring jobs
     await scheduleRecurringJobs();
 
+    // Repeat jobs missed while no worker was running are not replayed, so
+    // pick up sequence steps that came due in the meantime
+    await addSequenceDispatchJob({ recovery: true });
+
     logger.info('✅ All background queues initialized successfully');
 
   } catch (error) {
@@ -119,7 +135,8 @@ function setupQueueEventHandlers() {
     { name: 'email', queue: emailQueue },
     { name: 'notification', queue: notificationQueue },
     { name: 'integration', queue: integrationQueue },
-    { name: 'analytics', queue: analyticsQueue }
+    { name: 'analytics', queue: analyticsQueue },
+    { name: 'data_transfer', queue: dataTransferQueue }
   ];
 
   queues.forEach(({ name, queue }) => {
@@ -184,6 +201,20 @@ async function scheduleRecurringJobs() {
     removeOnFail: 3
   });
 
+  // Lead task and callback reminders (every minute)
+  await notificationQueue.add('task_reminders', {}, {
+    repeat: { cron: '* * * * *' },
+    removeOnComplete: 10,
+    removeOnFail: 3
+  });
+
+  // Expired lead export cleanup (hourly)
+  await dataTransferQueue.add('export_cleanup', {}, {
+    repeat: { cron: '0 * * * *' },
+    removeOnComplete: 5,
+    removeOnFail: 2
+  });
+
   logger.info('✅ Recurring jobs scheduled successfully');
 }
 
@@ -220,17 +251,40 @@ async function addFollowUpEmailJob(leadId, delayMinutes = 0, templateName = null
 
 /**
  * Add email sequence step job
+ *
+ * Given the step and when it came due, the job id is deterministic, so a step
+ * dispatched by overlapping runs is only queued once.
  */
-async function addSequenceStepJob(sequenceId) {
+async function addSequenceStepJob(sequenceId, step = null, dueAt = null) {
   return emailQueue.add('sequence_step', {
     sequenceId,
+    step,
     timestamp: new Date().toISOString()
   }, {
+    ...(step && dueAt && { jobId: sequenceStepJobId(sequenceId, step, dueAt) }),
     priority: 7,
     attempts: 3
   });
 }
 
+function sequenceStepJobId(sequenceId, step, dueAt) {
+  return `sequence:${sequenceId}:${step}:${new Date(dueAt).getTime()}`;
+}
+
+/**
+ * Queue a run of the sequence dispatcher outside its schedule
+ */
+async function addSequenceDispatchJob({ recovery = false, triggeredBy = null } = {}) {
+  return emailQueue.add('process_sequences', {
+    recovery,
+    triggeredBy,
+    timestamp: new Date().toISOString()
+  }, {
+    priority: 6,
+    attempts: 1
+  });
+}
+
 /**
  * Add high-value lead notification
  */
@@ -261,6 +315,96 @@ async function addResponseTimeAlert(leadId, minutesElapsed) {
   });
 }
 
+/**
+ * Schedule the response-time escalation ladder for a new lead
+ *
+ * Each policy step becomes a delayed response_time_alert job with a
+ * deterministic id, so the ladder can be cancelled without tracking job ids.
+ */
+async function scheduleResponseEscalation(lead) {
+  const { EscalationPolicy } = require('../models');
+
+  const policy = await EscalationPolicy.findForLead(lead);
+  if (!policy) {
+    logger.warn('No escalation policy applies to lead:', { leadId: lead.id });
+    return [];
+  }
+
+  const createdAt = new Date(lead.created_at || Date.now()).getTime();
+  const steps = policy.getSortedSteps().slice(0, EscalationPolicy.MAX_STEPS);
+
+  const jobs = [];
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+
+    jobs.push(await notificationQueue.add('response_time_alert', {
+      leadId: lead.id,
+      minutesElapsed: step.delay_minutes,
+      policyId: policy.id,
+      stepNumber: i + 1,
+      step,
+      timestamp: new Date().toISOString()
+    }, {
+      jobId: escalationJobId(lead.id, i),
+      priority: 3,
+      delay: Math.max(0, createdAt + step.delay_minutes * 60 * 1000 - Date.now()),
+      attempts: 3
+    }));
+  }
+
+  logger.info('Response escalation scheduled:', {
+    leadId: lead.id,
+    policy: policy.name,
+    steps: steps.length
+  });
+
+  return jobs;
+}
+
+/**
+ * Remove any escalation steps for a lead that have not fired yet
+ */
+async function cancelResponseEscalation(leadId) {
+  // Queues are not running in every process (e.g. scripts and migrations)
+  if (!notificationQueue) return 0;
+
+  const { EscalationPolicy } = require('../models');
+  let cancelled = 0;
+
+  for (let i = 0; i < EscalationPolicy.MAX_STEPS; i++) {
+    const job = await notificationQueue.getJob(escalationJobId(leadId, i));
+
+    if (job && await job.isDelayed()) {
+      await job.remove();
+      cancelled++;
+    }
+  }
+
+  if (cancelled > 0) {
+    logger.info('Response escalation cancelled:', { leadId, stepsCancelled: cancelled });
+  }
+
+  return cancelled;
+}
+
+function escalationJobId(leadId, stepIndex) {
+  return `sla:${leadId}:${stepIndex}`;
+}
+
+/**
+ * Notify users newly mentioned in a lead note
+ */
+async function addNoteMentionNotification(noteId, userIds) {
+  return notificationQueue.add('note_mention', {
+    noteId,
+    userIds,
+    timestamp: new Date().toISOString()
+  }, {
+    priority: 4,
+    attempts: 3
+  });
+}
+
 /**
  * Add Slack notification job
  */
@@ -296,6 +440,69 @@ async function addIntegrationSync(serviceName, leadId = null, syncType = 'increm
   });
 }
 
+/**
+ * Add a bulk rescore of open leads (after a scoring factor change)
+ */
+async function addLeadRescoreJob({ reason = 'manual', factorId = null, triggeredBy = null } = {}) {
+  return analyticsQueue.add('lead_rescore', {
+    reason,
+    factorId,
+    triggeredBy,
+    timestamp: new Date().toISOString()
+  }, {
+    priority: 5,
+    attempts: 2,
+    removeOnComplete: 20,
+    removeOnFail: 10
+  });
+}
+
+/**
+ * Add a scoring model training run for a ScoringModel row in `training` status
+ */
+async function addScoringModelTrainingJob(modelId, params = {}) {
+  return analyticsQueue.add('scoring_model_training', {
+    modelId,
+    ...params,
+    timestamp: new Date().toISOString()
+  }, {
+    priority: 8,
+    attempts: 1,
+    removeOnComplete: 20,
+    removeOnFail: 10
+  });
+}
+
+/**
+ * Add a lead import run for a LeadImport row in `queued` status
+ *
+ * Not retried: rows already imported would be imported again.
+ */
+async function addLeadImportJob(importId) {
+  return dataTransferQueue.add('lead_import', {
+    importId,
+    timestamp: new Date().toISOString()
+  }, {
+    attempts: 1,
+    removeOnComplete: 20,
+    removeOnFail: 10
+  });
+}
+
+/**
+ * Add a background lead export for a LeadExport row in `queued` status
+ */
+async function addLeadExportJob(exportId) {
+  return dataTransferQueue.add('lead_export', {
+    exportId,
+    timestamp: new Date().toISOString()
+  }, {
+    attempts: 1,
+    removeOnComplete: 20,
+    removeOnFail: 10
+  });
+}
+
 /**
  * Get queue statistics
  */
@@ -306,7 +513,8 @@ async function getQueueStats() {
     { name: 'email', queue: emailQueue },
     { name: 'notification', queue: notificationQueue },
     { name: 'integration', queue: integrationQueue },
-    { name: 'analytics', queue: analyticsQueue }
+    { name: 'analytics', queue: analyticsQueue },
+    { name: 'data_transfer', queue: dataTransferQueue }
   ];
 
   for (const { name, queue } of queues) {
@@ -333,7 +541,7 @@ async function getQueueStats() {
  * Clean up completed and failed jobs
  */
 async function cleanupQueues() {
-  const queues = [emailQueue, notificationQueue, integrationQueue, analyticsQueue];
+  const queues = [emailQueue, notificationQueue, integrationQueue, analyticsQueue, dataTransferQueue];
 
   for (const queue of queues) {
     await queue.clean(24 * 60 * 60 * 1000, 'completed', 100); // Keep last 100 completed jobs for 24 hours
@@ -348,7 +556,7 @@ async function cleanupQueues() {
  */
 async function closeQueues() {
   try {
-    const queues = [emailQueue, notificationQueue, integrationQueue, analyticsQueue];
+    const queues = [emailQueue, notificationQueue, integrationQueue, analyticsQueue, dataTransferQueue];
 
     await Promise.all(queues.map(queue => queue.close()));
 
@@ -373,13 +581,22 @@ module.exports = {
   notificationQueue: () => notificationQueue,
   integrationQueue: () => integrationQueue,
   analyticsQueue: () => analyticsQueue,
+  dataTransferQueue: () => dataTransferQueue,
 
   // Job creation helpers
   addInstantEmailJob,
   addFollowUpEmailJob,
   addSequenceStepJob,
+  addSequenceDispatchJob,
   addHighValueNotification,
   addResponseTimeAlert,
+  scheduleResponseEscalation,
+  cancelResponseEscalation,
+  addNoteMentionNotification,
+  addLeadRescoreJob,
+  addScoringModelTrainingJob,
+  addLeadImportJob,
+  addLeadExportJob,
   addSlackNotification,
   addIntegrationSync
 };
\ No newline at end of file
@@ -4,10 +4,17 @@
  * Processes analytics calculation jobs for performance metrics
  */
 
-const { DailyMetric, Lead, LeadInteraction } = require('../../models');
+const { Op } = require('sequelize');
+const { DailyMetric, Lead, LeadInteraction, ScoringFactor, ScoringModel } = require('../../models');
 const { sequelize } = require('../../database/connection');
 const logger = require('../../utils/logger');
 const slackService = require('../../services/slackService');
+const logisticRegression = require('../../utils/logisticRegression');
+const leadFeatures = require('../../utils/leadFeatures');
+
+// A model trained on less history than this is mostly noise
+const MIN_TRAINING_LEADS = 50;
+const MIN_TRAINING_CLASS_COUNT = 10;
 
 /**
  * Process daily metrics calculation
@@ -185,7 +192,7 @@ async function processResponseTimeMetrics(job) {
         where: {
           status: 'new',
           created_at: {
-            [require('sequelize').Op.lt]: new Date(Date.now() - 10 * 60 * 1000) // 10 minutes ago
+            [Op.lt]: new Date(Date.now() - 10 * 60 * 1000) // 10 minutes ago
           }
         },
         limit: 5,
@@ -257,31 +264,20 @@ async function processLeadScoringAnalysis(job) {
       jobId: job.id
     });
 
+    const scoreRange = scoreRangeCaseSql();
+
     // Analyze scoring accuracy by looking at conversion rates by score range
     const scoringAnalysis = await sequelize.query(`
       SELECT
-        CASE
-          WHEN lead_score >= 80 THEN '80-100'
-          WHEN lead_score >= 60 THEN '60-79'
-          WHEN lead_score >= 40 THEN '40-59'
-          WHEN lead_score >= 20 THEN '20-39'
-          ELSE '0-19'
-        END as score_range,
+        ${scoreRange} as score_range,
         COUNT(*) as total_leads,
         COUNT(*) FILTER (WHERE status = 'converted') as conversions,
         ROUND(100.0 * COUNT(*) FILTER (WHERE status = 'converted') / COUNT(*), 2) as conversion_rate,
         AVG(estimated_value) as avg_estimated_value,
-        AVG(CASE WHEN status = 'converted' THEN estimated_value END) as avg_converted_value
+        AVG(CASE WHEN status = 'converted' THEN COALESCE(converted_value, estimated_value) END) as avg_converted_value
       FROM leads
       WHERE created_at >= CURRENT_DATE - INTERVAL '30 days'
-      GROUP BY
-        CASE
-          WHEN lead_score >= 80 THEN '80-100'
-          WHEN lead_score >= 60 THEN '60-79'
-          WHEN lead_score >= 40 THEN '40-59'
-          WHEN lead_score >= 20 THEN '20-39'
-          ELSE '0-19'
-        END
+      GROUP BY ${scoreRange}
       ORDER BY score_range DESC
     `, {
       type: sequelize.QueryTypes.SELECT
@@ -333,6 +329,239 @@ async function processLeadScoringAnalysis(job) {
   }
 }
 
+/**
+ * Re-score open leads after a scoring factor change
+ *
+ * Walks open leads in id order, saving only those whose score or breakdown
+ * changed, and reports how many moved between priority levels.
+ */
+async function processLeadRescore(job) {
+  const { reason = 'manual', factorId = null, triggeredBy = null } = job.data || {};
+  const batchSize = 500;
+  const startedAt = Date.now();
+
+  logger.info('Processing lead rescore:', { jobId: job.id, reason, factorId, triggeredBy });
+
+  try {
+    // Factors or the active model may have changed in another process, so never trust this worker's cache
+    ScoringFactor.clearCache();
+    ScoringModel.clearCache();
+
+    const totalLeads = await Lead.count({ where: { status: { [Op.in]: Lead.OPEN_STATUSES } } });
+    const summary = {
+      leads_scanned: 0,
+      scores_changed: 0,
+      priority_changes: 0,
+      moved_up: 0,
+      moved_down: 0,
+      band_moves: {}
+    };
+
+    let lastId = null;
+
+    while (true) {
+      const where = { status: { [Op.in]: Lead.OPEN_STATUSES }, merged_into_id: null };
+      if (lastId) where.id = { [Op.gt]: lastId };
+
+      const leads = await Lead.findAll({ where, order: [['id', 'ASC']], limit: batchSize });
+      if (leads.length === 0) break;
+
+      for (const lead of leads) {
+        const previousScore = lead.lead_score;
+        const previousPriority = lead.priority_level;
+        const previousFactors = JSON.stringify(lead.scoring_breakdown?.factors || null);
+
+        const breakdown = await lead.applyScore();
+
+        if (lead.lead_score !== previousScore || JSON.stringify(breakdown.factors) !== previousFactors) {
+          // Not a user edit, so leave updated_at alone
+          await lead.save({ fields: ['lead_score', 'scoring_breakdown', 'priority_level'], silent: true });
+        }
+
+        if (lead.lead_score !== previousScore) summary.scores_changed++;
+
+        if (lead.priority_level !== previousPriority) {
+          const move = `${previousPriority}->${lead.priority_level}`;
+          summary.priority_changes++;
+          summary.band_moves[move] = (summary.band_moves[move] || 0) + 1;
+          if (lead.priority_level > previousPriority) summary.moved_up++;
+          else summary.moved_down++;
+        }
+      }
+
+      summary.leads_scanned += leads.length;
+      lastId = leads[leads.length - 1].id;
+
+      await job.progress(totalLeads > 0 ? Math.min(99, Math.round((summary.leads_scanned / totalLeads) * 100)) : 99);
+    }
+
+    await job.progress(100);
+
+    const result = {
+      status: 'completed',
+      reason,
+      factor_id: factorId,
+      ...summary,
+      duration_ms: Date.now() - startedAt
+    };
+
+    logger.info('Lead rescore completed:', {
+      jobId: job.id,
+      leadsScanned: summary.leads_scanned,
+      scoresChanged: summary.scores_changed,
+      priorityChanges: summary.priority_changes
+    });
+
+    return result;
+
+  } catch (error) {
+    logger.error('Lead rescore failed:', {
+      jobId: job.id,
+      error: error.message
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Train a conversion model from closed leads
+ *
+ * Learns from converted vs lost leads in the lookback window, keeps a
+ * deterministic holdout for evaluation and stores the result on the
+ * ScoringModel row created when training was requested.
+ */
+async function processScoringModelTraining(job) {
+  const {
+    modelId,
+    lookbackDays = 365,
+    holdoutRatio = 0.2,
+    epochs = 500,
+    learningRate = 0.1,
+    l2 = 0.01,
+    minCategoryCount = 5
+  } = job.data || {};
+
+  logger.info('Processing scoring model training:', { jobId: job.id, modelId, lookbackDays });
+
+  const model = await ScoringModel.findByPk(modelId);
+  if (!model) {
+    return { status: 'skipped', reason: 'model_not_found', model_id: modelId };
+  }
+
+  try {
+    await model.update({ status: 'training', error_message: null });
+
+    const leads = await Lead.findAll({
+      where: {
+        status: { [Op.in]: ['converted', 'lost'] },
+        created_at: { [Op.gte]: new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000) },
+        // A merged duplicate would count its outcome twice
+        merged_into_id: null
+      },
+      attributes: [
+        'id', 'status', 'created_at', 'service_date',
+        'estimated_value', 'passenger_count', 'distance_from_base',
+        ...leadFeatures.CATEGORICAL_FEATURES
+      ],
+      raw: true
+    });
+
+    const conversions = leads.filter(lead => lead.status === 'converted').length;
+    const losses = leads.length - conversions;
+
+    if (leads.length < MIN_TRAINING_LEADS || conversions < MIN_TRAINING_CLASS_COUNT || losses < MIN_TRAINING_CLASS_COUNT) {
+      const message = `Not enough closed leads to train: ${conversions} converted and ${losses} lost in the last ${lookbackDays} days ` +
+        `(need ${MIN_TRAINING_LEADS} total and ${MIN_TRAINING_CLASS_COUNT} of each)`;
+
+      await model.update({ status: 'failed', error_message: message });
+      logger.warn('Scoring model training skipped:', { modelId, conversions, losses });
+
+      return { status: 'failed', reason: 'insufficient_data', model_id: modelId, conversions, losses };
+    }
+
+    await job.progress(10);
+
+    // Split on the lead id so the same lead always lands on the same side
+    const inHoldout = (lead) => parseInt(lead.id.replace(/-/g, '').slice(-4), 16) % 100 < holdoutRatio * 100;
+    const trainingLeads = leads.filter(lead => !inHoldout(lead));
+    const holdoutLeads = leads.filter(inHoldout);
+
+    const spec = leadFeatures.buildSpec(trainingLeads, { minCategoryCount });
+    const names = leadFeatures.featureNames(spec);
+    const toLabel = (lead) => (lead.status === 'converted' ? 1 : 0);
+
+    const X = trainingLeads.map(lead => leadFeatures.encode(lead, spec));
+    const y = trainingLeads.map(toLabel);
+
+    const fitted = logisticRegression.train(X, y, { epochs, learningRate, l2 });
+
+    await job.progress(80);
+
+    const weights = {};
+    names.forEach((name, i) => {
+      weights[name] = Math.round(fitted.weights[i] * 1000000) / 1000000;
+    });
+
+    const metrics = {
+      training_leads: trainingLeads.length,
+      holdout_leads: holdoutLeads.length,
+      conversions,
+      losses,
+      base_conversion_rate: Math.round((conversions / leads.length) * 10000) / 10000,
+      feature_count: names.length,
+      iterations: fitted.iterations,
+      final_loss: Math.round(fitted.loss * 10000) / 10000,
+      training: logisticRegression.evaluate(fitted, X, y),
+      holdout: logisticRegression.evaluate(
+        fitted,
+        holdoutLeads.map(lead => leadFeatures.encode(lead, spec)),
+        holdoutLeads.map(toLabel)
+      )
+    };
+
+    await model.update({
+      status: 'trained',
+      feature_spec: spec,
+      coefficients: { intercept: fitted.intercept, weights },
+      metrics,
+      trained_at: new Date()
+    });
+
+    await job.progress(100);
+
+    logger.info('Scoring model trained:', {
+      jobId: job.id,
+      modelId,
+      version: model.version,
+      trainingLeads: trainingLeads.length,
+      holdoutAuc: metrics.holdout.auc
+    });
+
+    return { status: 'completed', model_id: modelId, version: model.version, metrics };
+
+  } catch (error) {
+    logger.error('Scoring model training failed:', {
+      jobId: job.id,
+      modelId,
+      error: error.message
+    });
+
+    await model.update({ status: 'failed', error_message: error.message });
+    throw error;
+  }
+}
+
+/**
+ * SQL CASE expression bucketing lead_score into Lead.SCORE_RANGES
+ */
+function scoreRangeCaseSql() {
+  const ranges = Lead.SCORE_RANGES;
+  const whens = ranges.slice(0, -1).map(range => `WHEN lead_score >= ${range.min} THEN '${range.label}'`);
+
+  return `CASE ${whens.join(' ')} ELSE '${ranges[ranges.length - 1].label}' END`;
+}
+
 /**
  * Calculate performance grade based on achievement rate
  */
@@ -391,5 +620,7 @@ function generateScoringInsights(scoringData, serviceData) {
 module.exports = {
   processDailyMetrics,
   processResponseTimeMetrics,
-  processLeadScoringAnalysis
+  processLeadScoringAnalysis,
+  processLeadRescore,
+  processScoringModelTraining
 };
\ No newline at end of file
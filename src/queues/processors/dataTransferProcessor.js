@@ -0,0 +1,99 @@
+/**
+ * TNT Corporate Lead System - Data Transfer Queue Processor
+ *
+ * Processes bulk lead import and export jobs
+ */
+
+const { LeadImport, LeadExport } = require('../../models');
+const leadImportService = require('../../services/leadImportService');
+const leadExportService = require('../../services/leadExportService');
+const auditContext = require('../../utils/auditContext');
+const logger = require('../../utils/logger');
+
+/**
+ * Process a queued lead import
+ *
+ * Progress is saved on the LeadImport row as rows are processed; the
+ * uploaded file is removed once the import has run either way.
+ */
+async function processLeadImport(job) {
+  const { importId } = job.data || {};
+
+  logger.info('Processing lead import:', { jobId: job.id, importId });
+
+  const leadImport = await LeadImport.findByPk(importId);
+  if (!leadImport) {
+    return { status: 'skipped', reason: 'import_not_found', import_id: importId };
+  }
+
+  try {
+    const actor = { channel: 'import', source: `lead_import:${leadImport.id}`, userId: leadImport.created_by };
+    const result = await auditContext.run(actor, () =>
+      leadImportService.processImport(leadImport, (percent) => job.progress(percent))
+    );
+    return { status: 'completed', ...result };
+
+  } catch (error) {
+    logger.error('Lead import failed:', { importId, error: error.message });
+
+    await leadImport.update({
+      status: 'failed',
+      error_message: error.message,
+      completed_at: new Date()
+    });
+
+    throw error;
+
+  } finally {
+    await leadImportService.removeUpload(leadImport);
+  }
+}
+
+/**
+ * Generate the file for a queued lead export
+ */
+async function processLeadExport(job) {
+  const { exportId } = job.data || {};
+
+  logger.info('Processing lead export:', { jobId: job.id, exportId });
+
+  const leadExport = await LeadExport.findByPk(exportId);
+  if (!leadExport) {
+    return { status: 'skipped', reason: 'export_not_found', export_id: exportId };
+  }
+
+  try {
+    const result = await leadExportService.processExport(leadExport, (percent) => job.progress(percent));
+    return { status: 'completed', ...result };
+
+  } catch (error) {
+    logger.error('Lead export failed:', { exportId, error: error.message });
+
+    await leadExport.update({
+      status: 'failed',
+      error_message: error.message,
+      completed_at: new Date()
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Remove export files past their expiry
+ */
+async function cleanupLeadExports(job) {
+  const removed = await leadExportService.removeExpiredExports();
+
+  if (removed > 0) {
+    logger.info('Expired lead exports removed:', { jobId: job.id, removed });
+  }
+
+  return { status: 'completed', removed };
+}
+
+module.exports = {
+  processLeadImport,
+  processLeadExport,
+  cleanupLeadExports
+};
\ No newline at end of file
@@ -7,7 +7,32 @@
 const { Lead, AutomatedResponse, LeadInteraction, EmailSequence } = require('../../models');
 const logger = require('../../utils/logger');
 const emailService = require('../../services/emailService');
+const { nextSendTime } = require('../../utils/sendWindow');
 const { createExternalServiceError } = require('../../middleware/errorHandler');
+const { addSequenceStepJob } = require('../index');
+
+// Sequences queued per dispatcher run; the rest are picked up by the next run
+const DISPATCH_BATCH_SIZE = 500;
+
+// process_sequences runs every 5 minutes, so anything due longer than this was missed
+const DISPATCH_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Render a template for a lead; empty variables render as nothing and are logged
+ */
+async function renderEmail(template, lead) {
+  const renderedEmail = await template.renderTemplate(lead);
+
+  if (renderedEmail.unresolved.length > 0) {
+    logger.warn('Email template rendered with unresolved variables:', {
+      leadId: lead.id,
+      templateName: template.template_name,
+      unresolved: renderedEmail.unresolved
+    });
+  }
+
+  return renderedEmail;
+}
 
 /**
  * Process instant email response (highest priority)
@@ -49,7 +74,7 @@ async function processInstantResponse(job) {
     }
 
     // Render template with lead data
-    const renderedEmail = template.renderTemplate(lead);
+    const renderedEmail = await renderEmail(template, lead);
 
     // Send email
     const emailResult = await emailService.sendEmail({
@@ -86,7 +111,10 @@ async function processInstantResponse(job) {
                           lead.service_type === 'wedding' ? 'wedding_follow_up' :
                           'standard_follow_up';
 
-      await EmailSequence.createStandardSequence(lead.id, sequenceType);
+      const sequence = await EmailSequence.createStandardSequence(lead.id, sequenceType);
+      if (!sequence) {
+        logger.warn('No active sequence definition to enroll lead in:', { leadId: lead.id, sequenceType });
+      }
     }
 
     const processingTime = Date.now() - startTime;
@@ -125,7 +153,7 @@ async function processInstantResponse(job) {
  * Process follow-up email
  */
 async function processFollowUp(job) {
-  const { leadId, templateName, timestamp } = job.data;
+  const { leadId, templateName, timestamp, ignoreBusinessHours = false } = job.data;
 
   try {
     logger.info('Processing follow-up email:', {
@@ -155,8 +183,9 @@ async function processFollowUp(job) {
       throw new Error(`Template not found: ${templateName}`);
     }
 
-    // Check if we should still send (business hours, etc.)
-    if (template.business_hours_only && !isBusinessHours()) {
+    // Check if we should still send (business hours, etc.); sequence steps
+    // have their own send window instead
+    if (template.business_hours_only && !ignoreBusinessHours && !isBusinessHours()) {
       // Reschedule for next business hour
       const nextBusinessTime = getNextBusinessHour();
       const delay = nextBusinessTime - new Date();
@@ -165,7 +194,7 @@ async function processFollowUp(job) {
     }
 
     // Render and send email
-    const renderedEmail = template.renderTemplate(lead);
+    const renderedEmail = await renderEmail(template, lead);
 
     const emailResult = await emailService.sendEmail({
       to: lead.email,
@@ -220,7 +249,7 @@ async function processFollowUp(job) {
  * Process email sequence step
  */
 async function processSequenceStep(job) {
-  const { sequenceId, timestamp } = job.data;
+  const { sequenceId, step: dispatchedStep, timestamp } = job.data;
 
   try {
     logger.info('Processing email sequence step:', {
@@ -238,60 +267,92 @@ async function processSequenceStep(job) {
       return { status: 'skipped', reason: 'sequence_inactive' };
     }
 
-    const lead = sequence.lead;
+    // A step queued by the dispatcher may have been sent, or the sequence
+    // rescheduled, by the time the job runs
+    if (dispatchedStep && dispatchedStep !== sequence.current_step) {
+      return { status: 'skipped', reason: 'step_already_processed' };
+    }
 
-    // Skip if lead has converted or responded
-    if (['converted', 'lost'].includes(lead.status)) {
-      await sequence.complete();
-      return { status: 'completed', reason: 'lead_closed' };
+    if (dispatchedStep && sequence.next_send_at > new Date()) {
+      return { status: 'skipped', reason: 'not_due' };
     }
 
-    // Check for recent interactions (if customer responded, pause sequence)
-    const recentInteractions = await LeadInteraction.findAll({
-      where: {
-        lead_id: lead.id,
-        response_received: true,
-        created_at: {
-          [require('sequelize').Op.gte]: new Date(Date.now() - 24 * 60 * 60 * 1000) // Last 24 hours
-        }
-      }
-    });
+    const lead = sequence.lead;
+    const steps = await sequence.getSteps();
+    const step = steps.find(s => s.step_number === sequence.current_step);
 
-    if (recentInteractions.length > 0) {
-      await sequence.pause('customer_responded');
-      return { status: 'paused', reason: 'customer_responded' };
+    if (!step) {
+      await sequence.complete();
+      return { status: 'completed', reason: 'sequence_finished' };
     }
 
-    // Get step template name
-    const stepTemplates = {
-      'standard_follow_up': ['instant_response', 'follow_up_3day', 'follow_up_7day', 'follow_up_14day'],
-      'high_value_follow_up': ['instant_response', 'follow_up_2hour', 'follow_up_1day', 'follow_up_3day'],
-      'corporate_nurture': ['corporate_instant_response', 'corporate_follow_up', 'corporate_proposal', 'corporate_final'],
-      'wedding_follow_up': ['wedding_instant_response', 'wedding_follow_up', 'wedding_package', 'wedding_final']
-    };
+    // Closed leads end the sequence; a customer response pauses it
+    const exitReason = await step.getExitReason(lead);
 
-    const templates = stepTemplates[sequence.sequence_name] || stepTemplates['standard_follow_up'];
-    const templateName = templates[sequence.current_step - 1];
+    if (exitReason === 'customer_responded') {
+      await sequence.pause(exitReason);
+      return { status: 'paused', reason: exitReason };
+    }
 
-    if (!templateName) {
+    if (exitReason) {
       await sequence.complete();
-      return { status: 'completed', reason: 'sequence_finished' };
+      return { status: 'completed', reason: exitReason };
     }
 
-    // Send the email
-    const followUpResult = await processFollowUp({
-      id: `sequence-${sequence.id}-${sequence.current_step}`,
-      data: {
-        leadId: lead.id,
-        templateName,
-        timestamp
+    // Hold the step until its send window opens
+    if (!step.isWithinSendWindow()) {
+      sequence.next_send_at = nextSendTime(step.send_window);
+      await sequence.save();
+      return { status: 'rescheduled', reason: 'outside_send_window', nextSendAt: sequence.next_send_at };
+    }
+
+    // Claim the step so a second job for it (a retry, or one queued by a
+    // manual trigger) finds nothing to send
+    const dueAt = sequence.next_send_at;
+    const [claimed] = await EmailSequence.update({ next_send_at: null }, {
+      where: {
+        id: sequence.id,
+        active: true,
+        current_step: sequence.current_step,
+        next_send_at: dueAt
       }
     });
 
+    if (claimed === 0) {
+      return { status: 'skipped', reason: 'step_already_claimed' };
+    }
+    sequence.next_send_at = null;
+
+    // Send the email
+    let followUpResult;
+    try {
+      followUpResult = await processFollowUp({
+        id: `sequence-${sequence.id}-${sequence.current_step}`,
+        data: {
+          leadId: lead.id,
+          templateName: step.template_name,
+          timestamp,
+          ignoreBusinessHours: true
+        }
+      });
+    } catch (error) {
+      // Give the step back so the job's retry or the dispatcher can send it
+      await EmailSequence.update({ next_send_at: dueAt }, {
+        where: { id: sequence.id, current_step: sequence.current_step, next_send_at: null }
+      });
+      throw error;
+    }
+
     if (followUpResult.status === 'sent') {
       // Record sequence progress
       await sequence.recordEmailSent();
-      await sequence.advance();
+      await sequence.advance(steps);
+    } else if (followUpResult.status === 'rescheduled') {
+      sequence.next_send_at = new Date(Date.now() + followUpResult.delaySeconds * 1000);
+      await sequence.save();
+    } else if (followUpResult.status === 'skipped') {
+      // Follow-ups are never sent to closed leads, whatever the step's exit conditions
+      await sequence.complete();
     }
 
     return {
@@ -313,12 +374,69 @@ async function processSequenceStep(job) {
 }
 
 /**
- * Check if current time is within business hours
+ * Queue a sequence_step job for every sequence that is due
+ *
+ * Runs every 5 minutes, once at startup with recovery set, and on demand.
+ * Step job ids are derived from the sequence, step and due time, so a step
+ * still waiting from an earlier run is not queued again.
  */
-function isBusinessHours() {
-  const now = new Date();
-  const hour = now.getHours();
-  const dayOfWeek = now.getDay();
+async function processSequenceDispatch(job) {
+  const { recovery = false, triggeredBy = null } = job.data || {};
+  const results = { due: 0, queued: 0, overdue: 0, failed: 0 };
+
+  try {
+    const sequences = await EmailSequence.findDue(DISPATCH_BATCH_SIZE);
+    results.due = sequences.length;
+
+    const missedBefore = new Date(Date.now() - DISPATCH_INTERVAL_MS);
+
+    for (const sequence of sequences) {
+      if (sequence.next_send_at < missedBefore) {
+        results.overdue++;
+      }
+
+      try {
+        await addSequenceStepJob(sequence.id, sequence.current_step, sequence.next_send_at);
+        results.queued++;
+      } catch (error) {
+        results.failed++;
+        logger.error('Failed to queue sequence step:', {
+          sequenceId: sequence.id,
+          step: sequence.current_step,
+          error: error.message
+        });
+      }
+    }
+
+    if (recovery && results.overdue > 0) {
+      logger.warn('Recovered sequence steps that came due while the worker was down:', {
+        overdue: results.overdue,
+        oldestDueAt: sequences[0].next_send_at
+      });
+    }
+
+    if (results.due > 0) {
+      logger.info('Sequence steps dispatched:', { jobId: job.id, recovery, triggeredBy, ...results });
+    }
+
+    return results;
+
+  } catch (error) {
+    logger.error('Failed to dispatch due sequences:', {
+      jobId: job.id,
+      error: error.message
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Check if a time (by default now) is within business hours
+ */
+function isBusinessHours(date = new Date()) {
+  const hour = date.getHours();
+  const dayOfWeek = date.getDay();
 
   // TNT business hours: Monday-Friday 6 AM - 10 PM, Saturday-Sunday 8 AM - 8 PM
   const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
@@ -349,5 +467,6 @@ function getNextBusinessHour() {
 module.exports = {
   processInstantResponse,
   processFollowUp,
-  processSequenceStep
+  processSequenceStep,
+  processSequenceDispatch
 };
\ No newline at end of file
@@ -383,10 +383,9 @@ async function replayFormSubmissionWebhook(webhookLog) {
   try {
     const leadData = webhookLog.extractLeadData();
 
-    // Check if lead already exists
-    const existingLead = await Lead.findOne({
-      where: { email: leadData.email }
-    });
+    // A submission that already produced a lead is not captured twice; other
+    // inquiries from the same email are legitimate repeat leads
+    const existingLead = webhookLog.lead_id ? await Lead.findByPk(webhookLog.lead_id) : null;
 
     if (existingLead) {
       return {
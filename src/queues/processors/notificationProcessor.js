@@ -4,7 +4,8 @@
  * Processes high-value lead alerts and manager notifications
  */
 
-const { Lead, Notification, User } = require('../../models');
+const { Op } = require('sequelize');
+const { Lead, LeadNote, LeadTask, Notification, User } = require('../../models');
 const logger = require('../../utils/logger');
 const emailService = require('../../services/emailService');
 const slackService = require('../../services/slackService');
@@ -130,10 +131,17 @@ async function processHighValueAlert(job) {
 
 /**
  * Process response time alert
+ *
+ * Jobs scheduled from an escalation policy carry a `step` and are routed to
+ * that step's channel and recipient group; ad-hoc alerts go to managers.
  */
 async function processResponseTimeAlert(job) {
   const { leadId, minutesElapsed, timestamp } = job.data;
 
+  if (job.data.step) {
+    return processEscalationStep(job);
+  }
+
   try {
     logger.info('Processing response time alert:', {
       jobId: job.id,
@@ -242,6 +250,292 @@ async function processResponseTimeAlert(job) {
   }
 }
 
+/**
+ * Process one step of a response-time escalation ladder
+ *
+ * The job is retried, so each step has one notification, looked up by lead
+ * and step, and a step whose notification was sent is not sent again.
+ */
+async function processEscalationStep(job) {
+  const { leadId, minutesElapsed, policyId, stepNumber, step } = job.data;
+
+  try {
+    logger.info('Processing response escalation step:', {
+      jobId: job.id,
+      leadId,
+      policyId,
+      stepNumber,
+      channel: step.channel,
+      recipientGroup: step.recipient_group
+    });
+
+    const lead = await Lead.findByPk(leadId);
+    if (!lead) {
+      return { status: 'skipped', reason: 'lead_not_found' };
+    }
+
+    // Cancellation can race with the delayed job firing
+    if (lead.status !== 'new') {
+      return { status: 'skipped', reason: 'lead_already_contacted' };
+    }
+
+    const recipients = await resolveEscalationRecipients(lead, step.recipient_group);
+
+    const notification = await Notification.createResponseNeededAlert(lead, minutesElapsed, {
+      stepNumber,
+      channel: step.channel,
+      recipientUserIds: recipients.map(user => user.id)
+    });
+
+    // A retry of a step that already went out must not alert again
+    if (notification.sent) {
+      return { status: 'skipped', reason: 'step_already_sent', notificationId: notification.id };
+    }
+
+    const results = {
+      notificationId: notification.id,
+      stepNumber,
+      channel: step.channel,
+      recipientGroup: step.recipient_group,
+      recipients: recipients.length,
+      sent: 0,
+      failed: 0
+    };
+
+    if (step.channel === 'slack') {
+      // Slack posts once to the urgent channel rather than per recipient
+      try {
+        await slackService.sendResponseTimeWarning(lead.id, minutesElapsed, lead);
+        results.sent++;
+      } catch (error) {
+        logger.error('Failed to send escalation Slack alert:', { leadId, error: error.message });
+        results.failed++;
+      }
+    } else {
+      for (const user of recipients) {
+        try {
+          if (step.channel === 'email') {
+            await emailService.sendResponseTimeAlert(user, lead, minutesElapsed);
+          } else if (step.channel === 'sms') {
+            if (!user.phone) continue;
+            await smsService.sendResponseTimeAlert(user.phone, lead, minutesElapsed);
+          }
+          results.sent++;
+        } catch (error) {
+          logger.error('Failed to send escalation alert:', {
+            leadId,
+            userId: user.id,
+            channel: step.channel,
+            error: error.message
+          });
+          results.failed++;
+        }
+      }
+    }
+
+    await notification.markSent(step.channel);
+
+    logger.warn('Response escalation step fired:', { leadId, ...results });
+
+    return results;
+
+  } catch (error) {
+    logger.error('Failed to process response escalation step:', {
+      jobId: job.id,
+      leadId,
+      stepNumber,
+      error: error.message
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Resolve an escalation recipient group to users
+ *
+ * An unassigned lead has no rep to alert, so that step goes to dispatchers instead.
+ */
+async function resolveEscalationRecipients(lead, recipientGroup) {
+  const roleGroups = {
+    dispatchers: 'dispatcher',
+    managers: 'manager',
+    admins: 'admin'
+  };
+
+  if (recipientGroup === 'assigned_rep') {
+    const rep = lead.assigned_to ? await User.findByPk(lead.assigned_to) : null;
+
+    if (rep && rep.active) {
+      return [rep];
+    }
+
+    logger.warn('Escalation step for assigned rep falling back to dispatchers:', { leadId: lead.id });
+    recipientGroup = 'dispatchers';
+  }
+
+  const users = await User.findByRole(roleGroups[recipientGroup]);
+  return users.filter(user => user.shouldReceiveNotification('response_time_alerts'));
+}
+
+/**
+ * Send reminders for open tasks whose reminder time has passed
+ *
+ * Runs every minute. Each reminder is claimed before it is sent, so a sweep
+ * that overlaps the previous one cannot remind twice; a failed send gives
+ * the claim back for the next sweep. Snoozing or moving a task clears the
+ * claim and it is reminded again at its new time.
+ */
+async function processTaskReminders(job) {
+  const results = { due: 0, sent: 0, skipped: 0, failed: 0 };
+
+  try {
+    const tasks = await LeadTask.findDueReminders();
+    results.due = tasks.length;
+
+    for (const task of tasks) {
+      const claimedAt = new Date();
+      if (!await LeadTask.claimReminder(task, claimedAt)) {
+        results.skipped++;
+        continue;
+      }
+
+      const { lead, assignee } = task;
+
+      if (!assignee || !assignee.active || !assignee.shouldReceiveNotification('task_reminders')) {
+        results.skipped++;
+        continue;
+      }
+
+      try {
+        const notification = await Notification.createTaskReminder(task, lead);
+
+        if (assignee.shouldReceiveNotification('email')) {
+          await emailService.sendNotificationEmail(assignee, notification, lead);
+        }
+
+        // Callbacks are time-critical, so they also go by text
+        if (notification.send_sms && assignee.phone && assignee.shouldReceiveNotification('sms')) {
+          await smsService.sendSMS(assignee.phone, `TNT: ${notification.title} - ${lead.contact_name}${lead.phone ? ` ${lead.phone}` : ''}. View: ${process.env.DASHBOARD_URL}/leads/${lead.id}`);
+        }
+
+        await notification.markSent(notification.send_sms ? 'email_sms' : 'email');
+        results.sent++;
+      } catch (error) {
+        logger.error('Failed to send task reminder:', {
+          taskId: task.id,
+          leadId: task.lead_id,
+          userId: assignee.id,
+          error: error.message
+        });
+        await LeadTask.releaseReminder(task, claimedAt);
+        results.failed++;
+      }
+    }
+
+    if (results.due > 0) {
+      logger.info('Task reminders processed:', { jobId: job.id, ...results });
+    }
+
+    return results;
+
+  } catch (error) {
+    logger.error('Failed to process task reminders:', {
+      jobId: job.id,
+      error: error.message
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Notify users mentioned in a lead note
+ *
+ * One Notification covers everyone mentioned; email and Slack go to each
+ * user whose preferences allow mentions on that channel. Slack is a direct
+ * message and needs the user's slack_user_id.
+ */
+async function processNoteMention(job) {
+  const { noteId, userIds } = job.data;
+
+  try {
+    const note = await LeadNote.findByPk(noteId, {
+      include: [
+        { model: Lead, as: 'lead' },
+        { model: User, as: 'author', required: false }
+      ]
+    });
+
+    // The note may have been deleted before the job ran
+    if (!note) {
+      return { status: 'skipped', reason: 'note_not_found' };
+    }
+
+    const recipients = (await User.findAll({
+      where: { id: { [Op.in]: userIds }, active: true }
+    })).filter(user => user.shouldReceiveNotification('mentions'));
+
+    if (recipients.length === 0) {
+      return { status: 'skipped', reason: 'no_recipients' };
+    }
+
+    const { lead, author } = note;
+    const notification = await Notification.createMentionAlert(note, lead, author, recipients.map(user => user.id));
+
+    const results = {
+      notificationId: notification.id,
+      recipients: recipients.length,
+      channels: {
+        email: { sent: 0, failed: 0 },
+        slack: { sent: 0, failed: 0 }
+      }
+    };
+
+    for (const user of recipients) {
+      if (user.shouldReceiveNotification('email')) {
+        try {
+          await emailService.sendNotificationEmail(user, notification, lead);
+          results.channels.email.sent++;
+        } catch (error) {
+          logger.error('Failed to send mention email:', { noteId, userId: user.id, error: error.message });
+          results.channels.email.failed++;
+        }
+      }
+
+      if (user.shouldReceiveNotification('slack') && user.slack_user_id) {
+        try {
+          // A disabled Slack integration returns without sending
+          const slackResult = await slackService.sendMentionAlert(user, note, lead, author);
+          if (slackResult && slackResult.status === 'sent') {
+            results.channels.slack.sent++;
+          } else {
+            results.channels.slack.failed++;
+          }
+        } catch (error) {
+          logger.error('Failed to send mention Slack message:', { noteId, userId: user.id, error: error.message });
+          results.channels.slack.failed++;
+        }
+      }
+    }
+
+    await notification.markSent('email_slack');
+
+    logger.info('Note mention processed:', { noteId, leadId: lead.id, results });
+
+    return results;
+
+  } catch (error) {
+    logger.error('Failed to process note mention:', {
+      jobId: job.id,
+      noteId,
+      error: error.message
+    });
+
+    throw error;
+  }
+}
+
 /**
  * Process Slack notification
  */
@@ -369,5 +663,7 @@ function formatSlackMessage(lead, notification) {
 module.exports = {
   processHighValueAlert,
   processResponseTimeAlert,
+  processTaskReminders,
+  processNoteMention,
   processSlackNotification
 };
\ No newline at end of file
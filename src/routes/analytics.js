@@ -42,7 +42,7 @@ router.get('/dashboard',
             COUNT(*) as leads_count,
             COUNT(*) FILTER (WHERE status = 'converted') as conversions_count,
             COALESCE(AVG(lead_score), 0) as average_lead_score,
-            COALESCE(SUM(estimated_value) FILTER (WHERE status = 'converted'), 0) as revenue
+            COALESCE(SUM(COALESCE(converted_value, estimated_value)) FILTER (WHERE status = 'converted'), 0) as revenue
           FROM leads
           WHERE created_at >= :todayStart
         `, {
@@ -56,7 +56,7 @@ router.get('/dashboard',
             COUNT(*) as leads_count,
             COUNT(*) FILTER (WHERE status = 'converted') as conversions_count,
             COALESCE(AVG(lead_score), 0) as average_lead_score,
-            COALESCE(SUM(estimated_value) FILTER (WHERE status = 'converted'), 0) as revenue
+            COALESCE(SUM(COALESCE(converted_value, estimated_value)) FILTER (WHERE status = 'converted'), 0) as revenue
           FROM leads
           WHERE created_at >= :weekStart
         `, {
@@ -70,7 +70,7 @@ router.get('/dashboard',
             COUNT(*) as leads_count,
             COUNT(*) FILTER (WHERE status = 'converted') as conversions_count,
             COALESCE(AVG(lead_score), 0) as average_lead_score,
-            COALESCE(SUM(estimated_value) FILTER (WHERE status = 'converted'), 0) as revenue
+            COALESCE(SUM(COALESCE(converted_value, estimated_value)) FILTER (WHERE status = 'converted'), 0) as revenue
           FROM leads
           WHERE created_at >= :monthStart
         `, {
@@ -481,8 +481,8 @@ router.get('/revenue-pipeline',
         DATE_TRUNC('month', created_at) as month,
         COUNT(*) as lead_count,
         COUNT(*) FILTER (WHERE status = 'converted') as conversions,
-        COALESCE(SUM(estimated_value) FILTER (WHERE status = 'converted'), 0) as revenue,
-        COALESCE(AVG(estimated_value) FILTER (WHERE status = 'converted'), 0) as average_deal_size
+        COALESCE(SUM(COALESCE(converted_value, estimated_value)) FILTER (WHERE status = 'converted'), 0) as revenue,
+        COALESCE(AVG(COALESCE(converted_value, estimated_value)) FILTER (WHERE status = 'converted'), 0) as average_deal_size
       FROM leads
       WHERE created_at >= CURRENT_DATE - INTERVAL '12 months'
       GROUP BY DATE_TRUNC('month', created_at)
@@ -497,8 +497,8 @@ router.get('/revenue-pipeline',
         service_type,
         COUNT(*) as count,
         COUNT(*) FILTER (WHERE status = 'converted') as conversions,
-        COALESCE(SUM(estimated_value) FILTER (WHERE status = 'converted'), 0) as revenue,
-        COALESCE(AVG(estimated_value) FILTER (WHERE status = 'converted'), 0) as average_value
+        COALESCE(SUM(COALESCE(converted_value, estimated_value)) FILTER (WHERE status = 'converted'), 0) as revenue,
+        COALESCE(AVG(COALESCE(converted_value, estimated_value)) FILTER (WHERE status = 'converted'), 0) as average_value
       FROM leads
       WHERE created_at >= CURRENT_DATE - INTERVAL '3 months'
       GROUP BY service_type
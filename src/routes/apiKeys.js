@@ -0,0 +1,321 @@
+/**
+ * TNT Corporate Lead System - API Key Management Routes
+ *
+ * Issue, rotate and revoke scoped API keys for external integrations
+ */
+
+const express = require('express');
+const { Op } = require('sequelize');
+const { ApiKey, User, sequelize } = require('../models');
+const {
+  validateApiKeyCreate,
+  validateApiKeyUpdate,
+  validateApiKeyRotate,
+  validateApiKeyQuery,
+  validateApiKeyId
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requirePermission, requireUser } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Keys can only be managed by signed-in users, never by another API key
+router.use(requireUser, requirePermission('settings', 'manage'));
+
+/**
+ * Scopes the requesting user could not exercise themselves
+ */
+function scopesBeyondUser(auth, scopes) {
+  if (auth.role === 'admin') return [];
+
+  const permissions = auth.permissions || {};
+
+  return scopes.filter(scope => {
+    if (scope === '*') return true;
+
+    const [resource, action] = scope.split(':');
+    const granted = permissions[resource] || {};
+
+    return action === '*'
+      ? User.PERMISSION_CATALOG[resource].some(catalogAction => !granted[catalogAction])
+      : !granted[action];
+  });
+}
+
+/**
+ * Validate requested scopes, returning an error response or null
+ */
+function rejectScopes(req, res, scopes) {
+  const scopeErrors = ApiKey.validateScopes(scopes);
+
+  if (scopeErrors.length > 0) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_SCOPES',
+        message: 'API key scopes contain unknown resources or actions',
+        details: scopeErrors
+      }
+    });
+  }
+
+  const excessScopes = scopesBeyondUser(req.auth, scopes);
+
+  if (excessScopes.length > 0) {
+    return res.status(403).json({
+      error: {
+        code: 'SCOPE_EXCEEDS_PERMISSIONS',
+        message: 'Cannot grant scopes beyond your own permissions',
+        details: excessScopes
+      }
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Refuse to change a key whose scopes the requesting user could not have
+ * granted, returning an error response or null
+ */
+function rejectKeyBeyondUser(req, res, apiKey) {
+  const excessScopes = scopesBeyondUser(req.auth, apiKey.scopes || []);
+
+  if (excessScopes.length > 0) {
+    return res.status(403).json({
+      error: {
+        code: 'SCOPE_EXCEEDS_PERMISSIONS',
+        message: 'Cannot manage an API key with scopes beyond your own permissions',
+        details: excessScopes
+      }
+    });
+  }
+
+  return null;
+}
+
+function apiKeyNotFound(res) {
+  return res.status(404).json({
+    error: {
+      code: 'API_KEY_NOT_FOUND',
+      message: 'API key not found'
+    }
+  });
+}
+
+/**
+ * GET /api/v2/api-keys - List API keys (secrets are never returned)
+ */
+router.get('/',
+  validateApiKeyQuery,
+  asyncHandler(async (req, res) => {
+    const whereClause = req.query.include_revoked ? {} : { revoked_at: null };
+
+    const apiKeys = await ApiKey.findAll({
+      where: whereClause,
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      api_keys: apiKeys.map(apiKey => apiKey.toSafeJSON()),
+      available_scopes: ApiKey.availableScopes()
+    });
+  })
+);
+
+/**
+ * POST /api/v2/api-keys - Issue a new API key
+ *
+ * The plaintext key is only included in this response.
+ */
+router.post('/',
+  validateApiKeyCreate,
+  asyncHandler(async (req, res) => {
+    const scopeRejection = rejectScopes(req, res, req.body.scopes);
+    if (scopeRejection) return scopeRejection;
+
+    const { apiKey, key } = await ApiKey.issue({
+      ...req.body,
+      created_by: req.auth.userId
+    });
+
+    logger.info('API key issued:', {
+      apiKeyId: apiKey.id,
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      createdBy: req.auth.userId
+    });
+
+    res.status(201).json({
+      api_key: apiKey.toSafeJSON(),
+      key,
+      message: 'Store this key now - it cannot be retrieved again'
+    });
+  })
+);
+
+/**
+ * GET /api/v2/api-keys/:keyId - Get API key details
+ */
+router.get('/:keyId',
+  validateApiKeyId,
+  asyncHandler(async (req, res) => {
+    const apiKey = await ApiKey.findByPk(req.params.keyId);
+
+    if (!apiKey) {
+      return apiKeyNotFound(res);
+    }
+
+    res.json({
+      api_key: apiKey.toSafeJSON()
+    });
+  })
+);
+
+/**
+ * PUT /api/v2/api-keys/:keyId - Update name, scopes, IP allowlist or expiry
+ */
+router.put('/:keyId',
+  validateApiKeyId,
+  validateApiKeyUpdate,
+  asyncHandler(async (req, res) => {
+    const apiKey = await ApiKey.findByPk(req.params.keyId);
+
+    if (!apiKey) {
+      return apiKeyNotFound(res);
+    }
+
+    if (apiKey.revoked_at) {
+      return res.status(409).json({
+        error: {
+          code: 'API_KEY_REVOKED',
+          message: 'Revoked API keys cannot be modified'
+        }
+      });
+    }
+
+    const keyRejection = rejectKeyBeyondUser(req, res, apiKey);
+    if (keyRejection) return keyRejection;
+
+    if (req.body.scopes) {
+      const scopeRejection = rejectScopes(req, res, req.body.scopes);
+      if (scopeRejection) return scopeRejection;
+    }
+
+    await apiKey.update(req.body);
+
+    logger.info('API key updated:', {
+      apiKeyId: apiKey.id,
+      fields: Object.keys(req.body),
+      updatedBy: req.auth.userId
+    });
+
+    res.json({
+      api_key: apiKey.toSafeJSON()
+    });
+  })
+);
+
+/**
+ * POST /api/v2/api-keys/:keyId/rotate - Replace a key's secret
+ *
+ * Issues a new key with the same settings. The old key keeps working for
+ * `grace_period_minutes` so callers can switch over without downtime.
+ */
+router.post('/:keyId/rotate',
+  validateApiKeyId,
+  validateApiKeyRotate,
+  asyncHandler(async (req, res) => {
+    const { grace_period_minutes } = req.body;
+    const oldKey = await ApiKey.findByPk(req.params.keyId);
+
+    if (!oldKey) {
+      return apiKeyNotFound(res);
+    }
+
+    if (!oldKey.isActive()) {
+      return res.status(409).json({
+        error: {
+          code: 'API_KEY_INACTIVE',
+          message: 'Only active API keys can be rotated'
+        }
+      });
+    }
+
+    // The new key carries the old key's scopes, so they are checked as on create
+    const keyRejection = rejectKeyBeyondUser(req, res, oldKey);
+    if (keyRejection) return keyRejection;
+
+    const { apiKey, key } = await sequelize.transaction(async (transaction) => {
+      const issued = await ApiKey.issue({
+        name: oldKey.name,
+        description: oldKey.description,
+        scopes: oldKey.scopes,
+        allowed_ips: oldKey.allowed_ips,
+        expires_at: oldKey.expires_at,
+        created_by: req.auth.userId,
+        rotated_from: oldKey.id
+      }, { transaction });
+
+      if (grace_period_minutes === 0) {
+        oldKey.revoked_at = new Date();
+      } else {
+        const graceEndsAt = new Date(Date.now() + grace_period_minutes * 60 * 1000);
+        // Never extend a key that was due to expire sooner
+        if (!oldKey.expires_at || new Date(oldKey.expires_at) > graceEndsAt) {
+          oldKey.expires_at = graceEndsAt;
+        }
+      }
+      await oldKey.save({ transaction });
+
+      return issued;
+    });
+
+    logger.info('API key rotated:', {
+      oldApiKeyId: oldKey.id,
+      newApiKeyId: apiKey.id,
+      gracePeriodMinutes: grace_period_minutes,
+      rotatedBy: req.auth.userId
+    });
+
+    res.status(201).json({
+      api_key: apiKey.toSafeJSON(),
+      key,
+      previous_key: oldKey.toSafeJSON(),
+      message: 'Store this key now - it cannot be retrieved again'
+    });
+  })
+);
+
+/**
+ * DELETE /api/v2/api-keys/:keyId - Revoke an API key immediately
+ */
+router.delete('/:keyId',
+  validateApiKeyId,
+  asyncHandler(async (req, res) => {
+    const apiKey = await ApiKey.findOne({
+      where: { id: req.params.keyId, revoked_at: { [Op.is]: null } }
+    });
+
+    if (!apiKey) {
+      return apiKeyNotFound(res);
+    }
+
+    const keyRejection = rejectKeyBeyondUser(req, res, apiKey);
+    if (keyRejection) return keyRejection;
+
+    await apiKey.revoke();
+
+    logger.info('API key revoked:', {
+      apiKeyId: apiKey.id,
+      name: apiKey.name,
+      revokedBy: req.auth.userId
+    });
+
+    res.json({
+      api_key: apiKey.toSafeJSON()
+    });
+  })
+);
+
+module.exports = router;
\ No newline at end of file
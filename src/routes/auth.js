@@ -0,0 +1,387 @@
+/**
+ * TNT Corporate Lead System - Authentication Routes
+ *
+ * Dashboard login, refresh token rotation, logout and password reset
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const { User, RefreshToken, sequelize } = require('../models');
+const {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  authRateLimit
+} = require('../middleware/auth');
+const {
+  validateLogin,
+  validateRefreshToken,
+  validateLogout,
+  validateForgotPassword,
+  validateResetPassword
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const emailService = require('../services/emailService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+/**
+ * Hash a password reset token for storage (only the emailed copy is usable)
+ */
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue an access token plus a refresh token in the given family
+ */
+async function issueSession(user, req, familyId = uuidv4(), transaction = null) {
+  const refreshTokenId = uuidv4();
+  const refreshToken = generateRefreshToken(user, refreshTokenId, familyId);
+  const refreshExpiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+  await RefreshToken.create({
+    id: refreshTokenId,
+    user_id: user.id,
+    family_id: familyId,
+    expires_at: refreshExpiresAt,
+    created_by_ip: req.ip || null,
+    user_agent: req.headers['user-agent'] || null
+  }, { transaction });
+
+  const accessToken = generateToken(user);
+  const accessExpiresAt = jwt.decode(accessToken).exp;
+
+  return {
+    refreshTokenId,
+    session: {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: accessExpiresAt - Math.floor(Date.now() / 1000),
+      refresh_token: refreshToken,
+      refresh_expires_at: refreshExpiresAt.toISOString()
+    }
+  };
+}
+
+/**
+ * Public user profile returned with a session
+ */
+function formatSessionUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    first_name: user.first_name,
+    last_name: user.last_name,
+    role: user.role,
+    permissions: user.permissions || {},
+    timezone: user.timezone
+  };
+}
+
+/**
+ * POST /api/v2/auth/login - Exchange email and password for tokens
+ */
+router.post('/login',
+  authRateLimit,
+  validateLogin,
+  asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+
+    const user = await User.findByEmail(email);
+
+    if (!user) {
+      return res.status(401).json({
+        error: {
+          code: 'INVALID_CREDENTIALS',
+          message: 'Invalid email or password'
+        }
+      });
+    }
+
+    if (user.isLocked()) {
+      return res.status(423).json({
+        error: {
+          code: 'ACCOUNT_LOCKED',
+          message: 'Account is temporarily locked due to failed login attempts',
+          locked_until: user.locked_until
+        }
+      });
+    }
+
+    const passwordValid = await user.validatePassword(password);
+
+    if (!passwordValid) {
+      await user.recordFailedLogin();
+
+      logger.warn('Failed login attempt:', {
+        userId: user.id,
+        failedAttempts: user.failed_login_attempts,
+        ip: req.ip
+      });
+
+      if (user.isLocked()) {
+        return res.status(423).json({
+          error: {
+            code: 'ACCOUNT_LOCKED',
+            message: 'Account is temporarily locked due to failed login attempts',
+            locked_until: user.locked_until
+          }
+        });
+      }
+
+      return res.status(401).json({
+        error: {
+          code: 'INVALID_CREDENTIALS',
+          message: 'Invalid email or password'
+        }
+      });
+    }
+
+    if (!user.active) {
+      return res.status(403).json({
+        error: {
+          code: 'ACCOUNT_INACTIVE',
+          message: 'Account has been deactivated'
+        }
+      });
+    }
+
+    await user.recordLogin();
+    const { session } = await issueSession(user, req);
+
+    logger.info('User logged in:', { userId: user.id, role: user.role, ip: req.ip });
+
+    res.json({
+      ...session,
+      user: formatSessionUser(user)
+    });
+  })
+);
+
+/**
+ * POST /api/v2/auth/refresh - Rotate a refresh token for a new token pair
+ *
+ * Each refresh token is single-use. Presenting one that was already rotated
+ * means it leaked, so the whole family (every descendant of that login) is revoked.
+ */
+router.post('/refresh',
+  validateRefreshToken,
+  asyncHandler(async (req, res) => {
+    const decoded = verifyRefreshToken(req.body.refresh_token);
+    const storedToken = decoded ? await RefreshToken.findByPk(decoded.jti) : null;
+
+    if (!storedToken) {
+      return res.status(401).json({
+        error: {
+          code: 'INVALID_REFRESH_TOKEN',
+          message: 'Invalid or expired refresh token'
+        }
+      });
+    }
+
+    if (storedToken.revoked_at) {
+      if (storedToken.revoked_reason === 'rotated') {
+        await RefreshToken.revokeFamily(storedToken.family_id, 'reuse_detected');
+
+        logger.warn('Refresh token reuse detected - session family revoked:', {
+          userId: storedToken.user_id,
+          familyId: storedToken.family_id,
+          ip: req.ip
+        });
+      }
+
+      return res.status(401).json({
+        error: {
+          code: 'REFRESH_TOKEN_REVOKED',
+          message: 'Refresh token has been revoked, please log in again'
+        }
+      });
+    }
+
+    if (storedToken.isExpired()) {
+      return res.status(401).json({
+        error: {
+          code: 'INVALID_REFRESH_TOKEN',
+          message: 'Invalid or expired refresh token'
+        }
+      });
+    }
+
+    const user = await User.findByPk(storedToken.user_id);
+
+    if (!user || !user.active || user.isLocked()) {
+      await RefreshToken.revokeFamily(storedToken.family_id, 'user_deactivated');
+
+      return res.status(401).json({
+        error: {
+          code: 'INVALID_USER',
+          message: 'User not found, inactive or locked'
+        }
+      });
+    }
+
+    const session = await sequelize.transaction(async (transaction) => {
+      // Conditional update so two concurrent refreshes cannot both rotate the same token
+      const [rotatedCount] = await RefreshToken.update(
+        { revoked_at: new Date(), revoked_reason: 'rotated' },
+        { where: { id: storedToken.id, revoked_at: null }, transaction }
+      );
+
+      if (rotatedCount === 0) {
+        return null;
+      }
+
+      const issued = await issueSession(user, req, storedToken.family_id, transaction);
+
+      await RefreshToken.update(
+        { replaced_by: issued.refreshTokenId },
+        { where: { id: storedToken.id }, transaction }
+      );
+
+      return issued.session;
+    });
+
+    if (!session) {
+      return res.status(401).json({
+        error: {
+          code: 'REFRESH_TOKEN_REVOKED',
+          message: 'Refresh token has been revoked, please log in again'
+        }
+      });
+    }
+
+    res.json({
+      ...session,
+      user: formatSessionUser(user)
+    });
+  })
+);
+
+/**
+ * POST /api/v2/auth/logout - Revoke the session behind a refresh token
+ *
+ * Access tokens are stateless and stay valid until they expire, so clients
+ * should discard them on logout.
+ */
+router.post('/logout',
+  validateLogout,
+  asyncHandler(async (req, res) => {
+    const { refresh_token, all_devices } = req.body;
+    const decoded = verifyRefreshToken(refresh_token);
+
+    if (!decoded) {
+      return res.status(401).json({
+        error: {
+          code: 'INVALID_REFRESH_TOKEN',
+          message: 'Invalid or expired refresh token'
+        }
+      });
+    }
+
+    if (all_devices) {
+      await RefreshToken.revokeAllForUser(decoded.userId, 'logout_all');
+    } else {
+      await RefreshToken.revokeFamily(decoded.family, 'logout');
+    }
+
+    logger.info('User logged out:', { userId: decoded.userId, allDevices: all_devices });
+
+    res.json({
+      logged_out: true,
+      all_devices
+    });
+  })
+);
+
+/**
+ * POST /api/v2/auth/password/forgot - Email a password reset link
+ *
+ * Always answers 202 so the endpoint cannot be used to discover accounts.
+ */
+router.post('/password/forgot',
+  authRateLimit,
+  validateForgotPassword,
+  asyncHandler(async (req, res) => {
+    const user = await User.findByEmail(req.body.email);
+
+    if (user && user.active) {
+      const resetToken = crypto.randomBytes(32).toString('hex');
+
+      user.password_reset_token = hashResetToken(resetToken);
+      user.password_reset_expires = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000);
+      await user.save();
+
+      const resetUrl = `${process.env.DASHBOARD_URL}/reset-password?token=${resetToken}`;
+
+      try {
+        await emailService.sendPasswordResetEmail(user, resetUrl, PASSWORD_RESET_EXPIRES_MINUTES);
+        logger.info('Password reset email sent:', { userId: user.id });
+      } catch (error) {
+        logger.error('Failed to send password reset email:', {
+          userId: user.id,
+          error: error.message
+        });
+      }
+    } else {
+      logger.warn('Password reset requested for unknown or inactive account:', { ip: req.ip });
+    }
+
+    res.status(202).json({
+      message: 'If an active account exists for that email, a password reset link has been sent',
+      expires_in_minutes: PASSWORD_RESET_EXPIRES_MINUTES
+    });
+  })
+);
+
+/**
+ * POST /api/v2/auth/password/reset - Set a new password with a reset token
+ */
+router.post('/password/reset',
+  authRateLimit,
+  validateResetPassword,
+  asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      where: {
+        password_reset_token: hashResetToken(token),
+        password_reset_expires: { [Op.gt]: new Date() }
+      }
+    });
+
+    if (!user || !user.active) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_RESET_TOKEN',
+          message: 'Password reset link is invalid or has expired'
+        }
+      });
+    }
+
+    await user.hashPassword(password);
+    user.password_reset_token = null;
+    user.password_reset_expires = null;
+    user.failed_login_attempts = 0;
+    user.locked_until = null;
+    await user.save();
+
+    // A reset means the old password may be compromised - end every session
+    await RefreshToken.revokeAllForUser(user.id, 'password_reset');
+
+    logger.info('Password reset completed:', { userId: user.id });
+
+    res.json({
+      password_reset: true,
+      message: 'Password updated. Please log in with your new password.'
+    });
+  })
+);
+
+module.exports = router;
\ No newline at end of file
@@ -5,24 +5,164 @@
  */
 
 const express = require('express');
-const { AutomatedResponse, Lead, LeadInteraction, EmailSequence } = require('../models');
-const { requirePermission } = require('../middleware/auth');
+const { Op } = require('sequelize');
+const {
+  AutomatedResponse,
+  Lead,
+  LeadInteraction,
+  EmailSequence,
+  SequenceDefinition,
+  TemplatePartial,
+  EscalationPolicy,
+  sequelize
+} = require('../models');
+const { requirePermission, requireUser } = require('../middleware/auth');
 const {
   validateAutomationTrigger,
   validateTemplateCreate,
-  validateAutomationPerformanceQuery
+  validateTemplatePreview,
+  validateTemplatePartialCreate,
+  validateTemplatePartialUpdate,
+  validateTemplatePartialId,
+  validateAutomationPerformanceQuery,
+  validateSequenceDefinitionCreate,
+  validateSequenceDefinitionUpdate,
+  validateSequenceDefinitionId,
+  validateEscalationPolicyCreate,
+  validateEscalationPolicyUpdate,
+  validateEscalationPolicyId
 } = require('../middleware/validation');
 const { asyncHandler, createValidationError } = require('../middleware/errorHandler');
 const {
   addInstantEmailJob,
   addFollowUpEmailJob,
   addSequenceStepJob,
+  addSequenceDispatchJob,
   getQueueStats
 } = require('../queues');
+const emailService = require('../services/emailService');
+const { templateReferences } = require('../utils/templateEngine');
+const { buildSampleLead } = require('../utils/templateContext');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+/**
+ * Reject steps that send a template which is missing or inactive
+ */
+async function assertTemplatesExist(steps) {
+  const missing = await SequenceDefinition.findMissingTemplates(steps.map(step => step.template_name));
+
+  if (missing.length > 0) {
+    throw createValidationError(
+      'Sequence steps reference unknown templates',
+      missing.map(name => `Template not found or inactive: ${name}`)
+    );
+  }
+}
+
+/**
+ * Render the template a preview or test send asks for, or send 404
+ *
+ * Draft fields are laid over the saved template, or make up the whole
+ * template, and are checked as they would be on save; nothing is saved.
+ * Without a lead_id a sample lead is used, assigned to the requesting user.
+ */
+async function renderTemplateDraft(req, res) {
+  const { template_id, lead_id, ...draft } = req.body;
+
+  let template;
+  if (template_id) {
+    template = await AutomatedResponse.findByPk(template_id);
+
+    if (!template) {
+      res.status(404).json({
+        error: {
+          code: 'TEMPLATE_NOT_FOUND',
+          message: `Template with ID ${template_id} not found`
+        }
+      });
+      return null;
+    }
+
+    template.set(draft);
+  } else {
+    template = AutomatedResponse.build({ template_name: 'draft', ...draft });
+  }
+
+  await template.validate({ fields: ['subject_line', 'content', 'html_content'] });
+
+  if (!lead_id) {
+    const rendered = await template.renderTemplate(buildSampleLead(), { assignee: req.auth.user || null });
+    return { template, lead: null, rendered };
+  }
+
+  const lead = await Lead.findByPk(lead_id);
+  if (!lead) {
+    res.status(404).json({
+      error: {
+        code: 'LEAD_NOT_FOUND',
+        message: `Lead with ID ${lead_id} not found`
+      }
+    });
+    return null;
+  }
+
+  return { template, lead, rendered: await template.renderTemplate(lead) };
+}
+
+/**
+ * Find a template partial, or send 404
+ */
+async function findTemplatePartial(req, res) {
+  const partial = await TemplatePartial.findByPk(req.params.partialId);
+
+  if (!partial) {
+    res.status(404).json({
+      error: {
+        code: 'TEMPLATE_PARTIAL_NOT_FOUND',
+        message: `Template partial with ID ${req.params.partialId} not found`
+      }
+    });
+    return null;
+  }
+
+  return partial;
+}
+
+/**
+ * Find a sequence definition with its steps, or send 404
+ */
+async function findSequenceDefinition(req, res) {
+  const definition = await SequenceDefinition.findByPkWithSteps(req.params.definitionId);
+
+  if (!definition) {
+    res.status(404).json({
+      error: {
+        code: 'SEQUENCE_DEFINITION_NOT_FOUND',
+        message: `Sequence definition with ID ${req.params.definitionId} not found`
+      }
+    });
+    return null;
+  }
+
+  return definition;
+}
+
+/**
+ * Running sequences per definition id
+ */
+async function countActiveEnrolments(definitionIds) {
+  const rows = await EmailSequence.findAll({
+    where: { sequence_definition_id: { [Op.in]: definitionIds }, active: true },
+    attributes: ['sequence_definition_id', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['sequence_definition_id'],
+    raw: true
+  });
+
+  return new Map(rows.map(row => [row.sequence_definition_id, parseInt(row.count)]));
+}
+
 /**
  * POST /api/v2/automation/trigger - Manually trigger automation workflow
  */
@@ -58,6 +198,11 @@ router.post('/trigger',
           } else {
             const sequenceType = lead.lead_score >= 70 ? 'high_value_follow_up' : 'standard_follow_up';
             const sequence = await EmailSequence.createStandardSequence(lead_id, sequenceType);
+            if (!sequence) {
+              throw createValidationError('No active sequence definition', [
+                `Sequence definition ${sequenceType} and standard_follow_up are missing or inactive`
+              ]);
+            }
             jobResult = { sequenceId: sequence.id, action: 'created' };
           }
           break;
@@ -178,12 +323,14 @@ router.post('/templates',
       created_by: req.auth.userId
     };
 
-    // Validate template variables
+    // Validate template variables; syntax, filters and partials are checked on save
     const requiredVariables = ['contact_name', 'company_name', 'service_type'];
-    const content = templateData.content + (templateData.html_content || '');
+    const usedVariables = new Set([templateData.content, templateData.html_content]
+      .flatMap(text => templateReferences(text).variables)
+      .map(path => path.split('.')[0]));
 
     const missingVariables = requiredVariables.filter(variable => {
-      return !content.includes(`{{${variable}}}`) && variable !== 'company_name'; // company_name is optional
+      return !usedVariables.has(variable) && variable !== 'company_name'; // company_name is optional
     });
 
     if (missingVariables.length > 0) {
@@ -297,6 +444,19 @@ router.put('/templates/:templateId',
       });
     }
 
+    // Active sequence definitions send templates by name
+    const renamed = updates.template_name !== undefined && updates.template_name !== template.template_name;
+    if (renamed || updates.active === false) {
+      const definitions = await SequenceDefinition.findUsingTemplate(template.template_name);
+
+      if (definitions.length > 0) {
+        throw createValidationError(
+          'Template is sent by active email sequences',
+          definitions.map(name => `Used by sequence definition: ${name}`)
+        );
+      }
+    }
+
     await template.update(updates);
 
     logger.info('Email template updated:', {
@@ -316,6 +476,177 @@ router.put('/templates/:templateId',
   })
 );
 
+/**
+ * POST /api/v2/automation/templates/preview - Render a template or draft without sending it
+ *
+ * unresolved_variables lists what rendered empty for this lead.
+ */
+router.post('/templates/preview',
+  requirePermission('automation', 'read'),
+  validateTemplatePreview,
+  asyncHandler(async (req, res) => {
+    const preview = await renderTemplateDraft(req, res);
+    if (!preview) return;
+
+    const { template, lead, rendered } = preview;
+
+    res.json({
+      template_id: template.isNewRecord ? null : template.id,
+      template_name: template.isNewRecord ? null : template.template_name,
+      lead_id: lead ? lead.id : null,
+      sample_lead: !lead,
+      subject: rendered.subject,
+      text: rendered.content,
+      html: rendered.htmlContent,
+      unresolved_variables: rendered.unresolved
+    });
+  })
+);
+
+/**
+ * POST /api/v2/automation/templates/test-send - Email a rendered template or draft to yourself
+ *
+ * Goes to the requesting user's address only; no lead interaction is
+ * recorded and the template's sent count is unchanged.
+ */
+router.post('/templates/test-send',
+  requireUser,
+  requirePermission('automation', 'update'),
+  validateTemplatePreview,
+  asyncHandler(async (req, res) => {
+    const preview = await renderTemplateDraft(req, res);
+    if (!preview) return;
+
+    const { template, lead, rendered } = preview;
+    const to = req.auth.user.email;
+
+    // No leadId, so engagement with the test email is never tracked against the lead
+    const emailResult = await emailService.sendEmail({
+      to,
+      subject: `[TEST] ${rendered.subject}`,
+      text: rendered.content,
+      html: rendered.htmlContent,
+      templateName: template.isNewRecord ? undefined : template.template_name
+    });
+
+    logger.info('Email template test sent:', {
+      templateId: template.isNewRecord ? null : template.id,
+      leadId: lead ? lead.id : null,
+      to,
+      userId: req.auth.userId
+    });
+
+    res.json({
+      sent_to: to,
+      message_id: emailResult.messageId,
+      lead_id: lead ? lead.id : null,
+      sample_lead: !lead,
+      subject: rendered.subject,
+      unresolved_variables: rendered.unresolved
+    });
+  })
+);
+
+/**
+ * GET /api/v2/automation/template-partials - List the partials templates can include
+ */
+router.get('/template-partials',
+  requirePermission('automation', 'read'),
+  asyncHandler(async (req, res) => {
+    const partials = await TemplatePartial.findAll({ order: [['name', 'ASC']] });
+
+    res.json({ template_partials: partials.map(partial => partial.toSummaryJSON()) });
+  })
+);
+
+/**
+ * POST /api/v2/automation/template-partials - Create a partial, included as {{> name}}
+ */
+router.post('/template-partials',
+  requirePermission('automation', 'create'),
+  validateTemplatePartialCreate,
+  asyncHandler(async (req, res) => {
+    const partial = await TemplatePartial.create({
+      ...req.body,
+      created_by: req.auth.userId || null
+    });
+
+    logger.info('Template partial created:', {
+      partialId: partial.id,
+      name: partial.name,
+      createdBy: req.auth.userId
+    });
+
+    res.status(201).json(partial.toSummaryJSON());
+  })
+);
+
+/**
+ * PUT /api/v2/automation/template-partials/:partialId - Update a partial
+ *
+ * Every template that includes it sends the new version from its next email.
+ */
+router.put('/template-partials/:partialId',
+  requirePermission('automation', 'update'),
+  validateTemplatePartialId,
+  validateTemplatePartialUpdate,
+  asyncHandler(async (req, res) => {
+    const partial = await findTemplatePartial(req, res);
+    if (!partial) return;
+
+    await partial.update(req.body);
+
+    logger.info('Template partial updated:', {
+      partialId: partial.id,
+      name: partial.name,
+      fieldsUpdated: Object.keys(req.body),
+      updatedBy: req.auth.userId
+    });
+
+    res.json(partial.toSummaryJSON());
+  })
+);
+
+/**
+ * DELETE /api/v2/automation/template-partials/:partialId - Delete a partial nothing includes
+ */
+router.delete('/template-partials/:partialId',
+  requirePermission('automation', 'update'),
+  validateTemplatePartialId,
+  asyncHandler(async (req, res) => {
+    const partial = await findTemplatePartial(req, res);
+    if (!partial) return;
+
+    const usedBy = await TemplatePartial.findUsedBy(partial.name);
+    const includedBy = [
+      ...usedBy.templates.map(name => `template ${name}`),
+      ...usedBy.partials.map(name => `partial ${name}`)
+    ];
+
+    if (includedBy.length > 0) {
+      return res.status(409).json({
+        error: {
+          code: 'TEMPLATE_PARTIAL_IN_USE',
+          message: `{{> ${partial.name}}} is included by ${includedBy.join(', ')}; remove it there first`
+        }
+      });
+    }
+
+    await partial.destroy();
+
+    logger.info('Template partial deleted:', {
+      partialId: partial.id,
+      name: partial.name,
+      deletedBy: req.auth.userId
+    });
+
+    res.json({
+      partial_id: partial.id,
+      deleted: true
+    });
+  })
+);
+
 /**
  * GET /api/v2/automation/performance - Get automation performance metrics
  */
@@ -463,6 +794,307 @@ router.get('/sequences',
   })
 );
 
+/**
+ * POST /api/v2/automation/sequences/run - Dispatch due sequence steps now
+ *
+ * Steps already queued by a scheduled run are not queued again.
+ */
+router.post('/sequences/run',
+  requirePermission('automation', 'execute'),
+  asyncHandler(async (req, res) => {
+    const dueNow = await EmailSequence.count({
+      where: { active: true, next_send_at: { [Op.lte]: new Date() } }
+    });
+
+    const job = await addSequenceDispatchJob({ triggeredBy: req.auth.userId || null });
+
+    logger.info('Sequence dispatch triggered:', {
+      jobId: job.id,
+      dueNow,
+      triggeredBy: req.auth.userId
+    });
+
+    res.status(202).json({
+      job_id: job.id,
+      status: 'queued',
+      sequences_due_now: dueNow
+    });
+  })
+);
+
+/**
+ * GET /api/v2/automation/sequence-definitions - List sequence definitions and their steps
+ */
+router.get('/sequence-definitions',
+  requirePermission('automation', 'read'),
+  asyncHandler(async (req, res) => {
+    const definitions = await SequenceDefinition.findAllWithSteps();
+    const enrolments = await countActiveEnrolments(definitions.map(definition => definition.id));
+
+    res.json({
+      sequence_definitions: definitions.map(definition => ({
+        ...definition.toSummaryJSON(),
+        active_enrolments: enrolments.get(definition.id) || 0
+      })),
+      max_steps: SequenceDefinition.MAX_STEPS
+    });
+  })
+);
+
+/**
+ * GET /api/v2/automation/sequence-definitions/:definitionId - Get a sequence definition
+ */
+router.get('/sequence-definitions/:definitionId',
+  requirePermission('automation', 'read'),
+  validateSequenceDefinitionId,
+  asyncHandler(async (req, res) => {
+    const definition = await findSequenceDefinition(req, res);
+    if (!definition) return;
+
+    const enrolments = await countActiveEnrolments([definition.id]);
+
+    res.json({
+      ...definition.toSummaryJSON(),
+      active_enrolments: enrolments.get(definition.id) || 0
+    });
+  })
+);
+
+/**
+ * POST /api/v2/automation/sequence-definitions - Create a sequence definition
+ *
+ * Every step's template must exist and be active.
+ */
+router.post('/sequence-definitions',
+  requirePermission('automation', 'create'),
+  validateSequenceDefinitionCreate,
+  asyncHandler(async (req, res) => {
+    const { steps, ...attributes } = req.body;
+
+    await assertTemplatesExist(steps);
+
+    const definition = await sequelize.transaction(async (transaction) => {
+      const created = await SequenceDefinition.create({
+        ...attributes,
+        created_by: req.auth.userId || null
+      }, { transaction });
+
+      await created.replaceSteps(steps, { transaction });
+      return created;
+    });
+
+    logger.info('Sequence definition created:', {
+      definitionId: definition.id,
+      name: definition.name,
+      steps: definition.steps.length,
+      createdBy: req.auth.userId
+    });
+
+    res.status(201).json(definition.toSummaryJSON());
+  })
+);
+
+/**
+ * PUT /api/v2/automation/sequence-definitions/:definitionId - Update a sequence definition
+ *
+ * steps replaces the whole list. Running sequences pick up the new steps from
+ * their next send; those already past the last step complete.
+ */
+router.put('/sequence-definitions/:definitionId',
+  requirePermission('automation', 'update'),
+  validateSequenceDefinitionId,
+  validateSequenceDefinitionUpdate,
+  asyncHandler(async (req, res) => {
+    const definition = await findSequenceDefinition(req, res);
+    if (!definition) return;
+
+    const { steps, ...attributes } = req.body;
+
+    if (steps) {
+      await assertTemplatesExist(steps);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await definition.update(attributes, { transaction });
+
+      if (steps) {
+        await definition.replaceSteps(steps, { transaction });
+      }
+    });
+
+    logger.info('Sequence definition updated:', {
+      definitionId: definition.id,
+      name: definition.name,
+      fieldsUpdated: Object.keys(req.body),
+      updatedBy: req.auth.userId
+    });
+
+    res.json(definition.toSummaryJSON());
+  })
+);
+
+/**
+ * DELETE /api/v2/automation/sequence-definitions/:definitionId - Delete an unused sequence definition
+ *
+ * Definitions with running sequences can only be deactivated.
+ */
+router.delete('/sequence-definitions/:definitionId',
+  requirePermission('automation', 'update'),
+  validateSequenceDefinitionId,
+  asyncHandler(async (req, res) => {
+    const definition = await findSequenceDefinition(req, res);
+    if (!definition) return;
+
+    const enrolments = await countActiveEnrolments([definition.id]);
+    const activeEnrolments = enrolments.get(definition.id) || 0;
+
+    if (activeEnrolments > 0) {
+      return res.status(409).json({
+        error: {
+          code: 'SEQUENCE_DEFINITION_IN_USE',
+          message: `${activeEnrolments} active sequences use this definition; deactivate it instead`
+        }
+      });
+    }
+
+    await definition.destroy();
+
+    logger.info('Sequence definition deleted:', {
+      definitionId: definition.id,
+      name: definition.name,
+      deletedBy: req.auth.userId
+    });
+
+    res.json({
+      definition_id: definition.id,
+      deleted: true
+    });
+  })
+);
+
+/**
+ * GET /api/v2/automation/escalation-policies - List response-time escalation policies
+ */
+router.get('/escalation-policies',
+  requirePermission('automation', 'read'),
+  asyncHandler(async (req, res) => {
+    const policies = await EscalationPolicy.findAll({
+      order: [['is_default', 'DESC'], ['priority', 'DESC'], ['name', 'ASC']]
+    });
+
+    res.json({
+      escalation_policies: policies.map(policy => policy.toJSON()),
+      channels: EscalationPolicy.CHANNELS,
+      recipient_groups: EscalationPolicy.RECIPIENT_GROUPS
+    });
+  })
+);
+
+/**
+ * POST /api/v2/automation/escalation-policies - Create an escalation policy
+ *
+ * Applies to leads created after it is saved; ladders already scheduled keep their steps.
+ */
+router.post('/escalation-policies',
+  requirePermission('automation', 'create'),
+  validateEscalationPolicyCreate,
+  asyncHandler(async (req, res) => {
+    const policy = await EscalationPolicy.create({
+      ...req.body,
+      created_by: req.auth.userId || null
+    });
+
+    logger.info('Escalation policy created:', {
+      policyId: policy.id,
+      name: policy.name,
+      steps: policy.steps.length,
+      createdBy: req.auth.userId
+    });
+
+    res.status(201).json(policy.toJSON());
+  })
+);
+
+/**
+ * PUT /api/v2/automation/escalation-policies/:policyId - Update an escalation policy
+ */
+router.put('/escalation-policies/:policyId',
+  requirePermission('automation', 'update'),
+  validateEscalationPolicyId,
+  validateEscalationPolicyUpdate,
+  asyncHandler(async (req, res) => {
+    const { policyId } = req.params;
+
+    const policy = await EscalationPolicy.findByPk(policyId);
+
+    if (!policy) {
+      return res.status(404).json({
+        error: {
+          code: 'ESCALATION_POLICY_NOT_FOUND',
+          message: `Escalation policy with ID ${policyId} not found`
+        }
+      });
+    }
+
+    if (policy.is_default && (req.body.is_default === false || req.body.active === false)) {
+      throw createValidationError('The default escalation policy cannot be unset or deactivated', [
+        'Mark another policy as default first'
+      ]);
+    }
+
+    await policy.update(req.body);
+
+    logger.info('Escalation policy updated:', {
+      policyId: policy.id,
+      fieldsUpdated: Object.keys(req.body),
+      updatedBy: req.auth.userId
+    });
+
+    res.json(policy.toJSON());
+  })
+);
+
+/**
+ * DELETE /api/v2/automation/escalation-policies/:policyId - Deactivate an escalation policy
+ */
+router.delete('/escalation-policies/:policyId',
+  requirePermission('automation', 'update'),
+  validateEscalationPolicyId,
+  asyncHandler(async (req, res) => {
+    const { policyId } = req.params;
+
+    const policy = await EscalationPolicy.findByPk(policyId);
+
+    if (!policy) {
+      return res.status(404).json({
+        error: {
+          code: 'ESCALATION_POLICY_NOT_FOUND',
+          message: `Escalation policy with ID ${policyId} not found`
+        }
+      });
+    }
+
+    if (policy.is_default) {
+      throw createValidationError('The default escalation policy cannot be deactivated', [
+        'Mark another policy as default first'
+      ]);
+    }
+
+    await policy.update({ active: false });
+
+    logger.info('Escalation policy deactivated:', {
+      policyId: policy.id,
+      name: policy.name,
+      deactivatedBy: req.auth.userId
+    });
+
+    res.json({
+      policy_id: policy.id,
+      active: false
+    });
+  })
+);
+
 /**
  * GET /api/v2/automation/queue-status - Get background queue status
  */
@@ -0,0 +1,160 @@
+/**
+ * TNT Corporate Lead System - Customer Routes
+ *
+ * Customer history across repeat inquiries from the same person or company
+ */
+
+const express = require('express');
+const { Op } = require('sequelize');
+const { sequelize } = require('../database/connection');
+const { Customer, Lead, User } = require('../models');
+const { validateCustomerQuery, validateCustomerId } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requirePermission } = require('../middleware/auth');
+const { normalizeEmail, normalizePhone } = require('../utils/leadMatching');
+
+const router = express.Router();
+
+function customerNotFound(res, customerId) {
+  return res.status(404).json({
+    error: {
+      code: 'CUSTOMER_NOT_FOUND',
+      message: `Customer with ID ${customerId} not found`
+    }
+  });
+}
+
+/**
+ * Inquiry, conversion and converted value totals per customer
+ */
+async function summarizeCustomers(customerIds) {
+  if (customerIds.length === 0) return {};
+
+  const rows = await Lead.findAll({
+    where: { customer_id: { [Op.in]: customerIds }, merged_into_id: null },
+    attributes: [
+      'customer_id',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'total_inquiries'],
+      [sequelize.literal("COUNT(*) FILTER (WHERE status = 'converted')"), 'converted_inquiries'],
+      [sequelize.literal("COALESCE(SUM(COALESCE(converted_value, estimated_value)) FILTER (WHERE status = 'converted'), 0)"), 'converted_value']
+    ],
+    group: ['customer_id'],
+    raw: true
+  });
+
+  return rows.reduce((summary, row) => {
+    summary[row.customer_id] = {
+      total_inquiries: parseInt(row.total_inquiries),
+      converted_inquiries: parseInt(row.converted_inquiries),
+      converted_value: parseFloat(row.converted_value)
+    };
+    return summary;
+  }, {});
+}
+
+/**
+ * GET /api/v2/customers - List customers with inquiry history totals
+ */
+router.get('/',
+  requirePermission('leads', 'read'),
+  validateCustomerQuery,
+  asyncHandler(async (req, res) => {
+    const { search, returning_only, page, limit } = req.query;
+
+    const whereClause = {};
+
+    if (search) {
+      const searchConditions = [
+        { company_name: { [Op.iLike]: `%${search}%` } },
+        { contact_name: { [Op.iLike]: `%${search}%` } },
+        { emails: { [Op.contains]: [normalizeEmail(search)] } }
+      ];
+      const phone = normalizePhone(search);
+      if (phone) searchConditions.push({ phones: { [Op.contains]: [phone] } });
+
+      whereClause[Op.or] = searchConditions;
+    }
+
+    if (returning_only) {
+      whereClause.id = {
+        [Op.in]: sequelize.literal("(SELECT customer_id FROM leads WHERE status = 'converted' AND customer_id IS NOT NULL)")
+      };
+    }
+
+    const { rows: customers, count: totalCount } = await Customer.findAndCountAll({
+      where: whereClause,
+      order: [['last_inquiry_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const summaries = await summarizeCustomers(customers.map(customer => customer.id));
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      customers: customers.map(customer => {
+        const summary = summaries[customer.id] || { total_inquiries: 0, converted_inquiries: 0, converted_value: 0 };
+        return {
+          ...customer.toJSON(),
+          ...summary,
+          returning_client: summary.converted_inquiries > 0
+        };
+      }),
+      pagination: {
+        page,
+        limit,
+        total_pages: totalPages,
+        total_count: totalCount,
+        has_next: page < totalPages,
+        has_previous: page > 1
+      }
+    });
+  })
+);
+
+/**
+ * GET /api/v2/customers/:customerId - Customer with every linked inquiry
+ */
+router.get('/:customerId',
+  requirePermission('leads', 'read'),
+  validateCustomerId,
+  asyncHandler(async (req, res) => {
+    const { customerId } = req.params;
+
+    const customer = await Customer.findByPk(customerId, {
+      include: [{
+        model: Lead,
+        as: 'leads',
+        attributes: [
+          'id', 'company_name', 'contact_name', 'email', 'service_type', 'service_date',
+          'estimated_value', 'lead_score', 'status', 'is_returning_client', 'assigned_to',
+          'created_at', 'converted_at'
+        ],
+        include: [{
+          model: User,
+          as: 'assignee',
+          attributes: ['id', 'first_name', 'last_name'],
+          required: false
+        }]
+      }],
+      order: [[{ model: Lead, as: 'leads' }, 'created_at', 'DESC']]
+    });
+
+    if (!customer) {
+      return customerNotFound(res, customerId);
+    }
+
+    const summary = (await summarizeCustomers([customer.id]))[customer.id] ||
+      { total_inquiries: 0, converted_inquiries: 0, converted_value: 0 };
+
+    res.json({
+      customer: {
+        ...customer.toJSON(),
+        ...summary,
+        returning_client: summary.converted_inquiries > 0
+      }
+    });
+  })
+);
+
+module.exports = router;
\ No newline at end of file
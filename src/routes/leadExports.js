@@ -0,0 +1,132 @@
+/**
+ * TNT Corporate Lead System - Lead Export Routes
+ *
+ * Status and download of lead exports generated in the background
+ */
+
+const express = require('express');
+const fs = require('fs');
+const { LeadExport, User } = require('../models');
+const { validateLeadExportQuery, validateLeadExportId } = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requirePermission } = require('../middleware/auth');
+const { EXPORT_CONTENT_TYPES } = require('../utils/spreadsheet');
+
+const router = express.Router();
+
+function exportNotFound(res, exportId) {
+  return res.status(404).json({
+    error: {
+      code: 'LEAD_EXPORT_NOT_FOUND',
+      message: `Lead export with ID ${exportId} not found`
+    }
+  });
+}
+
+/**
+ * GET /api/v2/leads/exports - List lead exports, newest first
+ */
+router.get('/',
+  requirePermission('leads', 'export'),
+  validateLeadExportQuery,
+  asyncHandler(async (req, res) => {
+    const { status, page, limit } = req.query;
+
+    const whereClause = {};
+    if (status) whereClause.status = status;
+
+    const { rows: exports, count: totalCount } = await LeadExport.findAndCountAll({
+      where: whereClause,
+      include: [{
+        model: User,
+        as: 'creator',
+        attributes: ['id', 'first_name', 'last_name'],
+        required: false
+      }],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      exports: exports.map(leadExport => ({
+        ...leadExport.toSummaryJSON(),
+        created_by_name: leadExport.creator ? leadExport.creator.getFullName() : null
+      })),
+      pagination: {
+        page,
+        limit,
+        total_pages: totalPages,
+        total_count: totalCount,
+        has_next: page < totalPages,
+        has_previous: page > 1
+      }
+    });
+  })
+);
+
+/**
+ * GET /api/v2/leads/exports/:exportId - Export progress and download link
+ */
+router.get('/:exportId',
+  requirePermission('leads', 'export'),
+  validateLeadExportId,
+  asyncHandler(async (req, res) => {
+    const { exportId } = req.params;
+
+    const leadExport = await LeadExport.findByPk(exportId);
+
+    if (!leadExport) {
+      return exportNotFound(res, exportId);
+    }
+
+    res.json({
+      export: leadExport.toSummaryJSON(),
+      download_url: leadExport.isDownloadable() ? `${req.baseUrl}/${leadExport.id}/download` : null
+    });
+  })
+);
+
+/**
+ * GET /api/v2/leads/exports/:exportId/download - Download a completed export
+ */
+router.get('/:exportId/download',
+  requirePermission('leads', 'export'),
+  validateLeadExportId,
+  asyncHandler(async (req, res) => {
+    const { exportId } = req.params;
+
+    const leadExport = await LeadExport.findByPk(exportId);
+
+    if (!leadExport) {
+      return exportNotFound(res, exportId);
+    }
+
+    if (['queued', 'processing', 'failed'].includes(leadExport.status)) {
+      return res.status(409).json({
+        error: {
+          code: 'EXPORT_NOT_READY',
+          message: `Export is ${leadExport.status}`,
+          status: leadExport.status,
+          progress_percent: leadExport.getProgressPercent()
+        }
+      });
+    }
+
+    if (!leadExport.isDownloadable() || !fs.existsSync(leadExport.file_path)) {
+      return res.status(410).json({
+        error: {
+          code: 'EXPORT_EXPIRED',
+          message: 'Export file is no longer available - request a new export'
+        }
+      });
+    }
+
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[leadExport.format]);
+    res.download(leadExport.file_path, leadExport.getFileName());
+  })
+);
+
+module.exports = router;
\ No newline at end of file
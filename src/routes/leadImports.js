@@ -0,0 +1,237 @@
+/**
+ * TNT Corporate Lead System - Lead Import Routes
+ *
+ * CSV/XLSX bulk lead upload, progress polling and the per-row error report
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const path = require('path');
+const multer = require('multer');
+const { stringify } = require('csv-stringify/sync');
+const { LeadImport, User } = require('../models');
+const {
+  validateLeadImportCreate,
+  validateLeadImportQuery,
+  validateLeadImportId
+} = require('../middleware/validation');
+const { asyncHandler, BusinessLogicError, createValidationError } = require('../middleware/errorHandler');
+const { requirePermission } = require('../middleware/auth');
+const { SUPPORTED_FORMATS, formatFromFileName } = require('../utils/spreadsheet');
+const leadImportService = require('../services/leadImportService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Report rows included inline in the import status response
+const ERROR_PREVIEW_ROWS = 20;
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, leadImportService.getStorageDir()),
+    filename: (req, file, cb) => cb(null, `import-${Date.now()}-${crypto.randomBytes(6).toString('hex')}${path.extname(file.originalname).toLowerCase()}`)
+  }),
+  limits: {
+    fileSize: leadImportService.maxFileSizeBytes,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (formatFromFileName(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new BusinessLogicError(`Unsupported file type - upload ${SUPPORTED_FORMATS.join(' or ')}`, 'UNSUPPORTED_FILE_TYPE', 415));
+  }
+});
+
+/**
+ * Drop the stored upload when the request is rejected after multer saved it
+ */
+function removeUploadOnError(req, res, next) {
+  res.on('finish', () => {
+    if (req.file && res.statusCode >= 400) {
+      leadImportService.removeFile(req.file.path);
+    }
+  });
+  next();
+}
+
+/**
+ * Multipart fields arrive as strings; column_mapping is sent as JSON
+ */
+function parseColumnMapping(req, res, next) {
+  if (typeof req.body.column_mapping === 'string' && req.body.column_mapping.trim() !== '') {
+    try {
+      req.body.column_mapping = JSON.parse(req.body.column_mapping);
+    } catch (error) {
+      throw createValidationError('column_mapping must be a JSON object', [{
+        field: 'column_mapping',
+        message: error.message
+      }]);
+    }
+  } else if (req.body.column_mapping === '') {
+    delete req.body.column_mapping;
+  }
+  next();
+}
+
+function importNotFound(res, importId) {
+  return res.status(404).json({
+    error: {
+      code: 'LEAD_IMPORT_NOT_FOUND',
+      message: `Lead import with ID ${importId} not found`
+    }
+  });
+}
+
+/**
+ * POST /api/v2/leads/imports - Upload a CSV/XLSX file and queue the import
+ */
+router.post('/',
+  requirePermission('leads', 'create'),
+  upload.single('file'),
+  removeUploadOnError,
+  parseColumnMapping,
+  validateLeadImportCreate,
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        error: {
+          code: 'FILE_REQUIRED',
+          message: `Attach a ${SUPPORTED_FORMATS.join(' or ')} file in the 'file' field`
+        }
+      });
+    }
+
+    const { leadImport, errors, headers } = await leadImportService.createImport(
+      req.file,
+      req.body,
+      req.auth.userId || null
+    );
+
+    if (errors) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_IMPORT_MAPPING',
+          message: 'Spreadsheet columns could not be mapped to lead fields',
+          details: errors,
+          available_columns: headers
+        }
+      });
+    }
+
+    if (leadImport.status === 'failed') {
+      return res.status(503).json({
+        error: {
+          code: 'IMPORT_QUEUE_UNAVAILABLE',
+          message: leadImport.error_message,
+          import_id: leadImport.id
+        }
+      });
+    }
+
+    logger.info('Lead import queued:', {
+      importId: leadImport.id,
+      fileName: leadImport.file_name,
+      userId: req.auth.userId
+    });
+
+    res.status(202).json({
+      import: leadImport.toSummaryJSON(),
+      available_columns: headers,
+      status_url: `${req.baseUrl}/${leadImport.id}`
+    });
+  })
+);
+
+/**
+ * GET /api/v2/leads/imports - List lead imports, newest first
+ */
+router.get('/',
+  requirePermission('leads', 'read'),
+  validateLeadImportQuery,
+  asyncHandler(async (req, res) => {
+    const { status, page, limit } = req.query;
+
+    const whereClause = {};
+    if (status) whereClause.status = status;
+
+    const { rows: imports, count: totalCount } = await LeadImport.findAndCountAll({
+      where: whereClause,
+      include: [{
+        model: User,
+        as: 'creator',
+        attributes: ['id', 'first_name', 'last_name'],
+        required: false
+      }],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      imports: imports.map(leadImport => ({
+        ...leadImport.toSummaryJSON(),
+        created_by_name: leadImport.creator ? leadImport.creator.getFullName() : null
+      })),
+      pagination: {
+        page,
+        limit,
+        total_pages: totalPages,
+        total_count: totalCount,
+        has_next: page < totalPages,
+        has_previous: page > 1
+      }
+    });
+  })
+);
+
+/**
+ * GET /api/v2/leads/imports/:importId - Import progress and result counts
+ */
+router.get('/:importId',
+  requirePermission('leads', 'read'),
+  validateLeadImportId,
+  asyncHandler(async (req, res) => {
+    const { importId } = req.params;
+
+    const leadImport = await LeadImport.findByPk(importId);
+
+    if (!leadImport) {
+      return importNotFound(res, importId);
+    }
+
+    res.json({
+      import: leadImport.toSummaryJSON(),
+      row_errors_preview: leadImport.row_errors.slice(0, ERROR_PREVIEW_ROWS),
+      errors_url: leadImport.row_errors.length > 0 ? `${req.baseUrl}/${leadImport.id}/errors` : null
+    });
+  })
+);
+
+/**
+ * GET /api/v2/leads/imports/:importId/errors - Download rejected rows as CSV
+ */
+router.get('/:importId/errors',
+  requirePermission('leads', 'read'),
+  validateLeadImportId,
+  asyncHandler(async (req, res) => {
+    const { importId } = req.params;
+
+    const leadImport = await LeadImport.findByPk(importId);
+
+    if (!leadImport) {
+      return importNotFound(res, importId);
+    }
+
+    const { columns, records } = leadImportService.buildErrorReport(leadImport);
+    const baseName = path.basename(leadImport.file_name, path.extname(leadImport.file_name));
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName.replace(/[^\w.-]+/g, '_')}-errors.csv"`);
+    res.send(stringify(records, { header: true, columns }));
+  })
+);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,208 @@
+/**
+ * TNT Corporate Lead System - Lead Note Routes
+ *
+ * Editing, pinning and deleting internal lead notes, their edit history, and
+ * the users that can be @mentioned
+ */
+
+const express = require('express');
+const { Op } = require('sequelize');
+const { LeadNote, User } = require('../models');
+const {
+  validateNoteId,
+  validateNoteUpdate,
+  validateNotePin,
+  validateMentionableQuery
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requirePermission, requireUser } = require('../middleware/auth');
+const leadNoteService = require('../services/leadNoteService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Find a note by id, or send 404
+ */
+async function findNote(req, res) {
+  const note = await leadNoteService.findNote(req.params.noteId);
+
+  if (!note) {
+    res.status(404).json({
+      error: {
+        code: 'NOTE_NOT_FOUND',
+        message: `Note with ID ${req.params.noteId} not found`
+      }
+    });
+    return null;
+  }
+
+  return note;
+}
+
+function noteNotOwned(res, action) {
+  return res.status(403).json({
+    error: {
+      code: 'NOTE_NOT_OWNED',
+      message: `Only the author can ${action} this note`
+    }
+  });
+}
+
+// Users who may delete anyone's notes: admins and holders of leads:delete
+function canModerate(auth) {
+  return auth.role === 'admin' || !!auth.permissions?.leads?.delete;
+}
+
+/**
+ * GET /api/v2/leads/notes/mentionable - Active users to @mention, by name or handle
+ */
+router.get('/mentionable',
+  requirePermission('leads', 'read'),
+  validateMentionableQuery,
+  asyncHandler(async (req, res) => {
+    const { q, limit } = req.query;
+
+    const where = { active: true };
+    if (q) {
+      const pattern = `%${q.replace(/[\\%_]/g, '\\$&')}%`;
+      where[Op.or] = [
+        { first_name: { [Op.iLike]: pattern } },
+        { last_name: { [Op.iLike]: pattern } },
+        { email: { [Op.iLike]: pattern } }
+      ];
+    }
+
+    const users = await User.findAll({
+      where,
+      attributes: ['id', 'first_name', 'last_name', 'email'],
+      order: [['first_name', 'ASC'], ['last_name', 'ASC']],
+      limit
+    });
+
+    res.json({
+      users: users.map(user => ({
+        id: user.id,
+        name: user.getFullName(),
+        handle: user.getMentionHandle()
+      }))
+    });
+  })
+);
+
+/**
+ * GET /api/v2/leads/notes/:noteId/revisions - Earlier versions of a note
+ */
+router.get('/:noteId/revisions',
+  requirePermission('leads', 'read'),
+  validateNoteId,
+  asyncHandler(async (req, res) => {
+    const note = await findNote(req, res);
+    if (!note) return;
+
+    res.json({
+      note_id: note.id,
+      body: note.body,
+      edited_at: note.edited_at,
+      revisions: note.revisions || []
+    });
+  })
+);
+
+/**
+ * PUT /api/v2/leads/notes/:noteId - Edit own note
+ *
+ * The replaced body is kept in the note's revisions; users newly mentioned
+ * by the edit are notified.
+ */
+router.put('/:noteId',
+  requireUser,
+  requirePermission('leads', 'update'),
+  validateNoteId,
+  validateNoteUpdate,
+  asyncHandler(async (req, res) => {
+    const note = await findNote(req, res);
+    if (!note) return;
+
+    if (!note.isAuthoredBy(req.auth.userId)) {
+      return noteNotOwned(res, 'edit');
+    }
+
+    await leadNoteService.editNote(note, req.body.body);
+
+    logger.info('Lead note edited:', {
+      noteId: note.id,
+      leadId: note.lead_id,
+      revisions: note.revisions.length,
+      userId: req.auth.userId
+    });
+
+    res.json({ note: await leadNoteService.serializeNote(note) });
+  })
+);
+
+/**
+ * PUT /api/v2/leads/notes/:noteId/pin - Pin or unpin a thread
+ */
+router.put('/:noteId/pin',
+  requirePermission('leads', 'update'),
+  validateNoteId,
+  validateNotePin,
+  asyncHandler(async (req, res) => {
+    const note = await findNote(req, res);
+    if (!note) return;
+
+    if (note.isReply()) {
+      return res.status(422).json({
+        error: {
+          code: 'NOTE_REPLY_NOT_PINNABLE',
+          message: 'Only the first note of a thread can be pinned'
+        }
+      });
+    }
+
+    await note.setPinned(req.body.pinned, req.auth.userId || null);
+
+    logger.info(`Lead note ${note.pinned ? 'pinned' : 'unpinned'}:`, {
+      noteId: note.id,
+      leadId: note.lead_id,
+      userId: req.auth.userId
+    });
+
+    res.json({ note: await leadNoteService.serializeNote(note) });
+  })
+);
+
+/**
+ * DELETE /api/v2/leads/notes/:noteId - Delete a note and its replies
+ *
+ * Authors delete their own notes; admins and users with leads:delete can
+ * delete any.
+ */
+router.delete('/:noteId',
+  requireUser,
+  requirePermission('leads', 'update'),
+  validateNoteId,
+  asyncHandler(async (req, res) => {
+    const note = await findNote(req, res);
+    if (!note) return;
+
+    if (!note.isAuthoredBy(req.auth.userId) && !canModerate(req.auth)) {
+      return noteNotOwned(res, 'delete');
+    }
+
+    const replyCount = await LeadNote.count({ where: { parent_id: note.id } });
+    await note.destroy();
+
+    logger.info('Lead note deleted:', {
+      noteId: note.id,
+      leadId: note.lead_id,
+      replies: replyCount,
+      userId: req.auth.userId
+    });
+
+    res.json({ note_id: note.id, deleted: true, replies_deleted: replyCount });
+  })
+);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,224 @@
+/**
+ * TNT Corporate Lead System - Lead Sequence Routes
+ *
+ * Enrolling a lead in a follow-up email sequence and pausing, resuming,
+ * skipping, rescheduling or unenrolling it; each action is recorded in the
+ * lead's history
+ */
+
+const express = require('express');
+const { Lead } = require('../models');
+const {
+  validateLeadId,
+  validateLeadSequenceId,
+  validateLeadSequenceEnroll,
+  validateLeadSequencePause,
+  validateLeadSequenceResume,
+  validateLeadSequenceSkip,
+  validateLeadSequenceReschedule,
+  validateLeadSequenceUnenroll
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requirePermission } = require('../middleware/auth');
+const leadSequenceService = require('../services/leadSequenceService');
+const logger = require('../utils/logger');
+
+// Mounted under /leads/:leadId/sequences
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Find the lead, or send 404
+ */
+async function findLead(req, res) {
+  const lead = await Lead.findByPk(req.params.leadId);
+
+  if (!lead) {
+    res.status(404).json({
+      error: {
+        code: 'LEAD_NOT_FOUND',
+        message: `Lead with ID ${req.params.leadId} not found`
+      }
+    });
+    return null;
+  }
+
+  return lead;
+}
+
+/**
+ * Find the lead and one of its sequences, or send 404
+ */
+async function findLeadSequence(req, res) {
+  const lead = await findLead(req, res);
+  if (!lead) return {};
+
+  const sequence = await leadSequenceService.findSequence(lead.id, req.params.sequenceId);
+
+  if (!sequence) {
+    res.status(404).json({
+      error: {
+        code: 'SEQUENCE_NOT_FOUND',
+        message: `Sequence with ID ${req.params.sequenceId} not found on this lead`
+      }
+    });
+    return {};
+  }
+
+  return { lead, sequence };
+}
+
+function logAction(action, lead, sequence, req) {
+  logger.info(`Lead sequence ${action}:`, {
+    leadId: lead.id,
+    sequenceId: sequence.id,
+    sequenceName: sequence.sequence_name,
+    currentStep: sequence.current_step,
+    nextSendAt: sequence.next_send_at,
+    userId: req.auth.userId
+  });
+}
+
+/**
+ * GET /api/v2/leads/:leadId/sequences - Sequences the lead is or was in, running first
+ */
+router.get('/',
+  requirePermission('leads', 'read'),
+  validateLeadId,
+  asyncHandler(async (req, res) => {
+    const lead = await findLead(req, res);
+    if (!lead) return;
+
+    const sequences = await leadSequenceService.getSequences(lead.id);
+
+    res.json({ sequences: sequences.map(sequence => sequence.toSummaryJSON()) });
+  })
+);
+
+/**
+ * POST /api/v2/leads/:leadId/sequences - Enroll the lead in a sequence definition
+ *
+ * The first step goes out at start_at, or after the step's delay.
+ */
+router.post('/',
+  requirePermission('automation', 'execute'),
+  validateLeadId,
+  validateLeadSequenceEnroll,
+  asyncHandler(async (req, res) => {
+    const lead = await findLead(req, res);
+    if (!lead) return;
+
+    const { sequence_name, start_at, note } = req.body;
+
+    const sequence = await leadSequenceService.enroll(lead, sequence_name, {
+      startAt: start_at || null,
+      note: note || null
+    });
+
+    logAction('enrolled', lead, sequence, req);
+
+    res.status(201).json({ sequence: sequence.toSummaryJSON() });
+  })
+);
+
+/**
+ * POST /api/v2/leads/:leadId/sequences/:sequenceId/pause - Pause a running sequence
+ */
+router.post('/:sequenceId/pause',
+  requirePermission('automation', 'execute'),
+  validateLeadSequenceId,
+  validateLeadSequencePause,
+  asyncHandler(async (req, res) => {
+    const { lead, sequence } = await findLeadSequence(req, res);
+    if (!sequence) return;
+
+    await leadSequenceService.pause(lead, sequence, req.body.reason);
+    logAction('paused', lead, sequence, req);
+
+    res.json({ sequence: sequence.toSummaryJSON() });
+  })
+);
+
+/**
+ * POST /api/v2/leads/:leadId/sequences/:sequenceId/resume - Resume a paused sequence
+ *
+ * The current step goes out after its delay, counted from now.
+ */
+router.post('/:sequenceId/resume',
+  requirePermission('automation', 'execute'),
+  validateLeadSequenceId,
+  validateLeadSequenceResume,
+  asyncHandler(async (req, res) => {
+    const { lead, sequence } = await findLeadSequence(req, res);
+    if (!sequence) return;
+
+    await leadSequenceService.resume(lead, sequence, req.body.note || null);
+    logAction('resumed', lead, sequence, req);
+
+    res.json({ sequence: sequence.toSummaryJSON() });
+  })
+);
+
+/**
+ * POST /api/v2/leads/:leadId/sequences/:sequenceId/skip - Make another step the next one
+ *
+ * The step goes out at send_at, or after its delay counted from now.
+ */
+router.post('/:sequenceId/skip',
+  requirePermission('automation', 'execute'),
+  validateLeadSequenceId,
+  validateLeadSequenceSkip,
+  asyncHandler(async (req, res) => {
+    const { lead, sequence } = await findLeadSequence(req, res);
+    if (!sequence) return;
+
+    const { step, send_at, note } = req.body;
+
+    await leadSequenceService.skipTo(lead, sequence, step, {
+      sendAt: send_at || null,
+      note: note || null
+    });
+    logAction('skipped', lead, sequence, req);
+
+    res.json({ sequence: sequence.toSummaryJSON() });
+  })
+);
+
+/**
+ * POST /api/v2/leads/:leadId/sequences/:sequenceId/reschedule - Move the next send
+ *
+ * A time outside the step's send window is held until the window opens.
+ */
+router.post('/:sequenceId/reschedule',
+  requirePermission('automation', 'execute'),
+  validateLeadSequenceId,
+  validateLeadSequenceReschedule,
+  asyncHandler(async (req, res) => {
+    const { lead, sequence } = await findLeadSequence(req, res);
+    if (!sequence) return;
+
+    await leadSequenceService.reschedule(lead, sequence, req.body.send_at, req.body.note || null);
+    logAction('rescheduled', lead, sequence, req);
+
+    res.json({ sequence: sequence.toSummaryJSON() });
+  })
+);
+
+/**
+ * POST /api/v2/leads/:leadId/sequences/:sequenceId/unenroll - Stop a running or paused sequence for good
+ */
+router.post('/:sequenceId/unenroll',
+  requirePermission('automation', 'execute'),
+  validateLeadSequenceId,
+  validateLeadSequenceUnenroll,
+  asyncHandler(async (req, res) => {
+    const { lead, sequence } = await findLeadSequence(req, res);
+    if (!sequence) return;
+
+    await leadSequenceService.unenroll(lead, sequence, req.body.note || null);
+    logAction('unenrolled', lead, sequence, req);
+
+    res.json({ sequence: sequence.toSummaryJSON() });
+  })
+);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,219 @@
+/**
+ * TNT Corporate Lead System - Lead Task Routes
+ *
+ * Working a single task or callback: reschedule, snooze, complete or cancel
+ */
+
+const express = require('express');
+const { LeadTask, Lead, User } = require('../models');
+const {
+  validateTaskId,
+  validateTaskUpdate,
+  validateTaskComplete,
+  validateTaskSnooze
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requirePermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Find a task by id, or send 404
+ */
+async function findTask(req, res) {
+  const task = await LeadTask.findByPk(req.params.taskId, {
+    include: [
+      {
+        model: Lead,
+        as: 'lead',
+        attributes: ['id', 'company_name', 'contact_name', 'phone', 'email', 'status']
+      },
+      {
+        model: User,
+        as: 'assignee',
+        attributes: ['id', 'first_name', 'last_name'],
+        required: false
+      }
+    ]
+  });
+
+  if (!task) {
+    res.status(404).json({
+      error: {
+        code: 'TASK_NOT_FOUND',
+        message: `Task with ID ${req.params.taskId} not found`
+      }
+    });
+    return null;
+  }
+
+  return task;
+}
+
+/**
+ * Find an open task, or send 404/409
+ */
+async function findOpenTask(req, res) {
+  const task = await findTask(req, res);
+  if (!task) return null;
+
+  if (!task.isOpen()) {
+    res.status(409).json({
+      error: {
+        code: 'TASK_NOT_OPEN',
+        message: `Task is already ${task.status}`
+      }
+    });
+    return null;
+  }
+
+  return task;
+}
+
+/**
+ * GET /api/v2/leads/tasks/:taskId - Task with its lead and owner
+ */
+router.get('/:taskId',
+  requirePermission('leads', 'read'),
+  validateTaskId,
+  asyncHandler(async (req, res) => {
+    const task = await findTask(req, res);
+    if (!task) return;
+
+    res.json({ task: task.toSummaryJSON() });
+  })
+);
+
+/**
+ * PUT /api/v2/leads/tasks/:taskId - Edit, reschedule or reassign an open task
+ */
+router.put('/:taskId',
+  requirePermission('leads', 'update'),
+  validateTaskId,
+  validateTaskUpdate,
+  asyncHandler(async (req, res) => {
+    const task = await findOpenTask(req, res);
+    if (!task) return;
+
+    if (req.body.assigned_to !== undefined) {
+      await LeadTask.assertAssignable(req.body.assigned_to);
+    }
+
+    await task.update(req.body);
+
+    // Pick up the new assignee's name
+    if (req.body.assigned_to !== undefined) {
+      await task.reload();
+    }
+
+    logger.info('Lead task updated:', {
+      taskId: task.id,
+      leadId: task.lead_id,
+      fields: Object.keys(req.body),
+      updatedBy: req.auth.userId
+    });
+
+    res.json({ task: task.toSummaryJSON() });
+  })
+);
+
+/**
+ * POST /api/v2/leads/tasks/:taskId/snooze - Push an open task back
+ *
+ * Takes minutes from now or an until time; the reminder fires again at the
+ * new due time.
+ */
+router.post('/:taskId/snooze',
+  requirePermission('leads', 'update'),
+  validateTaskId,
+  validateTaskSnooze,
+  asyncHandler(async (req, res) => {
+    const task = await findOpenTask(req, res);
+    if (!task) return;
+
+    const { minutes, until } = req.body;
+    const dueAt = until ? new Date(until) : new Date(Date.now() + minutes * 60 * 1000);
+
+    await task.snooze(dueAt);
+
+    logger.info('Lead task snoozed:', {
+      taskId: task.id,
+      leadId: task.lead_id,
+      dueAt,
+      snoozeCount: task.snooze_count,
+      snoozedBy: req.auth.userId
+    });
+
+    res.json({ task: task.toSummaryJSON() });
+  })
+);
+
+/**
+ * POST /api/v2/leads/tasks/:taskId/complete - Complete an open task
+ *
+ * log_call (default true for callbacks) records the call as a call_made
+ * interaction with the outcome as its content.
+ */
+router.post('/:taskId/complete',
+  requirePermission('leads', 'update'),
+  validateTaskId,
+  validateTaskComplete,
+  asyncHandler(async (req, res) => {
+    const task = await findOpenTask(req, res);
+    if (!task) return;
+
+    const { outcome, subject } = req.body;
+    const logCall = req.body.log_call !== undefined ? req.body.log_call : task.task_type === 'callback';
+
+    const { interaction } = await task.complete({
+      userId: req.auth.userId || null,
+      outcome,
+      subject,
+      logCall
+    });
+
+    logger.info('Lead task completed:', {
+      taskId: task.id,
+      leadId: task.lead_id,
+      taskType: task.task_type,
+      interactionId: interaction ? interaction.id : null,
+      completedBy: req.auth.userId
+    });
+
+    res.json({
+      task: task.toSummaryJSON(),
+      interaction: interaction ? {
+        interaction_id: interaction.id,
+        interaction_type: interaction.interaction_type,
+        subject: interaction.subject,
+        content: interaction.content,
+        created_at: interaction.created_at
+      } : null
+    });
+  })
+);
+
+/**
+ * POST /api/v2/leads/tasks/:taskId/cancel - Cancel an open task
+ */
+router.post('/:taskId/cancel',
+  requirePermission('leads', 'update'),
+  validateTaskId,
+  asyncHandler(async (req, res) => {
+    const task = await findOpenTask(req, res);
+    if (!task) return;
+
+    await task.cancel(req.auth.userId || null);
+
+    logger.info('Lead task cancelled:', {
+      taskId: task.id,
+      leadId: task.lead_id,
+      cancelledBy: req.auth.userId
+    });
+
+    res.json({ task: task.toSummaryJSON() });
+  })
+);
+
+module.exports = router;
\ No newline at end of file
@@ -5,30 +5,83 @@
  */
 
 const express = require('express');
-const { Op } = require('sequelize');
-const { Lead, LeadInteraction, EmailSequence, Notification } = require('../models');
+const { Lead, LeadInteraction, LeadTask, LeadEvent, LeadMerge, LostReason, EmailSequence, Notification, ScoringFactor, User, Customer } = require('../models');
 const {
   validateLeadCreate,
   validateLeadUpdate,
   validateLeadQuery,
+  validateLeadExportCreate,
   validateLeadId,
+  validateLeadAssign,
+  validateLeadDuplicatesQuery,
+  validateLeadMerge,
+  validateLeadMergeId,
+  validateLeadTimelineQuery,
+  validateLeadSearch,
   validateInteractionCreate,
+  validateTaskCreate,
+  validateTaskQuery,
+  validateNoteCreate,
   validateBusinessHours,
   validateServiceArea,
   validateLeadScoring
 } = require('../middleware/validation');
 const { asyncHandler, createLeadError } = require('../middleware/errorHandler');
-const { requirePermission } = require('../middleware/auth');
+const { requirePermission, requireUser } = require('../middleware/auth');
 const {
   addInstantEmailJob,
   addHighValueNotification,
   addResponseTimeAlert,
+  scheduleResponseEscalation,
   addIntegrationSync
 } = require('../queues');
+const leadAssignmentService = require('../services/leadAssignmentService');
+const leadMergeService = require('../services/leadMergeService');
+const leadExportService = require('../services/leadExportService');
+const leadTimelineService = require('../services/leadTimelineService');
+const leadSearchService = require('../services/leadSearchService');
+const leadListService = require('../services/leadListService');
+const leadNoteService = require('../services/leadNoteService');
+const { pickLeadFilters, buildLeadWhere } = require('../utils/leadFilter');
+const { parseFilterExpression } = require('../utils/leadFilterExpression');
+const { getNextStatuses, getRequiredFields, isTerminal } = require('../utils/leadLifecycle');
+const { EXPORT_CONTENT_TYPES } = require('../utils/spreadsheet');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+/**
+ * List filters from the query, with the filter of a saved `view` folded in
+ *
+ * Sends 404 and returns null when the view is not the caller's own or shared.
+ */
+async function resolveViewFilters(req, res) {
+  const filters = pickLeadFilters(req.query);
+
+  if (!req.query.view) {
+    return { filters, view: null };
+  }
+
+  const found = await User.findVisibleView(req.query.view, req.auth.userId);
+
+  if (!found) {
+    res.status(404).json({
+      error: {
+        code: 'SAVED_VIEW_NOT_FOUND',
+        message: `Saved view with ID ${req.query.view} not found`
+      }
+    });
+    return null;
+  }
+
+  const { view } = found;
+  filters.filter = filters.filter
+    ? { all: [view.filter, parseFilterExpression(filters.filter)] }
+    : view.filter;
+
+  return { filters, view };
+}
+
 /**
  * POST /api/v2/leads - Create new lead with automatic processing
  */
@@ -50,9 +103,15 @@ router.post('/',
       const automationResults = {
         email_sent: false,
         notification_sent: false,
-        crm_sync_queued: false
+        crm_sync_queued: false,
+        escalation_scheduled: false,
+        assigned_to: null
       };
 
+      // Assign an owner before anything reaches the customer
+      const assignee = await leadAssignmentService.autoAssign(lead);
+      automationResults.assigned_to = assignee;
+
       // 1. Send instant email response (highest priority for 5-minute commitment)
       try {
         await addInstantEmailJob(lead.id);
@@ -81,12 +140,24 @@ router.post('/',
         logger.error('Failed to queue CRM sync:', { leadId: lead.id, error: error.message });
       }
 
+      // 4. Schedule response-time escalation (cancelled once someone responds)
+      try {
+        const escalationJobs = await scheduleResponseEscalation(lead);
+        automationResults.escalation_scheduled = escalationJobs.length > 0;
+      } catch (error) {
+        logger.error('Failed to schedule response escalation:', { leadId: lead.id, error: error.message });
+      }
+
       // Response with automation status
       const response = {
         lead_id: lead.id,
         status: lead.status,
         lead_score: lead.lead_score,
         priority_level: lead.priority_level,
+        assigned_to: assignee ? {
+          user_id: assignee.id,
+          name: assignee.getFullName()
+        } : null,
         automated_response_sent: automationResults.email_sent,
         manager_notified: automationResults.notification_sent,
         estimated_response_time: '3-5 minutes',
@@ -94,6 +165,8 @@ router.post('/',
           automationResults.email_sent ? 'Automated email queued for immediate delivery' : 'Email automation failed - manual follow-up required',
           automationResults.notification_sent ? 'High-value lead notification sent to managers' : 'Standard lead processing',
           automationResults.crm_sync_queued ? 'CRM sync queued' : 'CRM sync failed - manual sync may be required',
+          assignee ? `Assigned to ${assignee.getFullName()}` : 'No rep available - lead is unassigned',
+          automationResults.escalation_scheduled ? 'Response-time escalation scheduled' : null,
           'Lead scoring and prioritization completed'
         ].filter(Boolean),
         processing_time_ms: Date.now() - startTime
@@ -119,6 +192,9 @@ router.post('/',
 
 /**
  * GET /api/v2/leads - Retrieve leads with filtering and pagination
+ *
+ * Offset pages by default; cursor= pages by (sort_by, id) instead.
+ * fields= picks the returned fields and include= adds related resources.
  */
 router.get('/',
   requirePermission('leads', 'read'),
@@ -131,83 +207,193 @@ router.get('/',
       date_from,
       date_to,
       search,
+      assigned_to,
+      cursor,
       page,
       limit,
-      sort_by,
-      sort_order
+      include_total,
+      fields,
+      include
     } = req.query;
 
-    // Build where clause
-    const whereClause = {};
+    const resolved = await resolveViewFilters(req, res);
+    if (!resolved) return;
+
+    const { filters, view } = resolved;
+    const sortBy = req.query.sort_by || view?.sort_by || 'created_at';
+    const sortOrder = req.query.sort_order || view?.sort_order || 'desc';
 
-    if (status) whereClause.status = status;
-    if (service_type) whereClause.service_type = service_type;
-    if (lead_score_min) whereClause.lead_score = { [Op.gte]: lead_score_min };
+    // Shared with lead exports; merged duplicates are excluded
+    const whereClause = buildLeadWhere(filters, { userId: req.auth.userId });
+
+    const result = await leadListService.list(whereClause, {
+      sortBy,
+      sortOrder,
+      limit,
+      cursor,
+      page,
+      includeTotal: include_total,
+      fields,
+      include
+    });
+
+    const pagination = {
+      limit,
+      has_next: result.hasNext,
+      next_cursor: result.nextCursor
+    };
 
-    // Date range filter
-    if (date_from || date_to) {
-      whereClause.created_at = {};
-      if (date_from) whereClause.created_at[Op.gte] = new Date(date_from);
-      if (date_to) whereClause.created_at[Op.lte] = new Date(date_to);
+    if (result.totalCount !== null) {
+      pagination.total_count = result.totalCount;
     }
 
-    // Full-text search
-    if (search) {
-      whereClause[Op.or] = [
-        { company_name: { [Op.iLike]: `%${search}%` } },
-        { contact_name: { [Op.iLike]: `%${search}%` } },
-        { email: { [Op.iLike]: `%${search}%` } }
-      ];
+    // Offset pages keep their original page counters
+    if (result.offsetPaging) {
+      const totalPages = Math.ceil(result.totalCount / limit);
+      Object.assign(pagination, {
+        page: page || 1,
+        total_pages: totalPages,
+        has_previous: page > 1
+      });
     }
 
-    // Pagination
-    const offset = (page - 1) * limit;
+    res.json({
+      leads: result.leads,
+      pagination,
+      filters_applied: {
+        status,
+        service_type,
+        lead_score_min,
+        date_from,
+        date_to,
+        search,
+        assigned_to,
+        filter: filters.filter || null
+      },
+      view: view ? { id: view.id, name: view.name, shared: view.shared } : null,
+      sort: { sort_by: sortBy, sort_order: sortOrder },
+      fields: result.fields,
+      include: result.includes,
+      total_count: result.totalCount
+    });
+  })
+);
 
-    // Execute query
-    const { rows: leads, count: totalCount } = await Lead.findAndCountAll({
-      where: whereClause,
-      include: [
-        {
-          model: LeadInteraction,
-          as: 'interactions',
-          limit: 1,
-          order: [['created_at', 'DESC']],
-          attributes: ['interaction_type', 'created_at']
+/**
+ * GET /api/v2/leads/export - Export leads matching the list filters as CSV, XLSX or NDJSON
+ *
+ * Small result sets are streamed in the response; larger ones (or
+ * background=true) are generated by the data transfer queue and answered
+ * with 202 and a download link.
+ */
+router.get('/export',
+  requirePermission('leads', 'export'),
+  validateLeadExportCreate,
+  asyncHandler(async (req, res) => {
+    const { format, columns: requestedColumns, background } = req.query;
+
+    const resolved = await resolveViewFilters(req, res);
+    if (!resolved) return;
+
+    const { filters } = resolved;
+    const userId = req.auth.userId || null;
+    const whereClause = buildLeadWhere(filters, { userId });
+
+    const { columns, errors } = await leadExportService.resolveColumns(requestedColumns, whereClause);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_EXPORT_COLUMNS',
+          message: 'Export columns could not be resolved',
+          details: errors,
+          available_columns: leadExportService.getAvailableColumns()
         }
-      ],
-      order: [[sort_by, sort_order.toUpperCase()]],
-      limit,
-      offset,
-      distinct: true
-    });
+      });
+    }
 
-    // Calculate additional metrics for each lead
-    const leadsWithMetrics = leads.map(lead => {
-      const leadData = lead.toJSON();
-      const lastInteraction = leadData.interactions?.[0];
+    const totalRows = await Lead.count({ where: whereClause });
 
-      return {
-        lead_id: leadData.id,
-        company_name: leadData.company_name,
-        contact_name: leadData.contact_name,
-        email: leadData.email,
-        service_type: leadData.service_type,
-        estimated_value: leadData.estimated_value,
-        lead_score: leadData.lead_score,
-        status: leadData.status,
-        priority_level: leadData.priority_level,
-        created_at: leadData.created_at,
-        minutes_since_created: Math.floor((new Date() - new Date(leadData.created_at)) / 60000),
-        last_interaction_type: lastInteraction?.interaction_type || null,
-        last_interaction_at: lastInteraction?.created_at || null
-      };
+    if (background || totalRows > leadExportService.streamRowLimit) {
+      const leadExport = await leadExportService.createExport({ format, columns, filters, totalRows }, userId);
+
+      if (leadExport.status === 'failed') {
+        return res.status(503).json({
+          error: {
+            code: 'EXPORT_QUEUE_UNAVAILABLE',
+            message: leadExport.error_message,
+            export_id: leadExport.id
+          }
+        });
+      }
+
+      logger.info('Lead export queued:', { exportId: leadExport.id, format, totalRows, userId });
+
+      return res.status(202).json({
+        export: leadExport.toSummaryJSON(),
+        status_url: `${req.baseUrl}/exports/${leadExport.id}`,
+        download_url: `${req.baseUrl}/exports/${leadExport.id}/download`
+      });
+    }
+
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="leads-${new Date().toISOString().slice(0, 10)}.${format}"`);
+    res.setHeader('X-Total-Count', totalRows);
+
+    try {
+      const rows = await leadExportService.writeLeads(res, { where: whereClause, format, columns });
+      logger.info('Lead export streamed:', { format, rows, userId });
+    } catch (error) {
+      if (!res.headersSent) throw error;
+
+      // Part of the file is already out; cut the response so it is not taken as complete
+      logger.error('Lead export stream failed:', { format, userId, error: error.message });
+      res.destroy(error);
+    }
+  })
+);
+
+/**
+ * GET /api/v2/leads/search - Ranked full-text search with highlighted matches
+ *
+ * Searches company, contact, email, phone, pickup and destination, notes and
+ * interaction content. `prefix=true` matches word prefixes for typeahead;
+ * the list filters narrow the results.
+ */
+router.get('/search',
+  requirePermission('leads', 'read'),
+  validateLeadSearch,
+  asyncHandler(async (req, res) => {
+    const { q, prefix, page, limit } = req.query;
+
+    const { leads, totalCount } = await leadSearchService.search(q, {
+      prefix,
+      filters: pickLeadFilters(req.query),
+      userId: req.auth.userId,
+      page,
+      limit
     });
 
-    // Response with pagination info
     const totalPages = Math.ceil(totalCount / limit);
 
     res.json({
-      leads: leadsWithMetrics,
+      query: q,
+      results: leads.map(lead => ({
+        lead_id: lead.id,
+        company_name: lead.company_name,
+        contact_name: lead.contact_name,
+        email: lead.email,
+        phone: lead.phone,
+        service_type: lead.service_type,
+        status: lead.status,
+        lead_score: lead.lead_score,
+        priority_level: lead.priority_level,
+        assigned_to: lead.assigned_to,
+        assignee_name: lead.assignee ? lead.assignee.getFullName() : null,
+        created_at: lead.created_at,
+        rank: parseFloat(lead.get('search_rank')),
+        highlight: lead.get('search_highlight')
+      })),
       pagination: {
         page,
         limit,
@@ -215,16 +401,57 @@ router.get('/',
         total_count: totalCount,
         has_next: page < totalPages,
         has_previous: page > 1
-      },
-      filters_applied: {
-        status,
-        service_type,
-        lead_score_min,
-        date_from,
-        date_to,
-        search
-      },
-      total_count: totalCount
+      }
+    });
+  })
+);
+
+/**
+ * GET /api/v2/leads/merges/:mergeId - Get a lead merge audit record
+ */
+router.get('/merges/:mergeId',
+  requirePermission('leads', 'read'),
+  validateLeadMergeId,
+  asyncHandler(async (req, res) => {
+    const { mergeId } = req.params;
+
+    const merge = await LeadMerge.findByPk(mergeId, {
+      include: [
+        { model: Lead, as: 'surviving_lead', attributes: ['id', 'company_name', 'contact_name', 'email', 'status'] },
+        { model: Lead, as: 'merged_lead', attributes: ['id', 'company_name', 'contact_name', 'email', 'status', 'merged_into_id'] },
+        { model: User, as: 'merger', attributes: ['id', 'first_name', 'last_name'], required: false }
+      ]
+    });
+
+    if (!merge) {
+      return res.status(404).json({
+        error: {
+          code: 'LEAD_MERGE_NOT_FOUND',
+          message: `Lead merge with ID ${mergeId} not found`
+        }
+      });
+    }
+
+    res.json({ merge });
+  })
+);
+
+/**
+ * POST /api/v2/leads/merges/:mergeId/unmerge - Undo a merge and restore the duplicate lead
+ */
+router.post('/merges/:mergeId/unmerge',
+  requirePermission('leads', 'update'),
+  validateLeadMergeId,
+  asyncHandler(async (req, res) => {
+    const merge = await leadMergeService.unmerge(req.params.mergeId, { userId: req.auth.userId || null });
+
+    res.json({
+      merge_id: merge.id,
+      status: merge.status,
+      surviving_lead_id: merge.surviving_lead_id,
+      restored_lead_id: merge.merged_lead_id,
+      unmerge_conflicts: merge.unmerge_conflicts,
+      unmerged_at: merge.unmerged_at
     });
   })
 );
@@ -256,6 +483,18 @@ router.get('/:leadId',
           as: 'notifications',
           order: [['created_at', 'DESC']],
           limit: 5
+        },
+        {
+          model: User,
+          as: 'assignee',
+          attributes: ['id', 'first_name', 'last_name', 'email', 'phone'],
+          required: false
+        },
+        {
+          model: Customer,
+          as: 'customer',
+          attributes: ['id', 'contact_name', 'company_name', 'first_inquiry_at', 'last_inquiry_at'],
+          required: false
         }
       ]
     });
@@ -269,8 +508,11 @@ router.get('/:leadId',
       });
     }
 
-    // Get scoring breakdown
-    const scoringBreakdown = await require('../models/ScoringFactor').getScoreBreakdown(lead);
+    // Stored breakdown matches lead_score; leads scored before breakdowns were kept get a live one
+    const scoringBreakdown = lead.scoring_breakdown ||
+      { ...(await ScoringFactor.getScoreBreakdown(lead)), recalculated: true };
+
+    const customerHistory = (await Customer.getHistoryForLeads([lead]))[lead.id] || null;
 
     // Calculate response time metrics
     const firstResponse = lead.interactions.find(i => i.interaction_type === 'email_sent');
@@ -283,6 +525,8 @@ router.get('/:leadId',
       response_time_minutes: responseTimeMinutes,
       meets_response_commitment: responseTimeMinutes ? responseTimeMinutes <= 5 : null,
       scoring_breakdown: scoringBreakdown,
+      customer_history: customerHistory,
+      badges: lead.is_returning_client ? ['returning_client'] : [],
       business_metrics: {
         is_high_value: lead.isHighValue(),
         priority_label: lead.priority_level >= 4 ? 'High' : lead.priority_level >= 3 ? 'Medium' : 'Low',
@@ -298,6 +542,10 @@ router.get('/:leadId',
 
 /**
  * PUT /api/v2/leads/:leadId - Update lead information and status
+ *
+ * Status changes follow the lead lifecycle: marking a lead lost needs a
+ * lost_reason, converting it needs converted_value and reopening a lost lead
+ * needs notes. GET /:leadId/transitions lists the moves open to a lead.
  */
 router.put('/:leadId',
   requirePermission('leads', 'update'),
@@ -319,24 +567,22 @@ router.put('/:leadId',
     }
 
     const oldStatus = lead.status;
+    const { notes, ...fields } = updates;
+
+    // Update lead - the save hooks write the field changes, with notes as the
+    // reason, to the lead's audit trail
+    lead.set(fields);
+    const fieldsUpdated = lead.changed() || [];
+    await lead.save({ audit: { note: notes || null } });
 
-    // Update lead
-    await lead.update(updates);
+    if (fieldsUpdated.length === 0 && notes) {
+      await LeadEvent.record(lead, 'updated', {}, { audit: { note: notes } });
+    }
 
     // Log status changes
     if (updates.status && updates.status !== oldStatus) {
       logger.leadProcessed(lead.id, `status_changed_${oldStatus}_to_${updates.status}`);
 
-      // Create interaction record for status change
-      await LeadInteraction.create({
-        lead_id: lead.id,
-        interaction_type: updates.status === 'converted' ? 'meeting_scheduled' : 'call_made',
-        subject: `Lead status updated to ${updates.status}`,
-        content: updates.notes || `Lead status changed from ${oldStatus} to ${updates.status}`,
-        automated: false,
-        user_id: req.auth.userId
-      });
-
       // Stop email sequences if converted or lost
       if (['converted', 'lost'].includes(updates.status)) {
         await EmailSequence.update(
@@ -364,7 +610,7 @@ router.put('/:leadId',
     res.json({
       ...updatedLead.toJSON(),
       update_summary: {
-        fields_updated: Object.keys(updates),
+        fields_updated: fieldsUpdated,
         status_changed: updates.status && updates.status !== oldStatus,
         old_status: oldStatus,
         new_status: updates.status,
@@ -375,6 +621,204 @@ router.put('/:leadId',
   })
 );
 
+/**
+ * POST /api/v2/leads/:leadId/assign - Reassign a lead
+ *
+ * Pass `user_id` to hand the lead to a specific rep (null to unassign), or
+ * `strategy` to let the assignment engine pick someone other than the current owner.
+ */
+router.post('/:leadId/assign',
+  requirePermission('leads', 'assign'),
+  validateLeadId,
+  validateLeadAssign,
+  asyncHandler(async (req, res) => {
+    const { leadId } = req.params;
+    const { user_id, strategy, reason } = req.body;
+
+    const lead = await Lead.findByPk(leadId);
+
+    if (!lead) {
+      return res.status(404).json({
+        error: {
+          code: 'LEAD_NOT_FOUND',
+          message: `Lead with ID ${leadId} not found`
+        }
+      });
+    }
+
+    let assignee = null;
+
+    if (user_id) {
+      assignee = await User.findByPk(user_id);
+
+      if (!assignee || !assignee.active) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_ASSIGNEE',
+            message: 'Assignee not found or inactive'
+          }
+        });
+      }
+    } else if (user_id === undefined) {
+      assignee = await leadAssignmentService.selectAssignee(lead, strategy, {
+        excludeUserIds: lead.assigned_to ? [lead.assigned_to] : []
+      });
+
+      if (!assignee) {
+        return res.status(409).json({
+          error: {
+            code: 'NO_ASSIGNEE_AVAILABLE',
+            message: 'No rep with available capacity matches this lead'
+          }
+        });
+      }
+    }
+
+    const result = await leadAssignmentService.assignLead(lead, assignee, {
+      assignedBy: req.auth.userId || null,
+      strategy: user_id === undefined ? (strategy || leadAssignmentService.defaultStrategy) : null,
+      reason
+    });
+
+    res.json({
+      lead_id: lead.id,
+      assigned_to: assignee ? {
+        user_id: assignee.id,
+        name: assignee.getFullName()
+      } : null,
+      previous_assignee_id: result.previousAssigneeId,
+      assigned_at: lead.assigned_at,
+      changed: result.changed
+    });
+  })
+);
+
+/**
+ * POST /api/v2/leads/:leadId/claim - Take ownership of an unassigned lead
+ */
+router.post('/:leadId/claim',
+  requireUser,
+  requirePermission('leads', 'update'),
+  validateLeadId,
+  asyncHandler(async (req, res) => {
+    const { leadId } = req.params;
+
+    const lead = await Lead.findByPk(leadId);
+
+    if (!lead) {
+      return res.status(404).json({
+        error: {
+          code: 'LEAD_NOT_FOUND',
+          message: `Lead with ID ${leadId} not found`
+        }
+      });
+    }
+
+    if (lead.assigned_to && lead.assigned_to !== req.auth.userId) {
+      return res.status(409).json({
+        error: {
+          code: 'LEAD_ALREADY_ASSIGNED',
+          message: 'Lead is already assigned to another rep',
+          assigned_to: lead.assigned_to
+        }
+      });
+    }
+
+    const result = await leadAssignmentService.assignLead(lead, req.auth.user, {
+      assignedBy: req.auth.userId,
+      reason: 'Claimed by rep'
+    });
+
+    res.json({
+      lead_id: lead.id,
+      assigned_to: {
+        user_id: req.auth.userId,
+        name: req.auth.user.getFullName()
+      },
+      assigned_at: lead.assigned_at,
+      changed: result.changed
+    });
+  })
+);
+
+/**
+ * GET /api/v2/leads/:leadId/duplicates - Likely duplicates of a lead with match reasons
+ */
+router.get('/:leadId/duplicates',
+  requirePermission('leads', 'read'),
+  validateLeadId,
+  validateLeadDuplicatesQuery,
+  asyncHandler(async (req, res) => {
+    const { leadId } = req.params;
+    const { min_score, include_closed, limit } = req.query;
+
+    const lead = await Lead.findByPk(leadId);
+
+    if (!lead) {
+      return res.status(404).json({
+        error: {
+          code: 'LEAD_NOT_FOUND',
+          message: `Lead with ID ${leadId} not found`
+        }
+      });
+    }
+
+    const minScore = min_score || leadMergeService.duplicateThreshold;
+    const matches = await leadMergeService.findDuplicates(lead, {
+      minScore,
+      includeClosed: include_closed,
+      limit
+    });
+
+    res.json({
+      lead_id: lead.id,
+      min_score: minScore,
+      duplicates: matches.map(match => ({
+        lead_id: match.lead.id,
+        company_name: match.lead.company_name,
+        contact_name: match.lead.contact_name,
+        email: match.lead.email,
+        phone: match.lead.phone,
+        status: match.lead.status,
+        lead_score: match.lead.lead_score,
+        assigned_to: match.lead.assigned_to,
+        created_at: match.lead.created_at,
+        match_score: match.score,
+        match_reasons: match.reasons
+      }))
+    });
+  })
+);
+
+/**
+ * POST /api/v2/leads/:leadId/merge - Merge duplicate leads into this lead
+ */
+router.post('/:leadId/merge',
+  requirePermission('leads', 'update'),
+  validateLeadId,
+  validateLeadMerge,
+  asyncHandler(async (req, res) => {
+    const { survivor, merges } = await leadMergeService.merge(req.params.leadId, req.body.duplicate_ids, {
+      userId: req.auth.userId || null
+    });
+
+    res.json({
+      lead: survivor.toJSON(),
+      merges: merges.map(merge => ({
+        merge_id: merge.id,
+        merged_lead_id: merge.merged_lead_id,
+        match_score: merge.match_score,
+        match_reasons: merge.match_reasons,
+        fields_filled: Object.keys(merge.field_changes),
+        custom_fields_added: Object.keys(merge.added_custom_fields),
+        records_moved: Object.fromEntries(
+          Object.entries(merge.moved_records).map(([name, ids]) => [name, ids.length])
+        )
+      }))
+    });
+  })
+);
+
 /**
  * POST /api/v2/leads/:leadId/interactions - Record manual interaction
  */
@@ -476,6 +920,230 @@ router.get('/:leadId/interactions',
   })
 );
 
+/**
+ * GET /api/v2/leads/:leadId/notes - Internal note threads, pinned first
+ */
+router.get('/:leadId/notes',
+  requirePermission('leads', 'read'),
+  validateLeadId,
+  asyncHandler(async (req, res) => {
+    const notes = await leadNoteService.getThreads(req.params.leadId);
+
+    res.json({ notes });
+  })
+);
+
+/**
+ * POST /api/v2/leads/:leadId/notes - Add a note, or reply with parent_id
+ *
+ * Users @mentioned by handle (the local part of their email) are notified.
+ */
+router.post('/:leadId/notes',
+  requireUser,
+  requirePermission('leads', 'update'),
+  validateLeadId,
+  validateNoteCreate,
+  asyncHandler(async (req, res) => {
+    const { leadId } = req.params;
+
+    const lead = await Lead.findByPk(leadId);
+
+    if (!lead) {
+      return res.status(404).json({
+        error: {
+          code: 'LEAD_NOT_FOUND',
+          message: `Lead with ID ${leadId} not found`
+        }
+      });
+    }
+
+    const note = await leadNoteService.createNote(lead, {
+      body: req.body.body,
+      parentId: req.body.parent_id || null
+    }, req.auth.userId);
+
+    logger.info('Lead note added:', {
+      leadId,
+      noteId: note.id,
+      parentId: note.parent_id,
+      mentions: note.mentioned_user_ids.length,
+      authorId: req.auth.userId
+    });
+
+    res.status(201).json({ note: await leadNoteService.serializeNote(note) });
+  })
+);
+
+/**
+ * GET /api/v2/leads/:leadId/tasks - Tasks and callbacks on a lead, by due time
+ */
+router.get('/:leadId/tasks',
+  requirePermission('leads', 'read'),
+  validateLeadId,
+  validateTaskQuery,
+  asyncHandler(async (req, res) => {
+    const { leadId } = req.params;
+    const { status } = req.query;
+
+    const whereClause = { lead_id: leadId };
+    if (status !== 'all') whereClause.status = status;
+
+    const tasks = await LeadTask.findAll({
+      where: whereClause,
+      include: [{
+        model: User,
+        as: 'assignee',
+        attributes: ['id', 'first_name', 'last_name'],
+        required: false
+      }],
+      order: [['due_at', 'ASC']]
+    });
+
+    const now = new Date();
+    res.json({
+      tasks: tasks.map(task => task.toSummaryJSON(now))
+    });
+  })
+);
+
+/**
+ * POST /api/v2/leads/:leadId/tasks - Schedule a task or callback on a lead
+ *
+ * The task goes to assigned_to, else the lead's rep, else the caller.
+ */
+router.post('/:leadId/tasks',
+  requirePermission('leads', 'update'),
+  validateLeadId,
+  validateTaskCreate,
+  asyncHandler(async (req, res) => {
+    const { leadId } = req.params;
+
+    const lead = await Lead.findByPk(leadId);
+
+    if (!lead) {
+      return res.status(404).json({
+        error: {
+          code: 'LEAD_NOT_FOUND',
+          message: `Lead with ID ${leadId} not found`
+        }
+      });
+    }
+
+    const assignedTo = req.body.assigned_to !== undefined
+      ? req.body.assigned_to
+      : lead.assigned_to || req.auth.userId || null;
+
+    await LeadTask.assertAssignable(assignedTo);
+
+    const task = await LeadTask.create({
+      ...req.body,
+      lead_id: leadId,
+      assigned_to: assignedTo,
+      created_by: req.auth.userId || null
+    });
+
+    logger.info('Lead task created:', {
+      leadId,
+      taskId: task.id,
+      taskType: task.task_type,
+      dueAt: task.due_at,
+      assignedTo
+    });
+
+    res.status(201).json({ task: task.toSummaryJSON() });
+  })
+);
+
+/**
+ * GET /api/v2/leads/:leadId/timeline - Field changes, interactions, emails,
+ * notifications and webhooks for a lead, newest first
+ */
+router.get('/:leadId/timeline',
+  requirePermission('leads', 'read'),
+  validateLeadId,
+  validateLeadTimelineQuery,
+  asyncHandler(async (req, res) => {
+    const { leadId } = req.params;
+    const { types, before, limit } = req.query;
+
+    const lead = await Lead.findByPk(leadId, { attributes: ['id', 'merged_into_id'] });
+
+    if (!lead) {
+      return res.status(404).json({
+        error: {
+          code: 'LEAD_NOT_FOUND',
+          message: `Lead with ID ${leadId} not found`
+        }
+      });
+    }
+
+    const timeline = await leadTimelineService.getTimeline(leadId, {
+      types: types ? types.split(',') : undefined,
+      before,
+      limit
+    });
+
+    res.json({
+      lead_id: lead.id,
+      merged_into_id: lead.merged_into_id,
+      entries: timeline.entries,
+      pagination: {
+        limit,
+        has_more: timeline.has_more,
+        next_before: timeline.next_before
+      }
+    });
+  })
+);
+
+/**
+ * GET /api/v2/leads/:leadId/transitions - Statuses the lead can move to next
+ * and the fields each move requires
+ */
+router.get('/:leadId/transitions',
+  requirePermission('leads', 'read'),
+  validateLeadId,
+  asyncHandler(async (req, res) => {
+    const { leadId } = req.params;
+
+    const lead = await Lead.findByPk(leadId, {
+      attributes: ['id', 'status', 'status_changed_at', 'converted_value', 'lost_reason', 'lost_reason_note']
+    });
+
+    if (!lead) {
+      return res.status(404).json({
+        error: {
+          code: 'LEAD_NOT_FOUND',
+          message: `Lead with ID ${leadId} not found`
+        }
+      });
+    }
+
+    const transitions = getNextStatuses(lead.status).map(status => ({
+      status,
+      required_fields: getRequiredFields(lead.status, status)
+    }));
+
+    // Reasons to choose from when the lead can be marked lost
+    const lostReasons = transitions.some(transition => transition.status === 'lost')
+      ? (await LostReason.findActive()).map(reason => ({
+        code: reason.code,
+        label: reason.label,
+        requires_detail: reason.requires_detail
+      }))
+      : [];
+
+    res.json({
+      lead_id: lead.id,
+      status: lead.status,
+      status_changed_at: lead.status_changed_at,
+      terminal: isTerminal(lead.status),
+      transitions,
+      lost_reasons: lostReasons
+    });
+  })
+);
+
 /**
  * GET /api/v2/leads/high-priority - Get high-priority leads requiring immediate attention
  */
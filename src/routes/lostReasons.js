@@ -0,0 +1,105 @@
+/**
+ * TNT Corporate Lead System - Lost Reason Routes
+ *
+ * Managed taxonomy of reasons a lead can be marked lost with
+ */
+
+const express = require('express');
+const { LostReason, Lead, sequelize } = require('../models');
+const {
+  validateLostReasonCreate,
+  validateLostReasonUpdate,
+  validateLostReasonQuery,
+  validateLostReasonId
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requirePermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * GET /api/v2/leads/lost-reasons - List lost reasons with lead counts
+ */
+router.get('/',
+  requirePermission('leads', 'read'),
+  validateLostReasonQuery,
+  asyncHandler(async (req, res) => {
+    const { include_inactive } = req.query;
+
+    const reasons = await LostReason.findAll({
+      where: include_inactive ? {} : { active: true },
+      order: [['sort_order', 'ASC'], ['label', 'ASC']]
+    });
+
+    const counts = await Lead.findAll({
+      where: { status: 'lost', merged_into_id: null },
+      attributes: ['lost_reason', [sequelize.fn('COUNT', sequelize.col('id')), 'lead_count']],
+      group: ['lost_reason'],
+      raw: true
+    });
+
+    res.json({
+      lost_reasons: reasons.map(reason => ({
+        ...reason.toJSON(),
+        lead_count: parseInt(counts.find(row => row.lost_reason === reason.code)?.lead_count || 0)
+      }))
+    });
+  })
+);
+
+/**
+ * POST /api/v2/leads/lost-reasons - Add a lost reason
+ */
+router.post('/',
+  requirePermission('settings', 'manage'),
+  validateLostReasonCreate,
+  asyncHandler(async (req, res) => {
+    const reason = await LostReason.create(req.body);
+
+    logger.info('Lost reason created:', {
+      reasonId: reason.id,
+      code: reason.code,
+      createdBy: req.auth.userId
+    });
+
+    res.status(201).json({ lost_reason: reason.toJSON() });
+  })
+);
+
+/**
+ * PUT /api/v2/leads/lost-reasons/:reasonId - Update or retire a lost reason
+ *
+ * The code is fixed once created because lost leads refer to it; set
+ * `active` to false to stop it being chosen.
+ */
+router.put('/:reasonId',
+  requirePermission('settings', 'manage'),
+  validateLostReasonId,
+  validateLostReasonUpdate,
+  asyncHandler(async (req, res) => {
+    const reason = await LostReason.findByPk(req.params.reasonId);
+
+    if (!reason) {
+      return res.status(404).json({
+        error: {
+          code: 'LOST_REASON_NOT_FOUND',
+          message: `Lost reason with ID ${req.params.reasonId} not found`
+        }
+      });
+    }
+
+    await reason.update(req.body);
+
+    logger.info('Lost reason updated:', {
+      reasonId: reason.id,
+      code: reason.code,
+      fieldsUpdated: Object.keys(req.body),
+      updatedBy: req.auth.userId
+    });
+
+    res.json({ lost_reason: reason.toJSON() });
+  })
+);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,476 @@
+/**
+ * TNT Corporate Lead System - Lead Scoring Routes
+ *
+ * Scoring factor administration, what-if simulation, trained models and bulk rescoring
+ */
+
+const express = require('express');
+const { ScoringFactor, ScoringModel } = require('../models');
+const {
+  validateScoringFactorCreate,
+  validateScoringFactorUpdate,
+  validateScoringFactorQuery,
+  validateScoringFactorId,
+  validateScoringRescore,
+  validateScoringSimulation,
+  validateScoringModelTrain,
+  validateScoringModelId,
+  validateScoringJobId
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requirePermission } = require('../middleware/auth');
+const { addLeadRescoreJob, addScoringModelTrainingJob, analyticsQueue } = require('../queues');
+const scoringSimulationService = require('../services/scoringSimulationService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Background jobs whose status can be read through /scoring/jobs
+const SCORING_JOB_TYPES = ['lead_rescore', 'scoring_model_training'];
+
+function invalidFactor(res, errors) {
+  return res.status(400).json({
+    error: {
+      code: 'INVALID_SCORING_FACTOR',
+      message: 'Scoring factor configuration is not supported by the scoring engine',
+      details: errors
+    }
+  });
+}
+
+function modelNotFound(res, modelId) {
+  return res.status(404).json({
+    error: {
+      code: 'SCORING_MODEL_NOT_FOUND',
+      message: `Scoring model with ID ${modelId} not found`
+    }
+  });
+}
+
+function factorNotFound(res, factorId) {
+  return res.status(404).json({
+    error: {
+      code: 'SCORING_FACTOR_NOT_FOUND',
+      message: `Scoring factor with ID ${factorId} not found`
+    }
+  });
+}
+
+/**
+ * Queue a rescore of open leads; a factor change still succeeds if the queue is down
+ */
+async function queueRescore(reason, factorId, userId) {
+  try {
+    const job = await addLeadRescoreJob({ reason, factorId, triggeredBy: userId || null });
+    return job.id;
+  } catch (error) {
+    logger.error('Failed to queue lead rescore:', { reason, factorId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * GET /api/v2/scoring/factors - List scoring factors and what the engine supports
+ */
+router.get('/factors',
+  requirePermission('analytics', 'access'),
+  validateScoringFactorQuery,
+  asyncHandler(async (req, res) => {
+    const { category, include_inactive } = req.query;
+
+    const whereClause = {};
+    if (category) whereClause.factor_category = category;
+    if (!include_inactive) whereClause.active = true;
+
+    const factors = await ScoringFactor.findAll({
+      where: whereClause,
+      order: [['weight', 'DESC'], ['factor_name', 'ASC']]
+    });
+
+    res.json({
+      scoring_factors: factors.map(factor => ({
+        ...factor.toJSON(),
+        value_mappings: factor.getValueMappings()
+      })),
+      total_active_weight: factors
+        .filter(factor => factor.active)
+        .reduce((sum, factor) => sum + factor.weight, 0),
+      supported_factors: ScoringFactor.SUPPORTED_FACTORS
+    });
+  })
+);
+
+/**
+ * POST /api/v2/scoring/factors - Create a scoring factor and rescore open leads
+ */
+router.post('/factors',
+  requirePermission('settings', 'manage'),
+  validateScoringFactorCreate,
+  asyncHandler(async (req, res) => {
+    const configErrors = ScoringFactor.validateConfiguration(req.body);
+    if (configErrors.length > 0) {
+      return invalidFactor(res, configErrors);
+    }
+
+    const factor = await ScoringFactor.create({
+      ...req.body,
+      updated_by: req.auth.userId || null
+    });
+
+    const rescoreJobId = factor.active
+      ? await queueRescore('factor_created', factor.id, req.auth.userId)
+      : null;
+
+    logger.info('Scoring factor created:', {
+      factorId: factor.id,
+      factorName: factor.factor_name,
+      weight: factor.weight,
+      createdBy: req.auth.userId,
+      rescoreJobId
+    });
+
+    res.status(201).json({
+      scoring_factor: factor.toJSON(),
+      rescore_job_id: rescoreJobId
+    });
+  })
+);
+
+/**
+ * GET /api/v2/scoring/factors/:factorId - Get a scoring factor
+ */
+router.get('/factors/:factorId',
+  requirePermission('analytics', 'access'),
+  validateScoringFactorId,
+  asyncHandler(async (req, res) => {
+    const factor = await ScoringFactor.findByPk(req.params.factorId);
+
+    if (!factor) {
+      return factorNotFound(res, req.params.factorId);
+    }
+
+    res.json({
+      scoring_factor: {
+        ...factor.toJSON(),
+        value_mappings: factor.getValueMappings()
+      },
+      supported: ScoringFactor.SUPPORTED_FACTORS[factor.factor_name] || null
+    });
+  })
+);
+
+/**
+ * PUT /api/v2/scoring/factors/:factorId - Update weight, mappings or status
+ *
+ * Open leads are rescored in the background unless `rescore` is false.
+ */
+router.put('/factors/:factorId',
+  requirePermission('settings', 'manage'),
+  validateScoringFactorId,
+  validateScoringFactorUpdate,
+  asyncHandler(async (req, res) => {
+    const { rescore, ...updates } = req.body;
+    const factor = await ScoringFactor.findByPk(req.params.factorId);
+
+    if (!factor) {
+      return factorNotFound(res, req.params.factorId);
+    }
+
+    const configErrors = ScoringFactor.validateConfiguration({
+      factor_name: factor.factor_name,
+      calculation_method: factor.calculation_method,
+      weight: updates.weight !== undefined ? updates.weight : factor.weight,
+      value_mappings: updates.value_mappings || factor.getValueMappings()
+    });
+    if (configErrors.length > 0) {
+      return invalidFactor(res, configErrors);
+    }
+
+    await factor.update({
+      ...updates,
+      updated_by: req.auth.userId || null
+    });
+
+    const rescoreJobId = rescore
+      ? await queueRescore('factor_updated', factor.id, req.auth.userId)
+      : null;
+
+    logger.info('Scoring factor updated:', {
+      factorId: factor.id,
+      factorName: factor.factor_name,
+      fieldsUpdated: Object.keys(updates),
+      updatedBy: req.auth.userId,
+      rescoreJobId
+    });
+
+    res.json({
+      scoring_factor: factor.toJSON(),
+      rescore_job_id: rescoreJobId
+    });
+  })
+);
+
+/**
+ * DELETE /api/v2/scoring/factors/:factorId - Deactivate a scoring factor and rescore open leads
+ */
+router.delete('/factors/:factorId',
+  requirePermission('settings', 'manage'),
+  validateScoringFactorId,
+  asyncHandler(async (req, res) => {
+    const factor = await ScoringFactor.findByPk(req.params.factorId);
+
+    if (!factor) {
+      return factorNotFound(res, req.params.factorId);
+    }
+
+    await factor.update({
+      active: false,
+      updated_by: req.auth.userId || null
+    });
+
+    const rescoreJobId = await queueRescore('factor_deactivated', factor.id, req.auth.userId);
+
+    logger.info('Scoring factor deactivated:', {
+      factorId: factor.id,
+      factorName: factor.factor_name,
+      deactivatedBy: req.auth.userId,
+      rescoreJobId
+    });
+
+    res.json({
+      factor_id: factor.id,
+      active: false,
+      rescore_job_id: rescoreJobId
+    });
+  })
+);
+
+/**
+ * POST /api/v2/scoring/simulate - Replay proposed factor settings over historical leads
+ *
+ * Nothing is saved. Returns score distribution, priority shifts and conversion
+ * rate per score band for the current and proposed settings side by side.
+ */
+router.post('/simulate',
+  requirePermission('analytics', 'access'),
+  validateScoringSimulation,
+  asyncHandler(async (req, res) => {
+    const simulation = await scoringSimulationService.simulate(req.body);
+
+    if (simulation.errors) {
+      return invalidFactor(res, simulation.errors);
+    }
+
+    res.json(simulation);
+  })
+);
+
+/**
+ * GET /api/v2/scoring/models - List trained scoring models
+ */
+router.get('/models',
+  requirePermission('analytics', 'access'),
+  asyncHandler(async (req, res) => {
+    const models = await ScoringModel.findAll({
+      order: [['version', 'DESC']]
+    });
+
+    const activeModel = models.find(model => model.active && model.status === 'trained');
+
+    res.json({
+      strategy: activeModel ? 'model' : 'factors',
+      active_model_id: activeModel ? activeModel.id : null,
+      scoring_models: models.map(model => model.toSummaryJSON())
+    });
+  })
+);
+
+/**
+ * POST /api/v2/scoring/models/train - Train a new model version from closed leads
+ *
+ * Training runs on the analytics queue; the new model is not used until activated.
+ */
+router.post('/models/train',
+  requirePermission('settings', 'manage'),
+  validateScoringModelTrain,
+  asyncHandler(async (req, res) => {
+    const model = await ScoringModel.create({
+      status: 'training',
+      training_params: req.body,
+      created_by: req.auth.userId || null
+    });
+
+    const job = await addScoringModelTrainingJob(model.id, {
+      lookbackDays: req.body.lookback_days,
+      holdoutRatio: req.body.holdout_ratio,
+      epochs: req.body.epochs,
+      learningRate: req.body.learning_rate,
+      l2: req.body.l2,
+      minCategoryCount: req.body.min_category_count
+    });
+
+    logger.info('Scoring model training queued:', {
+      modelId: model.id,
+      version: model.version,
+      jobId: job.id,
+      requestedBy: req.auth.userId
+    });
+
+    res.status(202).json({
+      scoring_model: model.toSummaryJSON(),
+      job_id: job.id
+    });
+  })
+);
+
+/**
+ * DELETE /api/v2/scoring/models/active - Switch back to factor scoring
+ */
+router.delete('/models/active',
+  requirePermission('settings', 'manage'),
+  asyncHandler(async (req, res) => {
+    await ScoringModel.activate(null);
+
+    const rescoreJobId = await queueRescore('model_deactivated', null, req.auth.userId);
+
+    logger.info('Scoring model deactivated, using factors:', {
+      deactivatedBy: req.auth.userId,
+      rescoreJobId
+    });
+
+    res.json({
+      strategy: 'factors',
+      rescore_job_id: rescoreJobId
+    });
+  })
+);
+
+/**
+ * GET /api/v2/scoring/models/:modelId - Get a model with its coefficients
+ */
+router.get('/models/:modelId',
+  requirePermission('analytics', 'access'),
+  validateScoringModelId,
+  asyncHandler(async (req, res) => {
+    const model = await ScoringModel.findByPk(req.params.modelId);
+
+    if (!model) {
+      return modelNotFound(res, req.params.modelId);
+    }
+
+    const weights = Object.entries(model.coefficients?.weights || {})
+      .map(([feature, weight]) => ({ feature, weight }))
+      .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight));
+
+    res.json({
+      scoring_model: {
+        ...model.toSummaryJSON(),
+        intercept: model.coefficients?.intercept ?? null,
+        weights,
+        feature_spec: model.feature_spec
+      }
+    });
+  })
+);
+
+/**
+ * POST /api/v2/scoring/models/:modelId/activate - Score leads with this model
+ *
+ * Replaces factor scoring (or the previously active model) and rescores open leads.
+ */
+router.post('/models/:modelId/activate',
+  requirePermission('settings', 'manage'),
+  validateScoringModelId,
+  asyncHandler(async (req, res) => {
+    const model = await ScoringModel.findByPk(req.params.modelId);
+
+    if (!model) {
+      return modelNotFound(res, req.params.modelId);
+    }
+
+    if (!model.isUsable()) {
+      return res.status(409).json({
+        error: {
+          code: 'SCORING_MODEL_NOT_TRAINED',
+          message: `Scoring model version ${model.version} is ${model.status} and cannot be activated`
+        }
+      });
+    }
+
+    await ScoringModel.activate(model);
+
+    const rescoreJobId = await queueRescore('model_activated', null, req.auth.userId);
+
+    logger.info('Scoring model activated:', {
+      modelId: model.id,
+      version: model.version,
+      activatedBy: req.auth.userId,
+      rescoreJobId
+    });
+
+    res.json({
+      strategy: 'model',
+      scoring_model: model.toSummaryJSON(),
+      rescore_job_id: rescoreJobId
+    });
+  })
+);
+
+/**
+ * POST /api/v2/scoring/rescore - Rescore all open leads with the current factors
+ */
+router.post('/rescore',
+  requirePermission('settings', 'manage'),
+  validateScoringRescore,
+  asyncHandler(async (req, res) => {
+    const job = await addLeadRescoreJob({
+      reason: req.body.reason,
+      triggeredBy: req.auth.userId || null
+    });
+
+    logger.info('Lead rescore queued:', {
+      jobId: job.id,
+      reason: req.body.reason,
+      triggeredBy: req.auth.userId
+    });
+
+    res.status(202).json({
+      job_id: job.id,
+      status: 'queued'
+    });
+  })
+);
+
+/**
+ * GET /api/v2/scoring/jobs/:jobId - Get progress and results of a rescore or training job
+ */
+router.get('/jobs/:jobId',
+  requirePermission('analytics', 'access'),
+  validateScoringJobId,
+  asyncHandler(async (req, res) => {
+    const job = await analyticsQueue().getJob(req.params.jobId);
+
+    if (!job || !SCORING_JOB_TYPES.includes(job.name)) {
+      return res.status(404).json({
+        error: {
+          code: 'SCORING_JOB_NOT_FOUND',
+          message: `Scoring job ${req.params.jobId} not found`
+        }
+      });
+    }
+
+    res.json({
+      job_id: job.id,
+      type: job.name,
+      state: await job.getState(),
+      progress: job.progress(),
+      data: job.data,
+      result: job.returnvalue || null,
+      failed_reason: job.failedReason || null,
+      created_at: new Date(job.timestamp).toISOString(),
+      finished_at: job.finishedOn ? new Date(job.finishedOn).toISOString() : null
+    });
+  })
+);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,756 @@
+/**
+ * TNT Corporate Lead System - User Management Routes
+ *
+ * Team accounts, role presets, per-resource permissions and self-service profile
+ */
+
+const express = require('express');
+const { Op } = require('sequelize');
+const { User, RefreshToken, LeadTask, Lead } = require('../models');
+const {
+  validateUserCreate,
+  validateUserUpdate,
+  validateUserPermissions,
+  validateUserQuery,
+  validateUserId,
+  validateProfileUpdate,
+  validateNotificationPreferences,
+  validateSavedViewCreate,
+  validateSavedViewUpdate,
+  validateSavedViewId,
+  validateMyTasksQuery
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requirePermission, requireUser } = require('../middleware/auth');
+const { compileFilterExpression } = require('../utils/leadFilterExpression');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Roles a non-admin may create or edit; only admins can touch admin or manager accounts
+const MANAGEABLE_ROLES = {
+  manager: ['dispatcher', 'sales']
+};
+
+/**
+ * Whether the requesting user may manage accounts with the given role
+ */
+function canManageRole(auth, role) {
+  if (auth.role === 'admin') return true;
+  return (MANAGEABLE_ROLES[auth.role] || []).includes(role);
+}
+
+function roleForbidden(res, role) {
+  return res.status(403).json({
+    error: {
+      code: 'INSUFFICIENT_ROLE',
+      message: `Not allowed to manage users with role '${role}'`
+    }
+  });
+}
+
+function invalidPermissions(res, errors) {
+  return res.status(400).json({
+    error: {
+      code: 'INVALID_PERMISSIONS',
+      message: 'Permission update contains unknown resources or actions',
+      details: errors
+    }
+  });
+}
+
+/**
+ * Granted actions the requester does not hold; only admins may grant beyond their own
+ */
+function permissionsBeyondUser(auth, permissions) {
+  if (auth.role === 'admin') return [];
+
+  const own = auth.permissions || {};
+  const excess = [];
+
+  for (const [resource, actions] of Object.entries(permissions || {})) {
+    for (const [action, granted] of Object.entries(actions || {})) {
+      if (granted && !(own[resource] || {})[action]) {
+        excess.push(`${resource}:${action}`);
+      }
+    }
+  }
+
+  return excess;
+}
+
+function permissionsExceedOwn(res, excess) {
+  return res.status(403).json({
+    error: {
+      code: 'PERMISSIONS_EXCEED_OWN',
+      message: 'Cannot grant permissions beyond your own',
+      details: excess
+    }
+  });
+}
+
+function userNotFound(res) {
+  return res.status(404).json({
+    error: {
+      code: 'USER_NOT_FOUND',
+      message: 'User not found'
+    }
+  });
+}
+
+/**
+ * GET /api/v2/users/me - Get the signed-in user's profile
+ */
+router.get('/me',
+  requireUser,
+  asyncHandler(async (req, res) => {
+    res.json({
+      user: req.auth.user.toProfileJSON()
+    });
+  })
+);
+
+/**
+ * PUT /api/v2/users/me - Update own profile and optionally change password
+ */
+router.put('/me',
+  requireUser,
+  validateProfileUpdate,
+  asyncHandler(async (req, res) => {
+    const user = req.auth.user;
+    const { current_password, new_password, accepting_leads, ...profile } = req.body;
+
+    if (new_password) {
+      const passwordValid = await user.validatePassword(current_password);
+
+      if (!passwordValid) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_CURRENT_PASSWORD',
+            message: 'Current password is incorrect'
+          }
+        });
+      }
+
+      // Hashed by the beforeUpdate hook
+      user.password_hash = new_password;
+    }
+
+    if (accepting_leads !== undefined) {
+      profile.assignment_profile = { ...user.getAssignmentProfile(), accepting_leads };
+    }
+
+    user.set(profile);
+    await user.save();
+
+    if (new_password) {
+      // Sessions on other devices were opened with the old password
+      await RefreshToken.revokeAllForUser(user.id, 'password_reset');
+    }
+
+    logger.info('User profile updated:', {
+      userId: user.id,
+      fields: Object.keys(profile),
+      passwordChanged: !!new_password
+    });
+
+    res.json({
+      user: user.toProfileJSON(),
+      password_changed: !!new_password
+    });
+  })
+);
+
+/**
+ * GET /api/v2/users/me/notification-preferences - Get own notification preferences
+ */
+router.get('/me/notification-preferences',
+  requireUser,
+  asyncHandler(async (req, res) => {
+    res.json({
+      notification_preferences: req.auth.user.getNotificationPreferences()
+    });
+  })
+);
+
+/**
+ * PUT /api/v2/users/me/notification-preferences - Update own notification preferences
+ */
+router.put('/me/notification-preferences',
+  requireUser,
+  validateNotificationPreferences,
+  asyncHandler(async (req, res) => {
+    const user = req.auth.user;
+
+    user.notification_preferences = {
+      ...(user.notification_preferences || {}),
+      ...req.body
+    };
+    await user.save();
+
+    logger.info('Notification preferences updated:', {
+      userId: user.id,
+      preferences: user.notification_preferences
+    });
+
+    res.json({
+      notification_preferences: user.getNotificationPreferences()
+    });
+  })
+);
+
+/**
+ * Find a saved view the signed-in user owns, or send 404/403
+ */
+async function findOwnView(req, res) {
+  const view = req.auth.user.getSavedViews().find(saved => saved.id === req.params.viewId);
+  if (view) return view;
+
+  if (await User.findVisibleView(req.params.viewId, req.auth.userId)) {
+    res.status(403).json({
+      error: {
+        code: 'SAVED_VIEW_NOT_OWNED',
+        message: 'Only the owner can change a shared view'
+      }
+    });
+    return null;
+  }
+
+  res.status(404).json({
+    error: {
+      code: 'SAVED_VIEW_NOT_FOUND',
+      message: `Saved view with ID ${req.params.viewId} not found`
+    }
+  });
+  return null;
+}
+
+/**
+ * Send 409 when the user already has another view with the name
+ */
+function rejectDuplicateViewName(req, res, name, viewId = null) {
+  const taken = req.auth.user.getSavedViews().some(view => view.name === name && view.id !== viewId);
+  if (!taken) return null;
+
+  return res.status(409).json({
+    error: {
+      code: 'SAVED_VIEW_NAME_TAKEN',
+      message: `You already have a view named ${name}`
+    }
+  });
+}
+
+/**
+ * GET /api/v2/users/me/views - Own and shared saved lead views
+ */
+router.get('/me/views',
+  requireUser,
+  requirePermission('leads', 'read'),
+  asyncHandler(async (req, res) => {
+    const views = await User.findVisibleViews(req.auth.userId);
+
+    res.json({
+      views: views
+        .map(({ view, owner }) => ({
+          ...view,
+          owner_name: owner.getFullName(),
+          owned: owner.id === req.auth.userId
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+    });
+  })
+);
+
+/**
+ * POST /api/v2/users/me/views - Save a named lead view
+ */
+router.post('/me/views',
+  requireUser,
+  requirePermission('leads', 'read'),
+  validateSavedViewCreate,
+  asyncHandler(async (req, res) => {
+    // Reject filters that would fail when the view is opened
+    compileFilterExpression(req.body.filter, { userId: req.auth.userId });
+
+    const nameRejection = rejectDuplicateViewName(req, res, req.body.name);
+    if (nameRejection) return nameRejection;
+
+    const user = req.auth.user;
+    const now = new Date().toISOString();
+    const view = {
+      id: require('uuid').v4(),
+      user_id: user.id,
+      description: null,
+      ...req.body,
+      created_at: now,
+      updated_at: now
+    };
+
+    user.setSavedViews([...user.getSavedViews(), view]);
+    await user.save();
+
+    logger.info('Saved view created:', {
+      viewId: view.id,
+      name: view.name,
+      shared: view.shared,
+      userId: req.auth.userId
+    });
+
+    res.status(201).json({ view });
+  })
+);
+
+/**
+ * PUT /api/v2/users/me/views/:viewId - Update one of own saved views
+ */
+router.put('/me/views/:viewId',
+  requireUser,
+  requirePermission('leads', 'read'),
+  validateSavedViewId,
+  validateSavedViewUpdate,
+  asyncHandler(async (req, res) => {
+    const existing = await findOwnView(req, res);
+    if (!existing) return;
+
+    if (req.body.filter) {
+      compileFilterExpression(req.body.filter, { userId: req.auth.userId });
+    }
+
+    if (req.body.name) {
+      const nameRejection = rejectDuplicateViewName(req, res, req.body.name, existing.id);
+      if (nameRejection) return nameRejection;
+    }
+
+    const user = req.auth.user;
+    const view = { ...existing, ...req.body, updated_at: new Date().toISOString() };
+
+    user.setSavedViews(user.getSavedViews().map(saved => (saved.id === view.id ? view : saved)));
+    await user.save();
+
+    logger.info('Saved view updated:', {
+      viewId: view.id,
+      fieldsUpdated: Object.keys(req.body),
+      userId: req.auth.userId
+    });
+
+    res.json({ view });
+  })
+);
+
+/**
+ * DELETE /api/v2/users/me/views/:viewId - Delete one of own saved views
+ */
+router.delete('/me/views/:viewId',
+  requireUser,
+  requirePermission('leads', 'read'),
+  validateSavedViewId,
+  asyncHandler(async (req, res) => {
+    const view = await findOwnView(req, res);
+    if (!view) return;
+
+    const user = req.auth.user;
+    user.setSavedViews(user.getSavedViews().filter(saved => saved.id !== view.id));
+    await user.save();
+
+    logger.info('Saved view deleted:', {
+      viewId: view.id,
+      name: view.name,
+      userId: req.auth.userId
+    });
+
+    res.json({ view_id: view.id, deleted: true });
+  })
+);
+
+/**
+ * GET /api/v2/users/me/tasks - Own open tasks and callbacks
+ *
+ * due=today (default) is everything due by the end of the user's day,
+ * overdue included; counts cover overdue and today whatever the filter.
+ */
+router.get('/me/tasks',
+  requireUser,
+  requirePermission('leads', 'read'),
+  validateMyTasksQuery,
+  asyncHandler(async (req, res) => {
+    const { due, limit } = req.query;
+    const userId = req.auth.userId;
+    const timezone = req.auth.user.timezone || 'America/New_York';
+
+    const [tasks, overdueCount, dueTodayCount] = await Promise.all([
+      LeadTask.findAll({
+        where: LeadTask.dueWindowWhere(userId, due, timezone),
+        include: [{
+          model: Lead,
+          as: 'lead',
+          attributes: ['id', 'company_name', 'contact_name', 'phone', 'email', 'status']
+        }],
+        order: [['due_at', 'ASC']],
+        limit
+      }),
+      LeadTask.count({ where: LeadTask.dueWindowWhere(userId, 'overdue', timezone) }),
+      LeadTask.count({ where: LeadTask.dueWindowWhere(userId, 'today', timezone) })
+    ]);
+
+    const now = new Date();
+    res.json({
+      tasks: tasks.map(task => task.toSummaryJSON(now)),
+      counts: {
+        overdue: overdueCount,
+        due_today: dueTodayCount - overdueCount
+      },
+      due,
+      timezone
+    });
+  })
+);
+
+/**
+ * GET /api/v2/users/roles - List role presets and the permission catalog
+ */
+router.get('/roles',
+  requirePermission('users', 'read'),
+  asyncHandler(async (req, res) => {
+    const roles = User.ROLES.map(role => ({
+      role,
+      description: User.ROLE_PRESETS[role].description,
+      permissions: User.permissionsForRole(role)
+    }));
+
+    res.json({
+      roles,
+      permission_catalog: User.PERMISSION_CATALOG
+    });
+  })
+);
+
+/**
+ * GET /api/v2/users - List users with filtering
+ */
+router.get('/',
+  requirePermission('users', 'read'),
+  validateUserQuery,
+  asyncHandler(async (req, res) => {
+    const { role, active, search, page, limit } = req.query;
+
+    const whereClause = {};
+
+    if (role) whereClause.role = role;
+    if (active !== undefined) whereClause.active = active;
+
+    if (search) {
+      whereClause[Op.or] = [
+        { email: { [Op.iLike]: `%${search}%` } },
+        { first_name: { [Op.iLike]: `%${search}%` } },
+        { last_name: { [Op.iLike]: `%${search}%` } }
+      ];
+    }
+
+    const { rows: users, count: totalCount } = await User.findAndCountAll({
+      where: whereClause,
+      order: [['last_name', 'ASC'], ['first_name', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      users: users.map(user => user.toProfileJSON()),
+      pagination: {
+        page,
+        limit,
+        total_pages: totalPages,
+        total_count: totalCount,
+        has_next: page < totalPages,
+        has_previous: page > 1
+      }
+    });
+  })
+);
+
+/**
+ * POST /api/v2/users - Create a user with a role preset
+ */
+router.post('/',
+  requirePermission('users', 'create'),
+  validateUserCreate,
+  asyncHandler(async (req, res) => {
+    const { password, permissions, ...attributes } = req.body;
+
+    if (!canManageRole(req.auth, attributes.role)) {
+      return roleForbidden(res, attributes.role);
+    }
+
+    const permissionErrors = User.validatePermissions(permissions);
+    if (permissionErrors.length > 0) {
+      return invalidPermissions(res, permissionErrors);
+    }
+
+    const excessPermissions = permissionsBeyondUser(req.auth, permissions);
+    if (excessPermissions.length > 0) {
+      return permissionsExceedOwn(res, excessPermissions);
+    }
+
+    // Preset first, explicit overrides on top; password is hashed by the beforeCreate hook
+    const user = await User.create({
+      ...attributes,
+      password_hash: password,
+      permissions: mergePermissions(User.permissionsForRole(attributes.role), permissions)
+    });
+
+    logger.info('User created:', {
+      userId: user.id,
+      role: user.role,
+      createdBy: req.auth.userId
+    });
+
+    res.status(201).json({
+      user: user.toProfileJSON()
+    });
+  })
+);
+
+/**
+ * GET /api/v2/users/:userId - Get user details
+ */
+router.get('/:userId',
+  requirePermission('users', 'read'),
+  validateUserId,
+  asyncHandler(async (req, res) => {
+    const user = await User.findByPk(req.params.userId);
+
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    res.json({
+      user: user.toProfileJSON()
+    });
+  })
+);
+
+/**
+ * PUT /api/v2/users/:userId - Update user details or role
+ *
+ * Changing the role resets permissions to the new role's preset unless
+ * `apply_role_preset` is false.
+ */
+router.put('/:userId',
+  requirePermission('users', 'update'),
+  validateUserId,
+  validateUserUpdate,
+  asyncHandler(async (req, res) => {
+    const { apply_role_preset, ...updates } = req.body;
+    const user = await User.findByPk(req.params.userId);
+
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    if (!canManageRole(req.auth, user.role)) {
+      return roleForbidden(res, user.role);
+    }
+
+    const roleChanged = updates.role && updates.role !== user.role;
+
+    if (roleChanged) {
+      if (!canManageRole(req.auth, updates.role)) {
+        return roleForbidden(res, updates.role);
+      }
+
+      if (user.id === req.auth.userId) {
+        return res.status(400).json({
+          error: {
+            code: 'CANNOT_CHANGE_OWN_ROLE',
+            message: 'Users cannot change their own role'
+          }
+        });
+      }
+
+      if (apply_role_preset) {
+        updates.permissions = User.permissionsForRole(updates.role);
+      }
+    }
+
+    if (updates.assignment_profile) {
+      updates.assignment_profile = { ...user.getAssignmentProfile(), ...updates.assignment_profile };
+    }
+
+    const previousRole = user.role;
+    await user.update(updates);
+
+    logger.info('User updated:', {
+      userId: user.id,
+      fields: Object.keys(updates),
+      previousRole: roleChanged ? previousRole : undefined,
+      updatedBy: req.auth.userId
+    });
+
+    res.json({
+      user: user.toProfileJSON()
+    });
+  })
+);
+
+/**
+ * PUT /api/v2/users/:userId/permissions - Edit per-resource permissions
+ *
+ * `merge` overlays the given actions on the current permissions, `replace`
+ * swaps the whole permission map.
+ */
+router.put('/:userId/permissions',
+  requirePermission('users', 'update'),
+  validateUserId,
+  validateUserPermissions,
+  asyncHandler(async (req, res) => {
+    const { permissions, mode } = req.body;
+    const user = await User.findByPk(req.params.userId);
+
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    if (!canManageRole(req.auth, user.role)) {
+      return roleForbidden(res, user.role);
+    }
+
+    const permissionErrors = User.validatePermissions(permissions);
+    if (permissionErrors.length > 0) {
+      return invalidPermissions(res, permissionErrors);
+    }
+
+    const excessPermissions = permissionsBeyondUser(req.auth, permissions);
+    if (excessPermissions.length > 0) {
+      return permissionsExceedOwn(res, excessPermissions);
+    }
+
+    user.permissions = mode === 'replace'
+      ? permissions
+      : mergePermissions(user.permissions, permissions);
+    await user.save();
+
+    logger.info('User permissions updated:', {
+      userId: user.id,
+      mode,
+      resources: Object.keys(permissions),
+      updatedBy: req.auth.userId
+    });
+
+    res.json({
+      user_id: user.id,
+      role: user.role,
+      permissions: user.permissions
+    });
+  })
+);
+
+/**
+ * POST /api/v2/users/:userId/unlock - Clear a failed-login lockout
+ */
+router.post('/:userId/unlock',
+  requirePermission('users', 'update'),
+  validateUserId,
+  asyncHandler(async (req, res) => {
+    const user = await User.findByPk(req.params.userId);
+
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    if (!canManageRole(req.auth, user.role)) {
+      return roleForbidden(res, user.role);
+    }
+
+    await user.unlock();
+
+    logger.info('User account unlocked:', { userId: user.id, unlockedBy: req.auth.userId });
+
+    res.json({
+      user: user.toProfileJSON()
+    });
+  })
+);
+
+/**
+ * POST /api/v2/users/:userId/activate - Reactivate a deactivated account
+ */
+router.post('/:userId/activate',
+  requirePermission('users', 'update'),
+  validateUserId,
+  asyncHandler(async (req, res) => {
+    const user = await User.findByPk(req.params.userId);
+
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    if (!canManageRole(req.auth, user.role)) {
+      return roleForbidden(res, user.role);
+    }
+
+    await user.update({ active: true });
+
+    logger.info('User activated:', { userId: user.id, activatedBy: req.auth.userId });
+
+    res.json({
+      user: user.toProfileJSON()
+    });
+  })
+);
+
+/**
+ * DELETE /api/v2/users/:userId - Deactivate a user and end their sessions
+ *
+ * Users are never hard-deleted; leads and interactions keep referencing them.
+ */
+router.delete('/:userId',
+  requirePermission('users', 'delete'),
+  validateUserId,
+  asyncHandler(async (req, res) => {
+    const user = await User.findByPk(req.params.userId);
+
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    if (user.id === req.auth.userId) {
+      return res.status(400).json({
+        error: {
+          code: 'CANNOT_DEACTIVATE_SELF',
+          message: 'Users cannot deactivate their own account'
+        }
+      });
+    }
+
+    if (!canManageRole(req.auth, user.role)) {
+      return roleForbidden(res, user.role);
+    }
+
+    await user.update({ active: false });
+    await RefreshToken.revokeAllForUser(user.id, 'user_deactivated');
+
+    logger.info('User deactivated:', { userId: user.id, deactivatedBy: req.auth.userId });
+
+    res.json({
+      user_id: user.id,
+      active: false,
+      message: 'User deactivated and all sessions revoked'
+    });
+  })
+);
+
+/**
+ * Overlay resource/action flags onto an existing permission map
+ */
+function mergePermissions(base = {}, overrides = {}) {
+  const merged = { ...base };
+
+  for (const [resource, actions] of Object.entries(overrides || {})) {
+    merged[resource] = { ...(merged[resource] || {}), ...actions };
+  }
+
+  return merged;
+}
+
+module.exports = router;
\ No newline at end of file
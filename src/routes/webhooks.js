@@ -5,28 +5,73 @@
  */
 
 const express = require('express');
-const { Lead, LeadInteraction, WebhookLog } = require('../models');
+const { Lead, LeadInteraction, LostReason, WebhookLog } = require('../models');
 const { validateWebhookSignature } = require('../middleware/auth');
 const {
   validateWebhookFormSubmission,
   validateWebhookEmailEngagement,
   validateWebhookCrmUpdate
 } = require('../middleware/validation');
-const { asyncHandler, createLeadError } = require('../middleware/errorHandler');
+const { asyncHandler, createLeadError, BusinessLogicError } = require('../middleware/errorHandler');
 const {
   addInstantEmailJob,
   addHighValueNotification,
+  scheduleResponseEscalation,
   addIntegrationSync
 } = require('../queues');
+const leadAssignmentService = require('../services/leadAssignmentService');
+const leadMergeService = require('../services/leadMergeService');
+const auditContext = require('../utils/auditContext');
+const { assertTransition } = require('../utils/leadLifecycle');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+/**
+ * Drop a status change the lead lifecycle would reject, logging why
+ *
+ * External systems move records freely; the lead keeps its status and the
+ * rest of the update still applies. A lost reason an admin has retired, or
+ * one missing the note it requires, drops the change too.
+ */
+async function withAllowedStatus(lead, updates, source) {
+  if (!updates.status || updates.status === lead.status) return updates;
+
+  try {
+    assertTransition(lead.status, updates.status, { ...lead.get(), ...updates });
+
+    if (updates.status === 'lost') {
+      const reason = await LostReason.findOne({ where: { code: updates.lost_reason || null, active: true } });
+
+      if (!reason) {
+        throw new BusinessLogicError(`'${updates.lost_reason}' is not an active lost reason`, 'INVALID_LOST_REASON', 422);
+      }
+      if (reason.requires_detail && !updates.lost_reason_note) {
+        throw new BusinessLogicError(`Lost reason '${reason.code}' requires lost_reason_note`, 'TRANSITION_REQUIREMENTS_NOT_MET', 422);
+      }
+    }
+
+    return updates;
+  } catch (error) {
+    logger.warn('Status change rejected by lead lifecycle:', {
+      leadId: lead.id,
+      source,
+      from: lead.status,
+      to: updates.status,
+      code: error.code
+    });
+
+    const { status, converted_value, lost_reason, lost_reason_note, ...rest } = updates;
+    return rest;
+  }
+}
+
 /**
  * POST /api/v2/webhooks/form-submission - Handle website form submissions
  * This is the primary lead capture endpoint for TNT's website
  */
 router.post('/form-submission',
+  auditContext.channel('webhook', 'website_form'),
   validateWebhookFormSubmission,
   asyncHandler(async (req, res) => {
     const startTime = Date.now();
@@ -80,44 +125,49 @@ router.post('/form-submission',
         }
       };
 
-      // Check for duplicate leads (same email within 24 hours)
-      const existingLead = await Lead.findOne({
-        where: {
-          email: leadData.email,
-          created_at: {
-            [require('sequelize').Op.gte]: new Date(Date.now() - 24 * 60 * 60 * 1000)
-          }
-        }
-      });
+      // Create new lead
+      const lead = await Lead.create(leadData);
+      await webhookLog.markProcessed(lead.id);
+
+      // A resubmission is folded into the recent open lead it duplicates, so its
+      // details and webhook log land there (and the merge can be undone)
+      const duplicate = await leadMergeService.findAutoMergeTarget(lead);
 
-      if (existingLead) {
-        logger.warn('Duplicate lead submission detected:', {
+      if (duplicate) {
+        const { survivor, merges } = await leadMergeService.merge(duplicate.lead.id, [lead.id], {
+          source: 'webhook_duplicate'
+        });
+
+        logger.warn('Duplicate lead submission merged:', {
           email: leadData.email,
-          existingLeadId: existingLead.id,
+          existingLeadId: survivor.id,
+          mergeId: merges[0].id,
+          matchReasons: merges[0].match_reasons,
           webhookId: webhookLog.id
         });
 
-        await webhookLog.markProcessed(existingLead.id);
-
         return res.json({
           processing_id: webhookLog.id,
           status: 'processed',
           lead_created: false,
-          lead_id: existingLead.id,
-          message: 'Duplicate submission - existing lead updated',
+          lead_id: survivor.id,
+          merge_id: merges[0].id,
+          match_reasons: merges[0].match_reasons,
+          fields_updated: Object.keys(merges[0].field_changes),
+          message: 'Duplicate submission merged into existing lead',
           estimated_response_time: '1-2 minutes'
         });
       }
 
-      // Create new lead
-      const lead = await Lead.create(leadData);
-      await webhookLog.markProcessed(lead.id);
-
       logger.leadProcessed(lead.id, 'created_from_webhook', Date.now() - startTime);
 
       // Queue immediate automation workflows
       const actions = [];
 
+      // 0. Assign an owner so the instant email and alerts have someone to follow up
+      const assignee = await leadAssignmentService.autoAssign(lead);
+      actions.push(assignee ? `Assigned to ${assignee.getFullName()}` : 'No rep available - lead is unassigned');
+
       // 1. Instant email response (critical for 5-minute commitment)
       try {
         await addInstantEmailJob(lead.id);
@@ -154,6 +204,19 @@ router.post('/form-submission',
         });
       }
 
+      // 4. Response-time escalation ladder
+      try {
+        const escalationJobs = await scheduleResponseEscalation(lead);
+        if (escalationJobs.length > 0) {
+          actions.push('Response-time escalation scheduled');
+        }
+      } catch (error) {
+        logger.error('Failed to schedule response escalation:', {
+          leadId: lead.id,
+          error: error.message
+        });
+      }
+
       const processingTime = Date.now() - startTime;
 
       res.json({
@@ -163,6 +226,7 @@ router.post('/form-submission',
         lead_id: lead.id,
         lead_score: lead.lead_score,
         priority_level: lead.priority_level,
+        assigned_to: assignee ? assignee.id : null,
         actions_taken: actions,
         estimated_response_time: lead.isHighValue() ? '2-3 minutes' : '3-5 minutes',
         processing_time_ms: processingTime,
@@ -203,6 +267,7 @@ router.post('/form-submission',
  * POST /api/v2/webhooks/email-engagement - Track email opens, clicks, bounces
  */
 router.post('/email-engagement',
+  auditContext.channel('webhook', 'email_provider'),
   validateWebhookSignature('email_provider'),
   validateWebhookEmailEngagement,
   asyncHandler(async (req, res) => {
@@ -293,12 +358,19 @@ router.post('/email-engagement',
             response_content: `Email ${event_type}: ${req.body.reason || 'No reason provided'}`
           });
 
-          // Update lead status if hard bounce
+          // Mark the lead lost on a hard bounce, unless it is already closed
           if (event_type === 'bounced' && req.body.bounce_type === 'hard') {
-            await interaction.lead.update({
+            const updates = await withAllowedStatus(interaction.lead, {
               status: 'lost',
-              notes: `Email hard bounced - invalid email address`
-            });
+              lost_reason: 'invalid_contact',
+              lost_reason_note: req.body.reason || null
+            }, 'email_provider');
+
+            if (updates.status) {
+              await interaction.lead.update(updates, {
+                audit: { note: 'Email hard bounced - invalid email address' }
+              });
+            }
           }
 
           logger.warn('Email delivery issue:', {
@@ -353,6 +425,7 @@ router.post('/email-engagement',
  * POST /api/v2/webhooks/crm-updates - Handle bidirectional CRM updates
  */
 router.post('/crm-updates',
+  auditContext.channel('webhook', 'zoho_crm'),
   validateWebhookSignature('zoho_crm'),
   validateWebhookCrmUpdate,
   asyncHandler(async (req, res) => {
@@ -420,17 +493,25 @@ router.post('/crm-updates',
                 'Lost Lead': 'lost'
               };
               updates.status = statusMap[data.Lead_Status] || lead.status;
+
+              if (updates.status === 'lost' && lead.status !== 'lost') {
+                updates.lost_reason = 'other';
+                updates.lost_reason_note = 'Marked Lost Lead in Zoho CRM';
+              }
             }
 
             if (data.Annual_Revenue) {
               updates.estimated_value = parseFloat(data.Annual_Revenue);
             }
 
-            if (Object.keys(updates).length > 0) {
-              await lead.update(updates);
+            // Conversions need the booked value, which arrives with deal_closed
+            const allowedUpdates = await withAllowedStatus(lead, updates, 'zoho_crm');
+
+            if (Object.keys(allowedUpdates).length > 0) {
+              await lead.update(allowedUpdates);
               logger.info('Lead updated from CRM webhook:', {
                 leadId: lead.id,
-                updates
+                updates: allowedUpdates
               });
             }
           }
@@ -438,15 +519,15 @@ router.post('/crm-updates',
 
         case 'deal_closed':
           if (lead) {
-            await lead.update({
+            await lead.update(await withAllowedStatus(lead, {
               status: 'converted',
-              converted_at: new Date(),
+              converted_value: parseFloat(data.Amount) || null,
               custom_fields: {
                 ...lead.custom_fields,
                 crm_deal_value: data.Amount,
                 crm_close_date: data.Closing_Date
               }
-            });
+            }, 'zoho_crm'));
 
             logger.info('Lead converted from CRM webhook:', {
               leadId: lead.id,
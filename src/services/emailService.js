@@ -266,6 +266,62 @@ Time is critical - please respond immediately.
     });
   }
 
+  /**
+   * Send password reset link to a dashboard user
+   */
+  async sendPasswordResetEmail(user, resetUrl, expiresMinutes) {
+    const subject = 'TNT Lead System - Password Reset Request';
+
+    const text = `
+Dear ${user.getFullName()},
+
+We received a request to reset the password for your TNT Lead System account.
+
+Reset your password: ${resetUrl}
+
+This link expires in ${expiresMinutes} minutes and can only be used once.
+
+If you did not request a password reset, you can ignore this email - your password will not change.
+`;
+
+    const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background: #dc2626; color: white; padding: 20px; text-align: center;">
+        <h1 style="margin: 0;">TNT Limousine</h1>
+        <p style="margin: 5px 0 0 0;">Lead System Account</p>
+      </div>
+
+      <div style="padding: 20px; background: #f9f9f9;">
+        <p style="font-size: 16px; line-height: 1.6;">Dear ${user.getFullName()},</p>
+
+        <p style="font-size: 16px; line-height: 1.6;">
+          We received a request to reset the password for your TNT Lead System account.
+        </p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${resetUrl}"
+             style="background: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">
+            Reset Password
+          </a>
+        </div>
+
+        <p style="font-size: 14px; color: #666;">
+          This link expires in ${expiresMinutes} minutes and can only be used once.
+          If you did not request a password reset, you can ignore this email.
+        </p>
+      </div>
+    </div>
+    `;
+
+    return this.sendEmail({
+      to: user.email,
+      subject,
+      text,
+      html,
+      templateName: 'password_reset'
+    });
+  }
+
   /**
    * Add TNT footer to plain text emails
    */
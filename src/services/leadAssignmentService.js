@@ -0,0 +1,218 @@
+/**
+ * TNT Corporate Lead System - Lead Assignment Service
+ *
+ * Picks the rep who owns each lead using pluggable assignment strategies
+ */
+
+const { Lead, LeadInteraction, User, sequelize } = require('../models');
+const { BusinessLogicError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Candidate with the oldest (or no) previous assignment goes next
+ */
+function leastRecentlyAssigned(candidates) {
+  return [...candidates].sort((a, b) => {
+    const aTime = a.user.last_lead_assigned_at ? new Date(a.user.last_lead_assigned_at).getTime() : 0;
+    const bTime = b.user.last_lead_assigned_at ? new Date(b.user.last_lead_assigned_at).getTime() : 0;
+    return aTime - bTime;
+  })[0] || null;
+}
+
+/**
+ * Narrow candidates to those matching a predicate, falling back to everyone
+ * so a lead is never left unowned just because no specialist is free
+ */
+function preferMatching(candidates, predicate) {
+  const matching = candidates.filter(predicate);
+  return matching.length > 0 ? matching : candidates;
+}
+
+class LeadAssignmentService {
+  constructor() {
+    this.defaultStrategy = process.env.LEAD_ASSIGNMENT_STRATEGY || 'round_robin';
+    this.strategies = {};
+
+    // Strategies receive the lead and candidates ({ user, profile, openLeads })
+    // that still have capacity, and return the chosen candidate or null
+    this.registerStrategy('round_robin', (lead, candidates) =>
+      leastRecentlyAssigned(candidates)
+    );
+
+    this.registerStrategy('weighted_capacity', (lead, candidates) => {
+      // Lowest load relative to weight wins; round-robin breaks ties
+      const loads = candidates.map(candidate => candidate.openLeads / (candidate.profile.weight || 1));
+      const lowestLoad = Math.min(...loads);
+      return leastRecentlyAssigned(candidates.filter((candidate, i) => loads[i] === lowestLoad));
+    });
+
+    this.registerStrategy('specialty', (lead, candidates) =>
+      leastRecentlyAssigned(preferMatching(candidates, candidate =>
+        candidate.profile.service_types.includes(lead.service_type)
+      ))
+    );
+
+    this.registerStrategy('territory', (lead, candidates) => {
+      const area = (lead.service_area || '').toLowerCase();
+
+      return leastRecentlyAssigned(preferMatching(candidates, candidate =>
+        !!area && candidate.profile.service_areas.some(serviceArea => serviceArea.toLowerCase() === area)
+      ));
+    });
+  }
+
+  /**
+   * Add or replace an assignment strategy
+   */
+  registerStrategy(name, selectFn) {
+    this.strategies[name] = selectFn;
+  }
+
+  getStrategyNames() {
+    return Object.keys(this.strategies);
+  }
+
+  isAutoAssignEnabled() {
+    return this.defaultStrategy !== 'none';
+  }
+
+  /**
+   * Load assignable reps with their current open lead counts
+   */
+  async getCandidates(excludeUserIds = []) {
+    const users = (await User.findAssignable()).filter(user => !excludeUserIds.includes(user.id));
+    if (users.length === 0) return [];
+
+    const openCounts = await Lead.countOpenByAssignee(users.map(user => user.id));
+
+    return users.map(user => ({
+      user,
+      profile: user.getAssignmentProfile(),
+      openLeads: openCounts[user.id] || 0
+    }));
+  }
+
+  /**
+   * Choose a rep for a lead with the given strategy (does not save anything)
+   */
+  async selectAssignee(lead, strategyName = this.defaultStrategy, options = {}) {
+    const strategy = this.strategies[strategyName];
+
+    if (!strategy) {
+      throw new BusinessLogicError(
+        `Unknown assignment strategy '${strategyName}' (available: ${this.getStrategyNames().join(', ')})`,
+        'INVALID_ASSIGNMENT_STRATEGY'
+      );
+    }
+
+    const candidates = (await this.getCandidates(options.excludeUserIds)).filter(candidate =>
+      candidate.profile.max_open_leads == null || candidate.openLeads < candidate.profile.max_open_leads
+    );
+
+    if (candidates.length === 0) return null;
+
+    const selected = await strategy(lead, candidates);
+    return selected ? selected.user : null;
+  }
+
+  /**
+   * Assign a lead to a specific user (or null to unassign) and record it
+   */
+  async assignLead(lead, assignee, { assignedBy = null, strategy = null, reason = null } = {}) {
+    const previousAssigneeId = lead.assigned_to;
+
+    if ((assignee ? assignee.id : null) === previousAssigneeId) {
+      return { lead, assignee, previousAssigneeId, changed: false };
+    }
+
+    const now = new Date();
+
+    await sequelize.transaction(async (transaction) => {
+      // Lock the row so two concurrent claims/assignments cannot both win
+      await lead.reload({ transaction, lock: transaction.LOCK.UPDATE });
+
+      if (lead.assigned_to !== previousAssigneeId) {
+        throw new BusinessLogicError(
+          'Lead ownership changed while assigning, please retry',
+          'ASSIGNMENT_CONFLICT',
+          409
+        );
+      }
+
+      await lead.update({
+        assigned_to: assignee ? assignee.id : null,
+        assigned_at: assignee ? now : null
+      }, { transaction });
+
+      if (assignee) {
+        await User.update(
+          { last_lead_assigned_at: now },
+          { where: { id: assignee.id }, transaction, silent: true }
+        );
+      }
+
+      await LeadInteraction.create({
+        lead_id: lead.id,
+        interaction_type: 'lead_assigned',
+        subject: assignee
+          ? `Lead ${previousAssigneeId ? 'reassigned' : 'assigned'} to ${assignee.getFullName()}`
+          : 'Lead unassigned',
+        content: [
+          strategy ? `Strategy: ${strategy}` : 'Manual assignment',
+          previousAssigneeId ? `Previous owner: ${previousAssigneeId}` : null,
+          reason
+        ].filter(Boolean).join('\n'),
+        automated: !assignedBy,
+        user_id: assignedBy
+      }, { transaction });
+    });
+
+    logger.info('Lead assigned:', {
+      leadId: lead.id,
+      assignedTo: assignee ? assignee.id : null,
+      previousAssigneeId,
+      strategy,
+      assignedBy
+    });
+
+    return { lead, assignee, previousAssigneeId, changed: true };
+  }
+
+  /**
+   * Run the configured strategy for a newly captured lead
+   *
+   * Never throws - a lead without an owner is still better than a failed capture.
+   */
+  async autoAssign(lead) {
+    if (!this.isAutoAssignEnabled() || lead.assigned_to) {
+      return null;
+    }
+
+    try {
+      const assignee = await this.selectAssignee(lead);
+
+      if (!assignee) {
+        logger.warn('No rep available for lead assignment:', {
+          leadId: lead.id,
+          strategy: this.defaultStrategy
+        });
+        return null;
+      }
+
+      await this.assignLead(lead, assignee, { strategy: this.defaultStrategy });
+      return assignee;
+    } catch (error) {
+      logger.error('Automatic lead assignment failed:', {
+        leadId: lead.id,
+        strategy: this.defaultStrategy,
+        error: error.message
+      });
+      return null;
+    }
+  }
+}
+
+// Create singleton instance
+const leadAssignmentService = new LeadAssignmentService();
+
+module.exports = leadAssignmentService;
\ No newline at end of file
@@ -0,0 +1,303 @@
+/**
+ * TNT Corporate Lead System - Lead Export Service
+ *
+ * Lead extracts in CSV, XLSX and NDJSON using the lead list filters, streamed
+ * directly for small result sets and generated in the background otherwise
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const { Lead, LeadExport, User, sequelize } = require('../models');
+const { getDataTransferDir, createRowWriter } = require('../utils/spreadsheet');
+const { buildLeadWhere } = require('../utils/leadFilter');
+const { addLeadExportJob } = require('../queues');
+const logger = require('../utils/logger');
+
+// Lead attributes exported as stored
+const LEAD_COLUMNS = [
+  'company_name', 'contact_name', 'email', 'phone', 'website',
+  'service_type', 'service_date', 'pickup_location', 'destination', 'passenger_count', 'vehicle_preference',
+  'estimated_value', 'budget_tier', 'company_size_estimate', 'industry',
+  'lead_score', 'priority_level', 'status', 'converted_value', 'lost_reason', 'lost_reason_note',
+  'source', 'utm_source', 'utm_medium', 'utm_campaign', 'referrer_url',
+  'service_area', 'distance_from_base',
+  'customer_id', 'is_returning_client',
+  'assigned_to', 'assigned_at', 'status_changed_at', 'converted_at', 'lost_at', 'last_contact_at', 'created_at', 'updated_at'
+];
+
+// Columns derived from the lead and its assignee
+const COMPUTED_COLUMNS = {
+  lead_id: lead => lead.id,
+  assignee_name: lead => (lead.assignee ? lead.assignee.getFullName() : null)
+};
+
+// DECIMAL columns come back from Postgres as strings
+const DECIMAL_COLUMNS = ['estimated_value', 'converted_value', 'distance_from_base'];
+
+const EXPORT_COLUMNS = ['lead_id', ...LEAD_COLUMNS, 'assignee_name'];
+
+const DEFAULT_COLUMNS = [
+  'lead_id', 'company_name', 'contact_name', 'email', 'phone', 'service_type', 'service_date',
+  'estimated_value', 'lead_score', 'status', 'priority_level', 'source', 'is_returning_client',
+  'assignee_name', 'created_at'
+];
+
+// `custom_fields` expands to one column per key; `custom_fields.<key>` selects one
+const CUSTOM_FIELDS_COLUMN = 'custom_fields';
+const CUSTOM_FIELD_PREFIX = 'custom_fields.';
+
+// Leads read per query while writing
+const BATCH_SIZE = 500;
+
+function columnValue(lead, column) {
+  if (column.startsWith(CUSTOM_FIELD_PREFIX)) {
+    const value = (lead.custom_fields || {})[column.slice(CUSTOM_FIELD_PREFIX.length)];
+    return value === undefined ? null : value;
+  }
+
+  if (COMPUTED_COLUMNS[column]) {
+    return COMPUTED_COLUMNS[column](lead);
+  }
+
+  const value = lead.get(column);
+  return DECIMAL_COLUMNS.includes(column) && value !== null ? parseFloat(value) : value;
+}
+
+/**
+ * Leads ordered after the given one by (created_at, id)
+ */
+function afterCursor({ created_at, id }) {
+  return {
+    [Op.or]: [
+      { created_at: { [Op.gt]: created_at } },
+      { created_at, id: { [Op.gt]: id } }
+    ]
+  };
+}
+
+class LeadExportService {
+  constructor() {
+    this.streamRowLimit = parseInt(process.env.LEAD_EXPORT_STREAM_MAX_ROWS) || 5000;
+    this.retentionHours = parseInt(process.env.LEAD_EXPORT_RETENTION_HOURS) || 24;
+  }
+
+  getAvailableColumns() {
+    return [...EXPORT_COLUMNS, CUSTOM_FIELDS_COLUMN, `${CUSTOM_FIELD_PREFIX}<key>`];
+  }
+
+  /**
+   * Custom field keys present on the matching leads, sorted
+   */
+  async getCustomFieldKeys(where) {
+    const rows = await Lead.findAll({
+      attributes: [[sequelize.literal('DISTINCT jsonb_object_keys("Lead"."custom_fields")'), 'key']],
+      where: {
+        [Op.and]: [
+          where,
+          sequelize.where(sequelize.fn('jsonb_typeof', sequelize.col('Lead.custom_fields')), 'object')
+        ]
+      },
+      raw: true
+    });
+
+    return rows.map(row => row.key).sort();
+  }
+
+  /**
+   * Turn the comma-separated columns parameter into column names
+   *
+   * Returns { columns, errors }; without a request the default columns are used.
+   */
+  async resolveColumns(requested, where) {
+    const names = requested
+      ? requested.split(',').map(name => name.trim()).filter(Boolean)
+      : DEFAULT_COLUMNS;
+
+    const columns = [];
+    const errors = [];
+
+    for (const name of names) {
+      if (name === CUSTOM_FIELDS_COLUMN) {
+        const keys = await this.getCustomFieldKeys(where);
+        columns.push(...keys.map(key => `${CUSTOM_FIELD_PREFIX}${key}`));
+      } else if (name.startsWith(CUSTOM_FIELD_PREFIX) && name.length > CUSTOM_FIELD_PREFIX.length) {
+        columns.push(name);
+      } else if (EXPORT_COLUMNS.includes(name)) {
+        columns.push(name);
+      } else {
+        errors.push(`Unknown column '${name}'`);
+      }
+    }
+
+    if (errors.length === 0 && columns.length === 0) {
+      errors.push('No columns to export - the matching leads have no custom fields');
+    }
+
+    return { columns: [...new Set(columns)], errors };
+  }
+
+  /**
+   * Write every lead matching the where clause to a stream
+   *
+   * Leads are read in batches ordered by (created_at, id) so leads created
+   * during the export cannot shift later batches. Stops early if the output
+   * is closed, e.g. the client disconnected. Returns the number of rows written.
+   */
+  async writeLeads(output, { where, format, columns }, onBatch = () => {}) {
+    const writer = createRowWriter(format, output, columns);
+    const include = columns.includes('assignee_name') ? [{
+      model: User,
+      as: 'assignee',
+      attributes: ['id', 'first_name', 'last_name'],
+      required: false
+    }] : [];
+
+    let cursor = null;
+    let written = 0;
+
+    while (!output.destroyed) {
+      const leads = await Lead.findAll({
+        where: cursor ? { [Op.and]: [where, afterCursor(cursor)] } : where,
+        include,
+        order: [['created_at', 'ASC'], ['id', 'ASC']],
+        limit: BATCH_SIZE
+      });
+
+      for (const lead of leads) {
+        await writer.write(columns.map(column => columnValue(lead, column)));
+      }
+      written += leads.length;
+
+      if (leads.length < BATCH_SIZE) break;
+
+      const last = leads[leads.length - 1];
+      cursor = { created_at: last.created_at, id: last.id };
+      await onBatch(written);
+    }
+
+    if (!output.destroyed) {
+      await writer.end();
+    }
+
+    return written;
+  }
+
+  /**
+   * Store a background export and queue it
+   */
+  async createExport({ format, columns, filters, totalRows }, userId = null) {
+    const leadExport = await LeadExport.create({
+      format,
+      columns,
+      filters,
+      total_rows: totalRows,
+      created_by: userId
+    });
+
+    try {
+      const job = await addLeadExportJob(leadExport.id);
+      await leadExport.update({ job_id: String(job.id) });
+    } catch (error) {
+      logger.error('Failed to queue lead export:', { exportId: leadExport.id, error: error.message });
+      await leadExport.update({
+        status: 'failed',
+        error_message: `Export could not be queued: ${error.message}`,
+        completed_at: new Date()
+      });
+    }
+
+    return leadExport;
+  }
+
+  /**
+   * Generate the file for a background export
+   */
+  async processExport(leadExport, onProgress = () => {}) {
+    await leadExport.update({ status: 'processing', started_at: new Date(), processed_rows: 0, error_message: null });
+
+    const where = buildLeadWhere(leadExport.filters, { userId: leadExport.created_by });
+    const filePath = path.join(getDataTransferDir(), `export-${leadExport.id}.${leadExport.format}`);
+    const output = fs.createWriteStream(filePath);
+
+    let writeError = null;
+    output.on('error', (error) => {
+      writeError = error;
+    });
+
+    let rowCount;
+    try {
+      rowCount = await this.writeLeads(output, {
+        where,
+        format: leadExport.format,
+        columns: leadExport.columns
+      }, async (written) => {
+        await leadExport.update({ processed_rows: written });
+        if (leadExport.total_rows) {
+          await onProgress(Math.min(99, Math.floor((written / leadExport.total_rows) * 100)));
+        }
+      });
+      if (writeError) throw writeError;
+    } catch (error) {
+      output.destroy();
+      this.removeFile(filePath);
+      throw error;
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+
+    await leadExport.update({
+      status: 'completed',
+      total_rows: rowCount,
+      processed_rows: rowCount,
+      file_path: filePath,
+      file_size: size,
+      completed_at: new Date(),
+      expires_at: new Date(Date.now() + this.retentionHours * 60 * 60 * 1000)
+    });
+    await onProgress(100);
+
+    logger.info('Lead export completed:', {
+      exportId: leadExport.id,
+      format: leadExport.format,
+      rows: rowCount,
+      fileSize: size
+    });
+
+    return { export_id: leadExport.id, rows: rowCount, file_size: size };
+  }
+
+  /**
+   * Delete files of exports past their expiry
+   */
+  async removeExpiredExports() {
+    const expired = await LeadExport.findAll({
+      where: {
+        status: 'completed',
+        expires_at: { [Op.lte]: new Date() }
+      }
+    });
+
+    for (const leadExport of expired) {
+      if (leadExport.file_path) {
+        this.removeFile(leadExport.file_path);
+      }
+      await leadExport.update({ status: 'expired', file_path: null });
+    }
+
+    return expired.length;
+  }
+
+  removeFile(filePath) {
+    fs.unlink(filePath, (error) => {
+      if (error && error.code !== 'ENOENT') {
+        logger.warn('Failed to remove export file:', { filePath, error: error.message });
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const leadExportService = new LeadExportService();
+
+module.exports = leadExportService;
\ No newline at end of file
@@ -0,0 +1,385 @@
+/**
+ * TNT Corporate Lead System - Lead Import Service
+ *
+ * Bulk lead import from CSV/XLSX: column mapping, row validation against the
+ * lead create schema, duplicate handling and the per-row report
+ */
+
+const fs = require('fs');
+const { Lead, LeadImport } = require('../models');
+const { schemas } = require('../middleware/validation');
+const { getDataTransferDir, formatFromFileName, readHeaders, readRows } = require('../utils/spreadsheet');
+const {
+  addLeadImportJob,
+  addInstantEmailJob,
+  addHighValueNotification,
+  scheduleResponseEscalation,
+  addIntegrationSync
+} = require('../queues');
+const leadMergeService = require('./leadMergeService');
+const leadAssignmentService = require('./leadAssignmentService');
+const logger = require('../utils/logger');
+
+const leadCreateSchema = schemas.lead.create;
+const LEAD_FIELD_RULES = leadCreateSchema.describe().keys;
+
+const IMPORTABLE_FIELDS = Object.keys(LEAD_FIELD_RULES).filter(field => field !== 'custom_fields');
+const REQUIRED_FIELDS = IMPORTABLE_FIELDS.filter(field => LEAD_FIELD_RULES[field].flags?.presence === 'required');
+
+// Header spellings recognised without an explicit column_mapping (besides the field name itself)
+const HEADER_ALIASES = {
+  company_name: ['company', 'organization', 'organisation', 'business', 'account'],
+  contact_name: ['name', 'contact', 'full name', 'attendee'],
+  email: ['email address', 'e mail', 'e mail address'],
+  phone: ['phone number', 'telephone', 'mobile', 'cell'],
+  service_type: ['service'],
+  service_date: ['event date', 'date of service', 'pickup date'],
+  pickup_location: ['pickup', 'pick up', 'pick up location'],
+  destination: ['drop off', 'dropoff'],
+  passenger_count: ['passengers', 'guests', 'group size'],
+  estimated_value: ['value', 'budget', 'estimated budget'],
+  company_size_estimate: ['company size', 'employees']
+};
+
+// Report columns prepended to the original row in the errors CSV
+const REPORT_COLUMNS = ['import_row', 'import_issue', 'import_errors', 'existing_lead_id'];
+
+// Rows between progress saves
+const PROGRESS_INTERVAL = 25;
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[_\-.]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Spreadsheet formatting the lead schema would reject: "(804) 555-1234",
+ * "$1,200", "acme.com", "3/14/2026"
+ */
+const FIELD_CLEANERS = {
+  phone: value => value.replace(/[\s().-]/g, ''),
+  estimated_value: value => value.replace(/[$,\s]/g, ''),
+  distance_from_base: value => value.replace(/[,\s]|mi(les)?$/gi, ''),
+  service_type: value => value.toLowerCase(),
+  budget_tier: value => value.toLowerCase(),
+  email: value => value.toLowerCase(),
+  website: value => (/^https?:\/\//i.test(value) ? value : `https://${value}`),
+  service_date: (value) => {
+    if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value;
+    const parsed = new Date(value);
+    return isNaN(parsed.getTime()) ? value : parsed.toISOString();
+  }
+};
+
+class LeadImportService {
+  constructor() {
+    this.maxFileSizeBytes = (parseInt(process.env.LEAD_IMPORT_MAX_FILE_MB) || 10) * 1024 * 1024;
+    this.maxRows = parseInt(process.env.LEAD_IMPORT_MAX_ROWS) || 5000;
+  }
+
+  /**
+   * Directory uploads are written to, created on first use
+   */
+  getStorageDir() {
+    return getDataTransferDir();
+  }
+
+  /**
+   * Combine the requested mapping with headers recognised automatically
+   *
+   * Returns { mapping, errors }; errors name mapped columns missing from the
+   * file and required lead fields with no column.
+   */
+  resolveMapping(headers, requested = {}) {
+    const errors = [];
+    const mapping = {};
+
+    for (const [field, header] of Object.entries(requested)) {
+      if (headers.includes(header)) {
+        mapping[field] = header;
+      } else {
+        errors.push(`column_mapping.${field}: column '${header}' not found in file`);
+      }
+    }
+
+    const usedHeaders = new Set(Object.values(mapping));
+
+    for (const field of IMPORTABLE_FIELDS) {
+      if (mapping[field] || requested[field]) continue;
+
+      const accepted = [normalizeHeader(field), ...(HEADER_ALIASES[field] || [])];
+      const header = headers.find(candidate => !usedHeaders.has(candidate) && accepted.includes(normalizeHeader(candidate)));
+
+      if (header) {
+        mapping[field] = header;
+        usedHeaders.add(header);
+      }
+    }
+
+    for (const field of REQUIRED_FIELDS) {
+      if (!mapping[field] && !requested[field]) {
+        errors.push(`No column mapped to required field '${field}'`);
+      }
+    }
+
+    return { mapping, errors };
+  }
+
+  /**
+   * Store the import and queue it; mapping problems are returned, not thrown
+   */
+  async createImport(file, { column_mapping, duplicate_action, suppress_automation, source }, userId = null) {
+    const format = formatFromFileName(file.originalname);
+
+    const headers = await readHeaders(file.path, format);
+    const { mapping, errors } = headers.length > 0
+      ? this.resolveMapping(headers, column_mapping)
+      : { mapping: {}, errors: ['File has no header row'] };
+
+    if (errors.length > 0) {
+      this.removeFile(file.path);
+      return { errors, headers };
+    }
+
+    const leadImport = await LeadImport.create({
+      file_name: file.originalname,
+      file_format: format,
+      file_path: file.path,
+      file_size: file.size,
+      column_mapping: mapping,
+      options: { duplicate_action, suppress_automation, source },
+      created_by: userId
+    });
+
+    try {
+      const job = await addLeadImportJob(leadImport.id);
+      await leadImport.update({ job_id: String(job.id) });
+    } catch (error) {
+      logger.error('Failed to queue lead import:', { importId: leadImport.id, error: error.message });
+      await leadImport.update({
+        status: 'failed',
+        error_message: `Import could not be queued: ${error.message}`,
+        completed_at: new Date()
+      });
+      this.removeUpload(leadImport);
+    }
+
+    return { leadImport, headers };
+  }
+
+  /**
+   * Run an import, saving counts every few rows so it can be polled
+   */
+  async processImport(leadImport, onProgress = () => {}) {
+    await leadImport.update({ status: 'processing', started_at: new Date(), error_message: null });
+
+    const { rows } = await readRows(leadImport.file_path, leadImport.file_format, { maxRows: this.maxRows });
+    if (rows.length > this.maxRows) {
+      throw new Error(`File has more than ${this.maxRows} rows - split it into smaller imports`);
+    }
+
+    const counts = { processed_rows: 0, created_count: 0, merged_count: 0, skipped_count: 0, error_count: 0 };
+    const rowErrors = [];
+
+    await leadImport.update({ total_rows: rows.length });
+
+    for (const row of rows) {
+      const result = await this.importRow(row, leadImport);
+
+      counts.processed_rows++;
+      if (result.type === 'created') counts.created_count++;
+      else if (result.type === 'merged') counts.merged_count++;
+      else if (result.type === 'duplicate') counts.skipped_count++;
+      else counts.error_count++;
+
+      if (!['created', 'merged'].includes(result.type)) {
+        rowErrors.push({
+          row: row.rowNumber,
+          type: result.type,
+          errors: result.errors,
+          lead_id: result.lead_id || null,
+          values: row.values
+        });
+      }
+
+      if (counts.processed_rows % PROGRESS_INTERVAL === 0) {
+        await leadImport.update({ ...counts, row_errors: [...rowErrors] });
+        await onProgress(Math.floor((counts.processed_rows / rows.length) * 100));
+      }
+    }
+
+    await leadImport.update({
+      ...counts,
+      row_errors: [...rowErrors],
+      status: 'completed',
+      completed_at: new Date()
+    });
+    await onProgress(100);
+
+    logger.info('Lead import completed:', {
+      importId: leadImport.id,
+      totalRows: rows.length,
+      created: counts.created_count,
+      merged: counts.merged_count,
+      skipped: counts.skipped_count,
+      errors: counts.error_count
+    });
+
+    return { import_id: leadImport.id, total_rows: rows.length, ...counts };
+  }
+
+  /**
+   * Lead attributes for a row: mapped columns cleaned up, everything else in custom_fields
+   */
+  buildLeadValues(values, mapping, options = {}) {
+    const data = {};
+
+    for (const [field, header] of Object.entries(mapping)) {
+      const raw = values[header];
+      if (raw === undefined || raw === null || raw === '') continue;
+
+      const text = String(raw).trim();
+      data[field] = FIELD_CLEANERS[field] ? FIELD_CLEANERS[field](text) : text;
+    }
+
+    if (!data.source) data.source = options.source || 'import';
+
+    const mappedHeaders = new Set(Object.values(mapping));
+    const extras = {};
+    for (const [header, raw] of Object.entries(values)) {
+      if (!mappedHeaders.has(header) && !REPORT_COLUMNS.includes(header) && raw !== '') {
+        extras[header] = raw;
+      }
+    }
+    data.custom_fields = extras;
+
+    return data;
+  }
+
+  /**
+   * Validate, dedupe and create one row; never throws
+   */
+  async importRow({ rowNumber, values }, leadImport) {
+    const { column_mapping: mapping, options } = leadImport;
+
+    try {
+      const data = this.buildLeadValues(values, mapping, options);
+
+      const { error, value } = leadCreateSchema.validate(data, {
+        abortEarly: false,
+        stripUnknown: true,
+        convert: true
+      });
+
+      if (error) {
+        return { type: 'invalid', errors: error.details.map(detail => detail.message) };
+      }
+
+      value.custom_fields = {
+        ...value.custom_fields,
+        import_id: leadImport.id,
+        import_row: rowNumber
+      };
+
+      let match = null;
+      if (options.duplicate_action !== 'create') {
+        [match] = await leadMergeService.findDuplicates(value, { limit: 1 });
+
+        if (match && options.duplicate_action === 'skip') {
+          return {
+            type: 'duplicate',
+            lead_id: match.lead.id,
+            errors: [`Duplicate of lead ${match.lead.id} (${match.reasons.join(', ')})`]
+          };
+        }
+      }
+
+      const lead = await Lead.create(value);
+
+      if (match) {
+        await leadMergeService.merge(match.lead.id, [lead.id], {
+          userId: leadImport.created_by,
+          source: 'import'
+        });
+        return { type: 'merged', lead_id: match.lead.id };
+      }
+
+      await this.runNewLeadAutomation(lead, options);
+      return { type: 'created', lead_id: lead.id };
+
+    } catch (error) {
+      const messages = error.errors ? error.errors.map(item => item.message) : [error.message];
+      logger.error('Lead import row failed:', { importId: leadImport.id, row: rowNumber, error: error.message });
+      return { type: 'failed', errors: messages };
+    }
+  }
+
+  /**
+   * Assignment and CRM sync always run; the instant email, high-value alert
+   * and response-time escalation are skipped with suppress_automation
+   */
+  async runNewLeadAutomation(lead, options) {
+    await leadAssignmentService.autoAssign(lead);
+
+    try {
+      await addIntegrationSync('zoho_crm', lead.id, 'incremental');
+    } catch (error) {
+      logger.error('Failed to queue CRM sync for imported lead:', { leadId: lead.id, error: error.message });
+    }
+
+    if (options.suppress_automation) return;
+
+    try {
+      await addInstantEmailJob(lead.id);
+
+      if (lead.isHighValue()) {
+        await addHighValueNotification(lead.id, lead.estimated_value);
+      }
+
+      await scheduleResponseEscalation(lead);
+    } catch (error) {
+      logger.error('Failed to queue automation for imported lead:', { leadId: lead.id, error: error.message });
+    }
+  }
+
+  /**
+   * Report rows as CSV records: report columns, then the row as uploaded
+   */
+  buildErrorReport(leadImport) {
+    const headers = [];
+    for (const entry of leadImport.row_errors) {
+      for (const header of Object.keys(entry.values || {})) {
+        if (!headers.includes(header)) headers.push(header);
+      }
+    }
+
+    const records = leadImport.row_errors.map(entry => [
+      entry.row,
+      entry.type,
+      (entry.errors || []).join('; '),
+      entry.lead_id || '',
+      ...headers.map(header => (entry.values || {})[header] ?? '')
+    ]);
+
+    return { columns: [...REPORT_COLUMNS, ...headers], records };
+  }
+
+  removeUpload(leadImport) {
+    if (!leadImport.file_path) return;
+
+    this.removeFile(leadImport.file_path);
+    return leadImport.update({ file_path: null });
+  }
+
+  removeFile(filePath) {
+    fs.unlink(filePath, (error) => {
+      if (error && error.code !== 'ENOENT') {
+        logger.warn('Failed to remove uploaded file:', { filePath, error: error.message });
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const leadImportService = new LeadImportService();
+
+module.exports = leadImportService;
\ No newline at end of file
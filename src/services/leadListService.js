@@ -0,0 +1,267 @@
+/**
+ * TNT Corporate Lead System - Lead List Service
+ *
+ * Lead list pages with keyset pagination, sparse fieldsets and optional
+ * related resources
+ */
+
+const { Op } = require('sequelize');
+const { Lead, LeadInteraction, User, Customer } = require('../models');
+const { createValidationError } = require('../middleware/errorHandler');
+
+// Columns the list never returns
+const HIDDEN_COLUMNS = ['search_vector'];
+
+// Fields derived from the lead, its assignee and its latest interaction
+const COMPUTED_FIELDS = {
+  lead_id: { requires: ['id'], value: lead => lead.id },
+  assignee_name: {
+    requires: ['assigned_to'],
+    include: 'assignee',
+    value: lead => (lead.assignee ? lead.assignee.getFullName() : null)
+  },
+  minutes_since_created: {
+    requires: ['created_at'],
+    value: (lead, { now }) => Math.floor((now - new Date(lead.created_at)) / 60000)
+  },
+  last_interaction_type: {
+    include: 'last_interaction',
+    value: (lead, { lastInteraction }) => lastInteraction?.interaction_type || null
+  },
+  last_interaction_at: {
+    include: 'last_interaction',
+    value: (lead, { lastInteraction }) => lastInteraction?.created_at || null
+  }
+};
+
+// The record the list has always returned, used when fields= is not given
+const DEFAULT_FIELDS = [
+  'lead_id', 'company_name', 'contact_name', 'email', 'service_type', 'estimated_value',
+  'lead_score', 'status', 'priority_level', 'is_returning_client', 'assigned_to',
+  'assignee_name', 'created_at', 'minutes_since_created', 'last_interaction_type', 'last_interaction_at'
+];
+
+// Related resources for include=
+const INCLUDES = {
+  assignee: {
+    model: () => User,
+    attributes: ['id', 'first_name', 'last_name', 'email'],
+    serialize: lead => (lead.assignee
+      ? { id: lead.assignee.id, name: lead.assignee.getFullName(), email: lead.assignee.email }
+      : null)
+  },
+  customer: {
+    model: () => Customer,
+    attributes: ['id', 'contact_name', 'company_name', 'first_inquiry_at', 'last_inquiry_at'],
+    serialize: lead => (lead.customer ? lead.customer.toJSON() : null)
+  },
+  last_interaction: {
+    serialize: (lead, { lastInteraction }) => lastInteraction || null
+  }
+};
+
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  return String(value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+class LeadListService {
+  getAvailableFields() {
+    const columns = Object.keys(Lead.rawAttributes).filter(column => !HIDDEN_COLUMNS.includes(column));
+    return [...Object.keys(COMPUTED_FIELDS), ...columns];
+  }
+
+  /**
+   * Validate fields= and include= against the list's whitelist
+   */
+  resolveFields(requestedFields, requestedIncludes) {
+    const fields = requestedFields ? [...new Set(parseList(requestedFields))] : DEFAULT_FIELDS;
+    const includes = [...new Set(parseList(requestedIncludes))];
+    const available = this.getAvailableFields();
+
+    const details = [
+      ...fields
+        .filter(field => !available.includes(field))
+        .map(field => ({ field: 'fields', message: `Unknown field: ${field}` })),
+      ...includes
+        .filter(include => !INCLUDES[include])
+        .map(include => ({ field: 'include', message: `Unknown include: ${include}` }))
+    ];
+
+    if (details.length > 0) {
+      throw createValidationError('Invalid lead list fields', details);
+    }
+
+    return { fields, includes };
+  }
+
+  /**
+   * Opaque cursor for the row after which the next page starts
+   *
+   * Carries the sort so a cursor cannot be replayed against another order.
+   */
+  encodeCursor(lead, sortBy, sortOrder) {
+    const value = lead.get(sortBy);
+    const payload = {
+      s: sortBy,
+      o: sortOrder,
+      v: value instanceof Date ? value.toISOString() : (value ?? null),
+      id: lead.id
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  decodeCursor(cursor, sortBy, sortOrder) {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      payload = null;
+    }
+
+    if (!payload || typeof payload.id !== 'string' || !('v' in payload) ||
+      (payload.v !== null && typeof payload.v === 'object')) {
+      throw createValidationError('Invalid cursor', [{ field: 'cursor', message: 'Cursor is malformed' }]);
+    }
+
+    if (payload.s !== sortBy || payload.o !== sortOrder) {
+      throw createValidationError('Invalid cursor', [{
+        field: 'cursor',
+        message: `Cursor was issued for sort ${payload.s} ${payload.o}, not ${sortBy} ${sortOrder}`
+      }]);
+    }
+
+    return payload;
+  }
+
+  /**
+   * Rows strictly after the cursor in (sort column, id) order
+   *
+   * Nulls follow Postgres' default placement - last ascending, first
+   * descending - so the (column, id) indexes serve both directions.
+   */
+  keysetWhere(sortBy, sortOrder, { v, id }) {
+    const after = sortOrder === 'asc' ? Op.gt : Op.lt;
+
+    if (v === null) {
+      const nullTail = { [sortBy]: null, id: { [after]: id } };
+      return sortOrder === 'asc'
+        ? nullTail
+        : { [Op.or]: [nullTail, { [sortBy]: { [Op.ne]: null } }] };
+    }
+
+    const conditions = [
+      { [sortBy]: { [after]: v } },
+      { [sortBy]: v, id: { [after]: id } }
+    ];
+
+    if (sortOrder === 'asc') {
+      conditions.push({ [sortBy]: null });
+    }
+
+    return { [Op.or]: conditions };
+  }
+
+  /**
+   * One page of leads for a list where clause
+   *
+   * Pages by offset, as the list always has, unless a cursor is given; every
+   * page carries the cursor for the one after it. Offset pages always count
+   * the total for total_pages; cursor pages only when asked for.
+   */
+  async list(where, {
+    sortBy = 'created_at',
+    sortOrder = 'desc',
+    limit = 25,
+    cursor = null,
+    page = null,
+    includeTotal = false,
+    fields: requestedFields = null,
+    include: requestedIncludes = null
+  } = {}) {
+    const { fields, includes } = this.resolveFields(requestedFields, requestedIncludes);
+    const offsetPaging = !cursor;
+
+    // Related data the requested fields and includes depend on
+    const computed = fields.filter(field => COMPUTED_FIELDS[field]);
+    const needed = new Set([
+      ...includes,
+      ...computed.map(field => COMPUTED_FIELDS[field].include).filter(Boolean)
+    ]);
+    const attributes = new Set([
+      'id',
+      sortBy,
+      ...fields.filter(field => !COMPUTED_FIELDS[field]),
+      ...computed.flatMap(field => COMPUTED_FIELDS[field].requires || [])
+    ]);
+
+    const pageWhere = { ...where };
+    if (cursor) {
+      const position = this.decodeCursor(cursor, sortBy, sortOrder);
+      pageWhere[Op.and] = [...(where[Op.and] || []), this.keysetWhere(sortBy, sortOrder, position)];
+    }
+
+    const direction = sortOrder.toUpperCase();
+    const rows = await Lead.findAll({
+      where: pageWhere,
+      attributes: [...attributes],
+      include: Object.entries(INCLUDES)
+        .filter(([name, include]) => needed.has(name) && include.model)
+        .map(([name, include]) => ({
+          model: include.model(),
+          as: name,
+          attributes: include.attributes,
+          required: false
+        })),
+      order: [[sortBy, direction], ['id', direction]],
+      // One extra row tells whether another page follows
+      limit: limit + 1,
+      offset: offsetPaging ? ((page || 1) - 1) * limit : undefined
+    });
+
+    const hasNext = rows.length > limit;
+    const leads = rows.slice(0, limit);
+
+    const lastInteractions = needed.has('last_interaction')
+      ? await LeadInteraction.findLatestForLeads(leads.map(lead => lead.id))
+      : new Map();
+
+    const now = new Date();
+    const serialized = leads.map((lead) => {
+      const context = { now, lastInteraction: lastInteractions.get(lead.id) };
+      const data = {};
+
+      for (const field of fields) {
+        data[field] = COMPUTED_FIELDS[field]
+          ? COMPUTED_FIELDS[field].value(lead, context)
+          : lead.get(field);
+      }
+
+      for (const name of includes) {
+        data[name] = INCLUDES[name].serialize(lead, context);
+      }
+
+      return data;
+    });
+
+    const totalCount = includeTotal || offsetPaging ? await Lead.count({ where }) : null;
+
+    return {
+      leads: serialized,
+      fields,
+      includes,
+      hasNext,
+      nextCursor: hasNext ? this.encodeCursor(leads[leads.length - 1], sortBy, sortOrder) : null,
+      totalCount,
+      offsetPaging
+    };
+  }
+}
+
+// Create singleton instance
+const leadListService = new LeadListService();
+
+module.exports = leadListService;
\ No newline at end of file
@@ -0,0 +1,400 @@
+/**
+ * TNT Corporate Lead System - Lead Merge Service
+ *
+ * Finds likely duplicate leads and merges them into a surviving lead, keeping
+ * an audit record so every merge can be undone
+ */
+
+const { Op } = require('sequelize');
+const {
+  Lead,
+  LeadMerge,
+  LeadInteraction,
+  LeadTask,
+  LeadNote,
+  EmailSequence,
+  Notification,
+  WebhookLog,
+  sequelize
+} = require('../models');
+const { BusinessLogicError } = require('../middleware/errorHandler');
+const {
+  DUPLICATE_THRESHOLD,
+  normalizeEmail,
+  normalizePhone,
+  normalizeCompanyName,
+  normalizeName,
+  scoreDuplicate
+} = require('../utils/leadMatching');
+const logger = require('../utils/logger');
+
+// Records that follow the duplicate into the surviving lead, keyed as stored in moved_records
+const CHILD_RECORDS = {
+  interactions: LeadInteraction,
+  tasks: LeadTask,
+  notes: LeadNote,
+  email_sequences: EmailSequence,
+  notifications: Notification,
+  webhook_logs: WebhookLog
+};
+
+// Lead fields the duplicate may fill in when the surviving lead has no value
+const MERGEABLE_FIELDS = [
+  'company_name', 'phone', 'website',
+  'service_date', 'pickup_location', 'destination', 'passenger_count', 'vehicle_preference',
+  'estimated_value', 'budget_tier', 'company_size_estimate', 'industry',
+  'utm_source', 'utm_medium', 'utm_campaign', 'referrer_url',
+  'service_area', 'distance_from_base', 'fasttrack_customer_id'
+];
+
+const MAX_CANDIDATES = 200;
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '';
+}
+
+// JSON form of a value, so DECIMAL strings and dates compare the same before and after storage
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+/**
+ * Phone formats the lead validator accepts for the same number
+ */
+function phoneVariants(phone) {
+  const digits = normalizePhone(phone);
+  if (!digits) return [];
+  return [digits, `+${digits}`, `1${digits}`, `+1${digits}`];
+}
+
+class LeadMergeService {
+  constructor() {
+    this.duplicateThreshold = DUPLICATE_THRESHOLD;
+
+    // Form submissions are merged automatically only when they match this closely
+    this.autoMergeThreshold = parseInt(process.env.AUTO_MERGE_MIN_SCORE) || 50;
+    this.autoMergeWindowHours = parseInt(process.env.AUTO_MERGE_WINDOW_HOURS) || 24;
+  }
+
+  /**
+   * Likely duplicates of a lead, best match first
+   *
+   * Candidates share an email, phone number, customer, company word or
+   * contact surname; each is then scored with scoreDuplicate. Merged leads
+   * are never candidates, and closed leads only with `includeClosed`.
+   */
+  async findDuplicates(lead, { minScore = this.duplicateThreshold, includeClosed = false, createdAfter = null, limit = 10 } = {}) {
+    const conditions = [];
+
+    const email = normalizeEmail(lead.email);
+    if (email) {
+      conditions.push(sequelize.where(sequelize.fn('LOWER', sequelize.col('email')), email));
+    }
+
+    const phones = phoneVariants(lead.phone);
+    if (phones.length > 0) {
+      conditions.push({ phone: { [Op.in]: phones } });
+    }
+
+    if (lead.customer_id) {
+      conditions.push({ customer_id: lead.customer_id });
+    }
+
+    const companyWord = (normalizeCompanyName(lead.company_name) || '').split(' ')[0];
+    if (companyWord.length >= 3) {
+      conditions.push({ company_name: { [Op.iLike]: `%${companyWord}%` } });
+    }
+
+    const surname = (normalizeName(lead.contact_name) || '').split(' ').pop();
+    if (surname.length >= 3) {
+      conditions.push({ contact_name: { [Op.iLike]: `%${surname}%` } });
+    }
+
+    if (conditions.length === 0) return [];
+
+    const where = {
+      [Op.or]: conditions,
+      merged_into_id: null
+    };
+    if (lead.id) where.id = { [Op.ne]: lead.id };
+    if (!includeClosed) where.status = { [Op.in]: Lead.OPEN_STATUSES };
+    if (createdAfter) where.created_at = { [Op.gte]: createdAfter };
+
+    const candidates = await Lead.findAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit: MAX_CANDIDATES
+    });
+
+    return candidates
+      .map(candidate => ({ lead: candidate, ...scoreDuplicate(lead, candidate) }))
+      .filter(match => match.score >= minScore)
+      .sort((a, b) => b.score - a.score || new Date(a.lead.created_at) - new Date(b.lead.created_at))
+      .slice(0, limit);
+  }
+
+  /**
+   * Recent open lead a new form submission should be merged into, if any
+   */
+  async findAutoMergeTarget(lead) {
+    const [match] = await this.findDuplicates(lead, {
+      minScore: this.autoMergeThreshold,
+      createdAfter: new Date(Date.now() - this.autoMergeWindowHours * 60 * 60 * 1000),
+      limit: 1
+    });
+
+    return match || null;
+  }
+
+  /**
+   * Merge duplicates into a surviving lead
+   *
+   * The survivor keeps its own values; empty fields and missing custom fields
+   * are filled from each duplicate. Interactions, sequences, notifications
+   * and webhook logs move to the survivor. Each duplicate is kept, flagged
+   * with merged_into_id, and gets a LeadMerge record for unmerge.
+   */
+  async merge(survivingLeadId, duplicateIds, { userId = null, source = 'manual' } = {}) {
+    const uniqueIds = [...new Set(duplicateIds)];
+
+    if (uniqueIds.includes(survivingLeadId)) {
+      throw new BusinessLogicError('A lead cannot be merged into itself', 'INVALID_MERGE');
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const survivor = await Lead.findByPk(survivingLeadId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!survivor) {
+        throw new BusinessLogicError(`Lead with ID ${survivingLeadId} not found`, 'LEAD_NOT_FOUND', 404);
+      }
+      if (survivor.merged_into_id) {
+        throw new BusinessLogicError(
+          `Lead ${survivingLeadId} was already merged into ${survivor.merged_into_id}`,
+          'LEAD_ALREADY_MERGED',
+          409
+        );
+      }
+
+      const duplicates = await Lead.findAll({
+        where: { id: { [Op.in]: uniqueIds } },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      const missing = uniqueIds.filter(id => !duplicates.some(duplicate => duplicate.id === id));
+      if (missing.length > 0) {
+        throw new BusinessLogicError(`Leads not found: ${missing.join(', ')}`, 'LEAD_NOT_FOUND', 404);
+      }
+
+      const alreadyMerged = duplicates.filter(duplicate => duplicate.merged_into_id);
+      if (alreadyMerged.length > 0) {
+        throw new BusinessLogicError(
+          `Leads already merged: ${alreadyMerged.map(duplicate => duplicate.id).join(', ')}`,
+          'LEAD_ALREADY_MERGED',
+          409
+        );
+      }
+
+      const merges = [];
+      const customFields = { ...(survivor.custom_fields || {}) };
+
+      for (const duplicate of duplicates) {
+        const snapshot = duplicate.toJSON();
+        const { score, reasons } = scoreDuplicate(survivor, duplicate);
+
+        const fieldChanges = {};
+        for (const field of MERGEABLE_FIELDS) {
+          if (isBlank(survivor.get(field)) && !isBlank(duplicate.get(field))) {
+            fieldChanges[field] = { from: survivor.get(field) ?? null, to: duplicate.get(field) };
+            survivor.set(field, duplicate.get(field));
+          }
+        }
+
+        const addedCustomFields = {};
+        for (const [key, value] of Object.entries(duplicate.custom_fields || {})) {
+          if (!(key in customFields)) {
+            addedCustomFields[key] = value;
+            customFields[key] = value;
+          }
+        }
+
+        const movedRecords = {};
+        for (const [name, model] of Object.entries(CHILD_RECORDS)) {
+          const records = await model.findAll({
+            where: { lead_id: duplicate.id },
+            attributes: ['id'],
+            transaction
+          });
+          movedRecords[name] = records.map(record => record.id);
+
+          if (movedRecords[name].length > 0) {
+            await model.update(
+              { lead_id: survivor.id },
+              { where: { id: { [Op.in]: movedRecords[name] } }, transaction }
+            );
+          }
+        }
+
+        // A lead runs one sequence at a time, so moved ones may have to stop
+        const deactivatedSequences = await this.deactivateRepeatedSequences(survivor.id, movedRecords.email_sequences, transaction);
+
+        duplicate.merged_into_id = survivor.id;
+        duplicate.merged_at = new Date();
+        await duplicate.save({ fields: ['merged_into_id', 'merged_at'], transaction });
+
+        merges.push(await LeadMerge.create({
+          surviving_lead_id: survivor.id,
+          merged_lead_id: duplicate.id,
+          match_score: score,
+          match_reasons: reasons,
+          source,
+          field_changes: fieldChanges,
+          added_custom_fields: addedCustomFields,
+          moved_records: movedRecords,
+          deactivated_sequences: deactivatedSequences,
+          merged_lead_snapshot: snapshot,
+          merged_by: userId
+        }, { transaction }));
+      }
+
+      survivor.custom_fields = customFields;
+      await survivor.save({ transaction });
+
+      // Moved interactions change what each lead is found by
+      await Lead.refreshSearchVectors([survivor.id, ...duplicates.map(duplicate => duplicate.id)], { transaction });
+
+      return { survivor, merges };
+    });
+
+    // The absorbed leads no longer need their own response-time alerts
+    for (const merge of result.merges) {
+      try {
+        await require('../queues').cancelResponseEscalation(merge.merged_lead_id);
+      } catch (error) {
+        logger.error('Failed to cancel escalation for merged lead:', { leadId: merge.merged_lead_id, error: error.message });
+      }
+    }
+
+    logger.info('Leads merged:', {
+      survivingLeadId,
+      mergedLeadIds: result.merges.map(merge => merge.merged_lead_id),
+      source,
+      userId
+    });
+
+    return result;
+  }
+
+  /**
+   * Leave the surviving lead in one active sequence, as enrollment requires
+   *
+   * The survivor's own sequence wins; without one, the earliest started of
+   * the moved sequences does. Other moved sequences are stopped.
+   */
+  async deactivateRepeatedSequences(survivingLeadId, movedSequenceIds, transaction) {
+    if (movedSequenceIds.length === 0) return [];
+
+    const sequences = await EmailSequence.findAll({
+      where: { lead_id: survivingLeadId, active: true },
+      order: [['started_at', 'ASC'], ['created_at', 'ASC']],
+      transaction
+    });
+
+    const ownRunning = sequences.some(sequence => !movedSequenceIds.includes(sequence.id));
+    const moved = sequences.filter(sequence => movedSequenceIds.includes(sequence.id));
+    const deactivated = [];
+
+    for (const sequence of ownRunning ? moved : moved.slice(1)) {
+      await sequence.update({ active: false, paused_reason: 'merged_duplicate' }, { transaction });
+      deactivated.push(sequence.id);
+    }
+
+    return deactivated;
+  }
+
+  /**
+   * Undo a merge from its audit record
+   *
+   * Moved records go back to the restored lead and fields the merge filled
+   * are cleared again - unless they were edited after the merge, in which
+   * case the edit is kept and the field is reported in unmerge_conflicts.
+   */
+  async unmerge(mergeId, { userId = null } = {}) {
+    const merge = await sequelize.transaction(async (transaction) => {
+      const merge = await LeadMerge.findByPk(mergeId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!merge) {
+        throw new BusinessLogicError(`Lead merge with ID ${mergeId} not found`, 'LEAD_MERGE_NOT_FOUND', 404);
+      }
+      if (merge.status !== 'merged') {
+        throw new BusinessLogicError(`Lead merge ${mergeId} was already undone`, 'LEAD_MERGE_ALREADY_UNDONE', 409);
+      }
+
+      const survivor = await Lead.findByPk(merge.surviving_lead_id, { transaction, lock: transaction.LOCK.UPDATE });
+      const restored = await Lead.findByPk(merge.merged_lead_id, { transaction, lock: transaction.LOCK.UPDATE });
+
+      for (const [name, ids] of Object.entries(merge.moved_records || {})) {
+        if (CHILD_RECORDS[name] && ids.length > 0) {
+          await CHILD_RECORDS[name].update(
+            { lead_id: restored.id },
+            { where: { id: { [Op.in]: ids } }, transaction }
+          );
+        }
+      }
+
+      if (merge.deactivated_sequences.length > 0) {
+        await EmailSequence.update(
+          { active: true, paused_reason: null },
+          { where: { id: { [Op.in]: merge.deactivated_sequences }, paused_reason: 'merged_duplicate' }, transaction }
+        );
+      }
+
+      const conflicts = [];
+
+      for (const [field, { from, to }] of Object.entries(merge.field_changes || {})) {
+        if (sameValue(survivor.get(field), to)) {
+          survivor.set(field, from);
+        } else {
+          conflicts.push(field);
+        }
+      }
+
+      const customFields = { ...(survivor.custom_fields || {}) };
+      for (const [key, value] of Object.entries(merge.added_custom_fields || {})) {
+        if (sameValue(customFields[key], value)) {
+          delete customFields[key];
+        } else {
+          conflicts.push(`custom_fields.${key}`);
+        }
+      }
+      survivor.custom_fields = customFields;
+      await survivor.save({ transaction });
+
+      restored.merged_into_id = null;
+      restored.merged_at = null;
+      await restored.save({ fields: ['merged_into_id', 'merged_at'], transaction });
+
+      await Lead.refreshSearchVectors([survivor.id, restored.id], { transaction });
+
+      return merge.update({
+        status: 'unmerged',
+        unmerged_at: new Date(),
+        unmerged_by: userId,
+        unmerge_conflicts: conflicts
+      }, { transaction });
+    });
+
+    logger.info('Lead merge undone:', {
+      mergeId,
+      survivingLeadId: merge.surviving_lead_id,
+      restoredLeadId: merge.merged_lead_id,
+      conflicts: merge.unmerge_conflicts,
+      userId
+    });
+
+    return merge;
+  }
+}
+
+// Create singleton instance
+const leadMergeService = new LeadMergeService();
+
+module.exports = leadMergeService;
\ No newline at end of file
@@ -0,0 +1,165 @@
+/**
+ * TNT Corporate Lead System - Lead Note Service
+ *
+ * Threaded internal notes on leads, with @mentions notified through the
+ * notification queue
+ */
+
+const { Op } = require('sequelize');
+const { LeadNote, User } = require('../models');
+const { BusinessLogicError } = require('../middleware/errorHandler');
+const { addNoteMentionNotification } = require('../queues');
+const logger = require('../utils/logger');
+
+const USER_ATTRIBUTES = ['id', 'first_name', 'last_name', 'email'];
+
+function userSummary(user) {
+  return user ? { id: user.id, name: user.getFullName(), handle: user.getMentionHandle() } : null;
+}
+
+class LeadNoteService {
+  findNote(noteId) {
+    return LeadNote.findByPk(noteId, {
+      include: [{ model: User, as: 'author', attributes: USER_ATTRIBUTES, required: false }]
+    });
+  }
+
+  /**
+   * Add a note, or a reply when parentId names a top-level note on the lead
+   */
+  async createNote(lead, { body, parentId = null }, authorId) {
+    if (parentId) {
+      const parent = await LeadNote.findOne({ where: { id: parentId, lead_id: lead.id } });
+
+      if (!parent) {
+        throw new BusinessLogicError(`Note ${parentId} not found on this lead`, 'NOTE_PARENT_NOT_FOUND', 404);
+      }
+
+      if (parent.isReply()) {
+        throw new BusinessLogicError('Replies cannot be replied to; reply to the thread instead', 'NOTE_THREAD_TOO_DEEP', 422);
+      }
+    }
+
+    const mentioned = await LeadNote.resolveMentions(body);
+
+    const note = await LeadNote.create({
+      lead_id: lead.id,
+      parent_id: parentId,
+      author_id: authorId,
+      body,
+      mentioned_user_ids: mentioned.map(user => user.id)
+    });
+
+    await this.notifyMentions(note, note.mentioned_user_ids);
+
+    return this.findNote(note.id);
+  }
+
+  /**
+   * Replace a note's body; only users not mentioned before are notified
+   */
+  async editNote(note, body) {
+    const previouslyMentioned = note.mentioned_user_ids || [];
+    const mentioned = await LeadNote.resolveMentions(body);
+
+    await note.update({
+      body,
+      mentioned_user_ids: mentioned.map(user => user.id)
+    });
+
+    await this.notifyMentions(
+      note,
+      note.mentioned_user_ids.filter(userId => !previouslyMentioned.includes(userId))
+    );
+
+    return note;
+  }
+
+  /**
+   * Queue mention notifications, never for the author mentioning themselves
+   *
+   * A queue failure is logged rather than failing the note.
+   */
+  async notifyMentions(note, userIds) {
+    const recipients = userIds.filter(userId => userId !== note.author_id);
+    if (recipients.length === 0) return;
+
+    try {
+      await addNoteMentionNotification(note.id, recipients);
+    } catch (error) {
+      logger.error('Failed to queue note mention notification:', {
+        noteId: note.id,
+        leadId: note.lead_id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Threads on a lead: pinned first, then newest; replies oldest first
+   */
+  async getThreads(leadId) {
+    const notes = await LeadNote.findAll({
+      where: { lead_id: leadId, parent_id: null },
+      include: [
+        { model: User, as: 'author', attributes: USER_ATTRIBUTES, required: false },
+        {
+          model: LeadNote,
+          as: 'replies',
+          required: false,
+          include: [{ model: User, as: 'author', attributes: USER_ATTRIBUTES, required: false }]
+        }
+      ],
+      order: [
+        ['pinned', 'DESC'],
+        ['created_at', 'DESC'],
+        [{ model: LeadNote, as: 'replies' }, 'created_at', 'ASC']
+      ]
+    });
+
+    return this.serializeNotes(notes);
+  }
+
+  /**
+   * Notes as API objects, with mentioned users resolved in one query
+   */
+  async serializeNotes(notes) {
+    const all = notes.flatMap(note => [note, ...(note.replies || [])]);
+    const mentionedIds = [...new Set(all.flatMap(note => note.mentioned_user_ids || []))];
+
+    const users = mentionedIds.length > 0
+      ? await User.findAll({ where: { id: { [Op.in]: mentionedIds } }, attributes: USER_ATTRIBUTES })
+      : [];
+    const usersById = new Map(users.map(user => [user.id, user]));
+
+    const serialize = note => ({
+      id: note.id,
+      lead_id: note.lead_id,
+      parent_id: note.parent_id,
+      body: note.body,
+      author: userSummary(note.author),
+      mentions: (note.mentioned_user_ids || [])
+        .map(userId => userSummary(usersById.get(userId)))
+        .filter(Boolean),
+      pinned: note.pinned,
+      pinned_at: note.pinned_at,
+      edited_at: note.edited_at,
+      revision_count: (note.revisions || []).length,
+      created_at: note.created_at,
+      updated_at: note.updated_at,
+      ...(note.replies && { replies: note.replies.map(serialize) })
+    });
+
+    return notes.map(serialize);
+  }
+
+  async serializeNote(note) {
+    const [serialized] = await this.serializeNotes([note]);
+    return serialized;
+  }
+}
+
+// Create singleton instance
+const leadNoteService = new LeadNoteService();
+
+module.exports = leadNoteService;
\ No newline at end of file
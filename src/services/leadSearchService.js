@@ -0,0 +1,58 @@
+/**
+ * TNT Corporate Lead System - Lead Search Service
+ *
+ * Ranked full-text lead search with highlighted snippets
+ */
+
+const { Op, literal } = require('sequelize');
+const { Lead, User, sequelize } = require('../models');
+const { buildLeadWhere } = require('../utils/leadFilter');
+const { HEADLINE_OPTIONS, searchDocumentSql, tsQuerySql } = require('../utils/leadSearch');
+
+class LeadSearchService {
+  /**
+   * Leads matching the search text, best match first
+   *
+   * Ranked with ts_rank_cd over the weighted vector, so company, contact and
+   * contact-detail matches outrank locations, notes and interactions. The
+   * list filters narrow the results; prefix matches word prefixes for
+   * typeahead.
+   */
+  async search(text, { prefix = false, filters = {}, userId = null, page = 1, limit = 20 } = {}) {
+    const query = tsQuerySql(text, { prefix });
+
+    if (!query) {
+      return { leads: [], totalCount: 0 };
+    }
+
+    // The text search replaces the list's own search filter
+    const where = buildLeadWhere({ ...filters, search: null }, { userId });
+    where[Op.and] = [...(where[Op.and] || []), literal(`"Lead"."search_vector" @@ (${query})`)];
+
+    const { rows: leads, count: totalCount } = await Lead.findAndCountAll({
+      where,
+      attributes: {
+        include: [
+          [literal(`ts_rank_cd("Lead"."search_vector", ${query})`), 'search_rank'],
+          [literal(`ts_headline('english', ${searchDocumentSql('"Lead"')}, ${query}, ${sequelize.escape(HEADLINE_OPTIONS)})`), 'search_highlight']
+        ]
+      },
+      include: [{
+        model: User,
+        as: 'assignee',
+        attributes: ['id', 'first_name', 'last_name'],
+        required: false
+      }],
+      order: [[literal('search_rank'), 'DESC'], ['lead_score', 'DESC'], ['created_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return { leads, totalCount };
+  }
+}
+
+// Create singleton instance
+const leadSearchService = new LeadSearchService();
+
+module.exports = leadSearchService;
\ No newline at end of file
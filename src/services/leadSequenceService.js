@@ -0,0 +1,184 @@
+/**
+ * TNT Corporate Lead System - Lead Sequence Service
+ *
+ * Enrolling a lead in follow-up email sequences and steering the ones it is
+ * in, with every action written to the lead's history
+ */
+
+const { EmailSequence, SequenceDefinition, LeadEvent } = require('../models');
+const { BusinessLogicError } = require('../middleware/errorHandler');
+
+// Sequence fields shown in the lead's history
+const TRACKED_FIELDS = ['active', 'paused_reason', 'current_step', 'total_steps', 'next_send_at', 'completed_at'];
+
+function snapshot(sequence) {
+  return Object.fromEntries(TRACKED_FIELDS.map(field => [field, sequence.get(field)]));
+}
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value ?? null;
+}
+
+function changedFields(before, sequence) {
+  const fields = {};
+
+  for (const field of TRACKED_FIELDS) {
+    const from = before[field] ?? null;
+    const to = sequence.get(field) ?? null;
+
+    if (comparable(from) !== comparable(to)) fields[field] = { from, to };
+  }
+
+  return fields;
+}
+
+class LeadSequenceService {
+  findSequence(leadId, sequenceId) {
+    return EmailSequence.findOne({ where: { id: sequenceId, lead_id: leadId } });
+  }
+
+  getSequences(leadId) {
+    return EmailSequence.findAll({
+      where: { lead_id: leadId },
+      order: [['active', 'DESC'], ['started_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Start the lead on an active definition; a lead runs one sequence at a time
+   */
+  async enroll(lead, sequenceName, { startAt = null, note = null } = {}) {
+    if (['converted', 'lost'].includes(lead.status)) {
+      throw new BusinessLogicError(`Lead is ${lead.status}; closed leads cannot be enrolled`, 'LEAD_CLOSED', 422);
+    }
+
+    const definition = await SequenceDefinition.findActiveByName(sequenceName);
+    if (!definition || definition.steps.length === 0) {
+      throw new BusinessLogicError(`No active sequence definition named ${sequenceName}`, 'SEQUENCE_DEFINITION_NOT_FOUND', 404);
+    }
+
+    await this.assertNoRunningSequence(lead);
+
+    const sequence = await EmailSequence.enroll(lead.id, definition, { startAt });
+
+    await this.recordAction(lead, sequence, 'enrolled', {
+      active: { from: null, to: true },
+      current_step: { from: null, to: sequence.current_step },
+      total_steps: { from: null, to: sequence.total_steps },
+      next_send_at: { from: null, to: sequence.next_send_at }
+    }, note);
+
+    return sequence;
+  }
+
+  async pause(lead, sequence, reason) {
+    this.assertStatus(sequence, 'active');
+
+    return this.apply(lead, sequence, 'paused', () => sequence.pause(reason), reason);
+  }
+
+  async resume(lead, sequence, note = null) {
+    this.assertStatus(sequence, 'paused');
+
+    if (['converted', 'lost'].includes(lead.status)) {
+      throw new BusinessLogicError(`Lead is ${lead.status}; closed leads cannot be resumed`, 'LEAD_CLOSED', 422);
+    }
+
+    await this.assertNoRunningSequence(lead);
+
+    return this.apply(lead, sequence, 'resumed', () => sequence.resume(), note);
+  }
+
+  /**
+   * Move to another step of the definition, forwards or back
+   */
+  async skipTo(lead, sequence, stepNumber, { sendAt = null, note = null } = {}) {
+    this.assertStatus(sequence, 'active');
+
+    const steps = await sequence.getSteps();
+    const step = steps.find(s => s.step_number === stepNumber);
+
+    if (!step) {
+      throw new BusinessLogicError(
+        `Sequence ${sequence.sequence_name} has steps 1-${steps.length}`,
+        'INVALID_SEQUENCE_STEP',
+        422
+      );
+    }
+
+    if (stepNumber === sequence.current_step) {
+      throw new BusinessLogicError(`Step ${stepNumber} is already the next step`, 'INVALID_SEQUENCE_STEP', 422);
+    }
+
+    return this.apply(lead, sequence, `skipped to step ${stepNumber}`, () => sequence.skipTo(step, sendAt), note);
+  }
+
+  async reschedule(lead, sequence, sendAt, note = null) {
+    this.assertStatus(sequence, 'active');
+
+    return this.apply(lead, sequence, 'rescheduled', () => sequence.reschedule(sendAt), note);
+  }
+
+  async unenroll(lead, sequence, note = null) {
+    const status = sequence.getStatus();
+
+    if (!['active', 'paused'].includes(status)) {
+      throw new BusinessLogicError(`Sequence is already ${status}`, 'SEQUENCE_NOT_RUNNING', 409);
+    }
+
+    return this.apply(lead, sequence, 'unenrolled', () => sequence.unenroll(), note);
+  }
+
+  /**
+   * A lead runs one sequence at a time, so enrolling or resuming waits until
+   * any other running sequence is unenrolled
+   */
+  async assertNoRunningSequence(lead) {
+    const running = await EmailSequence.findOne({ where: { lead_id: lead.id, active: true } });
+    if (running) {
+      throw new BusinessLogicError(
+        `Lead is already in sequence ${running.sequence_name}; unenroll it first`,
+        'LEAD_ALREADY_IN_SEQUENCE',
+        409
+      );
+    }
+  }
+
+  assertStatus(sequence, status) {
+    const current = sequence.getStatus();
+
+    if (current !== status) {
+      throw new BusinessLogicError(
+        `Sequence is ${current}, not ${status}`,
+        status === 'active' ? 'SEQUENCE_NOT_ACTIVE' : 'SEQUENCE_NOT_PAUSED',
+        409
+      );
+    }
+  }
+
+  /**
+   * Run a sequence action and record what it changed
+   */
+  async apply(lead, sequence, action, change, note) {
+    const before = snapshot(sequence);
+
+    await change();
+
+    await this.recordAction(lead, sequence, action, changedFields(before, sequence), note);
+    return sequence;
+  }
+
+  recordAction(lead, sequence, action, fields, note = null) {
+    return LeadEvent.record(lead, 'sequence', {
+      action,
+      sequence_id: sequence.id,
+      sequence_name: sequence.sequence_name,
+      fields
+    }, { audit: { note } });
+  }
+}
+
+// Create singleton instance
+const leadSequenceService = new LeadSequenceService();
+
+module.exports = leadSequenceService;
\ No newline at end of file
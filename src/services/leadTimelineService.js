@@ -0,0 +1,322 @@
+/**
+ * TNT Corporate Lead System - Lead Timeline Service
+ *
+ * One newest-first activity feed per lead: field changes, notes,
+ * interactions, emails, notifications and webhooks
+ */
+
+const { Op } = require('sequelize');
+const {
+  LeadEvent,
+  LeadNote,
+  LeadInteraction,
+  EmailSequence,
+  Notification,
+  WebhookLog,
+  User,
+  ApiKey
+} = require('../models');
+const { createValidationError } = require('../middleware/errorHandler');
+
+const TIMELINE_TYPES = ['change', 'note', 'interaction', 'email', 'notification', 'webhook'];
+
+// Interactions shown as emails rather than generic interactions
+const EMAIL_INTERACTION_TYPES = ['email_sent', 'email_opened', 'email_clicked'];
+
+const USER_ATTRIBUTES = ['id', 'first_name', 'last_name'];
+
+function userActor(user) {
+  return user ? { user_id: user.id, api_key_id: null, name: user.getFullName() } : null;
+}
+
+function describeChange(event) {
+  if (event.event_type === 'created') return 'Lead created';
+  if (event.event_type === 'sequence') return `Email sequence ${event.changes.sequence_name} ${event.changes.action}`;
+
+  const fields = Object.keys(event.changes || {});
+  if (fields.length === 0) return 'Note added';
+  if (event.changes.status) return `Status changed from ${event.changes.status.from} to ${event.changes.status.to}`;
+  return `Updated ${fields.join(', ')}`;
+}
+
+function descending(a, b) {
+  if (a < b) return 1;
+  if (a > b) return -1;
+  return 0;
+}
+
+/**
+ * Timeline order: newest first, with entries at the same moment ordered
+ * by type and then id so every entry has one place
+ */
+function compareEntries(a, b) {
+  return (new Date(b.occurred_at) - new Date(a.occurred_at)) ||
+    descending(a.type, b.type) ||
+    descending(a.id, b.id);
+}
+
+/**
+ * Rows of one entry type that fall after the cursor in timeline order
+ */
+function afterCursor(cursor, type) {
+  if (!cursor) return {};
+  if (type < cursor.type) return { created_at: { [Op.lte]: cursor.at } };
+  if (type > cursor.type) return { created_at: { [Op.lt]: cursor.at } };
+
+  return {
+    [Op.or]: [
+      { created_at: { [Op.lt]: cursor.at } },
+      { created_at: cursor.at, id: { [Op.lt]: cursor.id } }
+    ]
+  };
+}
+
+class LeadTimelineService {
+  /**
+   * Timeline entries for a lead, newest first
+   *
+   * Each source is read up to limit + 1 rows after the cursor, so has_more
+   * is exact; next_before is the cursor for the following page.
+   */
+  async getTimeline(leadId, { types = TIMELINE_TYPES, before = null, limit = 50 } = {}) {
+    const cursor = before ? this.decodeCursor(before) : null;
+    const query = type => ({
+      where: { lead_id: leadId, ...afterCursor(cursor, type) },
+      limit: limit + 1
+    });
+    const sources = [];
+
+    if (types.includes('change')) sources.push(this.getChangeEntries(query('change')));
+    if (types.includes('note')) sources.push(this.getNoteEntries(query('note')));
+    if (types.includes('interaction')) sources.push(this.getInteractionEntries(query('interaction'), 'interaction'));
+    if (types.includes('email')) {
+      sources.push(this.getInteractionEntries(query('email'), 'email'));
+      sources.push(this.getSequenceEntries(query('email')));
+    }
+    if (types.includes('notification')) sources.push(this.getNotificationEntries(query('notification')));
+    if (types.includes('webhook')) sources.push(this.getWebhookEntries(query('webhook')));
+
+    const entries = (await Promise.all(sources)).flat().sort(compareEntries);
+
+    const page = entries.slice(0, limit);
+    const hasMore = entries.length > limit;
+
+    return {
+      entries: page,
+      has_more: hasMore,
+      next_before: hasMore ? this.encodeCursor(page[page.length - 1]) : null
+    };
+  }
+
+  /**
+   * Opaque cursor for the entry after which the next page starts
+   *
+   * Carries the type and id as well as the time, since several entries can
+   * share a timestamp.
+   */
+  encodeCursor(entry) {
+    const payload = {
+      at: new Date(entry.occurred_at).toISOString(),
+      type: entry.type,
+      id: entry.id
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      payload = null;
+    }
+
+    const at = payload && typeof payload.at === 'string' ? new Date(payload.at) : null;
+    if (!at || Number.isNaN(at.getTime()) || !TIMELINE_TYPES.includes(payload.type) ||
+      typeof payload.id !== 'string') {
+      throw createValidationError('Invalid cursor', [{ field: 'before', message: 'Cursor is malformed' }]);
+    }
+
+    return { at, type: payload.type, id: payload.id };
+  }
+
+  async getChangeEntries({ where, limit }) {
+    const events = await LeadEvent.findAll({
+      where,
+      include: [
+        { model: User, as: 'actor', attributes: USER_ATTRIBUTES, required: false },
+        { model: ApiKey, as: 'api_key', attributes: ['id', 'name'], required: false }
+      ],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit
+    });
+
+    return events.map(event => ({
+      id: event.id,
+      type: 'change',
+      occurred_at: event.created_at,
+      summary: describeChange(event),
+      channel: event.channel,
+      actor: event.actor
+        ? userActor(event.actor)
+        : event.api_key ? { user_id: null, api_key_id: event.api_key.id, name: event.api_key.name } : null,
+      details: {
+        event_type: event.event_type,
+        changes: event.changes,
+        note: event.note,
+        source: event.source
+      }
+    }));
+  }
+
+  async getNoteEntries({ where, limit }) {
+    const notes = await LeadNote.findAll({
+      where,
+      include: [{ model: User, as: 'author', attributes: USER_ATTRIBUTES, required: false }],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit
+    });
+
+    return notes.map(note => ({
+      id: note.id,
+      type: 'note',
+      occurred_at: note.created_at,
+      summary: note.parent_id ? 'Replied to a note' : 'Note added',
+      channel: 'ui',
+      actor: userActor(note.author),
+      details: {
+        body: note.body,
+        parent_id: note.parent_id,
+        pinned: note.pinned,
+        edited_at: note.edited_at,
+        mentioned_user_ids: note.mentioned_user_ids
+      }
+    }));
+  }
+
+  /**
+   * Interactions shown as one entry type: emails, or everything else
+   */
+  async getInteractionEntries({ where, limit }, type) {
+    const interactionTypes = type === 'email'
+      ? EMAIL_INTERACTION_TYPES
+      : LeadInteraction.rawAttributes.interaction_type.values
+        .filter(interactionType => !EMAIL_INTERACTION_TYPES.includes(interactionType));
+
+    const interactions = await LeadInteraction.findAll({
+      where: { ...where, interaction_type: interactionTypes },
+      include: [{ model: User, as: 'user', attributes: USER_ATTRIBUTES, required: false }],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit
+    });
+
+    return interactions.map((interaction) => {
+      const isEmail = EMAIL_INTERACTION_TYPES.includes(interaction.interaction_type);
+
+      return {
+        id: interaction.id,
+        type: isEmail ? 'email' : 'interaction',
+        occurred_at: interaction.created_at,
+        summary: interaction.subject || interaction.interaction_type.replace(/_/g, ' '),
+        channel: interaction.automated ? 'automation' : null,
+        actor: userActor(interaction.user),
+        details: {
+          interaction_type: interaction.interaction_type,
+          content: interaction.content,
+          automated: interaction.automated,
+          template_used: interaction.template_used,
+          ...(isEmail && {
+            email_opened_at: interaction.email_opened_at,
+            email_clicked_at: interaction.email_clicked_at,
+            click_count: interaction.click_count
+          }),
+          response_received: interaction.response_received,
+          next_action: interaction.next_action,
+          scheduled_for: interaction.scheduled_for
+        }
+      };
+    });
+  }
+
+  async getSequenceEntries({ where, limit }) {
+    const sequences = await EmailSequence.findAll({
+      where,
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit
+    });
+
+    return sequences.map(sequence => ({
+      id: sequence.id,
+      type: 'email',
+      occurred_at: sequence.created_at,
+      summary: `Email sequence ${sequence.sequence_name} started`,
+      channel: 'automation',
+      actor: null,
+      details: {
+        sequence_name: sequence.sequence_name,
+        current_step: sequence.current_step,
+        total_steps: sequence.total_steps,
+        emails_sent: sequence.emails_sent,
+        active: sequence.active,
+        paused_reason: sequence.paused_reason,
+        next_send_at: sequence.next_send_at,
+        completed_at: sequence.completed_at
+      }
+    }));
+  }
+
+  async getNotificationEntries({ where, limit }) {
+    const notifications = await Notification.findAll({
+      where,
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit
+    });
+
+    return notifications.map(notification => ({
+      id: notification.id,
+      type: 'notification',
+      occurred_at: notification.created_at,
+      summary: notification.title,
+      channel: 'automation',
+      actor: null,
+      details: {
+        notification_type: notification.notification_type,
+        message: notification.message,
+        priority: notification.priority,
+        sent: notification.sent,
+        sent_at: notification.sent_at,
+        delivery_status: notification.delivery_status
+      }
+    }));
+  }
+
+  async getWebhookEntries({ where, limit }) {
+    const webhookLogs = await WebhookLog.findAll({
+      where,
+      attributes: { exclude: ['payload', 'headers'] },
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit
+    });
+
+    return webhookLogs.map(webhookLog => ({
+      id: webhookLog.id,
+      type: 'webhook',
+      occurred_at: webhookLog.created_at,
+      summary: `${webhookLog.source} ${webhookLog.event_type}`,
+      channel: 'webhook',
+      actor: null,
+      details: {
+        source: webhookLog.source,
+        event_type: webhookLog.event_type,
+        processed: webhookLog.processed,
+        error_message: webhookLog.error_message,
+        retry_count: webhookLog.retry_count
+      }
+    }));
+  }
+}
+
+// Create singleton instance
+const leadTimelineService = new LeadTimelineService();
+
+module.exports = leadTimelineService;
\ No newline at end of file
@@ -0,0 +1,217 @@
+/**
+ * TNT Corporate Lead System - Scoring Simulation Service
+ *
+ * Replays proposed scoring factor settings over historical leads without saving anything
+ */
+
+const { Op } = require('sequelize');
+const { Lead, ScoringFactor } = require('../models');
+const logger = require('../utils/logger');
+
+const PRIORITY_LEVELS = [1, 2, 3, 4, 5];
+
+class ScoringSimulationService {
+  constructor() {
+    this.defaultLookbackDays = 180;
+    this.defaultMaxLeads = 5000;
+  }
+
+  /**
+   * Build the proposed factor set: active factors with the proposals laid on top
+   *
+   * Proposals may change an existing factor (active or not) or add a new one;
+   * `active: false` drops a factor from the proposed set. Problems are
+   * returned in `errors` rather than thrown so all of them can be reported.
+   */
+  async buildProposedFactors(proposals) {
+    const { factors: currentFactors } = await ScoringFactor.getActiveFactors();
+    const inactiveFactors = await ScoringFactor.findAll({
+      where: {
+        factor_name: { [Op.in]: proposals.map(proposal => proposal.factor_name) },
+        active: false
+      }
+    });
+
+    const baseByName = {};
+    for (const factor of [...inactiveFactors, ...currentFactors]) {
+      baseByName[factor.factor_name] = factor;
+    }
+
+    const errors = [];
+    const proposedByName = {};
+
+    for (const factor of currentFactors) {
+      proposedByName[factor.factor_name] = factor;
+    }
+
+    for (const proposal of proposals) {
+      const base = baseByName[proposal.factor_name];
+      const attributes = {
+        ...(base ? base.get({ plain: true }) : { active: true }),
+        ...proposal
+      };
+
+      if (base) {
+        attributes.value_mappings = proposal.value_mappings || base.getValueMappings();
+      }
+
+      const configErrors = ScoringFactor.validateConfiguration(attributes);
+      if (configErrors.length > 0) {
+        errors.push(...configErrors.map(error => `${proposal.factor_name}: ${error}`));
+        continue;
+      }
+
+      if (!attributes.factor_category) {
+        errors.push(`${proposal.factor_name}: factor_category is required for a new factor`);
+        continue;
+      }
+
+      if (attributes.active === false) {
+        delete proposedByName[proposal.factor_name];
+      } else {
+        proposedByName[proposal.factor_name] = ScoringFactor.build(attributes);
+      }
+    }
+
+    return { currentFactors, proposedFactors: Object.values(proposedByName), errors };
+  }
+
+  /**
+   * Historical leads to replay, newest first
+   */
+  async loadLeads({ date_from, date_to, days, service_type, max_leads }) {
+    const dateTo = date_to ? new Date(date_to) : new Date();
+    const dateFrom = date_from
+      ? new Date(date_from)
+      : new Date(dateTo.getTime() - (days || this.defaultLookbackDays) * 24 * 60 * 60 * 1000);
+    const limit = max_leads || this.defaultMaxLeads;
+
+    const whereClause = {
+      created_at: { [Op.gte]: dateFrom, [Op.lte]: dateTo }
+    };
+    if (service_type) whereClause.service_type = service_type;
+
+    const leads = await Lead.findAll({
+      where: whereClause,
+      order: [['created_at', 'DESC']],
+      // One extra row tells us whether the sample was cut off
+      limit: limit + 1
+    });
+
+    return {
+      leads: leads.slice(0, limit),
+      sample: {
+        date_from: dateFrom.toISOString(),
+        date_to: dateTo.toISOString(),
+        service_type: service_type || null,
+        leads: Math.min(leads.length, limit),
+        truncated: leads.length > limit
+      }
+    };
+  }
+
+  /**
+   * Score distribution, priority mix and conversion rate per score band
+   */
+  summarize(scoredLeads) {
+    const bands = Lead.SCORE_RANGES.map(range => ({
+      score_range: range.label,
+      leads: 0,
+      conversions: 0,
+      lost: 0,
+      conversion_rate: 0,
+      win_rate: null
+    }));
+    const bandByLabel = Object.fromEntries(bands.map(band => [band.score_range, band]));
+    const priorityLevels = Object.fromEntries(PRIORITY_LEVELS.map(level => [level, 0]));
+    let totalScore = 0;
+
+    for (const { score, priority, status } of scoredLeads) {
+      const band = bandByLabel[Lead.scoreRangeFor(score)];
+
+      band.leads++;
+      if (status === 'converted') band.conversions++;
+      if (status === 'lost') band.lost++;
+
+      priorityLevels[priority]++;
+      totalScore += score;
+    }
+
+    for (const band of bands) {
+      band.conversion_rate = band.leads > 0 ? Math.round((band.conversions / band.leads) * 10000) / 100 : 0;
+      // Conversion among leads that reached a decision, ignoring ones still open
+      const closed = band.conversions + band.lost;
+      band.win_rate = closed > 0 ? Math.round((band.conversions / closed) * 10000) / 100 : null;
+    }
+
+    return {
+      average_score: scoredLeads.length > 0 ? Math.round((totalScore / scoredLeads.length) * 100) / 100 : 0,
+      score_bands: bands,
+      priority_levels: priorityLevels
+    };
+  }
+
+  /**
+   * Compare current and proposed factor settings over historical leads
+   *
+   * Returns `{ errors }` instead of a comparison when a proposal is invalid.
+   */
+  async simulate({ factors: proposals, ...options }) {
+    const startedAt = Date.now();
+    const { currentFactors, proposedFactors, errors } = await this.buildProposedFactors(proposals);
+
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const { leads, sample } = await this.loadLeads(options);
+
+    const current = [];
+    const proposed = [];
+    const shifts = { moved_up: 0, moved_down: 0, unchanged: 0, matrix: {} };
+
+    for (const lead of leads) {
+      const currentScore = ScoringFactor.scoreLead(lead, currentFactors).total_score;
+      const proposedScore = ScoringFactor.scoreLead(lead, proposedFactors).total_score;
+      const currentPriority = Lead.priorityForScore(currentScore);
+      const proposedPriority = Lead.priorityForScore(proposedScore);
+
+      current.push({ score: currentScore, priority: currentPriority, status: lead.status });
+      proposed.push({ score: proposedScore, priority: proposedPriority, status: lead.status });
+
+      if (proposedPriority === currentPriority) {
+        shifts.unchanged++;
+      } else {
+        const move = `${currentPriority}->${proposedPriority}`;
+        shifts.matrix[move] = (shifts.matrix[move] || 0) + 1;
+        if (proposedPriority > currentPriority) shifts.moved_up++;
+        else shifts.moved_down++;
+      }
+    }
+
+    const result = {
+      sample,
+      factors: {
+        current: currentFactors.map(factor => ({ name: factor.factor_name, weight: factor.weight })),
+        proposed: proposedFactors.map(factor => ({ name: factor.factor_name, weight: factor.weight }))
+      },
+      current: this.summarize(current),
+      proposed: this.summarize(proposed),
+      priority_shifts: shifts
+    };
+
+    logger.info('Scoring simulation completed:', {
+      leads: sample.leads,
+      proposals: proposals.map(proposal => proposal.factor_name),
+      priorityShifts: shifts.moved_up + shifts.moved_down,
+      durationMs: Date.now() - startedAt
+    });
+
+    return result;
+  }
+}
+
+// Create singleton instance
+const scoringSimulationService = new ScoringSimulationService();
+
+module.exports = scoringSimulationService;
\ No newline at end of file
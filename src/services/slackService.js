@@ -257,6 +257,43 @@ class SlackService {
     return this.sendMessage(message, 'urgent');
   }
 
+  /**
+   * Send a lead note mention to the mentioned user as a direct message
+   */
+  async sendMentionAlert(user, note, lead, author) {
+    const authorName = author ? author.getFullName() : 'Someone';
+    const excerpt = note.body.length > 500 ? `${note.body.slice(0, 500)}...` : note.body;
+
+    const message = {
+      text: `${authorName} mentioned you on ${lead.company_name || lead.contact_name}`,
+      blocks: [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `:speech_balloon: *${authorName}* mentioned you in a note on *${lead.contact_name}*` +
+                  `${lead.company_name ? ` at *${lead.company_name}*` : ''}\n\n>${excerpt.replace(/\n/g, '\n>')}`
+          }
+        },
+        {
+          type: 'actions',
+          elements: [
+            {
+              type: 'button',
+              text: {
+                type: 'plain_text',
+                text: ':eyes: View Lead'
+              },
+              url: `${process.env.DASHBOARD_URL}/leads/${lead.id}`
+            }
+          ]
+        }
+      ]
+    };
+
+    return this.sendMessage(message, `@${user.slack_user_id}`);
+  }
+
   /**
    * Send integration error alert
    */
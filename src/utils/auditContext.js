@@ -0,0 +1,83 @@
+/**
+ * TNT Corporate Lead System - Audit Context
+ *
+ * Carries who is acting (user, API key, webhook source, background job)
+ * through async calls so model hooks can attribute changes
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const CHANNELS = ['ui', 'api_key', 'webhook', 'automation', 'import', 'system'];
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware opening an audit context for the request
+ *
+ * The actor is read from req.auth when a change is recorded, so this can be
+ * mounted before authentication runs.
+ */
+function middleware(req, res, next) {
+  storage.run({ req }, next);
+}
+
+/**
+ * Route middleware naming the channel explicitly, e.g. for webhooks
+ */
+function channel(name, source = null) {
+  return (req, res, next) => {
+    const store = storage.getStore();
+    if (store) {
+      store.channel = name;
+      store.source = source;
+    }
+    next();
+  };
+}
+
+/**
+ * Run fn with a fixed actor, e.g. a background job acting for a user
+ */
+function run({ channel: name, source = null, userId = null }, fn) {
+  return storage.run({ channel: name, source, userId }, fn);
+}
+
+/**
+ * The current actor as { channel, user_id, api_key_id, source, request_id }
+ *
+ * JWT requests come from the dashboard (ui); work outside any request or job
+ * context is automation.
+ */
+function getActor() {
+  const store = storage.getStore();
+  if (!store) {
+    return { channel: 'automation', user_id: null, api_key_id: null, source: null, request_id: null };
+  }
+
+  const auth = store.req?.auth;
+  const actor = {
+    channel: store.channel || 'system',
+    user_id: store.userId || auth?.userId || null,
+    api_key_id: null,
+    source: store.source || null,
+    request_id: store.req?.id || null
+  };
+
+  if (!store.channel && auth?.type === 'jwt') {
+    actor.channel = 'ui';
+  } else if (!store.channel && auth?.type === 'api_key') {
+    actor.channel = 'api_key';
+    actor.api_key_id = auth.apiKeyId || null;
+    actor.source = auth.service || null;
+  }
+
+  return actor;
+}
+
+module.exports = {
+  CHANNELS,
+  middleware,
+  channel,
+  run,
+  getActor
+};
\ No newline at end of file
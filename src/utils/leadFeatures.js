@@ -0,0 +1,116 @@
+/**
+ * TNT Corporate Lead System - Lead Feature Encoding
+ *
+ * Turns leads into numeric vectors for the conversion-trained scoring model
+ */
+
+const NUMERIC_FEATURES = ['estimated_value', 'passenger_count', 'distance_from_base', 'lead_time_days'];
+const CATEGORICAL_FEATURES = ['service_type', 'budget_tier', 'industry', 'utm_source', 'utm_medium', 'utm_campaign'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Raw feature values for a lead, or null where unknown
+ */
+function rawValues(lead) {
+  const number = (value) => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+  const submittedAt = lead.created_at ? new Date(lead.created_at) : new Date();
+
+  return {
+    estimated_value: number(lead.estimated_value),
+    passenger_count: number(lead.passenger_count),
+    distance_from_base: number(lead.distance_from_base),
+    lead_time_days: lead.service_date
+      ? Math.max(0, (new Date(lead.service_date) - submittedAt) / DAY_MS)
+      : null,
+    service_type: lead.service_type || null,
+    budget_tier: lead.budget_tier || null,
+    industry: lead.industry ? lead.industry.trim().toLowerCase() : null,
+    utm_source: lead.utm_source ? lead.utm_source.trim().toLowerCase() : null,
+    utm_medium: lead.utm_medium ? lead.utm_medium.trim().toLowerCase() : null,
+    utm_campaign: lead.utm_campaign ? lead.utm_campaign.trim().toLowerCase() : null
+  };
+}
+
+/**
+ * Spread-out numerics (money, distance, lead time) are log-scaled before standardising
+ */
+function transformNumeric(name, value) {
+  return name === 'passenger_count' ? value : Math.log1p(Math.max(0, value));
+}
+
+/**
+ * Learn scaling and category vocabularies from training leads
+ *
+ * Categories seen fewer than `minCategoryCount` times are dropped so the
+ * model does not memorise one-off campaigns.
+ */
+function buildSpec(leads, { minCategoryCount = 5, maxCategories = 20 } = {}) {
+  const rows = leads.map(rawValues);
+  const numeric = {};
+  const categorical = {};
+
+  for (const name of NUMERIC_FEATURES) {
+    const values = rows.map(row => row[name]).filter(value => value !== null).map(value => transformNumeric(name, value));
+    const mean = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    const variance = values.length > 0
+      ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length
+      : 0;
+
+    numeric[name] = { mean, std: Math.sqrt(variance) || 1 };
+  }
+
+  for (const name of CATEGORICAL_FEATURES) {
+    const counts = {};
+    for (const row of rows) {
+      if (row[name] !== null) counts[row[name]] = (counts[row[name]] || 0) + 1;
+    }
+
+    categorical[name] = Object.entries(counts)
+      .filter(([, count]) => count >= minCategoryCount)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, maxCategories)
+      .map(([value]) => value);
+  }
+
+  return { numeric, categorical };
+}
+
+function featureNames(spec) {
+  return [
+    ...Object.keys(spec.numeric),
+    ...Object.entries(spec.categorical).flatMap(([name, values]) => values.map(value => `${name}=${value}`))
+  ];
+}
+
+/**
+ * Encode a lead as a vector in featureNames(spec) order
+ *
+ * Missing numerics take the training mean (0 after standardising); unknown
+ * categories encode as all zeros.
+ */
+function encode(lead, spec) {
+  const raw = rawValues(lead);
+  const vector = [];
+
+  for (const [name, { mean, std }] of Object.entries(spec.numeric)) {
+    vector.push(raw[name] === null ? 0 : (transformNumeric(name, raw[name]) - mean) / std);
+  }
+
+  for (const [name, values] of Object.entries(spec.categorical)) {
+    for (const value of values) {
+      vector.push(raw[name] === value ? 1 : 0);
+    }
+  }
+
+  return vector;
+}
+
+module.exports = {
+  NUMERIC_FEATURES,
+  CATEGORICAL_FEATURES,
+  rawValues,
+  buildSpec,
+  featureNames,
+  encode
+};
\ No newline at end of file
@@ -0,0 +1,96 @@
+/**
+ * TNT Corporate Lead System - Lead Filters
+ *
+ * Where clause for the lead list filters, shared by the list and exports
+ */
+
+const { Op, literal } = require('sequelize');
+const { tsQuerySql } = require('./leadSearch');
+const { compileFilterExpression } = require('./leadFilterExpression');
+const { createValidationError } = require('../middleware/errorHandler');
+
+const LEAD_FILTER_KEYS = ['status', 'service_type', 'lead_score_min', 'date_from', 'date_to', 'search', 'assigned_to', 'filter'];
+
+/**
+ * Pick the filter values out of a query object, dropping empty ones
+ */
+function pickLeadFilters(query = {}) {
+  const filters = {};
+  for (const key of LEAD_FILTER_KEYS) {
+    if (query[key] !== undefined && query[key] !== null && query[key] !== '') {
+      filters[key] = query[key];
+    }
+  }
+  return filters;
+}
+
+/**
+ * Build the Lead where clause for a set of list filters
+ *
+ * assigned_to accepts a user id, 'unassigned' or 'me' (resolved against
+ * userId, and rejected without one). filter is a structured filter expression (see
+ * utils/leadFilterExpression) and is combined with the other filters.
+ * Merged duplicates live on in their surviving lead and are always excluded.
+ */
+function buildLeadWhere(filters = {}, { userId = null } = {}) {
+  const {
+    status,
+    service_type,
+    lead_score_min,
+    date_from,
+    date_to,
+    search,
+    assigned_to,
+    filter
+  } = filters;
+
+  const whereClause = { merged_into_id: null };
+
+  if (status) whereClause.status = status;
+  if (service_type) whereClause.service_type = service_type;
+  if (lead_score_min) whereClause.lead_score = { [Op.gte]: lead_score_min };
+
+  // Ownership filter
+  if (assigned_to === 'unassigned') {
+    whereClause.assigned_to = null;
+  } else if (assigned_to === 'me') {
+    // API keys have no user, and matching unassigned leads instead would mislead
+    if (!userId) {
+      throw createValidationError('Invalid lead filters', [{
+        field: 'assigned_to',
+        message: "'me' is only available to signed-in users"
+      }]);
+    }
+    whereClause.assigned_to = userId;
+  } else if (assigned_to) {
+    whereClause.assigned_to = assigned_to;
+  }
+
+  // Date range filter
+  if (date_from || date_to) {
+    whereClause.created_at = {};
+    if (date_from) whereClause.created_at[Op.gte] = new Date(date_from);
+    if (date_to) whereClause.created_at[Op.lte] = new Date(date_to);
+  }
+
+  // Full-text search, matching word prefixes like the search endpoint's typeahead
+  const searchQuery = search ? tsQuerySql(search, { prefix: true }) : null;
+  const conditions = searchQuery ? [literal(`"Lead"."search_vector" @@ (${searchQuery})`)] : [];
+
+  // Structured filter expression, e.g. from a saved view
+  if (filter) {
+    conditions.push(compileFilterExpression(filter, { userId }));
+  }
+
+  if (conditions.length > 0) {
+    whereClause[Op.and] = conditions;
+  }
+
+  return whereClause;
+}
+
+module.exports = {
+  LEAD_FILTER_KEYS,
+  pickLeadFilters,
+  buildLeadWhere
+};
\ No newline at end of file
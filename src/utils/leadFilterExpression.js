@@ -0,0 +1,367 @@
+/**
+ * TNT Corporate Lead System - Lead Filter Expressions
+ *
+ * Structured filter expressions for saved views and advanced lead queries.
+ * An expression is a tree of:
+ *
+ *   { all: [expr, ...] } / { any: [expr, ...] } / { not: expr }
+ *   { field, op, value }     - any lead column or custom_fields.<key>
+ *   { interaction: { exists, type, within_last, automated } }
+ *
+ * Date values may be ISO dates or relative to now, e.g. "now", "-2h" or
+ * "+72h"; within_last and within_next take a duration such as "30m" or "7d".
+ */
+
+const { Op, literal, where: sqlWhere } = require('sequelize');
+const { sequelize } = require('../database/connection');
+const { createValidationError } = require('../middleware/errorHandler');
+
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+
+// Lead columns that are not filterable
+const EXCLUDED_FIELDS = ['search_vector', 'scoring_breakdown', 'custom_fields'];
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const DURATION_PATTERN = /^(\d+)([mhdw])$/;
+const RELATIVE_DATE_PATTERN = /^(?:now)?(?:([+-])(\d+)([mhdw]))?$/;
+const CUSTOM_FIELD_PATTERN = /^custom_fields\.([A-Za-z0-9_]{1,100})$/;
+
+// Operators each kind of field supports
+const OPERATORS = {
+  string: ['eq', 'ne', 'in', 'not_in', 'contains', 'starts_with', 'is_null', 'is_not_null'],
+  id: ['eq', 'ne', 'in', 'not_in', 'is_null', 'is_not_null'],
+  enum: ['eq', 'ne', 'in', 'not_in', 'is_null', 'is_not_null'],
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between', 'in', 'not_in', 'is_null', 'is_not_null'],
+  boolean: ['eq', 'ne', 'is_null', 'is_not_null'],
+  date: ['eq', 'gt', 'gte', 'lt', 'lte', 'between', 'within_last', 'within_next', 'is_null', 'is_not_null'],
+  custom: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'contains', 'is_null', 'is_not_null']
+};
+
+const COMPARISON_OPS = {
+  eq: Op.eq,
+  ne: Op.ne,
+  gt: Op.gt,
+  gte: Op.gte,
+  lt: Op.lt,
+  lte: Op.lte,
+  in: Op.in,
+  not_in: Op.notIn
+};
+
+const TYPE_KINDS = {
+  STRING: 'string',
+  TEXT: 'string',
+  UUID: 'id',
+  ENUM: 'enum',
+  INTEGER: 'number',
+  BIGINT: 'number',
+  DECIMAL: 'number',
+  FLOAT: 'number',
+  DOUBLE: 'number',
+  BOOLEAN: 'boolean',
+  DATE: 'date',
+  DATEONLY: 'date'
+};
+
+/**
+ * Filterable lead fields as { name: kind }, plus enum values
+ */
+function getFilterableFields() {
+  const attributes = sequelize.models.Lead.rawAttributes;
+  const fields = {};
+
+  for (const [name, attribute] of Object.entries(attributes)) {
+    const kind = TYPE_KINDS[attribute.type.key];
+    if (kind && !EXCLUDED_FIELDS.includes(name)) {
+      fields[name] = { kind, values: attribute.values || null };
+    }
+  }
+
+  return fields;
+}
+
+function parseDuration(value) {
+  const match = DURATION_PATTERN.exec(String(value));
+  return match ? parseInt(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+/**
+ * ISO date or a date relative to now, e.g. "-2h"
+ */
+function parseDate(value, now) {
+  const relative = typeof value === 'string' && value !== '' ? RELATIVE_DATE_PATTERN.exec(value) : null;
+  if (relative) {
+    if (!relative[1]) return new Date(now);
+    const offset = parseInt(relative[2]) * DURATION_UNITS[relative[3]];
+    return new Date(now.getTime() + (relative[1] === '-' ? -offset : offset));
+  }
+
+  const date = typeof value === 'string' ? new Date(value) : null;
+  return date && !isNaN(date) ? date : null;
+}
+
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, character => `\\${character}`);
+}
+
+class ExpressionCompiler {
+  constructor({ userId = null, now = new Date() } = {}) {
+    this.userId = userId;
+    this.now = now;
+    this.fields = getFilterableFields();
+    this.errors = [];
+    this.conditions = 0;
+  }
+
+  fail(path, message) {
+    const field = path.replace(/\.$/, '');
+    this.errors.push({ field: field ? `filter.${field}` : 'filter', message });
+    return null;
+  }
+
+  compile(node, path = '', depth = 0) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      return this.fail(path, 'must be an object');
+    }
+
+    if (depth > MAX_DEPTH) {
+      return this.fail(path, `nests deeper than ${MAX_DEPTH} levels`);
+    }
+
+    if (node.all !== undefined || node.any !== undefined) {
+      const key = node.all !== undefined ? 'all' : 'any';
+      if (!Array.isArray(node[key]) || node[key].length === 0) {
+        return this.fail(`${path}${key}`, 'must be a non-empty array');
+      }
+
+      const parts = node[key].map((child, index) => this.compile(child, `${path}${key}[${index}].`, depth + 1));
+      return { [key === 'all' ? Op.and : Op.or]: parts.filter(Boolean) };
+    }
+
+    if (node.not !== undefined) {
+      const part = this.compile(node.not, `${path}not.`, depth + 1);
+      return part ? { [Op.not]: part } : null;
+    }
+
+    this.conditions++;
+    if (this.conditions > MAX_CONDITIONS) {
+      return this.fail(path, `has more than ${MAX_CONDITIONS} conditions`);
+    }
+
+    if (node.interaction !== undefined) {
+      return this.compileInteraction(node.interaction, `${path}interaction`);
+    }
+
+    if (typeof node.field === 'string') {
+      return this.compileCondition(node, path);
+    }
+
+    return this.fail(path, 'must have all, any, not, field or interaction');
+  }
+
+  compileCondition({ field, op, value }, path) {
+    const customField = CUSTOM_FIELD_PATTERN.exec(field);
+    const definition = customField ? { kind: 'custom' } : this.fields[field];
+
+    if (!definition) {
+      return this.fail(`${path}field`, `'${field}' is not a filterable lead field`);
+    }
+
+    if (!OPERATORS[definition.kind].includes(op)) {
+      return this.fail(`${path}op`, `'${op}' is not supported for ${field} (use ${OPERATORS[definition.kind].join(', ')})`);
+    }
+
+    if (op === 'is_null' || op === 'is_not_null') {
+      const nullCheck = op === 'is_null' ? { [Op.is]: null } : { [Op.not]: null };
+      return customField
+        ? sqlWhere(this.customFieldText(customField[1]), nullCheck)
+        : { [field]: nullCheck };
+    }
+
+    if (customField) {
+      return this.compileCustomField(customField[1], op, value, path);
+    }
+
+    const resolved = this.resolveValue(definition, field, op, value, path);
+    if (resolved === null) return null;
+
+    if (op === 'contains') return { [field]: { [Op.iLike]: `%${escapeLike(resolved)}%` } };
+    if (op === 'starts_with') return { [field]: { [Op.iLike]: `${escapeLike(resolved)}%` } };
+    if (op === 'between') return { [field]: { [Op.between]: resolved } };
+    if (op === 'within_last') return { [field]: { [Op.between]: [new Date(this.now.getTime() - resolved), this.now] } };
+    if (op === 'within_next') return { [field]: { [Op.between]: [this.now, new Date(this.now.getTime() + resolved)] } };
+
+    return { [field]: { [COMPARISON_OPS[op]]: resolved } };
+  }
+
+  /**
+   * Check and convert a condition value for the field's kind
+   */
+  resolveValue({ kind, values }, field, op, value, path) {
+    const valuePath = `${path}value`;
+
+    if (op === 'within_last' || op === 'within_next') {
+      const duration = parseDuration(value);
+      return duration || this.fail(valuePath, 'must be a duration such as 30m, 2h, 3d or 1w');
+    }
+
+    if (op === 'in' || op === 'not_in' || op === 'between') {
+      if (!Array.isArray(value) || value.length === 0 || (op === 'between' && value.length !== 2)) {
+        return this.fail(valuePath, op === 'between' ? 'must be a [from, to] pair' : 'must be a non-empty array');
+      }
+
+      const items = value.map(item => this.resolveScalar(kind, values, field, item));
+      return items.includes(null) ? this.fail(valuePath, `contains a value that is not valid for ${field}`) : items;
+    }
+
+    if (op === 'contains' || op === 'starts_with') {
+      return typeof value === 'string' && value !== '' ? value : this.fail(valuePath, 'must be a non-empty string');
+    }
+
+    const resolved = this.resolveScalar(kind, values, field, value);
+    return resolved === null ? this.fail(valuePath, `is not a valid value for ${field}`) : resolved;
+  }
+
+  resolveScalar(kind, values, field, value) {
+    switch (kind) {
+      case 'number':
+        return typeof value === 'number' && isFinite(value) ? value : null;
+      case 'boolean':
+        return typeof value === 'boolean' ? value : null;
+      case 'date':
+        return parseDate(value, this.now);
+      case 'enum':
+        return values.includes(value) ? value : null;
+      case 'id':
+        // assigned_to and other user references accept "me"
+        if (value === 'me') return this.userId;
+        return typeof value === 'string' && /^[0-9a-f-]{36}$/i.test(value) ? value : null;
+      default:
+        return typeof value === 'string' ? value : null;
+    }
+  }
+
+  customFieldText(key) {
+    return literal(`("Lead"."custom_fields"->>${sequelize.escape(key)})`);
+  }
+
+  /**
+   * custom_fields values are compared as text, or as numbers when the
+   * filter value is a number (non-numeric stored values never match)
+   */
+  compileCustomField(key, op, value, path) {
+    const values = op === 'in' ? value : [value];
+
+    if (!Array.isArray(values) || values.length === 0 ||
+        values.some(item => !['string', 'number', 'boolean'].includes(typeof item))) {
+      return this.fail(`${path}value`, 'must be a string, number or boolean (or an array of them for in)');
+    }
+
+    if (op === 'contains') {
+      return typeof value === 'string'
+        ? sqlWhere(this.customFieldText(key), { [Op.iLike]: `%${escapeLike(value)}%` })
+        : this.fail(`${path}value`, 'must be a string');
+    }
+
+    const numeric = typeof values[0] === 'number';
+    if (['gt', 'gte', 'lt', 'lte'].includes(op) && !numeric) {
+      return this.fail(`${path}value`, 'must be a number');
+    }
+
+    const column = numeric
+      ? literal(`(CASE WHEN ("Lead"."custom_fields"->>${sequelize.escape(key)}) ~ '^-?[0-9]+(\\.[0-9]+)?$' ` +
+        `THEN ("Lead"."custom_fields"->>${sequelize.escape(key)})::numeric END)`)
+      : this.customFieldText(key);
+    const compared = numeric ? value : (op === 'in' ? values.map(String) : String(value));
+
+    return sqlWhere(column, { [COMPARISON_OPS[op]]: compared });
+  }
+
+  /**
+   * EXISTS / NOT EXISTS over the lead's interactions
+   *
+   * System records such as lead_assigned are not touchpoints and only count
+   * when asked for by type.
+   */
+  compileInteraction(spec, path) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      return this.fail(path, 'must be an object');
+    }
+
+    const { exists = true, type, within_last, automated } = spec;
+    const clauses = ['lead_interactions.lead_id = "Lead"."id"'];
+    const { LeadInteraction } = sequelize.models;
+    const interactionTypes = LeadInteraction.rawAttributes.interaction_type.values;
+
+    if (typeof exists !== 'boolean') {
+      return this.fail(`${path}.exists`, 'must be a boolean');
+    }
+
+    if (type !== undefined) {
+      const types = Array.isArray(type) ? type : [type];
+      if (types.length === 0 || types.some(item => !interactionTypes.includes(item))) {
+        return this.fail(`${path}.type`, `must be one or more of ${interactionTypes.join(', ')}`);
+      }
+      clauses.push(`lead_interactions.interaction_type IN (${types.map(item => sequelize.escape(item)).join(', ')})`);
+    } else {
+      clauses.push(`lead_interactions.interaction_type NOT IN (${LeadInteraction.SYSTEM_TYPES.map(item => sequelize.escape(item)).join(', ')})`);
+    }
+
+    if (within_last !== undefined) {
+      const duration = parseDuration(within_last);
+      if (!duration) {
+        return this.fail(`${path}.within_last`, 'must be a duration such as 30m, 2h, 3d or 1w');
+      }
+      clauses.push(`lead_interactions.created_at >= ${sequelize.escape(new Date(this.now.getTime() - duration))}`);
+    }
+
+    if (automated !== undefined) {
+      if (typeof automated !== 'boolean') {
+        return this.fail(`${path}.automated`, 'must be a boolean');
+      }
+      clauses.push(`lead_interactions.automated = ${automated}`);
+    }
+
+    const subquery = `EXISTS (SELECT 1 FROM lead_interactions WHERE ${clauses.join(' AND ')})`;
+    return literal(exists ? subquery : `NOT ${subquery}`);
+  }
+}
+
+/**
+ * Parse a filter expression given as an object or a JSON string
+ */
+function parseFilterExpression(expression) {
+  if (typeof expression !== 'string') return expression;
+
+  try {
+    return JSON.parse(expression);
+  } catch (error) {
+    throw createValidationError('Invalid lead filter', [{ field: 'filter', message: 'must be valid JSON' }]);
+  }
+}
+
+/**
+ * Compile a filter expression to a Lead where clause
+ *
+ * Throws a VALIDATION_ERROR listing every problem with its path. Relative
+ * dates resolve against now, so saved views always look at the current
+ * window.
+ */
+function compileFilterExpression(expression, options = {}) {
+  const compiler = new ExpressionCompiler(options);
+  const where = compiler.compile(parseFilterExpression(expression));
+
+  if (compiler.errors.length > 0) {
+    throw createValidationError('Invalid lead filter', compiler.errors);
+  }
+
+  return where;
+}
+
+module.exports = {
+  OPERATORS,
+  getFilterableFields,
+  parseFilterExpression,
+  compileFilterExpression
+};
\ No newline at end of file
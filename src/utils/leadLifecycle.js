@@ -0,0 +1,96 @@
+/**
+ * TNT Corporate Lead System - Lead Lifecycle
+ *
+ * Allowed status transitions and the fields each one requires
+ */
+
+const { BusinessLogicError } = require('../middleware/errorHandler');
+
+// From status -> { to status: fields required for the move }
+const TRANSITIONS = {
+  new: {
+    contacted: [],
+    qualified: [],
+    lost: ['lost_reason']
+  },
+  contacted: {
+    qualified: [],
+    converted: ['converted_value'],
+    lost: ['lost_reason']
+  },
+  qualified: {
+    converted: ['converted_value'],
+    lost: ['lost_reason']
+  },
+  converted: {},
+  lost: {
+    // Reopening a lost lead needs a note saying why
+    contacted: ['notes']
+  }
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+function getNextStatuses(from) {
+  return Object.keys(TRANSITIONS[from] || {});
+}
+
+function isTerminal(status) {
+  return getNextStatuses(status).length === 0;
+}
+
+function getRequiredFields(from, to) {
+  return (TRANSITIONS[from] && TRANSITIONS[from][to]) || [];
+}
+
+function transitionError(message, code, details, statusCode = 422) {
+  const error = new BusinessLogicError(message, code, statusCode);
+  error.details = details;
+  return error;
+}
+
+/**
+ * Check a status move against the lifecycle
+ *
+ * values holds the lead's fields after the update plus the update's notes.
+ * Throws INVALID_STATUS_TRANSITION (409) for a move that is not allowed and
+ * TRANSITION_REQUIREMENTS_NOT_MET (422) when required fields are missing.
+ */
+function assertTransition(from, to, values = {}) {
+  if (from === to) return;
+
+  const allowed = getNextStatuses(from);
+
+  if (!allowed.includes(to)) {
+    throw transitionError(
+      isTerminal(from)
+        ? `Lead is ${from} and its status can no longer change`
+        : `Cannot move a lead from ${from} to ${to}`,
+      'INVALID_STATUS_TRANSITION',
+      { from, to, allowed },
+      409
+    );
+  }
+
+  const missing = getRequiredFields(from, to).filter(field =>
+    values[field] === undefined || values[field] === null || values[field] === ''
+  );
+
+  if (missing.length > 0) {
+    throw transitionError(
+      `Moving a lead from ${from} to ${to} requires ${missing.join(', ')}`,
+      'TRANSITION_REQUIREMENTS_NOT_MET',
+      { from, to, missing_fields: missing }
+    );
+  }
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  getNextStatuses,
+  getRequiredFields,
+  isTerminal,
+  assertTransition,
+  transitionError
+};
\ No newline at end of file
@@ -0,0 +1,195 @@
+/**
+ * TNT Corporate Lead System - Lead Matching Helpers
+ *
+ * Normalization and fuzzy comparison used to recognise the same person or
+ * company across inquiries, and to spot duplicate leads
+ */
+
+// Consumer mailbox providers - a shared domain here says nothing about the company
+const FREE_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com',
+  'msn.com', 'aol.com', 'icloud.com', 'me.com', 'mac.com', 'comcast.net', 'verizon.net',
+  'att.net', 'protonmail.com', 'proton.me', 'ymail.com'
+];
+
+// Legal suffixes dropped from company names before comparing
+const COMPANY_SUFFIXES = ['inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'plc', 'group'];
+
+function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : null;
+}
+
+function emailDomain(email) {
+  const normalized = normalizeEmail(email);
+  if (!normalized || !normalized.includes('@')) return null;
+  return normalized.split('@').pop();
+}
+
+function isFreeEmailDomain(domain) {
+  return !!domain && FREE_EMAIL_DOMAINS.includes(domain);
+}
+
+/**
+ * Digits only, with the US country code dropped so +1 804... and 804... match
+ */
+function normalizePhone(phone) {
+  if (!phone) return null;
+
+  let digits = String(phone).replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) {
+    digits = digits.slice(1);
+  }
+
+  return digits.length >= 7 ? digits : null;
+}
+
+/**
+ * Lowercase, punctuation-free company name without legal suffixes
+ * ("Acme, Inc." and "ACME Inc" both become "acme")
+ */
+function normalizeCompanyName(name) {
+  if (!name) return null;
+
+  const words = String(name)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  while (words.length > 1 && COMPANY_SUFFIXES.includes(words[words.length - 1])) {
+    words.pop();
+  }
+  if (words.length > 1 && words[0] === 'the') {
+    words.shift();
+  }
+
+  const key = words.join(' ');
+  return key.length > 0 ? key : null;
+}
+
+/**
+ * Lowercase person name with punctuation and extra spaces removed
+ */
+function normalizeName(name) {
+  if (!name) return null;
+
+  const key = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return key.length > 0 ? key : null;
+}
+
+/**
+ * Jaro-Winkler similarity between two strings, 0 (nothing alike) to 1 (identical)
+ *
+ * Suited to short names: transposed letters and shared prefixes score highly.
+ */
+function stringSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const matchWindow = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - matchWindow);
+    const end = Math.min(b.length - 1, i + matchWindow);
+    for (let j = start; j <= end; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// Points each signal contributes to a duplicate match score (capped at 100)
+const DUPLICATE_SIGNALS = {
+  same_email: 50,
+  same_phone: 40,
+  same_contact_name: 25,
+  similar_contact_name: 15,
+  same_company: 20,
+  similar_company: 12
+};
+
+// Names at least this similar count as the same person or company with a typo
+const SIMILAR_NAME_THRESHOLD = 0.9;
+
+// Score from which two leads are reported as likely duplicates
+const DUPLICATE_THRESHOLD = 45;
+
+/**
+ * How likely two leads are the same inquiry
+ *
+ * Returns { score, reasons } where reasons name the signals that matched.
+ */
+function scoreDuplicate(a, b) {
+  const reasons = [];
+
+  const emailA = normalizeEmail(a.email);
+  if (emailA && emailA === normalizeEmail(b.email)) reasons.push('same_email');
+
+  const phoneA = normalizePhone(a.phone);
+  if (phoneA && phoneA === normalizePhone(b.phone)) reasons.push('same_phone');
+
+  const contactA = normalizeName(a.contact_name);
+  const contactB = normalizeName(b.contact_name);
+  if (contactA && contactA === contactB) {
+    reasons.push('same_contact_name');
+  } else if (stringSimilarity(contactA, contactB) >= SIMILAR_NAME_THRESHOLD) {
+    reasons.push('similar_contact_name');
+  }
+
+  const companyA = normalizeCompanyName(a.company_name);
+  const companyB = normalizeCompanyName(b.company_name);
+  if (companyA && companyA === companyB) {
+    reasons.push('same_company');
+  } else if (stringSimilarity(companyA, companyB) >= SIMILAR_NAME_THRESHOLD) {
+    reasons.push('similar_company');
+  }
+
+  const score = Math.min(100, reasons.reduce((sum, reason) => sum + DUPLICATE_SIGNALS[reason], 0));
+
+  return { score, reasons };
+}
+
+module.exports = {
+  FREE_EMAIL_DOMAINS,
+  DUPLICATE_SIGNALS,
+  DUPLICATE_THRESHOLD,
+  normalizeEmail,
+  emailDomain,
+  isFreeEmailDomain,
+  normalizePhone,
+  normalizeCompanyName,
+  normalizeName,
+  stringSimilarity,
+  scoreDuplicate
+};
\ No newline at end of file
@@ -0,0 +1,106 @@
+/**
+ * TNT Corporate Lead System - Lead Search
+ *
+ * SQL for the leads.search_vector column and the tsquery matched against it
+ */
+
+const { sequelize } = require('../database/connection');
+
+// Lead columns in the search document; changing any of them refreshes the vector
+const SEARCH_FIELDS = [
+  'company_name', 'contact_name', 'email', 'phone',
+  'pickup_location', 'destination', 'lost_reason_note'
+];
+
+const MAX_TERMS = 8;
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=18, MinWords=6, FragmentDelimiter=" ... "';
+
+/**
+ * Notes and interaction text for a lead, as SQL subqueries
+ *
+ * Notes are the lead's internal notes plus the notes given with updates.
+ */
+function notesSql(table) {
+  return `concat_ws(' ', ` +
+    `(SELECT string_agg(body, ' ') FROM lead_notes WHERE lead_notes.lead_id = ${table}.id), ` +
+    `(SELECT string_agg(note, ' ') FROM lead_events WHERE lead_events.lead_id = ${table}.id AND note IS NOT NULL))`;
+}
+
+function interactionsSql(table) {
+  return `(SELECT string_agg(concat_ws(' ', subject, content, response_content), ' ') FROM lead_interactions WHERE lead_interactions.lead_id = ${table}.id)`;
+}
+
+/**
+ * Weighted tsvector for a lead row
+ *
+ * Names and contact details (A) are indexed unstemmed so prefixes of emails
+ * and phone digits match; locations (B), notes (C) and interaction content
+ * (D) are stemmed as English.
+ */
+function searchVectorSql(table = 'leads') {
+  const digits = `regexp_replace(coalesce(${table}.phone, ''), '\\D', '', 'g')`;
+
+  return [
+    `setweight(to_tsvector('simple', concat_ws(' ', ${table}.company_name, ${table}.contact_name, ${table}.email, replace(${table}.email, '@', ' '), ${table}.phone, ${digits}, right(${digits}, 10))), 'A')`,
+    `setweight(to_tsvector('english', concat_ws(' ', ${table}.pickup_location, ${table}.destination)), 'B')`,
+    `setweight(to_tsvector('english', concat_ws(' ', ${table}.lost_reason_note, ${notesSql(table)})), 'C')`,
+    `setweight(to_tsvector('english', coalesce(${interactionsSql(table)}, '')), 'D')`
+  ].join(' || ');
+}
+
+/**
+ * Text of the search document, for ts_headline snippets
+ *
+ * HTML-escaped, so the highlight's <mark> tags are the only markup.
+ */
+function searchDocumentSql(table = 'leads') {
+  const text = `concat_ws(' ... ', ${table}.company_name, ${table}.contact_name, ${table}.email, ${table}.phone, ` +
+    `${table}.pickup_location, ${table}.destination, ${table}.lost_reason_note, ${notesSql(table)}, ${interactionsSql(table)})`;
+
+  return `replace(replace(replace(${text}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+}
+
+/**
+ * Search terms from user input: words, emails and phone numbers
+ *
+ * Phone numbers, however formatted, are reduced to digits to match the
+ * indexed digits.
+ */
+function searchTerms(text = '') {
+  return String(text)
+    .replace(/\+?\(?\d[\d\s().-]{4,}\d/g, phone => phone.replace(/\D/g, ''))
+    .replace(/[^\p{L}\p{N}@._+-]+/gu, ' ')
+    .split(' ')
+    .map(term => term.replace(/^[._+-]+|[._+-]+$/g, ''))
+    .filter(Boolean)
+    .slice(0, MAX_TERMS);
+}
+
+/**
+ * tsquery SQL matching every term, or null when the input has no terms
+ *
+ * Each term matches unstemmed or English-stemmed, so both the contact
+ * details and the stemmed text are found. With prefix every term matches
+ * as a word prefix, for typeahead.
+ */
+function tsQuerySql(text, { prefix = false } = {}) {
+  const terms = searchTerms(text);
+  if (terms.length === 0) return null;
+
+  return terms
+    .map((term) => {
+      const lexeme = sequelize.escape(`'${term.toLowerCase()}'${prefix ? ':*' : ''}`);
+      return `(to_tsquery('simple', ${lexeme}) || to_tsquery('english', ${lexeme}))`;
+    })
+    .join(' && ');
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  HEADLINE_OPTIONS,
+  searchVectorSql,
+  searchDocumentSql,
+  searchTerms,
+  tsQuerySql
+};
\ No newline at end of file
@@ -0,0 +1,148 @@
+/**
+ * TNT Corporate Lead System - Logistic Regression
+ *
+ * Small dependency-free binary classifier used to learn lead conversion odds
+ */
+
+function sigmoid(z) {
+  if (z >= 0) {
+    return 1 / (1 + Math.exp(-z));
+  }
+  // Same value, written so large negative logits do not overflow
+  const ez = Math.exp(z);
+  return ez / (1 + ez);
+}
+
+function dot(weights, x) {
+  let sum = 0;
+  for (let i = 0; i < weights.length; i++) {
+    sum += weights[i] * x[i];
+  }
+  return sum;
+}
+
+/**
+ * Fit weights with full-batch gradient descent and L2 regularisation
+ *
+ * Inputs should already be on comparable scales (standardised numerics,
+ * 0/1 indicators). Returns { weights, intercept, iterations, loss }.
+ */
+function train(X, y, { learningRate = 0.1, epochs = 500, l2 = 0.01, tolerance = 1e-6 } = {}) {
+  const n = X.length;
+  const featureCount = n > 0 ? X[0].length : 0;
+  const weights = new Array(featureCount).fill(0);
+
+  // Start the intercept at the base rate so early epochs are not spent finding it
+  const positives = y.reduce((sum, label) => sum + label, 0);
+  const baseRate = Math.min(Math.max(positives / n, 1e-6), 1 - 1e-6);
+  let intercept = Math.log(baseRate / (1 - baseRate));
+
+  let previousLoss = Infinity;
+  let loss = Infinity;
+  let iterations = 0;
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradient = new Array(featureCount).fill(0);
+    let interceptGradient = 0;
+    loss = 0;
+
+    for (let i = 0; i < n; i++) {
+      const p = sigmoid(intercept + dot(weights, X[i]));
+      const error = p - y[i];
+
+      interceptGradient += error;
+      for (let j = 0; j < featureCount; j++) {
+        gradient[j] += error * X[i][j];
+      }
+
+      loss += logLoss(p, y[i]);
+    }
+
+    let penalty = 0;
+    for (let j = 0; j < featureCount; j++) {
+      weights[j] -= learningRate * (gradient[j] / n + l2 * weights[j]);
+      penalty += weights[j] * weights[j];
+    }
+    intercept -= learningRate * (interceptGradient / n);
+
+    loss = loss / n + (l2 / 2) * penalty;
+    iterations = epoch + 1;
+
+    if (Math.abs(previousLoss - loss) < tolerance) break;
+    previousLoss = loss;
+  }
+
+  return { weights, intercept, iterations, loss };
+}
+
+function predictProbability(model, x) {
+  return sigmoid(model.intercept + dot(model.weights, x));
+}
+
+function logLoss(p, label) {
+  const clipped = Math.min(Math.max(p, 1e-12), 1 - 1e-12);
+  return label === 1 ? -Math.log(clipped) : -Math.log(1 - clipped);
+}
+
+/**
+ * Area under the ROC curve via the rank-sum (Mann-Whitney) formulation
+ */
+function areaUnderCurve(probabilities, y) {
+  const ranked = probabilities
+    .map((p, i) => ({ p, label: y[i] }))
+    .sort((a, b) => a.p - b.p);
+
+  const positives = y.filter(label => label === 1).length;
+  const negatives = y.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  // Average ranks across ties
+  let rankSum = 0;
+  let i = 0;
+  while (i < ranked.length) {
+    let j = i;
+    while (j + 1 < ranked.length && ranked[j + 1].p === ranked[i].p) j++;
+
+    const averageRank = (i + j + 2) / 2;
+    for (let k = i; k <= j; k++) {
+      if (ranked[k].label === 1) rankSum += averageRank;
+    }
+    i = j + 1;
+  }
+
+  return (rankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+}
+
+/**
+ * Holdout metrics for a trained model
+ */
+function evaluate(model, X, y) {
+  if (X.length === 0) {
+    return { samples: 0, positives: 0, auc: null, log_loss: null, accuracy: null };
+  }
+
+  const probabilities = X.map(x => predictProbability(model, x));
+  const totalLoss = probabilities.reduce((sum, p, i) => sum + logLoss(p, y[i]), 0);
+  const correct = probabilities.filter((p, i) => (p >= 0.5 ? 1 : 0) === y[i]).length;
+  const auc = areaUnderCurve(probabilities, y);
+
+  return {
+    samples: X.length,
+    positives: y.filter(label => label === 1).length,
+    auc: auc === null ? null : round(auc),
+    log_loss: round(totalLoss / X.length),
+    accuracy: round(correct / X.length)
+  };
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+module.exports = {
+  sigmoid,
+  train,
+  predictProbability,
+  evaluate,
+  areaUnderCurve
+};
\ No newline at end of file
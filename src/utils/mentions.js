@@ -0,0 +1,38 @@
+/**
+ * TNT Corporate Lead System - Mentions
+ *
+ * @handle mentions in note text; a user's handle is the local part of their
+ * email address
+ */
+
+const MAX_MENTIONS = 20;
+
+// @ not preceded by a word character, so email addresses are not mentions
+const MENTION_PATTERN = /(^|[^\w@.])@([a-z0-9][a-z0-9._-]{0,63})/gi;
+
+function mentionHandle(email) {
+  return String(email || '').split('@')[0].toLowerCase();
+}
+
+/**
+ * Distinct lower-cased handles mentioned in text, in order of appearance
+ */
+function extractMentionHandles(text = '') {
+  const handles = [];
+
+  for (const match of String(text).matchAll(MENTION_PATTERN)) {
+    // A sentence can end right after a mention
+    const handle = match[2].replace(/[._-]+$/, '').toLowerCase();
+    if (handle && !handles.includes(handle)) {
+      handles.push(handle);
+    }
+  }
+
+  return handles.slice(0, MAX_MENTIONS);
+}
+
+module.exports = {
+  MAX_MENTIONS,
+  mentionHandle,
+  extractMentionHandles
+};
\ No newline at end of file
@@ -0,0 +1,103 @@
+/**
+ * TNT Corporate Lead System - Send Windows
+ *
+ * Days and hours, in a given timezone, when automated email may go out
+ */
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// A window opens at least once a week, so a week of hours always finds it
+const MAX_SEARCH_HOURS = 8 * 24;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Day of week (0 = Sunday) and hour of a date in a timezone
+ */
+function localDayAndHour(date, timezone = DEFAULT_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = type => parts.find(p => p.type === type).value;
+
+  return {
+    day: WEEKDAYS.indexOf(part('weekday')),
+    hour: parseInt(part('hour'), 10)
+  };
+}
+
+/**
+ * Problems with a { days, start_hour, end_hour, timezone } window; empty when valid
+ */
+function validateSendWindow(window) {
+  const errors = [];
+
+  if (!window || typeof window !== 'object') {
+    return ['send window must be an object'];
+  }
+
+  const { days, start_hour: startHour, end_hour: endHour, timezone } = window;
+
+  if (!Array.isArray(days) || days.length === 0 ||
+      !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    errors.push('send window days must be a non-empty list of weekdays 0-6 (0 = Sunday)');
+  }
+  if (!Number.isInteger(startHour) || startHour < 0 || startHour > 23) {
+    errors.push('send window start_hour must be a whole hour 0-23');
+  }
+  if (!Number.isInteger(endHour) || endHour <= startHour || endHour > 24) {
+    errors.push('send window end_hour must be a whole hour after start_hour, at most 24');
+  }
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    errors.push(`send window timezone ${timezone} is not a recognised timezone`);
+  }
+
+  return errors;
+}
+
+/**
+ * Whether a date falls inside a window; no window means any time
+ */
+function isWithinSendWindow(window, date = new Date()) {
+  if (!window) return true;
+
+  const { day, hour } = localDayAndHour(date, window.timezone || DEFAULT_TIMEZONE);
+  return window.days.includes(day) && hour >= window.start_hour && hour < window.end_hour;
+}
+
+/**
+ * The date itself when inside the window, otherwise the hour the window next opens
+ */
+function nextSendTime(window, from = new Date()) {
+  if (isWithinSendWindow(window, from)) return from;
+
+  const candidate = new Date(from);
+  candidate.setUTCMinutes(0, 0, 0);
+
+  for (let i = 0; i < MAX_SEARCH_HOURS; i++) {
+    candidate.setUTCHours(candidate.getUTCHours() + 1);
+    if (isWithinSendWindow(window, candidate)) return candidate;
+  }
+
+  return from;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  validateSendWindow,
+  isWithinSendWindow,
+  nextSendTime
+};
\ No newline at end of file
@@ -0,0 +1,249 @@
+/**
+ * TNT Corporate Lead System - Spreadsheet Helpers
+ *
+ * Reads CSV and XLSX files as header-keyed rows for lead imports and
+ * streams CSV, XLSX and NDJSON rows for lead exports
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { finished } = require('stream/promises');
+const { parse } = require('csv-parse');
+const { stringify } = require('csv-stringify');
+const ExcelJS = require('exceljs');
+
+const SUPPORTED_FORMATS = ['csv', 'xlsx'];
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ndjson: 'application/x-ndjson'
+};
+
+/**
+ * Directory for import uploads and generated exports, created on first use
+ */
+function getDataTransferDir() {
+  const dir = process.env.DATA_TRANSFER_DIR || path.join(os.tmpdir(), 'tnt-data-transfer');
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function formatFromFileName(fileName) {
+  const extension = path.extname(fileName || '').slice(1).toLowerCase();
+  return SUPPORTED_FORMATS.includes(extension) ? extension : null;
+}
+
+/**
+ * Plain text for an ExcelJS cell value (rich text, hyperlinks, formulas, dates)
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'object') return String(value).trim();
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('').trim();
+  if (value.text !== undefined) return cellText(value.text);
+  if (value.result !== undefined) return cellText(value.result);
+  return '';
+}
+
+/**
+ * Turn a header row into unique, trimmed names ("Email", "Email" -> "Email", "Email (2)")
+ */
+function uniqueHeaders(row) {
+  const seen = {};
+
+  return row.map((header, index) => {
+    const name = String(header || '').trim() || `Column ${index + 1}`;
+    seen[name] = (seen[name] || 0) + 1;
+    return seen[name] > 1 ? `${name} (${seen[name]})` : name;
+  });
+}
+
+function toRecord(headers, values) {
+  const record = {};
+  headers.forEach((header, index) => {
+    record[header] = values[index] === undefined ? '' : values[index];
+  });
+  return record;
+}
+
+async function readCsv(filePath, { maxRows = null, headersOnly = false } = {}) {
+  const parser = fs.createReadStream(filePath).pipe(parse({
+    bom: true,
+    trim: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    info: true,
+    to_line: headersOnly ? 1 : undefined
+  }));
+
+  let headers = null;
+  const rows = [];
+
+  for await (const { record, info } of parser) {
+    if (!headers) {
+      headers = uniqueHeaders(record);
+      if (headersOnly) break;
+      continue;
+    }
+
+    rows.push({ rowNumber: info.lines, values: toRecord(headers, record) });
+    if (maxRows && rows.length > maxRows) break;
+  }
+
+  parser.destroy();
+  return { headers: headers || [], rows };
+}
+
+async function readXlsx(filePath, { maxRows = null, headersOnly = false } = {}) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return { headers: [], rows: [] };
+
+  let headers = null;
+  const rows = [];
+
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (maxRows && rows.length > maxRows) return;
+
+    // row.values is 1-indexed
+    const values = row.values.slice(1).map(cellText);
+
+    if (!headers) {
+      headers = uniqueHeaders(values);
+      return;
+    }
+    if (headersOnly || values.every(value => value === '')) return;
+
+    rows.push({ rowNumber, values: toRecord(headers, values) });
+  });
+
+  return { headers: headers || [], rows };
+}
+
+/**
+ * Header row of a spreadsheet
+ */
+async function readHeaders(filePath, format) {
+  const reader = format === 'xlsx' ? readXlsx : readCsv;
+  const { headers } = await reader(filePath, { headersOnly: true });
+  return headers;
+}
+
+/**
+ * Data rows as { rowNumber, values } with values keyed by header
+ *
+ * Reads at most maxRows + 1 rows so callers can tell a file is over the
+ * limit without loading all of it.
+ */
+async function readRows(filePath, format, options = {}) {
+  const reader = format === 'xlsx' ? readXlsx : readCsv;
+  return reader(filePath, options);
+}
+
+/**
+ * Resolve once a stream accepts more data, or once the output is gone
+ */
+function waitForDrain(stream, output) {
+  return new Promise((resolve) => {
+    const done = () => {
+      stream.off('drain', done);
+      output.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    output.on('close', done);
+  });
+}
+
+async function writeChunk(stream, output, chunk) {
+  if (!stream.write(chunk)) {
+    await waitForDrain(stream, output);
+  }
+}
+
+// Spreadsheet apps run a cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote text that would run as a formula when the CSV is opened; lead values
+ * come from a public web form
+ */
+function escapeFormula(value) {
+  return FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+function xlsxCellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date || typeof value !== 'object') return value;
+  return JSON.stringify(value);
+}
+
+/**
+ * Row writer for an export format
+ *
+ * Returns { write(values), end() }; values are in column order. Both return
+ * promises and respect backpressure on the output stream.
+ */
+function createRowWriter(format, output, columns) {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output });
+    const worksheet = workbook.addWorksheet('Leads');
+    worksheet.addRow(columns).commit();
+
+    return {
+      write: async (values) => {
+        worksheet.addRow(values.map(xlsxCellValue)).commit();
+      },
+      end: async () => {
+        worksheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
+
+  if (format === 'ndjson') {
+    return {
+      write: values => writeChunk(output, output, `${JSON.stringify(toRecord(columns, values))}\n`),
+      end: async () => {
+        output.end();
+        await finished(output);
+      }
+    };
+  }
+
+  const stringifier = stringify({
+    header: true,
+    columns,
+    cast: {
+      boolean: value => (value ? 'true' : 'false'),
+      date: value => value.toISOString(),
+      string: escapeFormula,
+      // Nested custom_fields values
+      object: value => escapeFormula(JSON.stringify(value))
+    }
+  });
+  stringifier.pipe(output);
+
+  return {
+    write: values => writeChunk(stringifier, output, values),
+    end: async () => {
+      stringifier.end();
+      await finished(output);
+    }
+  };
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  getDataTransferDir,
+  formatFromFileName,
+  readHeaders,
+  readRows,
+  createRowWriter
+};
\ No newline at end of file
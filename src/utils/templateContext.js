@@ -0,0 +1,115 @@
+/**
+ * TNT Corporate Lead System - Template Context
+ *
+ * The data email templates are rendered against, built from a lead and the
+ * rep it is assigned to
+ */
+
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('./sendWindow');
+
+// Top-level names a template may use; custom_fields.<key> reaches form data
+// and rep is null while the lead is unassigned
+const TEMPLATE_VARIABLES = [
+  'contact_name',
+  'first_name',
+  'company_name',
+  'email',
+  'phone',
+  'service_type',
+  'service_date',
+  'pickup_location',
+  'destination',
+  'passenger_count',
+  'vehicle_preference',
+  'estimated_value',
+  'budget_tier',
+  'industry',
+  'custom_fields',
+  'rep'
+];
+
+/**
+ * The timezone dates are shown in: the one the customer's form sent as
+ * custom_fields.timezone, or the business's own
+ */
+function customerTimezone(lead) {
+  const timezone = (lead.custom_fields || {}).timezone;
+  return typeof timezone === 'string' && isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Service dates are stored at midnight UTC when the form sent only a day;
+ * those are passed on as YYYY-MM-DD so they are not shifted into the day
+ * before in timezones west of UTC
+ */
+function serviceDate(value) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (isNaN(date)) return null;
+
+  const isCalendarDay = date.getUTCHours() === 0 && date.getUTCMinutes() === 0 &&
+    date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0;
+  return isCalendarDay ? date.toISOString().slice(0, 10) : date;
+}
+
+function buildTemplateContext(lead, { assignee = null } = {}) {
+  const contactName = lead.contact_name ? lead.contact_name.trim() : null;
+
+  return {
+    contact_name: contactName || null,
+    first_name: contactName ? contactName.split(/\s+/)[0] : null,
+    company_name: lead.company_name || null,
+    email: lead.email || null,
+    phone: lead.phone || null,
+    service_type: lead.service_type || null,
+    service_date: serviceDate(lead.service_date),
+    pickup_location: lead.pickup_location || null,
+    destination: lead.destination || null,
+    passenger_count: lead.passenger_count ?? null,
+    vehicle_preference: lead.vehicle_preference || null,
+    // DECIMAL comes back from Postgres as a string
+    estimated_value: lead.estimated_value === null || lead.estimated_value === undefined
+      ? null
+      : Number(lead.estimated_value),
+    budget_tier: lead.budget_tier || null,
+    industry: lead.industry || null,
+    custom_fields: { ...(lead.custom_fields || {}) },
+    rep: assignee ? {
+      name: `${assignee.first_name} ${assignee.last_name}`,
+      first_name: assignee.first_name,
+      email: assignee.email,
+      phone: assignee.phone || null
+    } : null
+  };
+}
+
+/**
+ * A made-up lead with every field filled in, for previewing templates;
+ * the service date is two weeks out
+ */
+function buildSampleLead(now = new Date()) {
+  return {
+    contact_name: 'Jordan Smith',
+    company_name: 'Richmond Medical Partners',
+    email: 'jordan.smith@example.com',
+    phone: '+18045550123',
+    service_type: 'corporate',
+    service_date: new Date(now.getTime() + 14 * 24 * 60 * 60 * 1000),
+    pickup_location: 'Richmond International Airport (RIC)',
+    destination: 'The Jefferson Hotel, Richmond, VA',
+    passenger_count: 4,
+    vehicle_preference: 'Executive sedan',
+    estimated_value: '850.00',
+    budget_tier: 'premium',
+    industry: 'Healthcare',
+    custom_fields: {}
+  };
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  buildSampleLead,
+  customerTimezone,
+  buildTemplateContext
+};
\ No newline at end of file
@@ -0,0 +1,660 @@
+/**
+ * TNT Corporate Lead System - Template Engine
+ *
+ * The language email templates and partials are written in:
+ *
+ *   {{ contact_name | title }}              value with filters
+ *   {{ service_date | date:"short" | default:"TBD" }}
+ *   {{#if estimated_value >= 1000}}...{{else}}...{{/if}}
+ *   {{#unless company_name}}...{{/unless}}
+ *   {{#each custom_fields.stops}}{{@number}}. {{this}}{{else}}...{{/each}}
+ *   {{> signature}}                         shared partial
+ *   {{! comment }}
+ *
+ * Templates only read the data they are given: lookups go through own
+ * properties, so nothing in a template can run code or reach a prototype.
+ * Values that come out empty render as nothing and are reported as
+ * unresolved rather than leaking into the email.
+ */
+
+const { DEFAULT_TIMEZONE } = require('./sendWindow');
+
+const MAX_PARTIAL_DEPTH = 5;
+
+const TAG_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+const TOKEN_PATTERN = /\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?)(?![\w.])|(==|!=|>=|<=|>|<|\||:|,)|(@?[A-Za-z_]\w*(?:\.\w+)*))/y;
+const PARTIAL_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const BLOCKS = ['if', 'unless', 'each'];
+const COMPARISONS = ['==', '!=', '>', '>=', '<', '<='];
+const LOOP_VARIABLES = ['@index', '@number', '@first', '@last'];
+const BLOCKED_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+const DATE_STYLES = ['full', 'long', 'medium', 'short'];
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function toNumber(value) {
+  if (isEmpty(value) || typeof value === 'boolean') return null;
+
+  // DECIMAL columns come back from Postgres as strings
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function toDate(value) {
+  if (isEmpty(value)) return null;
+
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Format a date in the customer's timezone; a bare YYYY-MM-DD is a calendar
+ * day, so it is formatted as given rather than shifted
+ */
+function formatDate(value, options, timezone) {
+  const date = toDate(value);
+  if (!date) return null;
+
+  const timeZone = typeof value === 'string' && DATE_ONLY_PATTERN.test(value) ? 'UTC' : timezone;
+  return new Intl.DateTimeFormat('en-US', { ...options, timeZone }).format(date);
+}
+
+function checkDateStyle([style]) {
+  return style === undefined || DATE_STYLES.includes(style) ? null : `takes one of ${DATE_STYLES.join(', ')}`;
+}
+
+function mapText(value, transform) {
+  return isEmpty(value) ? value : transform(String(value));
+}
+
+// args is [min, max] argument count; check returns a problem with literal args or null
+const FILTERS = {
+  currency: {
+    args: [0, 1],
+    check: ([code]) => code === undefined || /^[A-Z]{3}$/.test(code) ? null : 'takes a three-letter currency code',
+    apply: (value, [code = 'USD']) => {
+      const number = toNumber(value);
+      return number === null ? null : new Intl.NumberFormat('en-US', { style: 'currency', currency: code }).format(number);
+    }
+  },
+  number: {
+    args: [0, 1],
+    check: ([places]) => places === undefined || (Number.isInteger(places) && places >= 0 && places <= 6)
+      ? null
+      : 'takes 0-6 decimal places',
+    apply: (value, [places]) => {
+      const number = toNumber(value);
+      if (number === null) return null;
+
+      const digits = places === undefined ? {} : { minimumFractionDigits: places, maximumFractionDigits: places };
+      return new Intl.NumberFormat('en-US', digits).format(number);
+    }
+  },
+  date: {
+    args: [0, 1],
+    check: checkDateStyle,
+    apply: (value, [style = 'long'], env) => formatDate(value, { dateStyle: style }, env.timezone)
+  },
+  time: {
+    args: [0, 0],
+    apply: (value, args, env) => formatDate(value, { timeStyle: 'short' }, env.timezone)
+  },
+  datetime: {
+    args: [0, 1],
+    check: checkDateStyle,
+    apply: (value, [style = 'long'], env) => formatDate(value, { dateStyle: style, timeStyle: 'short' }, env.timezone)
+  },
+  title: {
+    args: [0, 0],
+    apply: value => mapText(value, text => text.toLowerCase().replace(/(^|[\s\-/])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase()))
+  },
+  upper: {
+    args: [0, 0],
+    apply: value => mapText(value, text => text.toUpperCase())
+  },
+  lower: {
+    args: [0, 0],
+    apply: value => mapText(value, text => text.toLowerCase())
+  },
+  join: {
+    args: [0, 1],
+    apply: (value, [separator = ', ']) => Array.isArray(value)
+      ? value.filter(item => !isEmpty(item)).join(separator)
+      : value
+  },
+  default: {
+    args: [1, 1],
+    apply: (value, [fallback]) => isEmpty(value) || (Array.isArray(value) && value.length === 0) ? fallback : value
+  }
+};
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (expression.slice(TOKEN_PATTERN.lastIndex).trim() !== '') {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+
+    if (!match) {
+      return { error: `unexpected "${expression.slice(start).trim()}"` };
+    }
+
+    const [, doubleQuoted, singleQuoted, number, operator, name] = match;
+
+    if (doubleQuoted !== undefined || singleQuoted !== undefined) {
+      tokens.push({ type: 'literal', value: (doubleQuoted ?? singleQuoted).replace(/\\(.)/g, '$1') });
+    } else if (number !== undefined) {
+      tokens.push({ type: 'literal', value: Number(number) });
+    } else if (operator !== undefined) {
+      tokens.push({ type: 'operator', value: operator });
+    } else if (['true', 'false', 'null'].includes(name)) {
+      tokens.push({ type: 'literal', value: JSON.parse(name) });
+    } else {
+      tokens.push({ type: 'path', value: name });
+    }
+  }
+
+  return { tokens };
+}
+
+function lineAt(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+/**
+ * Turns template source into nodes, collecting every problem it finds
+ */
+class TemplateParser {
+  constructor(source) {
+    this.source = source;
+    this.errors = [];
+    this.line = 1;
+  }
+
+  fail(message, line = this.line) {
+    this.errors.push(`line ${line}: ${message}`);
+  }
+
+  parse() {
+    const root = { body: [] };
+    const stack = [{ node: root, target: root.body }];
+    let position = 0;
+
+    for (const match of this.source.matchAll(TAG_PATTERN)) {
+      this.text(stack, position, match.index);
+      position = match.index + match[0].length;
+      this.line = lineAt(this.source, match.index);
+      this.tag(match[1].trim(), stack);
+    }
+    this.text(stack, position, this.source.length);
+
+    for (const { node } of stack.slice(1)) {
+      this.fail(`{{#${node.type}}} is never closed`, node.line);
+    }
+
+    return root.body;
+  }
+
+  text(stack, from, to) {
+    const value = this.source.slice(from, to);
+    if (value === '') return;
+
+    if (value.includes('{{')) {
+      this.fail('{{ is never closed', lineAt(this.source, from + value.indexOf('{{')));
+    }
+
+    stack[stack.length - 1].target.push({ type: 'text', value });
+  }
+
+  tag(body, stack) {
+    const top = stack[stack.length - 1];
+
+    if (body === '') {
+      return this.fail('empty {{ }} tag');
+    }
+
+    if (body.startsWith('!')) return;
+
+    if (body.startsWith('#')) {
+      const [, type, expression] = body.match(/^#(\w*)\s*([\s\S]*)$/);
+
+      if (!BLOCKS.includes(type)) {
+        return this.fail(`unknown block {{#${type}}}; use ${BLOCKS.map(block => `#${block}`).join(', ')}`);
+      }
+
+      const node = { type, body: [], alternate: null, line: this.line };
+      if (type === 'each') {
+        node.path = this.path(expression, `{{#each}}`);
+      } else {
+        node.test = this.condition(expression, `{{#${type}}}`);
+      }
+
+      top.target.push(node);
+      stack.push({ node, target: node.body });
+      return;
+    }
+
+    if (body === 'else') {
+      if (!top.node.type || top.node.alternate) {
+        return this.fail('{{else}} outside an {{#if}}, {{#unless}} or {{#each}} block');
+      }
+
+      top.node.alternate = [];
+      top.target = top.node.alternate;
+      return;
+    }
+
+    if (body.startsWith('/')) {
+      const type = body.slice(1).trim();
+
+      if (!top.node.type) {
+        return this.fail(`{{/${type}}} without an opening block`);
+      }
+      if (type !== top.node.type) {
+        return this.fail(`{{/${type}}} closes {{#${top.node.type}}} from line ${top.node.line}`);
+      }
+
+      stack.pop();
+      return;
+    }
+
+    if (body.startsWith('>')) {
+      const name = body.slice(1).trim();
+
+      if (!PARTIAL_NAME_PATTERN.test(name)) {
+        return this.fail(`partial name "${name}" must be lower_snake_case`);
+      }
+
+      top.target.push({ type: 'partial', name, line: this.line });
+      return;
+    }
+
+    const output = this.output(body);
+    if (output) {
+      top.target.push(output);
+    }
+  }
+
+  /**
+   * value (| filter(:arg, arg))*
+   */
+  output(expression) {
+    const { tokens, error } = tokenize(expression);
+    if (error) return this.fail(error);
+
+    const [value, ...rest] = tokens;
+    if (!value || value.type === 'operator') {
+      return this.fail(`expected a variable in {{${expression}}}`);
+    }
+
+    const filters = [];
+    let i = 0;
+
+    while (i < rest.length) {
+      const name = rest[i + 1];
+
+      if (rest[i].value !== '|' || !name || name.type !== 'path') {
+        return this.fail(`expected | filter in {{${expression}}}`);
+      }
+      i += 2;
+
+      const args = [];
+      if (rest[i] && rest[i].value === ':') {
+        do {
+          i += 1;
+          if (!rest[i] || rest[i].type !== 'literal') {
+            return this.fail(`filter ${name.value} arguments must be quoted text or numbers`);
+          }
+          args.push(rest[i].value);
+          i += 1;
+        } while (rest[i] && rest[i].value === ',');
+      }
+
+      if (!this.filter(name.value, args)) return null;
+      filters.push({ name: name.value, args });
+    }
+
+    return { type: 'output', value, filters, line: this.line };
+  }
+
+  filter(name, args) {
+    const filter = Object.prototype.hasOwnProperty.call(FILTERS, name) ? FILTERS[name] : null;
+
+    if (!filter) {
+      this.fail(`unknown filter "${name}"; use ${Object.keys(FILTERS).join(', ')}`);
+      return false;
+    }
+
+    const [min, max] = filter.args;
+    if (args.length < min || args.length > max) {
+      this.fail(`filter ${name} takes ${min === max ? min : `${min}-${max}`} argument${max === 1 ? '' : 's'}`);
+      return false;
+    }
+
+    const problem = filter.check ? filter.check(args) : null;
+    if (problem) {
+      this.fail(`filter ${name} ${problem}`);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * path, or path <comparison> value
+   */
+  condition(expression, tag) {
+    const { tokens, error } = tokenize(expression);
+    if (error) return this.fail(`${error} in ${tag}`);
+
+    const [left, operator, right] = tokens;
+    if (!left || left.type !== 'path') {
+      return this.fail(`${tag} needs a variable`);
+    }
+
+    if (tokens.length === 1) return { path: left.value };
+
+    if (tokens.length !== 3 || !COMPARISONS.includes(operator.value) || right.type === 'operator') {
+      return this.fail(`${tag} takes a variable, or a variable ${COMPARISONS.join(' ')} a value`);
+    }
+
+    return { path: left.value, operator: operator.value, operand: right };
+  }
+
+  path(expression, tag) {
+    const { tokens, error } = tokenize(expression);
+    if (error) return this.fail(`${error} in ${tag}`);
+
+    if (tokens.length !== 1 || tokens[0].type !== 'path') {
+      return this.fail(`${tag} takes a single variable`);
+    }
+
+    return tokens[0].value;
+  }
+}
+
+function parse(source) {
+  const parser = new TemplateParser(source);
+  const nodes = parser.parse();
+
+  return { nodes, errors: parser.errors };
+}
+
+/**
+ * Every variable path, partial and loop variable use in the nodes, with
+ * whether it sits inside an {{#each}}
+ */
+function walk(nodes, visit, inEach = false) {
+  for (const node of nodes) {
+    visit(node, inEach);
+
+    if (node.body) {
+      walk(node.body, visit, inEach || node.type === 'each');
+    }
+    if (node.alternate) {
+      walk(node.alternate, visit, inEach);
+    }
+  }
+}
+
+function nodePaths(node) {
+  if (node.type === 'output') {
+    return node.value.type === 'path' ? [node.value.value] : [];
+  }
+  if (node.type === 'each') {
+    return node.path ? [node.path] : [];
+  }
+  if (node.test) {
+    return [node.test.path, node.test.operand && node.test.operand.type === 'path' ? node.test.operand.value : null]
+      .filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Variables (as written) and partials a template uses
+ */
+function templateReferences(source) {
+  const variables = new Set();
+  const partials = new Set();
+
+  walk(parse(source || '').nodes, node => {
+    nodePaths(node).forEach(path => variables.add(path));
+    if (node.type === 'partial') partials.add(node.name);
+  });
+
+  return { variables: [...variables], partials: [...partials] };
+}
+
+/**
+ * Problems with a template; empty when it is valid
+ *
+ * variables lists the top-level names a template may use and partials the
+ * partial names that exist; either may be null to skip that check. Inside
+ * {{#each}} any name may refer to the current item, so names there are not
+ * checked.
+ */
+function validateTemplate(source, { variables = null, partials = null } = {}) {
+  const { nodes, errors } = parse(source);
+
+  walk(nodes, (node, inEach) => {
+    for (const path of nodePaths(node)) {
+      const root = path.split('.')[0];
+
+      if (root === 'this' || LOOP_VARIABLES.includes(root)) {
+        if (!inEach) errors.push(`line ${node.line}: ${root} is only available inside {{#each}}`);
+      } else if (root.startsWith('@')) {
+        errors.push(`line ${node.line}: unknown loop variable ${root}; use ${LOOP_VARIABLES.join(', ')}`);
+      } else if (!inEach && variables && !variables.includes(root)) {
+        errors.push(`line ${node.line}: unknown variable "${path}"`);
+      }
+    }
+
+    if (node.type === 'partial' && partials && !partials.includes(node.name)) {
+      errors.push(`line ${node.line}: unknown partial "${node.name}"`);
+    }
+  });
+
+  return errors;
+}
+
+function lookup(value, key) {
+  if (value === null || typeof value !== 'object' || BLOCKED_KEYS.has(key)) return undefined;
+  return Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (value && typeof value === 'object' && !(value instanceof Date)) return Object.keys(value).length > 0;
+  return Boolean(value) && !Number.isNaN(value);
+}
+
+function compare(left, operator, right) {
+  if (operator === '==' || operator === '!=') {
+    const equal = String(left ?? '') === String(right ?? '');
+    return operator === '==' ? equal : !equal;
+  }
+
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (a === null || b === null) return false;
+
+  switch (operator) {
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '<': return a < b;
+    default: return a <= b;
+  }
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+}
+
+class TemplateRenderer {
+  constructor({ partials = {}, html = false, timezone = DEFAULT_TIMEZONE } = {}) {
+    this.partials = partials;
+    this.html = html;
+    this.env = { timezone };
+    this.compiled = new Map();
+    this.unresolved = new Set();
+  }
+
+  render(nodes, scopes, depth = 0) {
+    let output = '';
+
+    for (const node of nodes) {
+      switch (node.type) {
+        case 'text':
+          output += node.value;
+          break;
+        case 'output':
+          output += this.output(node, scopes);
+          break;
+        case 'if':
+        case 'unless': {
+          const passed = this.test(node.test, scopes) !== (node.type === 'unless');
+          output += this.render(passed ? node.body : node.alternate || [], scopes, depth);
+          break;
+        }
+        case 'each':
+          output += this.each(node, scopes, depth);
+          break;
+        case 'partial':
+          output += this.partial(node.name, scopes, depth);
+          break;
+      }
+    }
+
+    return output;
+  }
+
+  resolve(path, scopes) {
+    const [root, ...keys] = path.split('.');
+    let value;
+
+    if (root.startsWith('@')) {
+      const loop = [...scopes].reverse().find(scope => scope.loop);
+      value = loop ? loop.loop[root.slice(1)] : undefined;
+    } else if (root === 'this') {
+      value = scopes[scopes.length - 1].value;
+    } else {
+      const scope = [...scopes].reverse().find(s => lookup(s.value, root) !== undefined);
+      value = scope ? lookup(scope.value, root) : undefined;
+    }
+
+    return keys.reduce(lookup, value);
+  }
+
+  output(node, scopes) {
+    const label = node.value.type === 'path' ? node.value.value : JSON.stringify(node.value.value);
+    let value = node.value.type === 'path' ? this.resolve(node.value.value, scopes) : node.value.value;
+
+    for (const { name, args } of node.filters) {
+      value = FILTERS[name].apply(value, args, this.env);
+    }
+
+    const text = this.toText(value);
+    if (text === null) {
+      this.unresolved.add(label);
+      return '';
+    }
+
+    return this.html ? escapeHtml(text) : text;
+  }
+
+  toText(value) {
+    if (isEmpty(value) || (typeof value === 'number' && !Number.isFinite(value))) return null;
+    if (value instanceof Date) return FILTERS.date.apply(value, [], this.env);
+
+    if (Array.isArray(value)) {
+      const items = value.map(item => this.toText(item)).filter(item => item !== null);
+      return items.length > 0 ? items.join(', ') : null;
+    }
+
+    // An object has no sensible text of its own
+    if (typeof value === 'object') return null;
+
+    return String(value);
+  }
+
+  test({ path, operator, operand }, scopes) {
+    const value = this.resolve(path, scopes);
+    if (!operator) return isTruthy(value);
+
+    const right = operand.type === 'path' ? this.resolve(operand.value, scopes) : operand.value;
+    return compare(value, operator, right);
+  }
+
+  each(node, scopes, depth) {
+    const items = this.resolve(node.path, scopes);
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return this.render(node.alternate || [], scopes, depth);
+    }
+
+    return items.map((item, index) => this.render(node.body, [...scopes, {
+      value: item,
+      loop: { index, number: index + 1, first: index === 0, last: index === items.length - 1 }
+    }], depth)).join('');
+  }
+
+  partial(name, scopes, depth) {
+    if (depth >= MAX_PARTIAL_DEPTH) {
+      throw new Error(`Template partials nest deeper than ${MAX_PARTIAL_DEPTH} levels at {{> ${name}}}`);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(this.partials, name)) {
+      this.unresolved.add(`> ${name}`);
+      return '';
+    }
+
+    if (!this.compiled.has(name)) {
+      this.compiled.set(name, compile(this.partials[name], `partial ${name}`));
+    }
+
+    return this.render(this.compiled.get(name), scopes, depth + 1);
+  }
+}
+
+function compile(source, label) {
+  const { nodes, errors } = parse(source || '');
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${label}: ${errors.join('; ')}`);
+  }
+
+  return nodes;
+}
+
+/**
+ * Render a template against data
+ *
+ * partials maps names to their source. With html set, values are escaped
+ * for HTML; the template's own markup is left alone. Throws when the
+ * template does not parse, which validation at save time prevents.
+ *
+ * Returns { output, unresolved } where unresolved lists the variables that
+ * rendered empty and any missing partials.
+ */
+function renderTemplate(source, data, options = {}) {
+  const renderer = new TemplateRenderer(options);
+  const output = renderer.render(compile(source, 'template'), [{ value: data }]);
+
+  return { output, unresolved: [...renderer.unresolved] };
+}
+
+module.exports = {
+  FILTER_NAMES: Object.keys(FILTERS),
+  MAX_PARTIAL_DEPTH,
+  validateTemplate,
+  templateReferences,
+  renderTemplate
+};
\ No newline at end of file